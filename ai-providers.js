@@ -0,0 +1,85 @@
+// ai-providers.js — AI provider layer behind the training analysis pipeline
+//
+// A provider exposes:
+//   name                                   provider id ('gemini' | 'fixture')
+//   models                                 model names, tried in order by generateGeminiContent
+//   uploadVideo(filePath, { mimeType, displayName })  -> file { name, uri, mimeType, state }
+//   getFile(name)                          -> file, polled while state is PROCESSING
+//   generateContent(modelName, contentParts, { label }) -> response text
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { GoogleAIFileManager } from '@google/generative-ai/server';
+
+export const GEMINI_MODELS = ['gemini-3-flash-preview', 'gemini-3.1-flash-lite-preview', 'gemini-2.5-flash'];
+
+export function createGeminiProvider({ apiKey, models = GEMINI_MODELS }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const fileManager = new GoogleAIFileManager(apiKey);
+
+  return {
+    name: 'gemini',
+    models,
+    async uploadVideo(filePath, { mimeType, displayName }) {
+      const uploadResult = await fileManager.uploadFile(filePath, { mimeType, displayName });
+      return uploadResult.file;
+    },
+    async getFile(name) {
+      return fileManager.getFile(name);
+    },
+    async generateContent(modelName, contentParts) {
+      const model = genAI.getGenerativeModel({ model: modelName });
+      const result = await model.generateContent(contentParts);
+      return result.response.text();
+    },
+  };
+}
+
+/* ---------- Fixture provider (offline / tests) ---------- */
+// Answers every request with a canned response read from `dir`: `<label>.json`
+// or `<label>.txt`, falling back to `default.json`. Labels are the ones passed to
+// generateGeminiContent ('analyze', 'feedback', 'test-ai'). Uploads never leave
+// the machine; the file id is derived from the clip bytes so runs are repeatable.
+export function createFixtureProvider({ dir, modelName = 'fixture' }) {
+  const readFixture = (label) => {
+    for (const name of [`${label}.json`, `${label}.txt`, 'default.json']) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) return fs.readFileSync(file, 'utf8');
+    }
+    throw new Error(`No AI fixture found for "${label}" in ${dir}`);
+  };
+
+  const files = new Map();
+
+  return {
+    name: 'fixture',
+    models: [modelName],
+    async uploadVideo(filePath, { mimeType }) {
+      const digest = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex').slice(0, 16);
+      const file = { name: `files/fixture-${digest}`, uri: `fixture://files/${digest}`, mimeType, state: 'ACTIVE' };
+      files.set(file.name, file);
+      return file;
+    },
+    async getFile(name) {
+      const file = files.get(name);
+      if (!file) throw new Error(`Unknown fixture file ${name}`);
+      return file;
+    },
+    async generateContent(_modelName, _contentParts, { label = 'default' } = {}) {
+      return readFixture(label);
+    },
+  };
+}
+
+// AI_PROVIDER=fixture forces the canned provider; otherwise Gemini is used when a key is set.
+export function createAIProvider({ provider, geminiKey, fixtureDir }) {
+  const choice = String(provider || '').trim().toLowerCase();
+  if (choice === 'fixture') {
+    return createFixtureProvider({ dir: fixtureDir });
+  }
+  if (choice && choice !== 'gemini') {
+    throw new Error(`Unknown AI_PROVIDER "${provider}" (expected gemini or fixture)`);
+  }
+  return geminiKey ? createGeminiProvider({ apiKey: geminiKey }) : null;
+}
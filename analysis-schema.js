@@ -0,0 +1,232 @@
+// analysis-schema.js — contract for the training analysis JSON returned by the model
+//
+// The schema mirrors the "Use this exact schema" block of the training prompt.
+// validateAnalysis() reports every problem as { path, message } so a bad output
+// can be repaired by the model and, failing that, stored with its errors visible.
+
+const text = { type: 'string', minLength: 1 };
+const score10 = { type: ['number', 'string'], format: 'score10' };
+
+const obj = (properties, extra = {}) => ({
+  type: 'object',
+  required: Object.keys(properties),
+  properties,
+  ...extra,
+});
+
+export const ANALYSIS_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+export const TREND_VALUES = ['improving', 'flat', 'declining'];
+
+// Checkpoints the prompt asks for per skill family (SKILL-SPECIFIC BIOMECHANICS CHECKLIST).
+export const SKILL_CHECKPOINTS = {
+  shooting: ['plantFootPosition', 'ankleLock', 'bodyLeanAtContact', 'hipRotation', 'followThroughDirection', 'approachAngle', 'headPosition'],
+  passing: ['receivingSurface', 'cushionTechnique', 'bodyOrientationPreTouch', 'touchDirection', 'passWeight', 'bodyShapeAfterTouch'],
+  dribbling: ['touchDistance', 'headPosition', 'changeOfPaceExecution', 'weakFootInvolvement', 'bodyFeintQuality'],
+  juggling: ['touchHeightConsistency', 'rhythmBetweenTricks', 'weakFootUsage', 'dropFrequency', 'trickTransitionFluidity'],
+};
+
+export const ANALYSIS_SCHEMA = obj({
+  sessionSummary: text,
+  skillFocus: text,
+  secondarySkills: { type: 'array', items: text },
+  currentLevel: { type: 'string', enum: ANALYSIS_LEVELS },
+  sessionSnapshot: obj({
+    levelScore: score10,
+    confidence: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+    quickTiles: { type: 'array', minItems: 1, items: obj({ label: text, value: score10, note: { type: 'string' } }) },
+  }),
+  technicalAnalysis: obj({
+    footwork: text,
+    bodyPosition: text,
+    followThrough: text,
+    consistency: text,
+    sessionProgression: text,
+  }),
+  biomechanicalChecklist: {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: obj({
+      score: { type: ['number', 'string', 'null'], format: 'score10' },
+      note: text,
+    }),
+  },
+  keyMoments: {
+    type: 'array',
+    minItems: 1,
+    items: obj({ timestamp: text, observation: text, impact: text, correction: text }),
+  },
+  coachingCues: { type: 'array', minItems: 1, items: text },
+  improvementTips: {
+    type: 'array',
+    minItems: 1,
+    items: obj({ priority: { type: ['number', 'string'] }, tip: text, why: text, how: text }),
+  },
+  commonMistakesForPosition: {
+    type: 'array',
+    items: obj({ mistake: text, observed: { type: 'boolean' }, correction: text }),
+  },
+  practiceProgression: { type: 'array', items: obj({ level: text, drill: text }) },
+  trendVsLastSessions: {
+    type: 'array',
+    items: obj({ metric: text, trend: { type: 'string', enum: TREND_VALUES }, note: { type: 'string' } }),
+  },
+  nextSessionPlan: { type: 'array', items: obj({ block: text, duration: text, focus: text }) },
+  youtubeRecommendations: { type: 'array', items: obj({ title: text, coach: text, why: text }) },
+});
+
+/* ---------- Score parsing ---------- */
+// Accepts 6.5, "6.5", "6.5/10". Returns null when the value is not a 0–10 score.
+export function parseScore10(value) {
+  if (typeof value === 'number') return value >= 0 && value <= 10 ? value : null;
+  const m = String(value ?? '').trim().match(/^(\d+(?:\.\d+)?)\s*(?:\/\s*10)?$/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return n >= 0 && n <= 10 ? n : null;
+}
+
+/* ---------- Checkpoint scores ---------- */
+// Checkpoint -> first family that lists it (headPosition is both shooting and dribbling).
+const CHECKPOINT_FAMILY = {};
+for (const [family, names] of Object.entries(SKILL_CHECKPOINTS)) {
+  for (const name of names) CHECKPOINT_FAMILY[name] ??= family;
+}
+
+// Flattens biomechanicalChecklist into [{ checkpoint, family, score, note }].
+// `family` is the SKILL_CHECKPOINTS key: the analysis's own family when it lists
+// the checkpoint, otherwise the first family that does, otherwise null.
+// Unscored checkpoints (null, "N/A") keep a null score so the note is not lost.
+export function extractCheckpointScores(checklist, preferredFamily = null) {
+  if (!checklist || typeof checklist !== 'object' || Array.isArray(checklist)) return [];
+  const out = [];
+  for (const [name, entry] of Object.entries(checklist)) {
+    const checkpoint = String(name).trim();
+    if (!checkpoint || !entry || typeof entry !== 'object') continue;
+    out.push({
+      checkpoint,
+      family: SKILL_CHECKPOINTS[preferredFamily]?.includes(checkpoint) ? preferredFamily : CHECKPOINT_FAMILY[checkpoint] || null,
+      score: parseScore10(entry.score),
+      note: typeof entry.note === 'string' && entry.note.trim() ? entry.note.trim() : null,
+    });
+  }
+  return out;
+}
+
+/* ---------- Validator ---------- */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function check(schema, value, path, errors) {
+  const allowed = [].concat(schema.type || []);
+  const actual = typeOf(value);
+
+  if (value === undefined) {
+    errors.push({ path, message: 'is required' });
+    return;
+  }
+  if (allowed.length && !allowed.includes(actual)) {
+    errors.push({ path, message: `expected ${allowed.join(' | ')}, got ${actual}` });
+    return;
+  }
+  if (actual === 'null') return;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')} (got "${value}")` });
+  }
+  if (schema.minLength && actual === 'string' && value.trim().length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+  if (schema.format === 'score10' && parseScore10(value) === null) {
+    errors.push({ path, message: `must be a 0-10 score (got "${value}")` });
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) value.forEach((v, i) => check(schema.items, v, `${path}[${i}]`, errors));
+  }
+
+  if (actual === 'object') {
+    const keys = Object.keys(value);
+    if (schema.minProperties && keys.length < schema.minProperties) {
+      errors.push({ path, message: `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+    }
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) check(sub, value[key], `${path}.${key}`, errors);
+    }
+    if (schema.additionalProperties) {
+      for (const key of keys) {
+        if (!schema.properties?.[key]) check(schema.additionalProperties, value[key], `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+export function validateAnalysis(data) {
+  const errors = [];
+  check(ANALYSIS_SCHEMA, data, '$', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/* ---------- Parsing model output ---------- */
+// Finds the first balanced {...} block, ignoring braces inside strings. Unlike a
+// greedy /\{[\s\S]*\}/ match this does not swallow trailing commentary or a
+// second object.
+function extractFirstObject(raw) {
+  const start = raw.indexOf('{');
+  if (start === -1) return null;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < raw.length; i++) {
+    const ch = raw[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) return raw.slice(start, i + 1);
+  }
+  return null;
+}
+
+// Returns { data } on success or { error } describing why nothing could be parsed.
+export function parseModelJson(raw) {
+  const textOut = String(raw || '').trim();
+  if (!textOut) return { error: 'empty response' };
+  try {
+    return { data: JSON.parse(textOut) };
+  } catch {}
+
+  const fenced = textOut.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = extractFirstObject(fenced ? fenced[1] : textOut);
+  if (!candidate) return { error: 'no JSON object found in response' };
+  try {
+    return { data: JSON.parse(candidate) };
+  } catch (e) {
+    return { error: `invalid JSON: ${e.message}` };
+  }
+}
+
+/* ---------- Repair prompt ---------- */
+export function buildRepairPrompt(rawContent, errors) {
+  const list = errors.slice(0, 40).map(e => `- ${e.path}: ${e.message}`).join('\n');
+  return `Your previous answer did not match the required JSON schema.
+
+VALIDATION ERRORS:
+${list}
+
+YOUR PREVIOUS ANSWER:
+${String(rawContent || '').slice(0, 20000)}
+
+Return the corrected analysis as ONLY valid JSON (no markdown fences, no backticks) using the exact schema from the original instructions. Keep every observation you already made; fix only the fields listed above. Do not invent anything you did not see in the video — if a checklist checkpoint was not visible, use a null score with a note explaining why.`;
+}
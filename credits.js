@@ -0,0 +1,39 @@
+// credits.js — bonus analysis credits
+//
+// A ledger (credit_ledger) of grants and debits; a user's balance is its sum.
+// Credits come from referrals (referrals.js), credit promo codes
+// (promo-codes.js) and admins, and pay for analyses once the plan's quota for
+// the period is used up (entitlements.js). Entry ids are derived from whatever
+// caused the entry, so a replay (webhook redelivery, retried insert) never
+// grants or charges twice.
+
+export async function getCreditBalance(db, userId) {
+  const { rows } = await db.query(
+    'SELECT COALESCE(SUM(delta), 0)::int AS balance FROM credit_ledger WHERE user_id = $1', [userId]
+  );
+  return rows[0].balance;
+}
+
+// -> true when the entry was new.
+export async function addCredits(db, userId, { id, delta, reason, ref = null, note = null, createdBy = null, at = Date.now() }) {
+  const { rowCount } = await db.query(
+    `INSERT INTO credit_ledger (id, user_id, delta, reason, ref, note, created_by, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (id) DO NOTHING`,
+    [id, userId, delta, reason, ref, note, createdBy, at]
+  );
+  return rowCount > 0;
+}
+
+export async function listCredits(db, userId, limit = 50) {
+  const { rows } = await db.query(
+    'SELECT * FROM credit_ledger WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2', [userId, limit]
+  );
+  return rows.map(r => ({
+    delta: r.delta,
+    reason: r.reason,
+    ref: r.ref,
+    note: r.note,
+    createdAt: Number(r.created_at),
+  }));
+}
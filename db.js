@@ -0,0 +1,19 @@
+// db.js — shared PostgreSQL pool
+//
+// POSTGRES_URL (or DATABASE_URL on Railway) is the only connection setting. The
+// server, the migration CLI and one-off scripts all share this pool.
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const DATABASE_URL = process.env.POSTGRES_URL || process.env.DATABASE_URL || '';
+
+const pool = new pg.Pool({
+  connectionString: DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' || DATABASE_URL.includes('railway')
+    ? { rejectUnauthorized: false }
+    : false,
+});
+
+export default pool;
@@ -0,0 +1,123 @@
+// entitlements.js — what a user may do right now
+//
+// getEntitlements() is the one answer to "which plan, how much of this period's
+// quota is left, how long a clip, which features" for /api/analyze,
+// /api/subscription-status and the requireFeature middleware.
+//
+// Usage is a ledger (usage_ledger): one row per analysis stored, stamped with
+// the plan and billing period it counted against. Quotas reset because only the
+// current period's rows are counted: paid plans follow the Stripe billing period
+// mirrored in `subscriptions`, free accounts the calendar month (UTC). Deleting
+// an analysis does not give its slot back; a failed job or a cached result
+// never used one. Jobs still in flight count as pending usage.
+//
+// Bonus credits (credits.js) extend the quota: once the period's plan quota is
+// used up, each analysis stored is paid with one credit instead (paid_with =
+// 'credit') and does not count against the next period's quota either.
+import { addCredits, getCreditBalance } from './credits.js';
+import { FEATURES, getPlan, MAX_CLIP_SECONDS, PLANS, planForPrice } from './plans.js';
+
+export const USAGE_ANALYSIS = 'analysis';
+
+export function calendarMonth(now = Date.now()) {
+  const d = new Date(now);
+  return {
+    start: Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1),
+    end: Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1),
+  };
+}
+
+// The Stripe period when `now` falls inside it, otherwise the calendar month.
+export function billingPeriod(subscription, now = Date.now()) {
+  const start = Number(subscription?.current_period_start) || 0;
+  const end = Number(subscription?.current_period_end) || 0;
+  if (start && end && start <= now && now < end) return { start, end };
+  return calendarMonth(now);
+}
+
+// Only an active (or trialing) subscription grants a paid plan. Accounts marked
+// active before subscriptions were mirrored are on Pro.
+export async function resolvePlan(db, user, { prices = {} } = {}) {
+  if (user?.subscription_status !== 'active') return { plan: PLANS.free, subscription: null };
+  const { rows } = await db.query(
+    `SELECT id, price_id, current_period_start, current_period_end FROM subscriptions
+     WHERE user_id = $1 AND status IN ('active', 'trialing')
+     ORDER BY current_period_end DESC NULLS LAST LIMIT 1`,
+    [user.id]
+  );
+  const subscription = rows[0] || null;
+  return { plan: getPlan(planForPrice(subscription?.price_id, prices) || 'pro'), subscription };
+}
+
+export async function countUsage(db, userId, { metric = USAGE_ANALYSIS, start, end }) {
+  const { rows } = await db.query(
+    `SELECT COALESCE(SUM(quantity), 0)::int AS used FROM usage_ledger
+     WHERE user_id = $1 AND metric = $2 AND paid_with = 'plan' AND created_at >= $3 AND created_at < $4`,
+    [userId, metric, start, end]
+  );
+  return rows[0].used;
+}
+
+async function countPendingAnalyses(db, userId) {
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::int AS count FROM analysis_jobs
+     WHERE user_id = $1 AND state NOT IN ('done', 'failed')`,
+    [userId]
+  );
+  return rows[0].count;
+}
+
+// user: a users row (id, subscription_status). Admins get every feature and no
+// quota; with no quota, limit and remaining are both null.
+export async function getEntitlements(db, user, { isAdmin = false, prices = {}, now = Date.now() } = {}) {
+  const { plan, subscription } = await resolvePlan(db, user, { prices });
+  const period = billingPeriod(subscription, now);
+  const [used, pending, credits] = await Promise.all([
+    countUsage(db, user.id, { start: period.start, end: period.end }),
+    countPendingAnalyses(db, user.id),
+    getCreditBalance(db, user.id),
+  ]);
+  const limit = isAdmin ? null : plan.monthlyAnalyses;
+  return {
+    plan: isAdmin ? 'admin' : plan.id,
+    planName: isAdmin ? 'Admin' : plan.name,
+    maxClipSeconds: isAdmin ? MAX_CLIP_SECONDS : plan.maxClipSeconds,
+    features: isAdmin ? Object.fromEntries(FEATURES.map(f => [f, true])) : { ...plan.features },
+    quota: {
+      limit,
+      used,
+      pending,
+      remaining: limit === null ? null : Math.max(0, limit - used - pending),
+      credits,
+      periodStart: period.start,
+      resetsAt: period.end,
+    },
+    canAnalyze: limit === null || used + pending < limit + credits,
+  };
+}
+
+// Called in the transaction that stores the analysis. The ledger ids are
+// derived from the analysis id, so a retried insert cannot count or charge
+// twice. -> 'plan' or 'credit', whichever paid for it.
+export async function recordAnalysisUsage(db, userId, analysisId, { isAdmin = false, prices = {}, at = Date.now() } = {}) {
+  const { rows } = await db.query('SELECT id, subscription_status FROM users WHERE id = $1', [userId]);
+  const { plan, subscription } = await resolvePlan(db, rows[0] || { id: userId }, { prices });
+  const period = billingPeriod(subscription, at);
+  let paidWith = 'plan';
+  if (!isAdmin && plan.monthlyAnalyses !== null) {
+    const used = await countUsage(db, userId, { start: period.start, end: period.end });
+    if (used >= plan.monthlyAnalyses && await getCreditBalance(db, userId) > 0) paidWith = 'credit';
+  }
+  const { rowCount } = await db.query(
+    `INSERT INTO usage_ledger (id, user_id, metric, quantity, plan, analysis_id, period_start, period_end, paid_with, created_at)
+     VALUES ($1, $2, $3, 1, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (id) DO NOTHING`,
+    [`${USAGE_ANALYSIS}:${analysisId}`, userId, USAGE_ANALYSIS, plan.id, String(analysisId), period.start, period.end, paidWith, at]
+  );
+  if (rowCount && paidWith === 'credit') {
+    await addCredits(db, userId, {
+      id: `${USAGE_ANALYSIS}:${analysisId}`, delta: -1, reason: USAGE_ANALYSIS, ref: String(analysisId), at,
+    });
+  }
+  return paidWith;
+}
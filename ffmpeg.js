@@ -0,0 +1,219 @@
+// ffmpeg.js — thin wrapper around the local ffmpeg / ffprobe binaries
+//
+// Every call spawns FFMPEG_PATH / FFPROBE_PATH (default: on PATH) with a hard
+// timeout and rejects with the tail of stderr on a non-zero exit, so a stuck or
+// broken clip never hangs an analysis job. Inputs may be local paths or http(s)
+// URLs; ffmpeg streams remote clips itself, limited to network protocols so a
+// remote playlist cannot point it at local files.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+
+export const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+export const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+const REMOTE_PROTOCOLS = 'http,https,tcp,tls';
+
+// The -protocol_whitelist that goes before `input` on the command line: none
+// for local paths, network protocols only for URLs (incl. nested HLS/concat).
+function inputArgs(input) {
+  return /^https?:\/\//i.test(input) ? ['-protocol_whitelist', REMOTE_PROTOCOLS] : [];
+}
+
+// Throws unless `url` is an absolute http(s) URL. Anything else (file:,
+// concat:, pipe:, a bare path) would let a caller read local files.
+export function assertRemoteVideoUrl(url) {
+  let protocol = null;
+  try { protocol = new URL(url).protocol; } catch { /* not a URL */ }
+  if (protocol !== 'http:' && protocol !== 'https:') throw new Error('Video URL must be an http(s) URL');
+  return url;
+}
+
+function run(bin, args, { timeoutMs = DEFAULT_TIMEOUT_MS, stdout = false } = {}) {
+  const name = path.basename(bin);
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ['ignore', stdout ? 'pipe' : 'ignore', 'pipe'] });
+    let out = '';
+    let stderr = '';
+    if (stdout) child.stdout.on('data', chunk => { out += chunk; });
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+    child.on('error', (e) => {
+      clearTimeout(timer);
+      reject(e.code === 'ENOENT' ? new Error(`${name} not found (${bin})`) : e);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve(out);
+      reject(new Error(signal === 'SIGKILL'
+        ? `${name} timed out after ${Math.round(timeoutMs / 1000)}s`
+        : `${name} exited with ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+    });
+  });
+}
+
+export function runFfmpeg(args, opts) {
+  return run(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', ...args], opts);
+}
+
+let available = null;
+// Cached after the first check; both binaries are required. A missing one
+// disables preprocessing and frame extraction without failing the analyses
+// that would have used them.
+export async function isFfmpegAvailable() {
+  if (available === null) {
+    available = await Promise.all([
+      runFfmpeg(['-version'], { timeoutMs: 5000 }),
+      run(FFPROBE_PATH, ['-version'], { timeoutMs: 5000 }),
+    ]).then(() => true, () => false);
+  }
+  return available;
+}
+
+/* ---------- Probe ---------- */
+// Container names as ffprobe reports them ("mov,mp4,m4a,3gp,3g2,mj2") narrowed
+// to the one the file actually is.
+function containerName(formatName, majorBrand) {
+  const names = String(formatName || '').split(',');
+  const brand = String(majorBrand || '').trim().toLowerCase();
+  if (names.includes('mp4')) {
+    if (brand === 'qt') return 'mov';
+    if (brand.startsWith('3g')) return '3gp';
+    if (brand === 'm4v') return 'm4v';
+    return 'mp4';
+  }
+  if (names.includes('webm') && names.includes('matroska')) return 'webm';
+  return names[0] || null;
+}
+
+function frameRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  return num > 0 && den > 0 ? Math.round((num / den) * 100) / 100 : null;
+}
+
+// -> { duration, width, height, format, videoCodec, audioCodec, fps, bitRate, size }
+// width/height are as displayed: phone clips stored sideways with a rotation
+// flag are reported upright. Throws when the input has no video stream.
+export async function probeVideo(input, { timeoutMs } = {}) {
+  const out = await run(FFPROBE_PATH, [
+    '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', ...inputArgs(input), input,
+  ], { timeoutMs, stdout: true });
+  let data;
+  try { data = JSON.parse(out); } catch { throw new Error('ffprobe returned unreadable output'); }
+  const streams = Array.isArray(data.streams) ? data.streams : [];
+  const video = streams.find(s => s.codec_type === 'video' && s.disposition?.attached_pic !== 1);
+  if (!video) throw new Error('No video stream found in the clip');
+  const audio = streams.find(s => s.codec_type === 'audio');
+
+  const rotation = Math.abs(Number(
+    video.tags?.rotate ?? video.side_data_list?.find(d => d.rotation !== undefined)?.rotation ?? 0
+  )) % 180;
+  const width = Number(video.width) || null;
+  const height = Number(video.height) || null;
+  const duration = Number(data.format?.duration) || Number(video.duration) || null;
+  return {
+    duration: duration ? Math.round(duration * 100) / 100 : null,
+    width: rotation === 90 ? height : width,
+    height: rotation === 90 ? width : height,
+    format: containerName(data.format?.format_name, data.format?.tags?.major_brand),
+    videoCodec: video.codec_name || null,
+    audioCodec: audio?.codec_name || null,
+    fps: frameRate(video.avg_frame_rate) || frameRate(video.r_frame_rate),
+    bitRate: Number(data.format?.bit_rate) || null,
+    size: Number(data.format?.size) || null,
+  };
+}
+
+/* ---------- Transcode ---------- */
+export const CANONICAL_MIME_TYPE = 'video/mp4';
+
+// Re-encodes `input` into a canonical H.264/AAC mp4 in the temp dir: the short
+// side capped at maxShortSide, the frame rate at maxFps, and only the
+// [trimStart, trimEnd) window kept (at most maxDuration seconds of it).
+// Returns { path, source, output, trimStart, trimEnd, cleanup() } where source
+// and output are probeVideo() results for the original and the new file.
+export async function preprocessVideo(input, {
+  trimStart = 0, trimEnd = null, maxDuration = null, maxShortSide = 720, maxFps = 30, timeoutMs = 5 * 60 * 1000,
+} = {}) {
+  const source = await probeVideo(input);
+  const start = Math.max(0, Number(trimStart) || 0);
+  if (source.duration && start >= source.duration) {
+    throw new Error(`trimStart (${start}s) is past the end of the clip (${source.duration}s)`);
+  }
+  let end = trimEnd === null || trimEnd === undefined ? source.duration : Math.min(Number(trimEnd), source.duration || Infinity);
+  if (end !== null && maxDuration && end - start > maxDuration) end = start + maxDuration;
+
+  const filters = [];
+  const portrait = (source.height || 0) > (source.width || 0);
+  const short = portrait ? source.width : source.height;
+  if (short && short > maxShortSide) {
+    filters.push(portrait ? `scale=${maxShortSide}:-2` : `scale=-2:${maxShortSide}`);
+  }
+  if (source.fps && source.fps > maxFps) filters.push(`fps=${maxFps}`);
+
+  const outPath = path.join(os.tmpdir(), `bk-prepared-${crypto.randomUUID()}.mp4`);
+  try {
+    await runFfmpeg([
+      ...(start > 0 ? ['-ss', start.toFixed(2)] : []),
+      ...inputArgs(input), '-i', input,
+      ...(end !== null ? ['-t', (end - start).toFixed(2)] : []),
+      '-map', '0:v:0', '-map', '0:a:0?',
+      ...(filters.length ? ['-vf', filters.join(',')] : []),
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '26', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '96k',
+      '-movflags', '+faststart',
+      '-y', outPath,
+    ], { timeoutMs });
+    const output = await probeVideo(outPath);
+    return {
+      path: outPath,
+      mimeType: CANONICAL_MIME_TYPE,
+      source,
+      output,
+      trimStart: start,
+      trimEnd: end,
+      cleanup: () => fs.rmSync(outPath, { force: true }),
+    };
+  } catch (e) {
+    fs.rmSync(outPath, { force: true });
+    throw e;
+  }
+}
+
+/* ---------- Frames ---------- */
+// One JPEG at `seconds` into `input`, scaled to `width` (height keeps the aspect).
+// -ss before -i seeks on keyframes first, which matters for remote inputs.
+export async function extractFrame(input, seconds, outPath, { width = 480, timeoutMs } = {}) {
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  await runFfmpeg([
+    '-ss', Math.max(0, seconds).toFixed(2),
+    ...inputArgs(input), '-i', input,
+    '-frames:v', '1',
+    '-vf', `scale=${width}:-2`,
+    '-q:v', '4',
+    '-y', outPath,
+  ], { timeoutMs });
+  if (!fs.existsSync(outPath)) throw new Error(`No frame at ${seconds}s`);
+  return outPath;
+}
+
+// Runs fn(input) with something ffmpeg can read: a stored upload's local path,
+// the URL itself (http(s) only), or a temp file written from a base64 data URI (removed afterwards).
+export async function withVideoInput({ videoUrl, videoData, videoFile }, fn) {
+  if (videoFile?.path) return fn(videoFile.path);
+  const match = typeof videoData === 'string' && videoData.match(/^data:video\/([\w.+-]+);base64,(.+)$/);
+  if (!match) {
+    if (!videoUrl) throw new Error('No video URL or data provided');
+    return fn(assertRemoteVideoUrl(videoUrl));
+  }
+  const tmpPath = path.join(os.tmpdir(), `bk-frames-${Date.now()}-${process.pid}.${match[1].replace(/[^\w]/g, '') || 'mp4'}`);
+  fs.writeFileSync(tmpPath, Buffer.from(match[2], 'base64'));
+  try {
+    return await fn(tmpPath);
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
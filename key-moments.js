@@ -0,0 +1,149 @@
+// key-moments.js — seekable key moments from the model's free-text timestamps
+//
+// The model writes keyMoments[].timestamp as prose ("~0:08 (second shot
+// attempt)", "0:12-0:15", "at 21s"). Each one is parsed to a second offset,
+// checked against the clip duration recorded in `clips`, and — when ffmpeg is
+// available (ffmpeg.js) — given a still frame. Rows live in analysis_moments;
+// frames are JPEGs named <index>.jpg in one directory per analysis, and rows
+// keep only that file name so the media directory can move.
+import fs from 'fs';
+import path from 'path';
+import { extractFrame } from './ffmpeg.js';
+
+// Moments this far past the recorded duration are still clamped onto the last
+// frame; the model rounds, and Cloudinary durations are rounded too.
+const DURATION_TOLERANCE_S = 1;
+
+/* ---------- Parsing ---------- */
+const CLOCK = /(\d{1,2}):([0-5]?\d)(?::([0-5]\d))?(?:\.(\d+))?/g;
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|to)\s*$/i;
+// "21s", "12 sec", "12-15 seconds"
+const SECONDS = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|—|to)\s*(\d+(?:\.\d+)?))?\s*(?:s|secs?|seconds?)\b/i;
+
+function clockSeconds([, a, b, c, frac]) {
+  const base = c !== undefined ? Number(a) * 3600 + Number(b) * 60 + Number(c) : Number(a) * 60 + Number(b);
+  return base + (frac ? Number(`0.${frac}`) : 0);
+}
+
+// "~0:08 (second shot attempt)" -> { seconds: 8, endSeconds: null }
+// "0:12-0:15" / "12 to 15 seconds" -> { seconds: 12, endSeconds: 15 }
+// A bare number ("8", "~12") is read as seconds. Returns null when the text holds
+// no time at all ("throughout the clip").
+export function parseMomentTimestamp(text) {
+  const value = String(text ?? '').trim();
+  if (!value) return null;
+  let seconds = null;
+  let endSeconds = null;
+
+  const clocks = [...value.matchAll(CLOCK)];
+  const secs = value.match(SECONDS);
+  const bare = value.match(/^~?\s*(\d+(?:\.\d+)?)\s*$/);
+  if (clocks.length && (!secs || clocks[0].index <= secs.index)) {
+    seconds = clockSeconds(clocks[0]);
+    const [first, second] = clocks;
+    if (second && RANGE_SEPARATOR.test(value.slice(first.index + first[0].length, second.index))) {
+      endSeconds = clockSeconds(second);
+    }
+  } else if (secs) {
+    seconds = Number(secs[1]);
+    if (secs[2] !== undefined) endSeconds = Number(secs[2]);
+  } else if (bare) {
+    seconds = Number(bare[1]);
+  } else {
+    return null;
+  }
+  return { seconds, endSeconds: endSeconds !== null && endSeconds > seconds ? endSeconds : null };
+}
+
+export function formatOffset(seconds) {
+  const s = Math.floor(seconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+/* ---------- Normalisation ---------- */
+// status 'ok'           — seekable; seconds within the clip (clamped by up to 1s)
+//        'unparsed'     — no time in the label
+//        'out_of_range' — later than the recorded clip duration
+// Without a known duration every parsed moment is 'ok'.
+export function normalizeKeyMoments(moments, { duration = null } = {}) {
+  const limit = Number(duration) > 0 ? Number(duration) : null;
+  return (Array.isArray(moments) ? moments : []).map((m, index) => {
+    const label = typeof m?.timestamp === 'string' ? m.timestamp.trim() : '';
+    const parsed = parseMomentTimestamp(label);
+    let seconds = parsed ? Math.round(parsed.seconds * 10) / 10 : null;
+    let endSeconds = parsed?.endSeconds ? Math.round(parsed.endSeconds * 10) / 10 : null;
+    let status = parsed ? 'ok' : 'unparsed';
+    if (parsed && limit !== null) {
+      if (seconds > limit + DURATION_TOLERANCE_S) status = 'out_of_range';
+      else {
+        seconds = Math.min(seconds, Math.max(0, limit - 0.1));
+        if (endSeconds !== null) endSeconds = Math.min(endSeconds, limit);
+      }
+    }
+    return {
+      index,
+      label: label || null,
+      seconds: status === 'out_of_range' ? null : seconds,
+      endSeconds: status === 'ok' ? endSeconds : null,
+      status,
+      observation: m?.observation || null,
+      impact: m?.impact || null,
+      correction: m?.correction || null,
+    };
+  });
+}
+
+/* ---------- Frames ---------- */
+// Extracts a frame for every seekable moment into `dir`, one at a time. Sets
+// frameFile on success and frameError on failure; never throws for one bad frame.
+// `offset` is added when seeking, for moments timed against a trimmed window of `input`.
+export async function extractMomentFrames(input, moments, dir, { timeoutMs, offset = 0 } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const moment of moments) {
+    if (moment.status !== 'ok') continue;
+    try {
+      await extractFrame(input, moment.seconds + offset, path.join(dir, `${moment.index}.jpg`), { timeoutMs });
+      moment.frameFile = `${moment.index}.jpg`;
+    } catch (e) {
+      moment.frameError = e.message;
+    }
+  }
+  return moments;
+}
+
+/* ---------- Persistence ---------- */
+export async function storeKeyMoments(db, { analysisId, userId, duration, moments, createdAt = Date.now() }) {
+  await db.query('DELETE FROM analysis_moments WHERE analysis_id = $1', [analysisId]);
+  for (const m of moments) {
+    await db.query(
+      `INSERT INTO analysis_moments
+         (analysis_id, user_id, idx, label, seconds, end_seconds, status, clip_duration,
+          observation, impact, correction, frame_file, frame_error, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+      [analysisId, userId, m.index, m.label, m.seconds, m.endSeconds, m.status, duration || null,
+       m.observation, m.impact, m.correction, m.frameFile || null, m.frameError || null, createdAt]
+    );
+  }
+}
+
+export async function getKeyMoments(db, analysisId) {
+  const { rows } = await db.query(
+    'SELECT * FROM analysis_moments WHERE analysis_id = $1 ORDER BY idx', [analysisId]
+  );
+  return rows.map(r => ({
+    index: r.idx,
+    label: r.label,
+    seconds: r.seconds,
+    endSeconds: r.end_seconds,
+    status: r.status,
+    clipDuration: r.clip_duration,
+    observation: r.observation,
+    impact: r.impact,
+    correction: r.correction,
+    frameFile: r.frame_file,
+    frameError: r.frame_error,
+  }));
+}
@@ -0,0 +1,158 @@
+// migrations.js — ordered schema migrations
+//
+// Each file in migrations/ is named NNN_description.js and exports
+// `up(client)` and `down(client)`. Applied versions are recorded in
+// schema_migrations together with a checksum of the file, so a migration edited
+// after it ran shows up as drift in `npm run migrate:status`.
+//
+// Every migration runs in its own transaction, and a Postgres advisory lock keeps
+// two booting instances from migrating at the same time.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+const FILE_PATTERN = /^(\d{3,})_([\w-]+)\.js$/;
+const LOCK_KEY = 815_200_601; // arbitrary, shared by every instance of this app
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => FILE_PATTERN.test(f)).sort() : [];
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(FILE_PATTERN);
+    if (migrations.some(m => m.version === version)) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+    const filePath = path.join(dir, file);
+    const mod = await import(pathToFileURL(filePath).href);
+    if (typeof mod.up !== 'function') throw new Error(`Migration ${file} does not export up()`);
+    migrations.push({
+      version,
+      name,
+      file,
+      checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'),
+      up: mod.up,
+      down: typeof mod.down === 'function' ? mod.down : null,
+    });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT,
+    applied_at BIGINT NOT NULL
+  )`);
+}
+
+async function appliedVersions(client) {
+  const { rows } = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  return rows;
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function inTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  }
+}
+
+/* ---------- Status ---------- */
+// { applied: [...], pending: [...], changed: [...], missing: [...] }
+//   changed — applied, but the file's checksum no longer matches
+//   missing — recorded in schema_migrations with no file on disk
+export async function migrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const rows = await appliedVersions(client);
+    const byVersion = new Map(rows.map(r => [r.version, r]));
+    const known = new Set(migrations.map(m => m.version));
+    const describe = (m) => ({ version: m.version, name: m.name });
+
+    return {
+      applied: migrations.filter(m => byVersion.has(m.version)).map(m => ({
+        ...describe(m),
+        appliedAt: Number(byVersion.get(m.version).applied_at),
+      })),
+      pending: migrations.filter(m => !byVersion.has(m.version)).map(describe),
+      changed: migrations
+        .filter(m => byVersion.has(m.version) && byVersion.get(m.version).checksum !== m.checksum)
+        .map(describe),
+      missing: rows.filter(r => !known.has(r.version)).map(r => ({ version: r.version, name: r.name })),
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/* ---------- Up / down ---------- */
+// Applies pending migrations in order, up to and including `to` when given.
+export async function migrateUp(pool, { dir = MIGRATIONS_DIR, to = null, log = console.log } = {}) {
+  const migrations = await loadMigrations(dir);
+  return withLock(pool, async (client) => {
+    const done = new Set((await appliedVersions(client)).map(r => r.version));
+    const ran = [];
+    for (const m of migrations) {
+      if (done.has(m.version)) continue;
+      if (to && Number(m.version) > Number(to)) break;
+      log(`[BK] Migrating up ${m.file}`);
+      await inTransaction(client, async () => {
+        await m.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES ($1, $2, $3, $4)',
+          [m.version, m.name, m.checksum, Date.now()]
+        );
+      });
+      ran.push(m.version);
+    }
+    return ran;
+  });
+}
+
+// Reverts the last `steps` applied migrations, or every migration after `to`.
+export async function migrateDown(pool, { dir = MIGRATIONS_DIR, steps = 1, to = null, log = console.log } = {}) {
+  const migrations = await loadMigrations(dir);
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  return withLock(pool, async (client) => {
+    const applied = (await appliedVersions(client)).map(r => r.version).reverse();
+    const targets = to ? applied.filter(v => Number(v) > Number(to)) : applied.slice(0, steps);
+    const ran = [];
+    for (const version of targets) {
+      const m = byVersion.get(version);
+      if (!m) throw new Error(`Cannot revert ${version}: migration file is missing`);
+      if (!m.down) throw new Error(`Cannot revert ${m.file}: it has no down()`);
+      log(`[BK] Migrating down ${m.file}`);
+      await inTransaction(client, async () => {
+        await m.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+      });
+      ran.push(version);
+    }
+    return ran;
+  });
+}
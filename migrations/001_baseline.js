@@ -0,0 +1,158 @@
+// Baseline: the schema initDB used to create and patch on every boot.
+//
+// Databases created before migrations existed already have these tables, often
+// with legacy columns (analysis_data, password_hash) from the JSON-file era, so
+// everything here is IF NOT EXISTS and the legacy fixes only run when the legacy
+// column is actually present.
+const MS_NOW = `(EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT`;
+
+async function columnExists(client, table, column) {
+  const { rows } = await client.query(
+    `SELECT 1 FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    email TEXT UNIQUE NOT NULL,
+    pass_hash TEXT,
+    age INTEGER,
+    dob TEXT,
+    subscription_status TEXT DEFAULT 'free',
+    stripe_customer_id TEXT,
+    created_at BIGINT DEFAULT ${MS_NOW}
+  )`);
+  await client.query(`CREATE TABLE IF NOT EXISTS profiles (
+    user_id TEXT PRIMARY KEY,
+    name TEXT,
+    age INTEGER,
+    dob TEXT,
+    height INTEGER,
+    weight TEXT,
+    foot TEXT,
+    position TEXT,
+    skill TEXT,
+    updated_at BIGINT
+  )`);
+  await client.query(`CREATE TABLE IF NOT EXISTS clips (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    url TEXT,
+    public_id TEXT,
+    created_at TEXT,
+    bytes INTEGER,
+    duration REAL,
+    width INTEGER,
+    height INTEGER,
+    format TEXT
+  )`);
+  await client.query(`CREATE TABLE IF NOT EXISTS analyses (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    candidate_name TEXT,
+    video_type TEXT DEFAULT 'training',
+    skill_focus TEXT,
+    secondary_skills JSONB DEFAULT '[]',
+    session_summary TEXT,
+    current_level TEXT,
+    technical_analysis JSONB DEFAULT '{}',
+    improvement_tips JSONB DEFAULT '[]',
+    common_mistakes JSONB DEFAULT '[]',
+    practice_progression JSONB DEFAULT '[]',
+    youtube_recommendations JSONB DEFAULT '[]',
+    video_url TEXT,
+    public_id TEXT,
+    skill TEXT,
+    raw JSONB DEFAULT '{}',
+    created_at BIGINT DEFAULT ${MS_NOW}
+  )`);
+  await client.query(`CREATE TABLE IF NOT EXISTS player_stats (
+    user_id TEXT PRIMARY KEY,
+    total_analyses INTEGER DEFAULT 0,
+    skill_frequency JSONB DEFAULT '{}',
+    skill_levels JSONB DEFAULT '{}',
+    skill_last_seen JSONB DEFAULT '{}',
+    monthly_activity JSONB DEFAULT '{}',
+    last_analysis_at BIGINT,
+    updated_at BIGINT
+  )`);
+  await client.query(`CREATE TABLE IF NOT EXISTS skill_reminders (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    skill TEXT NOT NULL,
+    drill TEXT,
+    note TEXT,
+    remind_at BIGINT NOT NULL,
+    completed BOOLEAN DEFAULT FALSE,
+    created_at BIGINT DEFAULT ${MS_NOW},
+    updated_at BIGINT
+  )`);
+  await client.query(`CREATE TABLE IF NOT EXISTS experience_feedback (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    rating TEXT NOT NULL,
+    flow_step TEXT,
+    comment TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at BIGINT DEFAULT ${MS_NOW}
+  )`);
+
+  // Columns added to these tables over time; older databases may lack them.
+  const columns = {
+    users: [
+      ['name', 'TEXT'], ['pass_hash', 'TEXT'], ['age', 'INTEGER'], ['dob', 'TEXT'],
+      ['subscription_status', "TEXT DEFAULT 'free'"], ['stripe_customer_id', 'TEXT'],
+    ],
+    analyses: [
+      ['candidate_name', 'TEXT'], ['video_type', "TEXT DEFAULT 'training'"], ['skill_focus', 'TEXT'],
+      ['secondary_skills', "JSONB DEFAULT '[]'"], ['session_summary', 'TEXT'], ['current_level', 'TEXT'],
+      ['technical_analysis', "JSONB DEFAULT '{}'"], ['improvement_tips', "JSONB DEFAULT '[]'"],
+      ['common_mistakes', "JSONB DEFAULT '[]'"], ['practice_progression', "JSONB DEFAULT '[]'"],
+      ['youtube_recommendations', "JSONB DEFAULT '[]'"], ['video_url', 'TEXT'], ['public_id', 'TEXT'],
+      ['skill', 'TEXT'], ['raw', "JSONB DEFAULT '{}'"],
+    ],
+    player_stats: [['monthly_activity', "JSONB DEFAULT '{}'"]],
+    skill_reminders: [
+      ['drill', 'TEXT'], ['note', 'TEXT'], ['completed', 'BOOLEAN DEFAULT FALSE'], ['updated_at', 'BIGINT'],
+    ],
+    experience_feedback: [
+      ['flow_step', 'TEXT'], ['comment', 'TEXT'], ['metadata', "JSONB DEFAULT '{}'"], ['created_at', 'BIGINT'],
+    ],
+  };
+  for (const [table, cols] of Object.entries(columns)) {
+    for (const [col, type] of cols) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${col} ${type}`);
+    }
+  }
+
+  // Legacy NOT NULL columns the current code never writes.
+  await client.query(`ALTER TABLE analyses ALTER COLUMN video_url DROP NOT NULL`);
+  await client.query(`ALTER TABLE analyses ALTER COLUMN user_id DROP NOT NULL`);
+  await client.query(`ALTER TABLE analyses ALTER COLUMN video_type DROP NOT NULL`);
+  await client.query(`ALTER TABLE analyses ALTER COLUMN video_type SET DEFAULT 'training'`);
+  await client.query(`ALTER TABLE users ALTER COLUMN name DROP NOT NULL`);
+  await client.query(`ALTER TABLE users ALTER COLUMN pass_hash DROP NOT NULL`);
+
+  if (await columnExists(client, 'analyses', 'analysis_data')) {
+    await client.query(`ALTER TABLE analyses ALTER COLUMN analysis_data DROP NOT NULL`);
+    await client.query(`ALTER TABLE analyses ALTER COLUMN analysis_data SET DEFAULT '{}'::jsonb`);
+  }
+
+  // createUser still writes password_hash alongside pass_hash, so fresh databases
+  // need the column too.
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT`);
+  await client.query(`ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL`);
+  await client.query(`ALTER TABLE users ALTER COLUMN password_hash SET DEFAULT ''`);
+  await client.query(`UPDATE users SET pass_hash = password_hash WHERE pass_hash IS NULL AND password_hash IS NOT NULL`);
+}
+
+export async function down(client) {
+  for (const table of ['experience_feedback', 'skill_reminders', 'player_stats', 'analyses', 'clips', 'profiles', 'users']) {
+    await client.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
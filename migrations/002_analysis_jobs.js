@@ -0,0 +1,25 @@
+// Persisted queue behind POST /api/analyze (see ANALYSIS JOBS in server.js).
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS analysis_jobs (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    state TEXT NOT NULL DEFAULT 'queued',
+    payload JSONB DEFAULT '{}',
+    analysis_id TEXT,
+    result JSONB,
+    error TEXT,
+    attempts INTEGER DEFAULT 0,
+    run_after BIGINT,
+    locked_by TEXT,
+    locked_at BIGINT,
+    created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT,
+    updated_at BIGINT,
+    finished_at BIGINT
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS analysis_jobs_state_idx ON analysis_jobs (state, created_at)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS analysis_jobs_user_idx ON analysis_jobs (user_id, created_at DESC)`);
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS analysis_jobs`);
+}
@@ -0,0 +1,8 @@
+// Schema validation record for each stored analysis (analysis-schema.js).
+export async function up(client) {
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS validation JSONB`);
+}
+
+export async function down(client) {
+  await client.query(`ALTER TABLE analyses DROP COLUMN IF EXISTS validation`);
+}
@@ -0,0 +1,15 @@
+// Prompt version stamped on analyses, and the admin pin for the active version.
+export async function up(client) {
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS prompt_version TEXT`);
+  await client.query(`CREATE TABLE IF NOT EXISTS prompt_settings (
+    name TEXT PRIMARY KEY,
+    active_version TEXT,
+    updated_by TEXT,
+    updated_at BIGINT
+  )`);
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS prompt_settings`);
+  await client.query(`ALTER TABLE analyses DROP COLUMN IF EXISTS prompt_version`);
+}
@@ -0,0 +1,36 @@
+// Refresh-token sessions and durable revocation of access tokens.
+//
+// user_sessions holds one row per signed-in device; only the sha256 of the
+// current (and previous, for reuse detection) refresh secret is stored.
+// revoked_tokens covers the 30-day session-less JWTs issued before this
+// migration, and users.tokens_valid_after makes "log out everywhere" apply to them.
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS user_sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    refresh_hash TEXT NOT NULL,
+    previous_hash TEXT,
+    user_agent TEXT,
+    ip TEXT,
+    created_at BIGINT NOT NULL,
+    last_used_at BIGINT,
+    rotated_at BIGINT,
+    expires_at BIGINT NOT NULL,
+    revoked_at BIGINT,
+    revoked_reason TEXT
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS user_sessions_user_idx ON user_sessions (user_id, created_at DESC)`);
+  await client.query(`CREATE TABLE IF NOT EXISTS revoked_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT,
+    expires_at BIGINT NOT NULL,
+    revoked_at BIGINT NOT NULL
+  )`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_valid_after BIGINT`);
+}
+
+export async function down(client) {
+  await client.query(`ALTER TABLE users DROP COLUMN IF EXISTS tokens_valid_after`);
+  await client.query(`DROP TABLE IF EXISTS revoked_tokens`);
+  await client.query(`DROP TABLE IF EXISTS user_sessions`);
+}
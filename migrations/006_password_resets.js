@@ -0,0 +1,30 @@
+// Password reset codes (stored as keyed hashes) and a general audit trail.
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS password_resets (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    created_at BIGINT NOT NULL,
+    expires_at BIGINT NOT NULL,
+    used_at BIGINT
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS password_resets_user_idx ON password_resets (user_id, created_at DESC)`);
+  await client.query(`CREATE TABLE IF NOT EXISTS audit_log (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    actor_id TEXT,
+    action TEXT NOT NULL,
+    ip TEXT,
+    user_agent TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at BIGINT NOT NULL
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS audit_log_user_idx ON audit_log (user_id, created_at DESC)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS audit_log_action_idx ON audit_log (action, created_at DESC)`);
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS audit_log`);
+  await client.query(`DROP TABLE IF EXISTS password_resets`);
+}
@@ -0,0 +1,13 @@
+// Shared fixed-window counters for rate-limit.js (createPgStore) and login lockout.
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL DEFAULT 0,
+    reset_at BIGINT NOT NULL
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS rate_limits_reset_idx ON rate_limits (reset_at)`);
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS rate_limits`);
+}
@@ -0,0 +1,55 @@
+// Teams: a coach (or club) account managing a squad of player accounts.
+//
+// team_members.role is owner | coach | player | parent. A parent membership is
+// tied to one player (player_id) and only grants access to that player's data.
+// Invites are accepted with a one-time token emailed to the invitee.
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS teams (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner_id TEXT NOT NULL,
+    created_at BIGINT NOT NULL,
+    updated_at BIGINT
+  )`);
+  await client.query(`CREATE TABLE IF NOT EXISTS team_members (
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'coach', 'player', 'parent')),
+    player_id TEXT,
+    created_at BIGINT NOT NULL,
+    PRIMARY KEY (team_id, user_id)
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS team_members_user_idx ON team_members (user_id)`);
+  await client.query(`CREATE TABLE IF NOT EXISTS team_invites (
+    id TEXT PRIMARY KEY,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('coach', 'player', 'parent')),
+    player_id TEXT,
+    token_hash TEXT NOT NULL UNIQUE,
+    invited_by TEXT NOT NULL,
+    created_at BIGINT NOT NULL,
+    expires_at BIGINT NOT NULL,
+    accepted_at BIGINT,
+    accepted_by TEXT,
+    revoked_at BIGINT
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS team_invites_team_idx ON team_invites (team_id, created_at DESC)`);
+  await client.query(`CREATE TABLE IF NOT EXISTS coach_notes (
+    id TEXT PRIMARY KEY,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    player_id TEXT NOT NULL,
+    author_id TEXT NOT NULL,
+    analysis_id TEXT,
+    body TEXT NOT NULL,
+    created_at BIGINT NOT NULL,
+    updated_at BIGINT
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS coach_notes_player_idx ON coach_notes (player_id, created_at DESC)`);
+}
+
+export async function down(client) {
+  for (const table of ['coach_notes', 'team_invites', 'team_members', 'teams']) {
+    await client.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
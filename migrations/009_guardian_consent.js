@@ -0,0 +1,32 @@
+// Guardian consent for players under GUARDIAN_CONSENT_AGE.
+//
+// users.consent_status is NULL / 'not_required' for adults and accounts created
+// before this migration, and 'pending' | 'granted' | 'declined' | 'revoked' for
+// minors. guardian_consents keeps every request and decision as the consent record.
+export async function up(client) {
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS guardian_email TEXT`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS consent_status TEXT`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS consent_granted_at BIGINT`);
+  await client.query(`CREATE TABLE IF NOT EXISTS guardian_consents (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    guardian_email TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    status TEXT NOT NULL DEFAULT 'pending',
+    requested_at BIGINT NOT NULL,
+    expires_at BIGINT NOT NULL,
+    responded_at BIGINT,
+    response_ip TEXT,
+    response_user_agent TEXT,
+    guardian_user_id TEXT
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS guardian_consents_user_idx ON guardian_consents (user_id, requested_at DESC)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS guardian_consents_guardian_idx ON guardian_consents (guardian_user_id)`);
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS guardian_consents`);
+  await client.query(`ALTER TABLE users DROP COLUMN IF EXISTS consent_granted_at`);
+  await client.query(`ALTER TABLE users DROP COLUMN IF EXISTS consent_status`);
+  await client.query(`ALTER TABLE users DROP COLUMN IF EXISTS guardian_email`);
+}
@@ -0,0 +1,51 @@
+// Canonical skill ids next to the raw model / player labels (skill-taxonomy.js),
+// backfilled for existing analyses, then player_stats rebuilt so its keys use the
+// canonical labels too.
+import { normalizeSkill, normalizeSkillList } from '../skill-taxonomy.js';
+import { recomputePlayerStats } from '../player-stats.js';
+
+export async function up(client) {
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS skill_id TEXT`);
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS skill_category TEXT`);
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS secondary_skill_ids JSONB DEFAULT '[]'`);
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS requested_skill_id TEXT`);
+  await client.query(`CREATE INDEX IF NOT EXISTS analyses_user_skill_idx ON analyses (user_id, skill_id)`);
+
+  // Labels repeat a lot, so normalise each distinct one once.
+  const { rows: focuses } = await client.query(
+    `SELECT DISTINCT skill_focus FROM analyses WHERE skill_focus IS NOT NULL`
+  );
+  for (const { skill_focus: label } of focuses) {
+    const skill = normalizeSkill(label);
+    if (!skill?.id) continue;
+    await client.query(
+      'UPDATE analyses SET skill_id = $1, skill_category = $2 WHERE skill_focus = $3',
+      [skill.id, skill.category, label]
+    );
+  }
+  const { rows: requested } = await client.query(`SELECT DISTINCT skill FROM analyses WHERE skill IS NOT NULL`);
+  for (const { skill: label } of requested) {
+    const id = normalizeSkill(label)?.id;
+    if (id) await client.query('UPDATE analyses SET requested_skill_id = $1 WHERE skill = $2', [id, label]);
+  }
+  const { rows: secondary } = await client.query(
+    `SELECT DISTINCT secondary_skills::text AS labels FROM analyses
+     WHERE jsonb_typeof(secondary_skills) = 'array' AND jsonb_array_length(secondary_skills) > 0`
+  );
+  for (const { labels } of secondary) {
+    await client.query(
+      'UPDATE analyses SET secondary_skill_ids = $1::jsonb WHERE secondary_skills::text = $2',
+      [JSON.stringify(normalizeSkillList(JSON.parse(labels))), labels]
+    );
+  }
+
+  const { rows: users } = await client.query(`SELECT DISTINCT user_id FROM analyses WHERE user_id IS NOT NULL`);
+  for (const { user_id: userId } of users) await recomputePlayerStats(client, userId);
+}
+
+export async function down(client) {
+  await client.query(`DROP INDEX IF EXISTS analyses_user_skill_idx`);
+  for (const column of ['requested_skill_id', 'secondary_skill_ids', 'skill_category', 'skill_id']) {
+    await client.query(`ALTER TABLE analyses DROP COLUMN IF EXISTS ${column}`);
+  }
+}
@@ -0,0 +1,41 @@
+// Biomechanics checklist scores pulled out of analyses.raw, one row per
+// checkpoint, for GET /api/progress/checkpoints. Existing analyses are backfilled.
+// No foreign key: legacy databases have analyses.id as UUID, so rows are removed
+// explicitly alongside their analysis.
+import { extractCheckpointScores } from '../analysis-schema.js';
+import { CHECKPOINT_FAMILIES } from '../skill-taxonomy.js';
+
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS analysis_checkpoints (
+    analysis_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    checkpoint TEXT NOT NULL,
+    family TEXT,
+    score REAL,
+    note TEXT,
+    created_at BIGINT NOT NULL,
+    PRIMARY KEY (analysis_id, checkpoint)
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS analysis_checkpoints_user_idx
+    ON analysis_checkpoints (user_id, family, created_at)`);
+
+  const { rows } = await client.query(
+    `SELECT id::text AS id, user_id::text AS user_id, skill_category, created_at,
+            raw->'biomechanicalChecklist' AS checklist
+     FROM analyses
+     WHERE user_id IS NOT NULL AND jsonb_typeof(raw->'biomechanicalChecklist') = 'object'`
+  );
+  for (const row of rows) {
+    for (const c of extractCheckpointScores(row.checklist, CHECKPOINT_FAMILIES[row.skill_category])) {
+      await client.query(
+        `INSERT INTO analysis_checkpoints (analysis_id, user_id, checkpoint, family, score, note, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT DO NOTHING`,
+        [row.id, row.user_id, c.checkpoint, c.family, c.score, c.note, Number(row.created_at) || Date.now()]
+      );
+    }
+  }
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS analysis_checkpoints`);
+}
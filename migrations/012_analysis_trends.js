@@ -0,0 +1,10 @@
+// Trends computed on the server (trends.js) against the player's earlier
+// analyses of the same skill, replacing the model's own trendVsLastSessions.
+// Older analyses are left NULL and computed on read.
+export async function up(client) {
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS trends JSONB`);
+}
+
+export async function down(client) {
+  await client.query(`ALTER TABLE analyses DROP COLUMN IF EXISTS trends`);
+}
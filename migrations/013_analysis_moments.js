@@ -0,0 +1,51 @@
+// Key moments with parsed second offsets and still frames (key-moments.js), for
+// GET /api/analyses/:id/moments. Existing analyses are backfilled from
+// raw.keyMoments without frames — their clips were never kept on the server.
+// No foreign key, for the same legacy-UUID reason as analysis_checkpoints.
+import { normalizeKeyMoments, storeKeyMoments } from '../key-moments.js';
+
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS analysis_moments (
+    analysis_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    idx INTEGER NOT NULL,
+    label TEXT,
+    seconds REAL,
+    end_seconds REAL,
+    status TEXT NOT NULL,
+    clip_duration REAL,
+    observation TEXT,
+    impact TEXT,
+    correction TEXT,
+    frame_file TEXT,
+    frame_error TEXT,
+    created_at BIGINT NOT NULL,
+    PRIMARY KEY (analysis_id, idx)
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS analysis_moments_user_idx ON analysis_moments (user_id)`);
+
+  // Duration comes from the clip row registered for the same upload, if any.
+  const { rows } = await client.query(
+    `SELECT a.id::text AS id, a.user_id::text AS user_id, a.created_at, a.raw->'keyMoments' AS moments,
+            (SELECT c.duration FROM clips c
+             WHERE c.user_id::text = a.user_id::text
+               AND ((a.public_id IS NOT NULL AND c.public_id = a.public_id) OR (a.video_url IS NOT NULL AND c.url = a.video_url))
+             ORDER BY c.id DESC LIMIT 1) AS duration
+     FROM analyses a
+     WHERE a.user_id IS NOT NULL AND jsonb_typeof(a.raw->'keyMoments') = 'array'`
+  );
+  for (const row of rows) {
+    const duration = Number(row.duration) || null;
+    await storeKeyMoments(client, {
+      analysisId: row.id,
+      userId: row.user_id,
+      duration,
+      moments: normalizeKeyMoments(row.moments, { duration }),
+      createdAt: Number(row.created_at) || Date.now(),
+    });
+  }
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS analysis_moments`);
+}
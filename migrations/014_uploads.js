@@ -0,0 +1,40 @@
+// Resumable clip uploads into the storage backend (storage.js). An upload row
+// tracks the chunks received so far; completing it creates the clips row, which
+// now points at the stored object, and /api/analyze references it by clip id.
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS uploads (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    filename TEXT,
+    content_type TEXT NOT NULL,
+    size BIGINT NOT NULL,
+    sha256 TEXT NOT NULL,
+    duration REAL,
+    chunk_size INTEGER NOT NULL,
+    received_bytes BIGINT NOT NULL DEFAULT 0,
+    state TEXT NOT NULL DEFAULT 'pending',
+    clip_id INTEGER,
+    error TEXT,
+    created_at BIGINT NOT NULL,
+    updated_at BIGINT NOT NULL,
+    expires_at BIGINT NOT NULL
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS uploads_user_idx ON uploads (user_id, state)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS uploads_expires_idx ON uploads (state, expires_at)`);
+
+  for (const [column, type] of [
+    ['storage_backend', 'TEXT'], ['storage_key', 'TEXT'], ['sha256', 'TEXT'],
+    ['content_type', 'TEXT'], ['filename', 'TEXT'], ['upload_id', 'TEXT'],
+  ]) {
+    await client.query(`ALTER TABLE clips ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+  }
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS clip_id INTEGER`);
+}
+
+export async function down(client) {
+  await client.query(`ALTER TABLE analyses DROP COLUMN IF EXISTS clip_id`);
+  for (const column of ['upload_id', 'filename', 'content_type', 'sha256', 'storage_key', 'storage_backend']) {
+    await client.query(`ALTER TABLE clips DROP COLUMN IF EXISTS ${column}`);
+  }
+  await client.query(`DROP TABLE IF EXISTS uploads`);
+}
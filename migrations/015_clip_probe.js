@@ -0,0 +1,20 @@
+// ffprobe results on clips (duration, width, height and format are overwritten
+// with probed values; codecs, frame rate and probe time are new), and the trim
+// window an analysis was run on so key moments map back onto the full clip.
+export async function up(client) {
+  for (const [column, type] of [
+    ['video_codec', 'TEXT'], ['audio_codec', 'TEXT'], ['fps', 'REAL'], ['probed_at', 'BIGINT'],
+  ]) {
+    await client.query(`ALTER TABLE clips ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+  }
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS trim_start REAL`);
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS trim_end REAL`);
+}
+
+export async function down(client) {
+  await client.query(`ALTER TABLE analyses DROP COLUMN IF EXISTS trim_end`);
+  await client.query(`ALTER TABLE analyses DROP COLUMN IF EXISTS trim_start`);
+  for (const column of ['probed_at', 'fps', 'audio_codec', 'video_codec']) {
+    await client.query(`ALTER TABLE clips DROP COLUMN IF EXISTS ${column}`);
+  }
+}
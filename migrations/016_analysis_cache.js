@@ -0,0 +1,49 @@
+// Analysis cache: every analysis records the content hash of the clip it was run
+// on, the model that answered and a cache key over (hash, prompt version,
+// requested skill, trim window), so the same request returns the stored analysis
+// instead of a new model call. provider_files remembers clips already uploaded
+// to the AI provider while their file is still valid there.
+export async function up(client) {
+  for (const [column, type] of [['content_hash', 'TEXT'], ['model', 'TEXT'], ['cache_key', 'TEXT']]) {
+    await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+  }
+  await client.query(`CREATE INDEX IF NOT EXISTS analyses_cache_idx ON analyses (user_id, cache_key)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS analyses_content_hash_idx ON analyses (user_id, content_hash)`);
+
+  // Uploaded clips already carry their sha256; the model comes from validation.
+  await client.query(
+    `UPDATE analyses a SET content_hash = c.sha256
+     FROM clips c
+     WHERE a.content_hash IS NULL AND a.clip_id = c.id AND c.sha256 IS NOT NULL`
+  );
+  await client.query(
+    `UPDATE analyses SET model = validation->>'model'
+     WHERE model IS NULL AND validation->>'model' IS NOT NULL`
+  );
+
+  await client.query(`CREATE TABLE IF NOT EXISTS provider_files (
+    user_id TEXT NOT NULL,
+    video_key TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    name TEXT NOT NULL,
+    uri TEXT NOT NULL,
+    mime_type TEXT,
+    trim_start REAL,
+    trim_end REAL,
+    duration REAL,
+    source_duration REAL,
+    expires_at BIGINT NOT NULL,
+    created_at BIGINT NOT NULL,
+    PRIMARY KEY (user_id, video_key)
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS provider_files_expires_idx ON provider_files (expires_at)`);
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS provider_files`);
+  await client.query(`DROP INDEX IF EXISTS analyses_content_hash_idx`);
+  await client.query(`DROP INDEX IF EXISTS analyses_cache_idx`);
+  for (const column of ['cache_key', 'model', 'content_hash']) {
+    await client.query(`ALTER TABLE analyses DROP COLUMN IF EXISTS ${column}`);
+  }
+}
@@ -0,0 +1,46 @@
+// Local mirror of Stripe subscriptions (subscriptions.js) and a ledger of every
+// webhook event received, so a redelivered event is acknowledged without being
+// applied twice. users.subscription_status stays, now derived from the mirror.
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS subscriptions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    customer_id TEXT,
+    status TEXT NOT NULL,
+    price_id TEXT,
+    product_id TEXT,
+    billing_interval TEXT,
+    current_period_end BIGINT,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+    cancel_at BIGINT,
+    canceled_at BIGINT,
+    trial_end BIGINT,
+    latest_invoice_id TEXT,
+    latest_invoice_status TEXT,
+    latest_invoice_at BIGINT,
+    stripe_updated_at BIGINT NOT NULL,
+    created_at BIGINT NOT NULL,
+    updated_at BIGINT NOT NULL
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS subscriptions_user_idx ON subscriptions (user_id)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS subscriptions_customer_idx ON subscriptions (customer_id)`);
+
+  await client.query(`CREATE TABLE IF NOT EXISTS stripe_events (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    object_id TEXT,
+    livemode BOOLEAN,
+    handled BOOLEAN,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    error TEXT,
+    created_at BIGINT NOT NULL,
+    received_at BIGINT NOT NULL,
+    processed_at BIGINT
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS stripe_events_received_idx ON stripe_events (received_at)`);
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS stripe_events`);
+  await client.query(`DROP TABLE IF EXISTS subscriptions`);
+}
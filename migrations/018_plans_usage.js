@@ -0,0 +1,34 @@
+// Plan quotas (plans.js, entitlements.js): the start of each mirrored Stripe
+// billing period, and a usage ledger counted per period. Existing analyses are
+// entered into the ledger against the calendar month they were run in.
+export async function up(client) {
+  await client.query(`ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS current_period_start BIGINT`);
+
+  await client.query(`CREATE TABLE IF NOT EXISTS usage_ledger (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    plan TEXT,
+    analysis_id TEXT,
+    period_start BIGINT,
+    period_end BIGINT,
+    created_at BIGINT NOT NULL
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS usage_ledger_user_idx ON usage_ledger (user_id, metric, created_at)`);
+
+  const month = (offset) => `(EXTRACT(EPOCH FROM date_trunc('month', to_timestamp(created_at / 1000.0) AT TIME ZONE 'UTC')${offset}) * 1000)::bigint`;
+  await client.query(
+    `INSERT INTO usage_ledger (id, user_id, metric, quantity, plan, analysis_id, period_start, period_end, created_at)
+     SELECT 'analysis:' || id::text, user_id::text, 'analysis', 1, NULL, id::text,
+            ${month('')}, ${month(" + INTERVAL '1 month'")}, created_at
+     FROM analyses
+     WHERE created_at IS NOT NULL
+     ON CONFLICT (id) DO NOTHING`
+  );
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS usage_ledger`);
+  await client.query(`ALTER TABLE subscriptions DROP COLUMN IF EXISTS current_period_start`);
+}
@@ -0,0 +1,77 @@
+// Promo codes, referral codes and bonus analysis credits (promo-codes.js,
+// referrals.js, credits.js). usage_ledger.paid_with tells analyses paid for by
+// the plan's quota from ones paid for with a credit.
+export async function up(client) {
+  await client.query(`ALTER TABLE usage_ledger ADD COLUMN IF NOT EXISTS paid_with TEXT NOT NULL DEFAULT 'plan'`);
+
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS referral_code TEXT`);
+  await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS users_referral_code_idx ON users (referral_code)`);
+
+  await client.query(`CREATE TABLE IF NOT EXISTS credit_ledger (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    delta INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    ref TEXT,
+    note TEXT,
+    created_by TEXT,
+    created_at BIGINT NOT NULL
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS credit_ledger_user_idx ON credit_ledger (user_id, created_at)`);
+
+  await client.query(`CREATE TABLE IF NOT EXISTS referrals (
+    id TEXT PRIMARY KEY,
+    referrer_id TEXT NOT NULL,
+    referee_id TEXT NOT NULL UNIQUE,
+    code TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    converted_at BIGINT,
+    credits_granted INTEGER,
+    created_at BIGINT NOT NULL
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS referrals_referrer_idx ON referrals (referrer_id)`);
+
+  await client.query(`CREATE TABLE IF NOT EXISTS promo_codes (
+    code TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    description TEXT,
+    percent_off NUMERIC(5, 2),
+    amount_off INTEGER,
+    currency TEXT,
+    duration TEXT,
+    duration_in_months INTEGER,
+    trial_days INTEGER,
+    credits INTEGER,
+    max_redemptions INTEGER,
+    redeemed_count INTEGER NOT NULL DEFAULT 0,
+    expires_at BIGINT,
+    stripe_coupon_id TEXT,
+    stripe_promotion_code_id TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by TEXT,
+    created_at BIGINT NOT NULL,
+    updated_at BIGINT NOT NULL
+  )`);
+
+  await client.query(`CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id TEXT PRIMARY KEY,
+    code TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    credits INTEGER,
+    checkout_session_id TEXT,
+    subscription_id TEXT,
+    created_at BIGINT NOT NULL,
+    UNIQUE (code, user_id)
+  )`);
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS promo_redemptions`);
+  await client.query(`DROP TABLE IF EXISTS promo_codes`);
+  await client.query(`DROP TABLE IF EXISTS referrals`);
+  await client.query(`DROP TABLE IF EXISTS credit_ledger`);
+  await client.query(`DROP INDEX IF EXISTS users_referral_code_idx`);
+  await client.query(`ALTER TABLE users DROP COLUMN IF EXISTS referral_code`);
+  await client.query(`ALTER TABLE usage_ledger DROP COLUMN IF EXISTS paid_with`);
+}
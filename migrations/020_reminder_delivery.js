@@ -0,0 +1,67 @@
+// Reminder delivery (reminders.js): recurrence, snooze and delivery tracking on
+// skill_reminders, per-user notification settings (timezone, quiet hours,
+// channels) and Web Push subscriptions. Reminders already in the past are
+// marked missed so the first scheduler run does not send a backlog.
+export async function up(client) {
+  for (const column of [
+    'recurrence TEXT',
+    'recurrence_start BIGINT',
+    'occurrences INTEGER NOT NULL DEFAULT 0',
+    'snoozed_until BIGINT',
+    "delivery_status TEXT NOT NULL DEFAULT 'pending'",
+    'attempts INTEGER NOT NULL DEFAULT 0',
+    'next_attempt_at BIGINT',
+    'locked_by TEXT',
+    'locked_at BIGINT',
+    'last_attempt_at BIGINT',
+    'last_error TEXT',
+    'delivered_at BIGINT',
+    'delivered_via TEXT',
+  ]) {
+    await client.query(`ALTER TABLE skill_reminders ADD COLUMN IF NOT EXISTS ${column}`);
+  }
+  await client.query(
+    `UPDATE skill_reminders SET delivery_status = 'missed'
+     WHERE delivery_status = 'pending' AND (completed = TRUE OR remind_at < $1)`,
+    [Date.now()]
+  );
+  await client.query(
+    `CREATE INDEX IF NOT EXISTS skill_reminders_due_idx ON skill_reminders (remind_at)
+     WHERE completed = FALSE AND delivery_status IN ('pending', 'retry', 'sending')`
+  );
+
+  await client.query(`CREATE TABLE IF NOT EXISTS notification_settings (
+    user_id TEXT PRIMARY KEY,
+    timezone TEXT,
+    quiet_start INTEGER,
+    quiet_end INTEGER,
+    email_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    push_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at BIGINT
+  )`);
+
+  await client.query(`CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    user_agent TEXT,
+    failures INTEGER NOT NULL DEFAULT 0,
+    last_success_at BIGINT,
+    created_at BIGINT NOT NULL
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS push_subscriptions_user_idx ON push_subscriptions (user_id)`);
+}
+
+export async function down(client) {
+  await client.query(`DROP TABLE IF EXISTS push_subscriptions`);
+  await client.query(`DROP TABLE IF EXISTS notification_settings`);
+  await client.query(`DROP INDEX IF EXISTS skill_reminders_due_idx`);
+  for (const column of [
+    'recurrence', 'recurrence_start', 'occurrences', 'snoozed_until', 'delivery_status', 'attempts',
+    'next_attempt_at', 'locked_by', 'locked_at', 'last_attempt_at', 'last_error', 'delivered_at', 'delivered_via',
+  ]) {
+    await client.query(`ALTER TABLE skill_reminders DROP COLUMN IF EXISTS ${column}`);
+  }
+}
@@ -0,0 +1,73 @@
+// Training plans built from an analysis (training-plans.js): the plan, its
+// dated sessions and their drills with per-drill completion. Session reminders
+// are ordinary skill_reminders rows linked by plan_session_id, and each new
+// analysis stores how closely the previous plan was followed (plan_adherence).
+export async function up(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS training_plans (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    analysis_id TEXT NOT NULL,
+    skill TEXT,
+    skill_id TEXT,
+    skill_focus TEXT,
+    title TEXT NOT NULL,
+    weeks INTEGER NOT NULL,
+    sessions_per_week INTEGER NOT NULL,
+    timezone TEXT,
+    start_at BIGINT NOT NULL,
+    end_at BIGINT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active',
+    review_analysis_id TEXT,
+    created_at BIGINT NOT NULL,
+    updated_at BIGINT
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS training_plans_user_idx ON training_plans (user_id, status, created_at)`);
+
+  await client.query(`CREATE TABLE IF NOT EXISTS training_plan_sessions (
+    id TEXT PRIMARY KEY,
+    plan_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    week INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    title TEXT,
+    scheduled_at BIGINT NOT NULL,
+    duration_minutes INTEGER,
+    completed_at BIGINT
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS training_plan_sessions_plan_idx ON training_plan_sessions (plan_id, scheduled_at)`);
+
+  await client.query(`CREATE TABLE IF NOT EXISTS training_plan_drills (
+    id TEXT PRIMARY KEY,
+    plan_id TEXT NOT NULL,
+    session_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    title TEXT NOT NULL,
+    detail TEXT,
+    target_sets INTEGER,
+    target_reps INTEGER,
+    target_minutes INTEGER,
+    completed_reps INTEGER,
+    completed_at BIGINT,
+    note TEXT
+  )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS training_plan_drills_plan_idx ON training_plan_drills (plan_id)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS training_plan_drills_session_idx ON training_plan_drills (session_id)`);
+
+  await client.query(`ALTER TABLE skill_reminders ADD COLUMN IF NOT EXISTS plan_session_id TEXT`);
+  await client.query(
+    `CREATE INDEX IF NOT EXISTS skill_reminders_plan_session_idx ON skill_reminders (plan_session_id)
+     WHERE plan_session_id IS NOT NULL`
+  );
+  await client.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS plan_adherence JSONB`);
+}
+
+export async function down(client) {
+  await client.query(`ALTER TABLE analyses DROP COLUMN IF EXISTS plan_adherence`);
+  await client.query(`DROP INDEX IF EXISTS skill_reminders_plan_session_idx`);
+  await client.query(`ALTER TABLE skill_reminders DROP COLUMN IF EXISTS plan_session_id`);
+  await client.query(`DROP TABLE IF EXISTS training_plan_drills`);
+  await client.query(`DROP TABLE IF EXISTS training_plan_sessions`);
+  await client.query(`DROP TABLE IF EXISTS training_plans`);
+}
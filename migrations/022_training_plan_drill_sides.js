@@ -0,0 +1,9 @@
+// Drills done on each foot (or side, or leg): "4 x 8 each foot" is 4 sets of 8
+// on both sides, so the drill's rep target counts target_sides as well.
+export async function up(client) {
+  await client.query('ALTER TABLE training_plan_drills ADD COLUMN IF NOT EXISTS target_sides INTEGER');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE training_plan_drills DROP COLUMN IF EXISTS target_sides');
+}
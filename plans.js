@@ -0,0 +1,76 @@
+// plans.js — the plan catalogue
+//
+// Every quota, clip limit and feature switch the server enforces per plan lives
+// here; entitlements.js decides which plan a user is on. A paid plan is picked
+// by the price of the user's active Stripe subscription, so each plan needs its
+// price id configured (STRIPE_PRICE_ID for Pro, STRIPE_TEAM_PRICE_ID,
+// STRIPE_CLUB_PRICE_ID). monthlyAnalyses is per billing period; null is unlimited.
+// trialDays is the free trial a first subscription to the plan starts with.
+//
+// Features:
+//   reportEmail     POST /api/player-report/email
+//   coachFeatures   creating teams (joining one is open to every plan)
+
+export const PLANS = {
+  free: {
+    id: 'free',
+    name: 'Free',
+    monthlyAnalyses: 2,
+    maxClipSeconds: 60,
+    trialDays: 0,
+    features: { reportEmail: false, coachFeatures: false },
+  },
+  pro: {
+    id: 'pro',
+    name: 'Pro',
+    monthlyAnalyses: 50,
+    maxClipSeconds: 180,
+    trialDays: 7,
+    features: { reportEmail: true, coachFeatures: false },
+  },
+  team: {
+    id: 'team',
+    name: 'Team',
+    monthlyAnalyses: 250,
+    maxClipSeconds: 180,
+    trialDays: 14,
+    features: { reportEmail: true, coachFeatures: true },
+  },
+  club: {
+    id: 'club',
+    name: 'Club',
+    monthlyAnalyses: 1000,
+    maxClipSeconds: 180,
+    trialDays: 14,
+    features: { reportEmail: true, coachFeatures: true },
+  },
+};
+
+export const PAID_PLAN_IDS = ['pro', 'team', 'club'];
+export const FEATURES = Object.keys(PLANS.free.features);
+
+// Uploads are accepted up to the longest clip any plan may analyze; the plan's
+// own limit is applied when an analysis is requested.
+export const MAX_CLIP_SECONDS = Math.max(...Object.values(PLANS).map(p => p.maxClipSeconds));
+
+export function getPlan(id) {
+  return PLANS[id] || PLANS.free;
+}
+
+// prices: { pro, team, club } -> Stripe price id. Null for an unknown price.
+export function planForPrice(priceId, prices) {
+  if (!priceId) return null;
+  return PAID_PLAN_IDS.find(id => prices[id] && prices[id] === priceId) || null;
+}
+
+// Public shape for the plan picker and /api/subscription-status.
+export function describePlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    monthlyAnalyses: plan.monthlyAnalyses,
+    maxClipSeconds: plan.maxClipSeconds,
+    trialDays: plan.trialDays,
+    features: { ...plan.features },
+  };
+}
@@ -0,0 +1,165 @@
+// player-stats.js — per-player aggregates derived from the analyses table
+//
+// player_stats is a cache: every figure in it can be rebuilt from the player's
+// analyses, and recomputePlayerStats() does exactly that. It runs inside the same
+// transaction as each analysis insert and delete, so the cache never drifts, and
+// a transaction-scoped advisory lock per user serialises concurrent rebuilds.
+//
+// Skills are keyed by their canonical label from skill-taxonomy.js, so "Close
+// Dribbling" and "Dribbling / Ball Mastery" count as one skill.
+//
+// Row shape:
+//   total_analyses    number of analyses
+//   skill_frequency   { skill: count } over primary + secondary skills
+//   skill_levels      { skill: level } from the latest analysis with that primary skill
+//   skill_last_seen   { skill: ms } latest analysis with that primary skill
+//   monthly_activity  { "YYYY-MM": { sessions, skills: [primary skills] } }
+//   last_analysis_at  ms of the latest analysis
+
+import { normalizeSkill, skillLabel } from './skill-taxonomy.js';
+
+function toMs(value) {
+  if (value instanceof Date) return value.getTime();
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n > 1e12 ? n : n * 1000;
+}
+
+export function monthKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/* ---------- Aggregation ---------- */
+// Stored ids win; rows from before the taxonomy fall back to the raw labels.
+function primaryLabel(row) {
+  return skillLabel(row.skill_id, row.skill_focus);
+}
+
+function secondaryLabels(row) {
+  const ids = Array.isArray(row.secondary_skill_ids) ? row.secondary_skill_ids : [];
+  const raw = Array.isArray(row.secondary_skills) ? row.secondary_skills.filter(Boolean) : [];
+  const labels = ids.length ? ids.map(id => skillLabel(id)) : raw.map(label => normalizeSkill(label)?.label);
+  return [...new Set(labels.filter(Boolean))];
+}
+
+// rows: analyses rows with skill_id, skill_focus, secondary_skill_ids,
+// secondary_skills, current_level, created_at, in any order.
+export function aggregateStats(rows) {
+  const sorted = [...rows].sort((a, b) => toMs(a.created_at) - toMs(b.created_at));
+  const stats = {
+    totalAnalyses: 0,
+    skillFrequency: {},
+    skillLevels: {},
+    skillLastSeen: {},
+    monthlyActivity: {},
+    lastAnalysisAt: null,
+  };
+
+  for (const row of sorted) {
+    const ts = toMs(row.created_at);
+    const primary = primaryLabel(row);
+    const secondary = secondaryLabels(row).filter(label => label !== primary);
+
+    for (const skill of primary ? [primary, ...secondary] : secondary) {
+      stats.skillFrequency[skill] = (stats.skillFrequency[skill] || 0) + 1;
+    }
+    if (primary && row.current_level) stats.skillLevels[primary] = row.current_level;
+    if (primary && ts) stats.skillLastSeen[primary] = ts;
+
+    const month = stats.monthlyActivity[monthKey(ts || Date.now())] ||= { sessions: 0, skills: [] };
+    month.sessions += 1;
+    if (primary && !month.skills.includes(primary)) month.skills.push(primary);
+
+    stats.totalAnalyses += 1;
+    if (ts && (!stats.lastAnalysisAt || ts > stats.lastAnalysisAt)) stats.lastAnalysisAt = ts;
+  }
+  return stats;
+}
+
+function fromRow(row) {
+  return {
+    totalAnalyses: row.total_analyses || 0,
+    skillFrequency: row.skill_frequency || {},
+    skillLevels: row.skill_levels || {},
+    skillLastSeen: row.skill_last_seen || {},
+    monthlyActivity: row.monthly_activity || {},
+    lastAnalysisAt: Number(row.last_analysis_at) || null,
+  };
+}
+
+/* ---------- Persistence ---------- */
+// `db` must be a client inside a transaction: the advisory lock is held until
+// it ends, so no analysis insert or delete for the player can commit between the
+// read and the upsert. On a pool the lock would be released straight away and a
+// rebuild could overwrite the row with stale figures; use rebuildPlayerStats().
+export async function recomputePlayerStats(db, userId) {
+  await db.query(`SELECT pg_advisory_xact_lock(hashtext('player_stats:' || $1))`, [userId]);
+  const { rows } = await db.query(
+    `SELECT skill_id, skill_focus, secondary_skill_ids, secondary_skills, current_level, created_at
+     FROM analyses WHERE user_id = $1`,
+    [userId]
+  );
+  const stats = aggregateStats(rows);
+  await db.query(
+    `INSERT INTO player_stats
+       (user_id, total_analyses, skill_frequency, skill_levels, skill_last_seen,
+        monthly_activity, last_analysis_at, updated_at)
+     VALUES ($1, $2, $3::jsonb, $4::jsonb, $5::jsonb, $6::jsonb, $7, $8)
+     ON CONFLICT (user_id) DO UPDATE SET
+       total_analyses   = $2,
+       skill_frequency  = $3::jsonb,
+       skill_levels     = $4::jsonb,
+       skill_last_seen  = $5::jsonb,
+       monthly_activity = $6::jsonb,
+       last_analysis_at = $7,
+       updated_at       = $8`,
+    [userId, stats.totalAnalyses,
+     JSON.stringify(stats.skillFrequency), JSON.stringify(stats.skillLevels),
+     JSON.stringify(stats.skillLastSeen), JSON.stringify(stats.monthlyActivity),
+     stats.lastAnalysisAt, Date.now()]
+  );
+  return stats;
+}
+
+// recomputePlayerStats() in a transaction of its own, on a client from `pool`.
+export async function rebuildPlayerStats(pool, userId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const stats = await recomputePlayerStats(client, userId);
+    await client.query('COMMIT');
+    return stats;
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Reads the cached row, rebuilding it first for players who have analyses from
+// before player_stats existed.
+export async function getPlayerStats(pool, userId) {
+  const { rows } = await pool.query('SELECT * FROM player_stats WHERE user_id = $1', [userId]);
+  if (rows[0]) return fromRow(rows[0]);
+  return rebuildPlayerStats(pool, userId);
+}
+
+// Rebuilds every player who has analyses or a stats row. Returns { users, failed }.
+export async function recomputeAllPlayerStats(pool, { log = console.log } = {}) {
+  const { rows } = await pool.query(
+    `SELECT user_id FROM analyses WHERE user_id IS NOT NULL
+     UNION SELECT user_id FROM player_stats`
+  );
+  let failed = 0;
+  for (const { user_id: userId } of rows) {
+    try {
+      await rebuildPlayerStats(pool, userId);
+    } catch (e) {
+      failed++;
+      log(`[BK] recompute stats failed for ${userId}: ${e.message}`);
+    }
+  }
+  return { users: rows.length, failed };
+}
@@ -0,0 +1,175 @@
+// promo-codes.js — promo codes created by admins
+//
+// kind 'discount'  a Stripe coupon + promotion code, applied at checkout
+//      'trial'     a longer (or first) free trial at checkout
+//      'credits'   bonus analyses, redeemed in the app (credits.js)
+//
+// Codes are upper-case letters and digits, as Stripe requires for promotion
+// codes. Each user can redeem a code once; checkout codes are recorded as
+// redeemed when the checkout completes (webhook), credit codes immediately.
+import crypto from 'crypto';
+import { addCredits } from './credits.js';
+
+export const PROMO_KINDS = ['discount', 'trial', 'credits'];
+const DURATIONS = ['once', 'repeating', 'forever'];
+
+export function normalizePromoCode(code) {
+  const clean = String(code || '').trim().toUpperCase();
+  return /^[A-Z0-9]{3,32}$/.test(clean) ? clean : null;
+}
+
+// Admin input -> { fields } or { error }.
+export function parsePromoInput(body = {}) {
+  const code = normalizePromoCode(body.code);
+  if (!code) return { error: 'code must be 3-32 letters or digits' };
+  const kind = String(body.kind || '');
+  if (!PROMO_KINDS.includes(kind)) return { error: `kind must be one of ${PROMO_KINDS.join(', ')}` };
+  const positiveInt = (v) => (v === undefined || v === null || v === '' ? null : Number.isInteger(Number(v)) && Number(v) > 0 ? Number(v) : NaN);
+
+  const fields = {
+    code,
+    kind,
+    description: body.description ? String(body.description).slice(0, 200) : null,
+    maxRedemptions: positiveInt(body.maxRedemptions),
+    expiresAt: body.expiresAt ? Date.parse(body.expiresAt) || Number(body.expiresAt) || NaN : null,
+    percentOff: null,
+    amountOff: null,
+    currency: null,
+    duration: null,
+    durationInMonths: null,
+    trialDays: null,
+    credits: null,
+  };
+  if (Number.isNaN(fields.maxRedemptions)) return { error: 'maxRedemptions must be a positive integer' };
+  if (Number.isNaN(fields.expiresAt) || (fields.expiresAt && fields.expiresAt <= Date.now())) {
+    return { error: 'expiresAt must be a future date' };
+  }
+
+  if (kind === 'discount') {
+    const percentOff = body.percentOff === undefined ? null : Number(body.percentOff);
+    const amountOff = positiveInt(body.amountOff);
+    if ((percentOff === null) === (amountOff === null)) return { error: 'Give either percentOff or amountOff (in cents)' };
+    if (percentOff !== null && !(percentOff > 0 && percentOff <= 100)) return { error: 'percentOff must be between 0 and 100' };
+    if (Number.isNaN(amountOff)) return { error: 'amountOff must be a positive number of cents' };
+    fields.percentOff = percentOff;
+    fields.amountOff = amountOff;
+    fields.currency = amountOff !== null ? String(body.currency || 'usd').toLowerCase() : null;
+    fields.duration = DURATIONS.includes(body.duration) ? body.duration : 'once';
+    if (fields.duration === 'repeating') {
+      fields.durationInMonths = positiveInt(body.durationInMonths);
+      if (!fields.durationInMonths) return { error: 'durationInMonths is required for a repeating discount' };
+    }
+  } else if (kind === 'trial') {
+    fields.trialDays = positiveInt(body.trialDays);
+    if (!fields.trialDays || fields.trialDays > 90) return { error: 'trialDays must be 1-90' };
+  } else {
+    fields.credits = positiveInt(body.credits);
+    if (!fields.credits || fields.credits > 100) return { error: 'credits must be 1-100' };
+  }
+  return { fields };
+}
+
+export async function createPromoCode(db, fields, { createdBy = null, stripeCouponId = null, stripePromotionCodeId = null } = {}) {
+  const now = Date.now();
+  const { rows } = await db.query(
+    `INSERT INTO promo_codes (code, kind, description, percent_off, amount_off, currency, duration,
+       duration_in_months, trial_days, credits, max_redemptions, expires_at, stripe_coupon_id,
+       stripe_promotion_code_id, active, redeemed_count, created_by, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, TRUE, 0, $15, $16, $16)
+     ON CONFLICT (code) DO NOTHING
+     RETURNING *`,
+    [fields.code, fields.kind, fields.description, fields.percentOff, fields.amountOff, fields.currency,
+     fields.duration, fields.durationInMonths, fields.trialDays, fields.credits, fields.maxRedemptions,
+     fields.expiresAt, stripeCouponId, stripePromotionCodeId, createdBy, now]
+  );
+  return rows[0] || null;
+}
+
+export async function getPromoCode(db, code, { lock = false } = {}) {
+  const clean = normalizePromoCode(code);
+  if (!clean) return null;
+  const { rows } = await db.query(`SELECT * FROM promo_codes WHERE code = $1${lock ? ' FOR UPDATE' : ''}`, [clean]);
+  return rows[0] || null;
+}
+
+// -> { promo } when `userId` may redeem `code` now, else { error }.
+export async function checkPromoCode(db, code, userId, { kinds = PROMO_KINDS, lock = false } = {}) {
+  const promo = await getPromoCode(db, code, { lock });
+  if (!promo || !promo.active || !kinds.includes(promo.kind)) return { error: 'That code is not valid.' };
+  if (promo.expires_at && Number(promo.expires_at) <= Date.now()) return { error: 'That code has expired.' };
+  if (promo.max_redemptions && promo.redeemed_count >= promo.max_redemptions) return { error: 'That code has been fully redeemed.' };
+  const { rows } = await db.query('SELECT 1 FROM promo_redemptions WHERE code = $1 AND user_id = $2', [promo.code, userId]);
+  if (rows.length) return { error: 'You have already used that code.' };
+  return { promo };
+}
+
+// -> true when this user's redemption was new (and counted).
+export async function recordRedemption(db, promo, userId, { checkoutSessionId = null, subscriptionId = null, at = Date.now() } = {}) {
+  const { rowCount } = await db.query(
+    `INSERT INTO promo_redemptions (id, code, user_id, kind, credits, checkout_session_id, subscription_id, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (code, user_id) DO NOTHING`,
+    [crypto.randomUUID(), promo.code, userId, promo.kind, promo.credits, checkoutSessionId, subscriptionId, at]
+  );
+  if (!rowCount) return false;
+  await db.query(
+    'UPDATE promo_codes SET redeemed_count = redeemed_count + 1, updated_at = $1 WHERE code = $2', [at, promo.code]
+  );
+  return true;
+}
+
+// Credit codes: checked, recorded and granted in one go. Run inside a
+// transaction; the code row is locked so max_redemptions holds under races.
+export async function redeemCreditCode(db, code, userId) {
+  const { promo, error } = await checkPromoCode(db, code, userId, { kinds: ['credits'], lock: true });
+  if (error) return { error };
+  if (!await recordRedemption(db, promo, userId)) return { error: 'You have already used that code.' };
+  await addCredits(db, userId, {
+    id: `promo:${promo.code}:${userId}`, delta: promo.credits, reason: 'promo', ref: promo.code,
+  });
+  return { promo };
+}
+
+export function formatPromoCode(r) {
+  return {
+    code: r.code,
+    kind: r.kind,
+    description: r.description,
+    percentOff: r.percent_off === null ? null : Number(r.percent_off),
+    amountOff: r.amount_off,
+    currency: r.currency,
+    duration: r.duration,
+    durationInMonths: r.duration_in_months,
+    trialDays: r.trial_days,
+    credits: r.credits,
+    maxRedemptions: r.max_redemptions,
+    redeemedCount: r.redeemed_count,
+    expiresAt: Number(r.expires_at) || null,
+    active: r.active,
+    stripePromotionCodeId: r.stripe_promotion_code_id,
+    createdBy: r.created_by,
+    createdAt: Number(r.created_at),
+  };
+}
+
+export async function listPromoCodes(db) {
+  const { rows } = await db.query('SELECT * FROM promo_codes ORDER BY created_at DESC');
+  return rows.map(formatPromoCode);
+}
+
+export async function listRedemptions(db, code, { limit = 200 } = {}) {
+  const { rows } = await db.query(
+    `SELECT r.*, u.email FROM promo_redemptions r LEFT JOIN users u ON u.id = r.user_id
+     WHERE r.code = $1 ORDER BY r.created_at DESC LIMIT $2`,
+    [code, limit]
+  );
+  return rows.map(r => ({
+    userId: r.user_id,
+    email: r.email,
+    kind: r.kind,
+    credits: r.credits,
+    checkoutSessionId: r.checkout_session_id,
+    subscriptionId: r.subscription_id,
+    createdAt: Number(r.created_at),
+  }));
+}
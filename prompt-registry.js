@@ -0,0 +1,65 @@
+// prompt-registry.js — named, versioned prompt templates loaded from prompts/
+//
+// Layout: prompts/<name>/<version>.txt, e.g. prompts/training-analysis/v2.txt.
+// Templates use {{variable}} placeholders; render() refuses to send a prompt with
+// a placeholder left unfilled. Which version is active is decided by the caller
+// (server.js pins it in the prompt_settings table, defaulting to the latest).
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z][\w]*)\s*\}\}/g;
+
+function versionNumber(version) {
+  const m = String(version).match(/^v(\d+)$/);
+  return m ? Number(m[1]) : NaN;
+}
+
+export function promptId(name, version) {
+  return `${name}@${version}`;
+}
+
+export function loadPromptRegistry(dir) {
+  const prompts = new Map(); // name -> Map(version -> template)
+
+  if (fs.existsSync(dir)) {
+    for (const name of fs.readdirSync(dir)) {
+      const promptDir = path.join(dir, name);
+      if (!fs.statSync(promptDir).isDirectory()) continue;
+      const versions = new Map();
+      for (const file of fs.readdirSync(promptDir)) {
+        const version = path.basename(file, '.txt');
+        if (!file.endsWith('.txt') || Number.isNaN(versionNumber(version))) continue;
+        const text = fs.readFileSync(path.join(promptDir, file), 'utf8').replace(/\n$/, '');
+        versions.set(version, {
+          name,
+          version,
+          id: promptId(name, version),
+          text,
+          variables: [...new Set([...text.matchAll(PLACEHOLDER)].map(m => m[1]))],
+          sha256: crypto.createHash('sha256').update(text).digest('hex'),
+        });
+      }
+      if (versions.size) prompts.set(name, versions);
+    }
+  }
+
+  const sortedVersions = (name) =>
+    [...(prompts.get(name)?.values() || [])].sort((a, b) => versionNumber(a.version) - versionNumber(b.version));
+
+  return {
+    names: () => [...prompts.keys()].sort(),
+    versions: sortedVersions,
+    get: (name, version) => prompts.get(name)?.get(version) || null,
+    latest: (name) => sortedVersions(name).pop() || null,
+    render(name, version, vars = {}) {
+      const template = prompts.get(name)?.get(version);
+      if (!template) throw new Error(`Unknown prompt ${promptId(name, version)}`);
+      const missing = template.variables.filter(v => vars[v] === undefined || vars[v] === null);
+      if (missing.length) {
+        throw new Error(`Prompt ${template.id} is missing variables: ${missing.join(', ')}`);
+      }
+      return template.text.replace(PLACEHOLDER, (_m, key) => String(vars[key]));
+    },
+  };
+}
@@ -0,0 +1,147 @@
+// rate-limit.js — fixed-window rate limiting for Express routes
+//
+// A policy is { name, max, windowMs, by }. `by` picks the bucket key:
+//   'ip'    — req.ip (set `trust proxy` so this is the client, not the load balancer)
+//   'user'  — req.userId, so the limiter must run after auth
+//   'user-or-ip'
+// Responses carry the IETF draft headers RateLimit-Limit / -Remaining / -Reset,
+// plus Retry-After on 429. Stores are { hit, get, reset, prune }; the Postgres
+// store shares counters across instances, the memory store is per process.
+// A store failure lets the request through rather than taking the API down.
+
+/* ---------- Stores ---------- */
+export function createMemoryStore() {
+  const buckets = new Map(); // key -> { count, resetAt }
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+      bucket.count++;
+      return { ...bucket };
+    },
+    async get(key) {
+      const bucket = buckets.get(key);
+      return bucket && bucket.resetAt > Date.now() ? { ...bucket } : null;
+    },
+    async reset(key) {
+      buckets.delete(key);
+    },
+    async prune() {
+      const now = Date.now();
+      for (const [key, bucket] of buckets) if (bucket.resetAt <= now) buckets.delete(key);
+    },
+  };
+}
+
+// Uses the rate_limits table (migrations/007_rate_limits.js).
+export function createPgStore(pool) {
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      const { rows } = await pool.query(
+        `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, $2)
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= $3 THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= $3 THEN $2 ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, now + windowMs, now]
+      );
+      return { count: rows[0].count, resetAt: Number(rows[0].reset_at) };
+    },
+    async get(key) {
+      const { rows } = await pool.query(
+        'SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > $2',
+        [key, Date.now()]
+      );
+      return rows[0] ? { count: rows[0].count, resetAt: Number(rows[0].reset_at) } : null;
+    },
+    async reset(key) {
+      await pool.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    },
+    async prune() {
+      await pool.query('DELETE FROM rate_limits WHERE reset_at <= $1', [Date.now()]);
+    },
+  };
+}
+
+/* ---------- Policies ---------- */
+// RATE_LIMITS="auth=20/900,publicAi=5/600" overrides max/windowSec per policy name.
+export function applyPolicyOverrides(policies, spec = '') {
+  const out = Object.fromEntries(Object.entries(policies).map(([name, p]) => [name, { ...p, name }]));
+  for (const part of String(spec).split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = part.match(/^([\w-]+)=(\d+)\/(\d+)$/);
+    if (!m || !out[m[1]]) throw new Error(`Invalid RATE_LIMITS entry "${part}"`);
+    out[m[1]].max = Number(m[2]);
+    out[m[1]].windowMs = Number(m[3]) * 1000;
+  }
+  return out;
+}
+
+function bucketKey(policy, req) {
+  if (policy.by === 'user') return req.userId ? `user:${req.userId}` : null;
+  if (policy.by === 'user-or-ip' && req.userId) return `user:${req.userId}`;
+  return `ip:${req.ip}`;
+}
+
+function setRateLimitHeaders(res, { limit, remaining, resetAt }) {
+  const resetSec = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set('RateLimit-Limit', String(limit));
+  res.set('RateLimit-Remaining', String(Math.max(0, remaining)));
+  res.set('RateLimit-Reset', String(resetSec));
+  return resetSec;
+}
+
+/* ---------- Middleware ---------- */
+export function rateLimit(policy, store) {
+  const message = policy.message || 'Too many requests. Please slow down and try again shortly.';
+
+  return async (req, res, next) => {
+    const key = bucketKey(policy, req);
+    if (!key) return next();
+    let bucket;
+    try {
+      bucket = await store.hit(`${policy.name}:${key}`, policy.windowMs);
+    } catch (e) {
+      console.error(`[BK] rate limit store error (${policy.name}):`, e.message);
+      return next();
+    }
+    const resetSec = setRateLimitHeaders(res, {
+      limit: policy.max,
+      remaining: policy.max - bucket.count,
+      resetAt: bucket.resetAt,
+    });
+    if (bucket.count > policy.max) {
+      res.set('Retry-After', String(resetSec));
+      return res.status(429).json({ ok: false, error: message, retryAfter: resetSec });
+    }
+    next();
+  };
+}
+
+/* ---------- Login lockout ---------- */
+// Counts failed logins per account. Once `maxFailures` land inside `windowMs`
+// the account is locked until the window ends, whatever IP the attempts come from.
+export function createLoginLockout(store, { maxFailures = 5, windowMs = 15 * 60 * 1000 } = {}) {
+  const keyFor = (email) => `login-fail:${String(email).trim().toLowerCase()}`;
+
+  return {
+    // Seconds until the account unlocks, or 0 when it is not locked.
+    async lockedFor(email) {
+      const bucket = await store.get(keyFor(email));
+      if (!bucket || bucket.count < maxFailures) return 0;
+      return Math.max(1, Math.ceil((bucket.resetAt - Date.now()) / 1000));
+    },
+    async recordFailure(email) {
+      const bucket = await store.hit(keyFor(email), windowMs);
+      return { failures: bucket.count, locked: bucket.count >= maxFailures };
+    },
+    async clear(email) {
+      await store.reset(keyFor(email));
+    },
+  };
+}
@@ -0,0 +1,243 @@
+// recurrence.js — RRULE-style repeat rules for reminders, in the user's timezone
+//
+// A small subset of RFC 5545 RRULE, enough for training schedules:
+//   FREQ=DAILY | WEEKLY | MONTHLY   (required)
+//   INTERVAL=n                      every n days/weeks/months (default 1)
+//   BYDAY=MO,TU,...                 weekdays (WEEKLY; also filters DAILY)
+//   BYMONTHDAY=1,15                 days of the month (MONTHLY)
+//   BYHOUR=18 / BYMINUTE=0,30       local times of day
+//   COUNT=n | UNTIL=20270101        stop after n occurrences / after a date
+// e.g. "every Tue/Thu at 6pm" is FREQ=WEEKLY;BYDAY=TU,TH;BYHOUR=18;BYMINUTE=0.
+//
+// Anything left out comes from the series start (the reminder's first
+// remind_at): its weekday, day of month and local time. Times are wall-clock
+// times in an IANA timezone, so 18:00 stays 18:00 across DST changes; the only
+// timezone support used is Intl.DateTimeFormat.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQS = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// How far ahead nextOccurrence() looks before deciding a rule never fires again.
+const SEARCH_DAYS = 4 * 366;
+
+/* ---------- Timezones ---------- */
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of instant `ms` in `timeZone`. weekday: 0 = Sunday.
+export function zonedParts(ms, timeZone = 'UTC') {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(ms))) parts[type] = value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday),
+  };
+}
+
+function offsetAt(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// Local wall-clock time -> instant. A time skipped by a DST change resolves to
+// the same wall time under the earlier offset (i.e. an hour later).
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone = 'UTC') {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - offsetAt(guess, timeZone);
+  const second = guess - offsetAt(first, timeZone);
+  return first === second ? first : Math.max(first, second);
+}
+
+// Minutes since local midnight.
+export function localMinuteOfDay(ms, timeZone = 'UTC') {
+  const p = zonedParts(ms, timeZone);
+  return p.hour * 60 + p.minute;
+}
+
+/* ---------- Rules ---------- */
+function parseList(value, min, max) {
+  const items = String(value).split(',').map(v => Number(v.trim()));
+  if (!items.length || items.some(n => !Number.isInteger(n) || n < min || n > max)) return null;
+  return [...new Set(items)].sort((a, b) => a - b);
+}
+
+function parseUntil(value, timeZone) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!m) return null;
+  // A bare date means "through the end of that day" in the reminder's timezone.
+  return m[4] === undefined
+    ? zonedTimeToUtc({ year: +m[1], month: +m[2], day: +m[3], hour: 23, minute: 59 }, timeZone) + 59 * 1000
+    : Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+}
+
+// "FREQ=WEEKLY;BYDAY=TU,TH;BYHOUR=18" (an optional "RRULE:" prefix is
+// accepted) -> { rule } or { error }. timeZone places a date-only UNTIL.
+export function parseRecurrence(text, { timeZone = 'UTC' } = {}) {
+  const source = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!source) return { error: 'Recurrence rule is empty' };
+  const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, byHour: null, byMinute: null, count: null, until: null };
+  for (const part of source.split(';').filter(Boolean)) {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const val = value.trim().toUpperCase();
+    switch (key) {
+      case 'FREQ':
+        if (!FREQS.includes(val)) return { error: `FREQ must be one of ${FREQS.join(', ')}` };
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(val);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 52) return { error: 'INTERVAL must be 1-52' };
+        break;
+      case 'BYDAY': {
+        const days = val.split(',').map(d => WEEKDAYS.indexOf(d.trim()));
+        if (days.some(d => d < 0)) return { error: 'BYDAY takes MO,TU,WE,TH,FR,SA,SU' };
+        rule.byDay = [...new Set(days)].sort((a, b) => a - b);
+        break;
+      }
+      case 'BYMONTHDAY':
+        if (!(rule.byMonthDay = parseList(val, 1, 31))) return { error: 'BYMONTHDAY takes days 1-31' };
+        break;
+      case 'BYHOUR':
+        if (!(rule.byHour = parseList(val, 0, 23))) return { error: 'BYHOUR takes hours 0-23' };
+        break;
+      case 'BYMINUTE':
+        if (!(rule.byMinute = parseList(val, 0, 59))) return { error: 'BYMINUTE takes minutes 0-59' };
+        break;
+      case 'COUNT':
+        rule.count = Number(val);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 1000) return { error: 'COUNT must be 1-1000' };
+        break;
+      case 'UNTIL':
+        if (!(rule.until = parseUntil(val, timeZone))) return { error: 'UNTIL must look like 20270131 or 20270131T180000Z' };
+        break;
+      default:
+        return { error: `Unsupported recurrence part ${key}` };
+    }
+  }
+  if (!rule.freq) return { error: 'FREQ is required' };
+  if (rule.count && rule.until) return { error: 'Use COUNT or UNTIL, not both' };
+  if (rule.byMonthDay && rule.freq !== 'MONTHLY') return { error: 'BYMONTHDAY only applies to FREQ=MONTHLY' };
+  if (rule.byDay && rule.freq === 'MONTHLY') return { error: 'BYDAY is not supported with FREQ=MONTHLY' };
+  return { rule };
+}
+
+// Canonical text, as stored on the reminder.
+export function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.map(d => WEEKDAYS[d]).join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byHour) parts.push(`BYHOUR=${rule.byHour.join(',')}`);
+  if (rule.byMinute) parts.push(`BYMINUTE=${rule.byMinute.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  return parts.join(';');
+}
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+function localDate(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+}
+
+// "Every Tue, Thu at 18:00" for emails and the reminders list.
+export function describeRecurrence(rule, { start = null, timeZone = 'UTC' } = {}) {
+  const base = start ? zonedParts(start, timeZone) : null;
+  const hours = rule.byHour || (base ? [base.hour] : []);
+  const minutes = rule.byMinute || (base ? [base.minute] : [0]);
+  const times = hours.flatMap(h => minutes.map(m => `${pad2(h)}:${pad2(m)}`));
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[rule.freq];
+  const every = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+  const weekdays = rule.byDay || (rule.freq === 'WEEKLY' && base ? [base.weekday] : null);
+  const monthDays = rule.byMonthDay || (rule.freq === 'MONTHLY' && base ? [base.day] : null);
+
+  let when = every;
+  if (weekdays) {
+    const days = weekdays.map(d => WEEKDAY_NAMES[d]).join(', ');
+    when = rule.interval > 1 ? `${every} on ${days}` : `Every ${days}`;
+  } else if (monthDays) {
+    when = `${every} on day ${monthDays.join(', ')}`;
+  }
+  const end = rule.count ? `, ${rule.count} times` : rule.until ? `, until ${localDate(rule.until, timeZone)}` : '';
+  return `${when}${times.length ? ` at ${times.join(', ')}` : ''}${end}`;
+}
+
+/* ---------- Occurrences ---------- */
+// Days since the epoch of a local calendar date.
+const dayNumber = (p) => Math.floor(Date.UTC(p.year, p.month - 1, p.day) / DAY_MS);
+
+function dateOfDayNumber(n) {
+  const d = new Date(n * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+function dayMatches(rule, date, startDate, startDay) {
+  const n = dayNumber(date);
+  if (rule.freq === 'DAILY') {
+    if ((n - startDay) % rule.interval !== 0) return false;
+    return !rule.byDay || rule.byDay.includes(date.weekday);
+  }
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday (RRULE's default WKST).
+    const week = (x) => Math.floor((x + 3) / 7);
+    if ((week(n) - week(startDay)) % rule.interval !== 0) return false;
+    return (rule.byDay || [startDate.weekday]).includes(date.weekday);
+  }
+  const months = (date.year - startDate.year) * 12 + (date.month - startDate.month);
+  if (months % rule.interval !== 0) return false;
+  return (rule.byMonthDay || [startDate.day]).includes(date.day);
+}
+
+// The first occurrence strictly after `after`, or null once the series is over.
+// start: the series start (ms); occurrences: how many have already fired (COUNT).
+export function nextOccurrence(rule, { after, start, timeZone = 'UTC', occurrences = 0 }) {
+  if (rule.count && occurrences >= rule.count) return null;
+  const startParts = zonedParts(start, timeZone);
+  const startDay = dayNumber(startParts);
+  const hours = rule.byHour || [startParts.hour];
+  const minutes = rule.byMinute || [startParts.minute];
+  const from = Math.max(after, start - 1);
+  const firstDay = dayNumber(zonedParts(from, timeZone));
+
+  for (let n = Math.max(firstDay, startDay); n <= firstDay + SEARCH_DAYS; n++) {
+    const date = dateOfDayNumber(n);
+    if (!dayMatches(rule, date, startParts, startDay)) continue;
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const at = zonedTimeToUtc({ ...date, hour, minute }, timeZone);
+        if (at <= from) continue;
+        if (rule.until && at > rule.until) return null;
+        return at;
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,118 @@
+// referrals.js — referral codes and the credits they earn
+//
+// Every user has a referral code (users.referral_code, created on first use).
+// Signing up with one records a pending referral; when the new account's first
+// subscription goes active (not just trialing) the referral converts and both
+// the referrer and the new user get REFERRAL_CREDITS bonus analyses in the
+// credit ledger (credits.js). A user can be referred once and never by themselves.
+import crypto from 'crypto';
+import { addCredits } from './credits.js';
+
+export const REFERRAL_CREDITS = Number(process.env.REFERRAL_CREDITS) || 3;
+
+// No 0/O or 1/I, so codes survive being read out loud.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function randomCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+export function normalizeReferralCode(code) {
+  const clean = String(code || '').trim().toUpperCase();
+  return /^[A-Z0-9]{4,16}$/.test(clean) ? clean : null;
+}
+
+export async function getReferralCode(db, userId) {
+  const { rows } = await db.query('SELECT referral_code FROM users WHERE id = $1', [userId]);
+  if (!rows[0]) return null;
+  if (rows[0].referral_code) return rows[0].referral_code;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const { rows: updated } = await db.query(
+        `UPDATE users SET referral_code = COALESCE(referral_code, $1) WHERE id = $2 RETURNING referral_code`,
+        [randomCode(), userId]
+      );
+      return updated[0].referral_code;
+    } catch (e) {
+      if (e.code !== '23505') throw e; // code taken, draw another
+    }
+  }
+  throw new Error('Could not allocate a referral code');
+}
+
+// -> { referrerId } when the code belongs to another user, else null.
+export async function attachReferral(db, refereeId, code, { at = Date.now() } = {}) {
+  const clean = normalizeReferralCode(code);
+  if (!clean) return null;
+  const { rows } = await db.query('SELECT id FROM users WHERE referral_code = $1', [clean]);
+  const referrerId = rows[0]?.id;
+  if (!referrerId || referrerId === refereeId) return null;
+  const { rowCount } = await db.query(
+    `INSERT INTO referrals (id, referrer_id, referee_id, code, status, created_at)
+     VALUES ($1, $2, $3, $4, 'pending', $5)
+     ON CONFLICT (referee_id) DO NOTHING`,
+    [crypto.randomUUID(), referrerId, refereeId, clean, at]
+  );
+  return rowCount ? { referrerId } : null;
+}
+
+// Converts the user's pending referral, if any, and grants both sides their
+// credits. Safe to call on every subscription update. -> the referral or null.
+export async function convertReferral(db, refereeId, { credits = REFERRAL_CREDITS, at = Date.now() } = {}) {
+  const { rows } = await db.query(
+    `UPDATE referrals SET status = 'converted', converted_at = $1, credits_granted = $2
+     WHERE referee_id = $3 AND status = 'pending'
+     RETURNING id, referrer_id, referee_id`,
+    [at, credits, refereeId]
+  );
+  const referral = rows[0];
+  if (!referral) return null;
+  await addCredits(db, referral.referrer_id, {
+    id: `referral:${referral.id}:referrer`, delta: credits, reason: 'referral', ref: referral.id, at,
+  });
+  await addCredits(db, referral.referee_id, {
+    id: `referral:${referral.id}:referee`, delta: credits, reason: 'referral', ref: referral.id, at,
+  });
+  return { id: referral.id, referrerId: referral.referrer_id, refereeId: referral.referee_id, credits };
+}
+
+export async function getReferralSummary(db, userId) {
+  const code = await getReferralCode(db, userId);
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::int AS referred,
+            COUNT(*) FILTER (WHERE status = 'converted')::int AS converted,
+            COALESCE(SUM(credits_granted), 0)::int AS credits_earned
+     FROM referrals WHERE referrer_id = $1`,
+    [userId]
+  );
+  return { code, referred: rows[0].referred, converted: rows[0].converted, creditsEarned: rows[0].credits_earned, creditsPerReferral: REFERRAL_CREDITS };
+}
+
+// Admin report: totals and the most successful referrers.
+export async function referralReport(db, { limit = 20 } = {}) {
+  const { rows: [totals] } = await db.query(
+    `SELECT COUNT(*)::int AS referred,
+            COUNT(*) FILTER (WHERE status = 'converted')::int AS converted,
+            COALESCE(SUM(credits_granted), 0)::int * 2 AS credits_granted
+     FROM referrals`
+  );
+  const { rows } = await db.query(
+    `SELECT r.referrer_id, u.email, COUNT(*)::int AS referred,
+            COUNT(*) FILTER (WHERE r.status = 'converted')::int AS converted
+     FROM referrals r LEFT JOIN users u ON u.id = r.referrer_id
+     GROUP BY r.referrer_id, u.email
+     ORDER BY converted DESC, referred DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return {
+    referred: totals.referred,
+    converted: totals.converted,
+    creditsGranted: totals.credits_granted,
+    conversionRate: totals.referred ? Math.round((totals.converted / totals.referred) * 1000) / 10 : 0,
+    topReferrers: rows.map(r => ({ userId: r.referrer_id, email: r.email, referred: r.referred, converted: r.converted })),
+  };
+}
@@ -0,0 +1,367 @@
+// reminders.js — delivering skill_reminders
+//
+// The scheduler in server.js claims due reminders (claimDueReminders), sends
+// them by email and Web Push, and reports back with finishDelivery(). The
+// row carries the delivery state:
+//
+//   pending   waiting for remind_at (or snoozed_until)
+//   retry     a send failed; tried again at next_attempt_at (backoff)
+//   sending   claimed by a worker (locked_by); reclaimed if the lease expires
+//   sent      delivered (one-off reminders)
+//   failed    every attempt failed
+//   missed    not sent in time (server down longer than the allowed delay)
+//   skipped   no channel to send on (email and push both off or unavailable)
+//
+// A recurring reminder (recurrence.js) goes back to pending with remind_at on
+// its next occurrence after each delivery, whatever the outcome, until the
+// rule runs out. Quiet hours hold a delivery until they end, in the user's
+// timezone. Snoozing a one-off reminder moves remind_at. Snoozing a recurring
+// one sets snoozed_until and never moves the series' anchor: after a delivery
+// it is one extra delivery before the next occurrence (snoozed_until <
+// remind_at); before the occurrence has fired it postpones that occurrence
+// (snoozed_until >= remind_at). A reminder that is being sent cannot be snoozed.
+import crypto from 'crypto';
+import {
+  describeRecurrence, formatRecurrence, isValidTimeZone, localMinuteOfDay, nextOccurrence, parseRecurrence,
+  zonedParts, zonedTimeToUtc,
+} from './recurrence.js';
+import { isPushEndpoint } from './web-push.js';
+
+export const REMINDER_MAX_ATTEMPTS = 5;
+export const REMINDER_LEASE_MS = 5 * 60 * 1000;
+export const SNOOZE_MINUTES = { min: 5, max: 7 * 24 * 60 };
+const RETRY_BASE_MS = 60 * 1000;
+
+/* ---------- Notification settings ---------- */
+const DEFAULT_SETTINGS = { timezone: null, quietStart: null, quietEnd: null, emailEnabled: true, pushEnabled: true };
+
+const minutesToClock = (m) => (m === null ? null : `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`);
+
+function clockToMinutes(text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+export async function getNotificationSettings(db, userId) {
+  const { rows } = await db.query('SELECT * FROM notification_settings WHERE user_id = $1', [userId]);
+  const r = rows[0];
+  if (!r) return { ...DEFAULT_SETTINGS };
+  return {
+    timezone: r.timezone,
+    quietStart: r.quiet_start,
+    quietEnd: r.quiet_end,
+    emailEnabled: r.email_enabled,
+    pushEnabled: r.push_enabled,
+  };
+}
+
+export function formatNotificationSettings(settings) {
+  return {
+    timezone: settings.timezone,
+    quietHours: settings.quietStart === null || settings.quietEnd === null
+      ? null
+      : { start: minutesToClock(settings.quietStart), end: minutesToClock(settings.quietEnd) },
+    emailEnabled: settings.emailEnabled,
+    pushEnabled: settings.pushEnabled,
+  };
+}
+
+// Partial update: { timezone, quietHours: { start: "22:00", end: "07:00" } | null,
+// emailEnabled, pushEnabled } -> { settings } or { error }.
+export async function saveNotificationSettings(db, userId, input = {}) {
+  const settings = await getNotificationSettings(db, userId);
+  if (input.timezone !== undefined) {
+    if (input.timezone !== null && !isValidTimeZone(input.timezone)) return { error: `Unknown timezone "${input.timezone}"` };
+    settings.timezone = input.timezone;
+  }
+  if (input.quietHours !== undefined) {
+    if (input.quietHours === null) {
+      settings.quietStart = settings.quietEnd = null;
+    } else {
+      const start = clockToMinutes(input.quietHours?.start);
+      const end = clockToMinutes(input.quietHours?.end);
+      if (start === null || end === null) return { error: 'quietHours needs start and end as HH:MM' };
+      if (start === end) return { error: 'Quiet hours cannot start and end at the same time' };
+      settings.quietStart = start;
+      settings.quietEnd = end;
+    }
+  }
+  for (const key of ['emailEnabled', 'pushEnabled']) {
+    if (input[key] === undefined) continue;
+    if (typeof input[key] !== 'boolean') return { error: `${key} must be true or false` };
+    settings[key] = input[key];
+  }
+  await db.query(
+    `INSERT INTO notification_settings (user_id, timezone, quiet_start, quiet_end, email_enabled, push_enabled, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (user_id) DO UPDATE SET timezone = $2, quiet_start = $3, quiet_end = $4,
+       email_enabled = $5, push_enabled = $6, updated_at = $7`,
+    [userId, settings.timezone, settings.quietStart, settings.quietEnd, settings.emailEnabled, settings.pushEnabled, Date.now()]
+  );
+  return { settings };
+}
+
+// When `ms` falls in the user's quiet hours, the instant they end; else null.
+// A window like 22:00-07:00 wraps past midnight.
+export function quietHoursEnd(ms, settings) {
+  const { quietStart: start, quietEnd: end } = settings;
+  if (start === null || end === null || start === undefined || end === undefined) return null;
+  const timeZone = settings.timezone || 'UTC';
+  const minute = localMinuteOfDay(ms, timeZone);
+  const quiet = start < end ? minute >= start && minute < end : minute >= start || minute < end;
+  if (!quiet) return null;
+  const today = zonedParts(ms, timeZone);
+  const endsTomorrow = start > end && minute >= start;
+  const date = new Date(Date.UTC(today.year, today.month - 1, today.day + (endsTomorrow ? 1 : 0)));
+  return zonedTimeToUtc({
+    year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+    hour: Math.floor(end / 60), minute: end % 60,
+  }, timeZone);
+}
+
+/* ---------- Recurrence ---------- */
+// -> { recurrence, recurrenceStart, remindAt } for a new or edited reminder, or
+// { error }. `start` is the requested first time; the series' first occurrence
+// is the first time at or after it (and after `notBefore`) that matches the rule.
+export function planRecurrence(text, { start, timeZone = 'UTC', notBefore = start }) {
+  const { rule, error } = parseRecurrence(text, { timeZone });
+  if (error) return { error };
+  const remindAt = nextOccurrence(rule, { after: Math.max(start, notBefore) - 1, start, timeZone });
+  if (!remindAt) return { error: 'That recurrence never occurs' };
+  return { recurrence: formatRecurrence(rule), recurrenceStart: start, remindAt };
+}
+
+function nextRecurrenceAt(reminder, { now, timeZone }) {
+  const { rule } = parseRecurrence(reminder.recurrence, { timeZone });
+  if (!rule) return null;
+  return nextOccurrence(rule, {
+    after: Math.max(now, Number(reminder.remind_at)),
+    start: Number(reminder.recurrence_start) || Number(reminder.remind_at),
+    timeZone,
+    occurrences: (reminder.occurrences || 0) + 1,
+  });
+}
+
+export function describeReminderRecurrence(reminder, timeZone = 'UTC') {
+  if (!reminder.recurrence) return null;
+  const { rule } = parseRecurrence(reminder.recurrence, { timeZone });
+  return rule ? describeRecurrence(rule, { start: Number(reminder.recurrence_start) || Number(reminder.remind_at), timeZone }) : null;
+}
+
+/* ---------- Delivery state ---------- */
+export const reminderDueAt = (r) => Number(r.snoozed_until) || Number(r.remind_at);
+
+// A recurring reminder snoozed after it fired is delivered once more before its
+// next occurrence; one snoozed before it fired is that occurrence, postponed.
+const isExtraDelivery = (r) => Boolean(r.snoozed_until) && Number(r.snoozed_until) < Number(r.remind_at);
+
+export async function claimDueReminders(db, { workerId, now = Date.now(), limit = 20 }) {
+  const { rows } = await db.query(
+    `UPDATE skill_reminders
+     SET delivery_status = 'sending', locked_by = $1, locked_at = $2, attempts = attempts + 1
+     WHERE id IN (
+       SELECT id FROM skill_reminders
+       WHERE completed = FALSE AND (
+         (delivery_status IN ('pending', 'retry') AND COALESCE(snoozed_until, remind_at) <= $2
+           AND (next_attempt_at IS NULL OR next_attempt_at <= $2))
+         OR (delivery_status = 'sending' AND locked_at < $3)
+       )
+       ORDER BY COALESCE(snoozed_until, remind_at) ASC
+       LIMIT $4
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [workerId, now, now - REMINDER_LEASE_MS, limit]
+  );
+  return rows;
+}
+
+// Quiet hours: hand the reminder back without spending an attempt.
+export async function deferReminder(db, reminder, until, { workerId }) {
+  await db.query(
+    `UPDATE skill_reminders
+     SET delivery_status = 'pending', attempts = GREATEST(attempts - 1, 0), next_attempt_at = $1,
+         locked_by = NULL, locked_at = NULL
+     WHERE id = $2 AND locked_by = $3`,
+    [until, reminder.id, workerId]
+  );
+}
+
+// Records one delivery attempt. via: the channels that accepted it. A failure
+// with `retry` is tried again with backoff up to REMINDER_MAX_ATTEMPTS; any other
+// outcome is final for this occurrence. -> the row's new delivery_status.
+export async function finishDelivery(db, reminder, {
+  workerId, now = Date.now(), via = [], error = null, retry = false, missed = false, timeZone = 'UTC',
+}) {
+  const delivered = via.length > 0;
+  if (!delivered && retry && !missed && reminder.attempts < REMINDER_MAX_ATTEMPTS) {
+    await db.query(
+      `UPDATE skill_reminders
+       SET delivery_status = 'retry', next_attempt_at = $1, last_attempt_at = $2, last_error = $3,
+           locked_by = NULL, locked_at = NULL
+       WHERE id = $4 AND locked_by = $5`,
+      [now + RETRY_BASE_MS * 2 ** (reminder.attempts - 1), now, error, reminder.id, workerId]
+    );
+    return 'retry';
+  }
+
+  const outcome = delivered ? 'sent' : missed ? 'missed' : retry ? 'failed' : 'skipped';
+  let status = outcome;
+  let remindAt = Number(reminder.remind_at);
+  let occurrences = reminder.occurrences || 0;
+  if (reminder.recurrence) {
+    if (isExtraDelivery(reminder)) {
+      // An extra, snoozed delivery: the series keeps its next occurrence.
+      status = 'pending';
+    } else {
+      const next = nextRecurrenceAt(reminder, { now, timeZone });
+      occurrences += 1;
+      if (next) {
+        status = 'pending';
+        remindAt = next;
+      }
+    }
+  }
+  await db.query(
+    `UPDATE skill_reminders
+     SET delivery_status = $1, remind_at = $2, occurrences = $3, snoozed_until = NULL,
+         attempts = CASE WHEN $1 = 'pending' THEN 0 ELSE attempts END, next_attempt_at = NULL,
+         last_attempt_at = $4, last_error = $5,
+         delivered_at = CASE WHEN $6 THEN $4 ELSE delivered_at END,
+         delivered_via = CASE WHEN $6 THEN $7 ELSE delivered_via END,
+         locked_by = NULL, locked_at = NULL, updated_at = $4
+     WHERE id = $8 AND locked_by = $9`,
+    [status, remindAt, occurrences, now, delivered ? null : error, delivered, via.join(','), reminder.id, workerId]
+  );
+  return status;
+}
+
+// Editing when or how a reminder repeats restarts its delivery.
+export const RESET_DELIVERY_SQL = `delivery_status = 'pending', attempts = 0, next_attempt_at = NULL,
+  snoozed_until = NULL, last_error = NULL, locked_by = NULL, locked_at = NULL`;
+
+// -> { reminder } or { error } (notFound / conflict say why). The updates skip
+// a row a worker has claimed in the meantime, so a send in flight is never
+// reset under it.
+export async function snoozeReminder(db, reminderId, minutes, { userId = null, now = Date.now() } = {}) {
+  if (!Number.isInteger(minutes) || minutes < SNOOZE_MINUTES.min || minutes > SNOOZE_MINUTES.max) {
+    return { error: `Snooze for ${SNOOZE_MINUTES.min} minutes to ${SNOOZE_MINUTES.max / (24 * 60)} days` };
+  }
+  const { rows } = await db.query(
+    `SELECT * FROM skill_reminders WHERE id = $1${userId ? ' AND user_id = $2' : ''}`,
+    userId ? [reminderId, userId] : [reminderId]
+  );
+  const reminder = rows[0];
+  if (!reminder) return { error: 'Reminder not found', notFound: true };
+  if (reminder.completed) return { error: 'This reminder is already completed' };
+  const sending = { error: 'This reminder is being sent right now. Try again in a moment.', conflict: true };
+  if (reminder.delivery_status === 'sending') return sending;
+
+  const until = now + minutes * 60 * 1000;
+  const remindAt = Number(reminder.remind_at);
+  const fired = (reminder.occurrences || 0) > 0;
+  let sql;
+  if (!reminder.recurrence) {
+    sql = `UPDATE skill_reminders SET remind_at = $1, ${RESET_DELIVERY_SQL}, updated_at = $2
+           WHERE id = $3 AND delivery_status <> 'sending' RETURNING *`;
+  } else if (until >= remindAt) {
+    // Postpones the occurrence that is due (or about to be).
+    sql = `UPDATE skill_reminders
+           SET snoozed_until = $1, recurrence_start = COALESCE(recurrence_start, remind_at),
+               delivery_status = 'pending', attempts = 0, next_attempt_at = NULL, last_error = NULL,
+               locked_by = NULL, locked_at = NULL, updated_at = $2
+           WHERE id = $3 AND delivery_status <> 'sending' RETURNING *`;
+  } else if (fired) {
+    // One extra delivery before the next occurrence.
+    sql = `UPDATE skill_reminders SET snoozed_until = $1, recurrence_start = COALESCE(recurrence_start, remind_at),
+             updated_at = $2
+           WHERE id = $3 AND delivery_status <> 'sending' RETURNING *`;
+  } else {
+    // Not fired yet and its occurrence comes first anyway.
+    return { reminder };
+  }
+  const { rows: [updated] } = await db.query(sql, [until, now, reminder.id]);
+  return updated ? { reminder: updated } : sending;
+}
+
+/* ---------- Snooze links ---------- */
+// Email and push carry a signed token instead of requiring a session:
+// "<reminderId>.<expires>.<hmac>".
+const snoozeSignature = (secret, reminderId, exp) =>
+  crypto.createHmac('sha256', secret).update(`reminder-snooze:${reminderId}:${exp}`).digest('base64url');
+
+export function signSnoozeToken(secret, reminderId, { ttlMs = 2 * 24 * 60 * 60 * 1000, now = Date.now() } = {}) {
+  const exp = now + ttlMs;
+  return `${reminderId}.${exp}.${snoozeSignature(secret, reminderId, exp)}`;
+}
+
+// -> the reminder id, or null when the token is malformed, forged or expired.
+export function verifySnoozeToken(secret, token, { now = Date.now() } = {}) {
+  const [reminderId, exp, sig] = String(token || '').split('.');
+  if (!reminderId || !exp || !sig || Number(exp) < now) return null;
+  const expected = Buffer.from(snoozeSignature(secret, reminderId, exp));
+  const given = Buffer.from(sig);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? reminderId : null;
+}
+
+/* ---------- Push subscriptions ---------- */
+export async function savePushSubscription(db, userId, { endpoint, keys } = {}, { userAgent = null } = {}) {
+  if (!endpoint || !keys?.p256dh || !keys?.auth) {
+    return { error: 'A push subscription with endpoint and keys is required' };
+  }
+  if (!isPushEndpoint(endpoint)) return { error: 'That push endpoint is not from a supported browser push service' };
+  await db.query(
+    `INSERT INTO push_subscriptions (id, user_id, endpoint, p256dh, auth, user_agent, failures, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, 0, $7)
+     ON CONFLICT (endpoint) DO UPDATE SET user_id = $2, p256dh = $4, auth = $5, user_agent = $6, failures = 0`,
+    [crypto.randomUUID(), userId, endpoint, keys.p256dh, keys.auth, userAgent, Date.now()]
+  );
+  return { ok: true };
+}
+
+export async function listPushSubscriptions(db, userId) {
+  const { rows } = await db.query('SELECT * FROM push_subscriptions WHERE user_id = $1', [userId]);
+  return rows.map(r => ({ id: r.id, endpoint: r.endpoint, keys: { p256dh: r.p256dh, auth: r.auth } }));
+}
+
+export async function removePushSubscription(db, { endpoint, userId = null }) {
+  const { rowCount } = await db.query(
+    `DELETE FROM push_subscriptions WHERE endpoint = $1${userId ? ' AND user_id = $2' : ''}`,
+    userId ? [endpoint, userId] : [endpoint]
+  );
+  return rowCount > 0;
+}
+
+export async function recordPushResult(db, subscriptionId, ok) {
+  await db.query(
+    ok
+      ? 'UPDATE push_subscriptions SET failures = 0, last_success_at = $2 WHERE id = $1'
+      : 'UPDATE push_subscriptions SET failures = failures + 1 WHERE id = $1',
+    ok ? [subscriptionId, Date.now()] : [subscriptionId]
+  );
+}
+
+/* ---------- API shape ---------- */
+export function formatReminder(r, { timeZone = 'UTC' } = {}) {
+  return {
+    id: r.id,
+    skill: r.skill,
+    drill: r.drill,
+    note: r.note,
+    remindAt: Number(r.remind_at) || 0,
+    completed: !!r.completed,
+    createdAt: Number(r.created_at) || 0,
+    recurrence: r.recurrence || null,
+    repeats: describeReminderRecurrence(r, timeZone),
+    snoozedUntil: Number(r.snoozed_until) || null,
+    delivery: {
+      status: r.delivery_status || 'pending',
+      attempts: r.attempts || 0,
+      lastAttemptAt: Number(r.last_attempt_at) || null,
+      lastError: r.last_error || null,
+      deliveredAt: Number(r.delivered_at) || null,
+      via: r.delivered_via ? r.delivered_via.split(',') : [],
+    },
+  };
+}
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+// scripts/eval-analysis.js — offline evaluation of training analysis quality
+//
+// Runs every labeled case in eval/cases.json through the training analysis
+// pipeline and reports skill detection accuracy, level accuracy, JSON validity
+// and checklist coverage. Exits non-zero when a metric drops below its threshold,
+// so it can gate a deploy after a prompt or GEMINI_MODELS change.
+//
+//   npm run eval                           replay recorded model responses (no key needed)
+//   npm run eval -- --prompt v2            same recordings, rendered against another prompt version
+//   npm run eval -- --live                 call Gemini for real (GEMINI_API_KEY, clips on disk)
+//   npm run eval -- --live --record        ...and overwrite the recordings with the new responses
+//
+// Other flags: --cases <file>, --models a,b (live), --json, --verbose,
+//              --min-skill, --min-level, --min-valid, --min-coverage (0–1).
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createAIProvider, createFixtureProvider, createGeminiProvider } from '../ai-providers.js';
+import { loadPromptRegistry } from '../prompt-registry.js';
+import { createTrainingAnalyzer, TRAINING_PROMPT } from '../training-analysis.js';
+import { SKILL_CHECKPOINTS } from '../analysis-schema.js';
+
+dotenv.config();
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// --min-<name> -> [summary metric, default minimum]
+const THRESHOLDS = {
+  skill: ['skillAccuracy', 0.8],
+  level: ['levelAccuracy', 0.7],
+  valid: ['jsonValidRate', 1],
+  coverage: ['checklistCoverage', 0.8],
+};
+
+/* ---------- CLI ---------- */
+function parseArgs(argv) {
+  const args = { cases: path.join(ROOT, 'eval', 'cases.json'), thresholds: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--cases') args.cases = path.resolve(next());
+    else if (arg === '--prompt') args.prompt = next();
+    else if (arg === '--models') args.models = next().split(',').map(s => s.trim()).filter(Boolean);
+    else if (arg === '--live') args.live = true;
+    else if (arg === '--record') args.record = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg.startsWith('--min-')) args.thresholds[arg.slice(6)] = Number(next());
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  if (args.record && !args.live) throw new Error('--record only makes sense with --live');
+  return args;
+}
+
+/* ---------- Scoring helpers ---------- */
+const normalizeLabel = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function analysisText(result) {
+  const raw = result.raw || {};
+  return normalizeLabel([
+    raw.sessionSummary,
+    ...(raw.secondarySkills || []),
+    ...Object.values(raw.technicalAnalysis || {}),
+    ...(raw.keyMoments || []).map(m => `${m.timestamp} ${m.observation}`),
+  ].join(' '));
+}
+
+function scoreCase(testCase, result) {
+  const expected = testCase.expected || {};
+  const acceptedSkills = [].concat(expected.skillFocus || []).map(normalizeLabel);
+  const checkpoints = expected.checkpoints || SKILL_CHECKPOINTS[expected.category] || [];
+  const checklist = result.raw?.biomechanicalChecklist || {};
+  const text = analysisText(result);
+  const moves = expected.moves || [];
+
+  return {
+    skillMatch: acceptedSkills.includes(normalizeLabel(result.skillFocus)),
+    levelMatch: !expected.currentLevel || result.currentLevel === expected.currentLevel,
+    validFirstPass: result.validation.initialErrorCount === 0,
+    validFinal: result.validation.valid,
+    checklistCoverage: checkpoints.length
+      ? checkpoints.filter(c => checklist[c] !== undefined).length / checkpoints.length
+      : 1,
+    movesFound: moves.filter(m => text.includes(normalizeLabel(m))),
+    movesMissed: moves.filter(m => !text.includes(normalizeLabel(m))),
+  };
+}
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+
+/* ---------- Providers ---------- */
+// Live runs can save every response into the case's recording dir.
+function recordingProvider(provider, dir) {
+  return {
+    ...provider,
+    async generateContent(modelName, contentParts, opts = {}) {
+      const text = await provider.generateContent(modelName, contentParts, opts);
+      const label = opts.label || 'default';
+      fs.mkdirSync(dir, { recursive: true });
+      fs.rmSync(path.join(dir, `${label}.json`), { force: true });
+      fs.writeFileSync(path.join(dir, `${label}.txt`), text);
+      return text;
+    },
+  };
+}
+
+function clipAsDataUrl(clipPath) {
+  const ext = path.extname(clipPath).toLowerCase();
+  const mime = { '.mov': 'video/quicktime', '.webm': 'video/webm', '.avi': 'video/avi' }[ext] || 'video/mp4';
+  return `data:${mime};base64,${fs.readFileSync(clipPath).toString('base64')}`;
+}
+
+/* ---------- Main ---------- */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dataset = JSON.parse(fs.readFileSync(args.cases, 'utf8'));
+  const casesDir = path.dirname(args.cases);
+  const registry = loadPromptRegistry(path.join(ROOT, 'prompts'));
+  const promptVersion = args.prompt || registry.latest(TRAINING_PROMPT)?.version;
+  if (!registry.get(TRAINING_PROMPT, promptVersion)) {
+    throw new Error(`Unknown prompt version ${TRAINING_PROMPT}@${promptVersion}`);
+  }
+  const renderPrompt = async (name, vars) => ({
+    text: registry.render(name, promptVersion, vars),
+    id: `${name}@${promptVersion}`,
+  });
+
+  let liveProvider = null;
+  if (args.live) {
+    const geminiKey = process.env.GEMINI_API_KEY || '';
+    liveProvider = args.models
+      ? createGeminiProvider({ apiKey: geminiKey, models: args.models })
+      : createAIProvider({ geminiKey });
+    if (!geminiKey || !liveProvider) throw new Error('--live needs GEMINI_API_KEY');
+  }
+
+  // The pipeline logs every step; keep the report readable unless asked.
+  const log = { log: console.log, warn: console.warn, error: console.error };
+  const quiet = () => {
+    if (!args.verbose) console.log = console.warn = console.error = () => {};
+  };
+  const loud = () => Object.assign(console, log);
+
+  const rows = [];
+  for (const testCase of dataset.cases) {
+    const recordingDir = path.join(casesDir, 'recordings', testCase.id);
+    const row = { id: testCase.id };
+    quiet();
+    try {
+      let result;
+      if (args.live) {
+        const provider = args.record ? recordingProvider(liveProvider, recordingDir) : liveProvider;
+        const analyzer = createTrainingAnalyzer({ provider, renderPrompt });
+        const clip = testCase.clip || {};
+        const clipPath = clip.path && path.resolve(casesDir, clip.path);
+        if (clipPath && !fs.existsSync(clipPath)) throw new Error(`clip not found: ${clip.path}`);
+        result = await analyzer.runTextAnalysisForTraining({
+          profile: testCase.profile || {},
+          user: {},
+          videoUrl: clip.url || null,
+          videoData: clipPath ? clipAsDataUrl(clipPath) : null,
+          skill: testCase.requestedSkill || null,
+        });
+      } else {
+        const provider = createFixtureProvider({ dir: recordingDir, modelName: 'recorded' });
+        const analyzer = createTrainingAnalyzer({ provider, renderPrompt });
+        result = await analyzer.analyzeUploadedVideo({
+          file: { uri: `recorded://${testCase.id}`, mimeType: 'video/mp4' },
+          profile: testCase.profile || {},
+          user: {},
+          skill: testCase.requestedSkill || null,
+        });
+      }
+      Object.assign(row, { skillFocus: result.skillFocus, currentLevel: result.currentLevel }, scoreCase(testCase, result));
+    } catch (e) {
+      Object.assign(row, {
+        error: e.message,
+        skillMatch: false, levelMatch: false, validFirstPass: false, validFinal: false,
+        checklistCoverage: 0, movesFound: [], movesMissed: testCase.expected?.moves || [],
+      });
+    } finally {
+      loud();
+    }
+    rows.push(row);
+  }
+
+  const totalMoves = rows.reduce((n, r) => n + r.movesFound.length + r.movesMissed.length, 0);
+  const summary = {
+    prompt: `${TRAINING_PROMPT}@${promptVersion}`,
+    mode: args.live ? 'live' : 'recorded',
+    cases: rows.length,
+    skillAccuracy: mean(rows.map(r => (r.skillMatch ? 1 : 0))),
+    levelAccuracy: mean(rows.map(r => (r.levelMatch ? 1 : 0))),
+    jsonValidFirstPass: mean(rows.map(r => (r.validFirstPass ? 1 : 0))),
+    jsonValidRate: mean(rows.map(r => (r.validFinal ? 1 : 0))),
+    checklistCoverage: mean(rows.map(r => r.checklistCoverage)),
+    moveRecall: totalMoves ? rows.reduce((n, r) => n + r.movesFound.length, 0) / totalMoves : 1,
+  };
+
+  // Flag > cases.json "thresholds" > default.
+  const failures = [];
+  for (const [name, [metric, fallback]] of Object.entries(THRESHOLDS)) {
+    const min = args.thresholds[name] ?? dataset.thresholds?.[name] ?? fallback;
+    if (summary[metric] < min) failures.push(`${metric} ${pct(summary[metric])} < ${pct(min)}`);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ summary, failures, cases: rows }, null, 2));
+  } else {
+    console.log(`Training analysis eval — ${summary.prompt} (${summary.mode}, ${summary.cases} cases)\n`);
+    for (const r of rows) {
+      const mark = (b) => (b ? 'ok ' : 'XX ');
+      console.log(`${r.id}`);
+      if (r.error) {
+        console.log(`  error: ${r.error}`);
+        continue;
+      }
+      console.log(`  ${mark(r.skillMatch)}skill      ${r.skillFocus ?? '(none)'}`);
+      console.log(`  ${mark(r.levelMatch)}level      ${r.currentLevel ?? '(none)'}`);
+      console.log(`  ${mark(r.validFinal)}json       ${r.validFirstPass ? 'valid' : r.validFinal ? 'valid after repair' : 'invalid'}`);
+      console.log(`  ${mark(r.checklistCoverage >= 0.8)}checklist  ${pct(r.checklistCoverage)}`);
+      if (r.movesMissed.length) console.log(`  XX moves      missing ${r.movesMissed.join(', ')}`);
+    }
+    console.log('\nSummary');
+    console.log(`  skill detection   ${pct(summary.skillAccuracy)}`);
+    console.log(`  level accuracy    ${pct(summary.levelAccuracy)}`);
+    console.log(`  json valid        ${pct(summary.jsonValidRate)} (first pass ${pct(summary.jsonValidFirstPass)})`);
+    console.log(`  checklist cover   ${pct(summary.checklistCoverage)}`);
+    console.log(`  move recall       ${pct(summary.moveRecall)}`);
+    if (failures.length) console.log(`\nFAILED: ${failures.join('; ')}`);
+  }
+
+  process.exitCode = failures.length ? 1 : 0;
+}
+
+main().catch((e) => {
+  console.error(`[BK] eval failed: ${e.message}`);
+  process.exitCode = 2;
+});
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// scripts/generate-vapid-keys.js — print a fresh VAPID key pair for Web Push
+//
+//   node scripts/generate-vapid-keys.js >> .env
+//
+// Keep the pair stable once browsers have subscribed: a new public key
+// invalidates every existing push subscription.
+import { generateVapidKeys } from '../web-push.js';
+
+const { publicKey, privateKey } = generateVapidKeys();
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// scripts/migrate.js — apply, revert and inspect schema migrations
+//
+//   npm run migrate                          apply every pending migration
+//   npm run migrate -- --to 003              apply up to and including 003
+//   npm run migrate:status                   list applied / pending / drifted migrations
+//   npm run migrate:status -- --check        ...and exit 1 unless the schema is current
+//   npm run migrate:down                     revert the last migration
+//   npm run migrate:down -- --steps 2        revert the last two
+//   npm run migrate:down -- --to 002         revert everything after 002
+import pool, { DATABASE_URL } from '../db.js';
+import { migrateDown, migrateUp, migrationStatus } from '../migrations.js';
+
+function parseArgs(argv) {
+  const args = { command: 'up', steps: 1, to: null, check: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--steps') args.steps = Number(argv[++i]);
+    else if (arg === '--check') args.check = true;
+    else if (['up', 'down', 'status'].includes(arg)) args.command = arg;
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  if (!Number.isInteger(args.steps) || args.steps < 1) throw new Error('--steps must be a positive integer');
+  return args;
+}
+
+const formatTime = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!DATABASE_URL) throw new Error('POSTGRES_URL or DATABASE_URL is not set');
+
+  if (args.command === 'up') {
+    const ran = await migrateUp(pool, { to: args.to });
+    console.log(ran.length ? `[BK] Applied ${ran.length} migration(s)` : '[BK] Schema is up to date');
+    return;
+  }
+
+  if (args.command === 'down') {
+    const ran = await migrateDown(pool, { steps: args.steps, to: args.to });
+    console.log(`[BK] Reverted ${ran.length} migration(s)`);
+    return;
+  }
+
+  const status = await migrationStatus(pool);
+  const changed = new Set(status.changed.map(m => m.version));
+  for (const m of status.applied) {
+    console.log(`  applied  ${m.version}_${m.name}  ${formatTime(m.appliedAt)}${changed.has(m.version) ? '  (file changed since it ran)' : ''}`);
+  }
+  for (const m of status.pending) console.log(`  pending  ${m.version}_${m.name}`);
+  for (const m of status.missing) console.log(`  missing  ${m.version}_${m.name}  (recorded but no file)`);
+
+  const drift = status.pending.length + status.changed.length + status.missing.length;
+  console.log(drift ? `[BK] Schema drift: ${status.pending.length} pending, ${status.changed.length} changed, ${status.missing.length} missing` : '[BK] Schema is up to date');
+  if (args.check && drift) process.exitCode = 1;
+}
+
+main()
+  .catch((e) => {
+    console.error(`[BK] Migration failed: ${e.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -7,14 +7,60 @@ import { fileURLToPath } from 'url';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { Resend } from 'resend';
 import Stripe from 'stripe';
-import { GoogleAIFileManager } from '@google/generative-ai/server';
 import os from 'os';
+import crypto from 'crypto';
 import https from 'https';
 import dotenv from 'dotenv';
-import pg from 'pg';
+import pool, { DATABASE_URL } from './db.js';
+import { migrateUp, migrationStatus } from './migrations.js';
+import {
+  applyPolicyOverrides, createLoginLockout, createMemoryStore, createPgStore, rateLimit,
+} from './rate-limit.js';
+import { createAIProvider } from './ai-providers.js';
+import { extractCheckpointScores, parseModelJson, SKILL_CHECKPOINTS } from './analysis-schema.js';
+import { loadPromptRegistry } from './prompt-registry.js';
+import {
+  CHECKPOINT_FAMILIES, listSkills, normalizeSkill, normalizeSkillList, skillLabel,
+} from './skill-taxonomy.js';
+import {
+  getPlayerStats, monthKey, rebuildPlayerStats, recomputeAllPlayerStats, recomputePlayerStats,
+} from './player-stats.js';
+import { describeHistoryForPrompt, loadTrendHistory, trendsAgainstHistory } from './trends.js';
+import { isFfmpegAvailable, preprocessVideo, probeVideo, withVideoInput } from './ffmpeg.js';
+import { createStorageFromEnv } from './storage.js';
+import {
+  extractMomentFrames, formatOffset, getKeyMoments, normalizeKeyMoments, storeKeyMoments,
+} from './key-moments.js';
+import {
+  createTrainingAnalyzer, downloadVideo, getGeminiErrorText, isGeminiRetryable, TRAINING_PROMPT,
+} from './training-analysis.js';
+import { getEntitlements, recordAnalysisUsage } from './entitlements.js';
+import { getCreditBalance, listCredits } from './credits.js';
+import {
+  checkPromoCode, createPromoCode, formatPromoCode, getPromoCode, listPromoCodes, listRedemptions,
+  parsePromoInput, recordRedemption, redeemCreditCode,
+} from './promo-codes.js';
+import { attachReferral, convertReferral, getReferralSummary, referralReport } from './referrals.js';
+import { isValidTimeZone } from './recurrence.js';
+import {
+  claimDueReminders, deferReminder, describeReminderRecurrence, finishDelivery, formatNotificationSettings,
+  formatReminder, getNotificationSettings, listPushSubscriptions, planRecurrence, quietHoursEnd, recordPushResult,
+  reminderDueAt, removePushSubscription, RESET_DELIVERY_SQL, saveNotificationSettings, savePushSubscription,
+  signSnoozeToken, snoozeReminder, verifySnoozeToken,
+} from './reminders.js';
+import { createWebPush } from './web-push.js';
+import {
+  archiveTrainingPlan, buildTrainingPlan, createTrainingPlan, deleteTrainingPlan, detachAnalysisFromPlans,
+  findActivePlanForAnalysis, formatTrainingPlan, listTrainingPlans, loadTrainingPlan, parsePlanInput,
+  reviewTrainingPlan, setDrillCompletion,
+} from './training-plans.js';
+import { describePlan, MAX_CLIP_SECONDS as MAX_PLAN_CLIP_SECONDS, PAID_PLAN_IDS, PLANS } from './plans.js';
+import {
+  finishStripeEvent, getUserSubscription, invoiceSubscriptionId, lockStripeEvent, recordInvoiceStatus,
+  recordStripeEvent, syncSubscription,
+} from './subscriptions.js';
 
 dotenv.config();
 
@@ -28,9 +74,19 @@ const STRIPE_PUB_KEY   = process.env.STRIPE_PUBLISHABLE_KEY || '';
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
 const STRIPE_LOOKUP_KEY = process.env.STRIPE_PRICE_LOOKUP_KEY || 'Training_Video_Analysis_-293c440';
 const STRIPE_PRICE_ID = process.env.STRIPE_PRICE_ID || 'price_1T1qtKRxzNyC9x7cEhux3Agz';
-const FREE_ANALYSIS_LIMIT = 2;
+// Stripe price of each paid plan (plans.js); a plan without one cannot be bought.
+const PLAN_PRICES = {
+  pro: STRIPE_PRICE_ID,
+  team: process.env.STRIPE_TEAM_PRICE_ID || '',
+  club: process.env.STRIPE_CLUB_PRICE_ID || '',
+};
+const GUARDIAN_CONSENT_AGE = Number(process.env.GUARDIAN_CONSENT_AGE) || 13;
+// Absolute links in emails sent outside a request (reminders).
+const APP_URL = (process.env.APP_URL || 'https://ballknowledge.up.railway.app').replace(/\/+$/, '');
 const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
 const stripe = STRIPE_SECRET ? new Stripe(STRIPE_SECRET) : null;
+// Unsigned webhook bodies are only trusted in local development.
+const STRIPE_UNSIGNED_WEBHOOKS = !STRIPE_WEBHOOK_SECRET && process.env.NODE_ENV === 'development';
 const APP_ORIGINS = (process.env.APP_ORIGINS ||
   'https://smusoni.github.io,http://localhost:8080')
   .split(',')
@@ -42,241 +98,145 @@ const PORT = process.env.PORT || 3001;
 /* ---------- Express setup ---------- */
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
+// Files the server writes live outside the app directory (DATA_DIR), so the
+// static files below can never reach them.
+const DATA_DIR = process.env.DATA_DIR || path.join(os.homedir(), '.ball-knowledge');
+// Server-generated media (key moment frames): frames of players are only
+// served through signed URLs.
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(DATA_DIR, 'media');
+// Uploaded clips: local disk by default, STORAGE_BACKEND=s3 for S3-compatible stores.
+const storage = createStorageFromEnv(process.env, { defaultDir: path.join(DATA_DIR, 'storage') });
 
 const app = express();
 
-app.use(cors({ origin: APP_ORIGINS }));
+// Railway terminates TLS one hop in front of us; without this req.ip is the proxy
+// and every client shares one rate-limit bucket. TRUST_PROXY accepts a hop count,
+// true/false, or an Express trust list ("loopback, 10.0.0.0/8").
+const TRUST_PROXY = process.env.TRUST_PROXY ?? (process.env.NODE_ENV === 'production' ? '1' : 'false');
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY)
+  : TRUST_PROXY === 'true' ? true : TRUST_PROXY === 'false' ? false : TRUST_PROXY);
+
+app.use(cors({ origin: APP_ORIGINS, exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'] }));
 
 // Stripe webhook needs raw body - must be before express.json()
+// Each event is recorded in stripe_events first and applied in one transaction
+// with its ledger row locked, so redeliveries are acknowledged without being
+// applied twice. A failure answers 500 and Stripe retries.
 app.post('/api/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   if (!stripe) return res.status(400).send('Stripe not configured');
-  
+
   let event;
   try {
     if (STRIPE_WEBHOOK_SECRET) {
       const sig = req.headers['stripe-signature'];
       event = stripe.webhooks.constructEvent(req.body, sig, STRIPE_WEBHOOK_SECRET);
-    } else {
+    } else if (STRIPE_UNSIGNED_WEBHOOKS) {
       event = JSON.parse(req.body.toString());
+    } else {
+      console.error('[BK] Stripe webhook rejected: STRIPE_WEBHOOK_SECRET is not set');
+      return res.status(400).send('Webhook Error: signing secret not configured');
     }
   } catch (err) {
     console.error('[BK] Stripe webhook signature failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
+  if (!event?.id || !event?.type || !event?.data?.object) {
+    return res.status(400).send('Webhook Error: malformed event');
+  }
 
-  console.log(`[BK] Stripe event: ${event.type}`);
+  console.log(`[BK] Stripe event: ${event.type} (${event.id})`);
 
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    const userId = session.metadata?.userId;
-    const customerId = session.customer;
-    if (userId) {
-      try {
-        await pool.query(
-          'UPDATE users SET subscription_status = $1, stripe_customer_id = $2 WHERE id = $3',
-          ['active', customerId, userId]
-        );
-        console.log(`[BK] User ${userId} subscription activated`);
-      } catch (e) { console.error('[BK] Webhook DB error:', e.message); }
+  let client;
+  try {
+    if (!await recordStripeEvent(pool, event)) {
+      console.log(`[BK] Stripe event ${event.id} already processed`);
+      return res.json({ received: true, duplicate: true });
     }
+    client = await pool.connect();
+    await client.query('BEGIN');
+    if (!await lockStripeEvent(client, event.id)) {
+      await client.query('COMMIT');
+      return res.json({ received: true, duplicate: true });
+    }
+    const handled = await applyStripeEvent(client, event);
+    await finishStripeEvent(client, event.id, { handled });
+    await client.query('COMMIT');
+    res.json({ received: true });
+  } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error(`[BK] Stripe event ${event.id} failed:`, e.message);
+    await finishStripeEvent(pool, event.id, { error: e.message }).catch(() => {});
+    res.status(500).json({ received: false });
+  } finally {
+    client?.release();
   }
-
-  if (event.type === 'customer.subscription.deleted') {
-    const sub = event.data.object;
-    const customerId = sub.customer;
-    try {
-      await pool.query(
-        'UPDATE users SET subscription_status = $1 WHERE stripe_customer_id = $2',
-        ['cancelled', customerId]
-      );
-      console.log(`[BK] Subscription cancelled for stripe customer ${customerId}`);
-    } catch (e) { console.error('[BK] Webhook DB error:', e.message); }
-  }
-
-  res.json({ received: true });
 });
 
 app.use(express.json({ limit: "2mb" }));
-app.use(express.static('.'));
-
-/* ---------- PostgreSQL DB ---------- */
-const pool = new pg.Pool({
-  connectionString: process.env.POSTGRES_URL || process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' || process.env.POSTGRES_URL?.includes('railway')
-    ? { rejectUnauthorized: false }
-    : false,
+// Only the app shell and its icons are public; the rest of the directory
+// (server code, logs, fixtures) is not. req.path is matched as sent, so an
+// encoded or doubled-slash path is simply not on the list.
+const PUBLIC_FILES = new Set([
+  '/', '/index.html', '/sw.js', '/site.webmanifest', '/report-preview.html', '/favicon.ico', '/favicon-16x16.png',
+  '/favicon-32x32.png', '/apple-touch-icon.png', '/ball-knowledge-high-resolution-logo.png',
+]);
+const serveStatic = express.static(__dirname, { index: 'index.html' });
+app.use((req, res, next) => (PUBLIC_FILES.has(req.path) ? serveStatic(req, res, next) : next()));
+
+/* ---------- Rate limiting ---------- */
+// Counters for the sensitive policies live in Postgres so limits hold across
+// instances (RATE_LIMIT_STORE=memory opts out); the coarse global API limit is
+// always per process. Override any policy with RATE_LIMITS="auth=20/900,...".
+const RATE_LIMIT_POLICIES = applyPolicyOverrides({
+  api:     { max: 600, windowMs: 5 * 60 * 1000, by: 'ip' },
+  auth:    { max: 20,  windowMs: 15 * 60 * 1000, by: 'ip', message: 'Too many sign-in attempts. Try again later.' },
+  refresh: { max: 120, windowMs: 15 * 60 * 1000, by: 'ip' },
+  reset:   { max: 10,  windowMs: 15 * 60 * 1000, by: 'ip', message: 'Too many password reset attempts. Try again later.' },
+  publicAi:{ max: 10,  windowMs: 10 * 60 * 1000, by: 'ip', message: 'AI request limit reached. Try again in a few minutes.' },
+  analyze: { max: 20,  windowMs: 60 * 60 * 1000, by: 'user', message: 'Too many analyses started this hour. Try again later.' },
+  email:   { max: 10,  windowMs: 60 * 60 * 1000, by: 'user', message: 'Too many emails sent this hour. Try again later.' },
+  export:  { max: 5,   windowMs: 60 * 60 * 1000, by: 'user', message: 'Too many exports this hour. Try again later.' },
+  upload:  { max: 30,  windowMs: 60 * 60 * 1000, by: 'user', message: 'Too many uploads started this hour. Try again later.' },
+  promo:   { max: 10,  windowMs: 60 * 60 * 1000, by: 'user', message: 'Too many promo code attempts. Try again later.' },
+}, process.env.RATE_LIMITS);
+
+const memoryRateStore = createMemoryStore();
+const sharedRateStore = process.env.RATE_LIMIT_STORE === 'memory' || !DATABASE_URL
+  ? memoryRateStore
+  : createPgStore(pool);
+const limits = Object.fromEntries(Object.entries(RATE_LIMIT_POLICIES).map(([name, policy]) =>
+  [name, rateLimit(policy, name === 'api' ? memoryRateStore : sharedRateStore)]));
+const loginLockout = createLoginLockout(sharedRateStore, {
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  windowMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
 });
 
+async function pruneRateLimits() {
+  for (const store of new Set([memoryRateStore, sharedRateStore])) {
+    await store.prune().catch(e => console.error('[BK] Rate limit prune failed:', e.message));
+  }
+}
+
+app.use('/api', limits.api);
+
+/* ---------- PostgreSQL DB ---------- */
+// Schema lives in migrations/ (see migrations.js). Pending migrations are applied
+// on boot unless AUTO_MIGRATE=off, in which case run `npm run migrate` yourself.
 async function initDB() {
-  if (!process.env.POSTGRES_URL && !process.env.DATABASE_URL) {
+  if (!DATABASE_URL) {
     console.error('[BK] WARNING: No POSTGRES_URL or DATABASE_URL env var found. Database will not work.');
     return;
   }
-  const client = await pool.connect();
-  try {
-    const tables = [
-      `CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        name TEXT,
-        email TEXT UNIQUE NOT NULL,
-        pass_hash TEXT,
-        age INTEGER,
-        dob TEXT,
-        subscription_status TEXT DEFAULT 'free',
-        stripe_customer_id TEXT,
-        created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT
-      )`,
-      `CREATE TABLE IF NOT EXISTS profiles (
-        user_id TEXT PRIMARY KEY,
-        name TEXT,
-        age INTEGER,
-        dob TEXT,
-        height INTEGER,
-        weight TEXT,
-        foot TEXT,
-        position TEXT,
-        skill TEXT,
-        updated_at BIGINT
-      )`,
-      `CREATE TABLE IF NOT EXISTS clips (
-        id SERIAL PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        url TEXT,
-        public_id TEXT,
-        created_at TEXT,
-        bytes INTEGER,
-        duration REAL,
-        width INTEGER,
-        height INTEGER,
-        format TEXT
-      )`,
-      `CREATE TABLE IF NOT EXISTS analyses (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        candidate_name TEXT,
-        video_type TEXT DEFAULT 'training',
-        skill_focus TEXT,
-        secondary_skills JSONB DEFAULT '[]',
-        session_summary TEXT,
-        current_level TEXT,
-        technical_analysis JSONB DEFAULT '{}',
-        improvement_tips JSONB DEFAULT '[]',
-        common_mistakes JSONB DEFAULT '[]',
-        practice_progression JSONB DEFAULT '[]',
-        youtube_recommendations JSONB DEFAULT '[]',
-        video_url TEXT,
-        public_id TEXT,
-        skill TEXT,
-        raw JSONB DEFAULT '{}',
-        created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT
-      )`,
-      `CREATE TABLE IF NOT EXISTS player_stats (
-        user_id TEXT PRIMARY KEY,
-        total_analyses INTEGER DEFAULT 0,
-        skill_frequency JSONB DEFAULT '{}',
-        skill_levels JSONB DEFAULT '{}',
-        skill_last_seen JSONB DEFAULT '{}',
-        monthly_activity JSONB DEFAULT '{}',
-        last_analysis_at BIGINT,
-        updated_at BIGINT
-      )`,
-      `CREATE TABLE IF NOT EXISTS skill_reminders (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        skill TEXT NOT NULL,
-        drill TEXT,
-        note TEXT,
-        remind_at BIGINT NOT NULL,
-        completed BOOLEAN DEFAULT FALSE,
-        created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT,
-        updated_at BIGINT
-      )`,
-      `CREATE TABLE IF NOT EXISTS experience_feedback (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        rating TEXT NOT NULL,
-        flow_step TEXT,
-        comment TEXT,
-        metadata JSONB DEFAULT '{}',
-        created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT
-      )`,
-    ];
-
-    for (const sql of tables) {
-      try { await client.query(sql); }
-      catch (e) { console.error(`[BK] Table creation note: ${e.message}`); }
-    }
-
-    const addCol = async (table, col, type) => {
-      try { await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${col} ${type}`); }
-      catch (e) { /* column may already exist */ }
-    };
-    await addCol('users', 'name', 'TEXT');
-    await addCol('users', 'pass_hash', 'TEXT');
-    await addCol('users', 'age', 'INTEGER');
-    await addCol('users', 'dob', 'TEXT');
-    await addCol('users', 'subscription_status', "TEXT DEFAULT 'free'");
-    await addCol('users', 'stripe_customer_id', 'TEXT');
-    await addCol('analyses', 'candidate_name', 'TEXT');
-    await addCol('analyses', 'video_type', "TEXT DEFAULT 'training'");
-    await addCol('analyses', 'skill_focus', 'TEXT');
-    await addCol('analyses', 'secondary_skills', "JSONB DEFAULT '[]'");
-    await addCol('analyses', 'session_summary', 'TEXT');
-    await addCol('analyses', 'current_level', 'TEXT');
-    await addCol('analyses', 'technical_analysis', "JSONB DEFAULT '{}'");
-    await addCol('analyses', 'improvement_tips', "JSONB DEFAULT '[]'");
-    await addCol('analyses', 'common_mistakes', "JSONB DEFAULT '[]'");
-    await addCol('analyses', 'practice_progression', "JSONB DEFAULT '[]'");
-    await addCol('analyses', 'youtube_recommendations', "JSONB DEFAULT '[]'");
-    await addCol('analyses', 'video_url', 'TEXT');
-    await addCol('analyses', 'public_id', 'TEXT');
-    await addCol('analyses', 'skill', 'TEXT');
-    await addCol('analyses', 'raw', "JSONB DEFAULT '{}'");
-    await addCol('player_stats', 'monthly_activity', "JSONB DEFAULT '{}'");
-    await addCol('skill_reminders', 'drill', 'TEXT');
-    await addCol('skill_reminders', 'note', 'TEXT');
-    await addCol('skill_reminders', 'completed', "BOOLEAN DEFAULT FALSE");
-    await addCol('skill_reminders', 'updated_at', 'BIGINT');
-    await addCol('experience_feedback', 'flow_step', 'TEXT');
-    await addCol('experience_feedback', 'comment', 'TEXT');
-    await addCol('experience_feedback', 'metadata', "JSONB DEFAULT '{}'");
-    await addCol('experience_feedback', 'created_at', 'BIGINT');
-
-    // Drop NOT NULL constraints on legacy columns that our code doesn't populate
-    const dropNotNull = async (table, col) => {
-      try { await client.query(`ALTER TABLE ${table} ALTER COLUMN ${col} DROP NOT NULL`); }
-      catch (e) { /* column may not exist or already nullable */ }
-    };
-    await dropNotNull('analyses', 'analysis_data');
-    await dropNotNull('analyses', 'video_url');
-    await dropNotNull('analyses', 'user_id');
-    await dropNotNull('users', 'name');
-    await dropNotNull('users', 'pass_hash');
-    await dropNotNull('users', 'password_hash');
-
-    // Set defaults on legacy columns so inserts don't fail
-    try { await client.query(`ALTER TABLE analyses ALTER COLUMN analysis_data SET DEFAULT '{}'::jsonb`); } catch {}
-    try { await client.query(`ALTER TABLE users ALTER COLUMN password_hash SET DEFAULT ''`); } catch {}
-    try { await client.query(`ALTER TABLE analyses ALTER COLUMN video_type DROP NOT NULL`); } catch {}
-    try { await client.query(`ALTER TABLE analyses ALTER COLUMN video_type SET DEFAULT 'training'`); } catch {}
-
-    // Migrate password_hash -> pass_hash if old schema exists
-    try {
-      const colCheck = await client.query(`
-        SELECT column_name FROM information_schema.columns
-        WHERE table_name = 'users' AND column_name = 'password_hash'
-      `);
-      if (colCheck.rows.length > 0) {
-        await client.query(`UPDATE users SET pass_hash = password_hash WHERE pass_hash IS NULL AND password_hash IS NOT NULL`);
-        console.log('[BK] Migrated password_hash -> pass_hash');
-      }
-    } catch (e) { console.error('[BK] password_hash migration skipped:', e.message); }
-    console.log('[BK] PostgreSQL tables initialized');
-  } catch (e) {
-    console.error('[BK] Failed to initialize DB tables:', e.message);
-  } finally {
-    client.release();
+  if (process.env.AUTO_MIGRATE === 'off') {
+    const { pending, changed } = await migrationStatus(pool);
+    if (pending.length) {
+      console.error(`[BK] WARNING: ${pending.length} pending migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')} — run npm run migrate`);
+    }
+    if (changed.length) console.error(`[BK] WARNING: applied migration(s) changed on disk: ${changed.map(m => m.version).join(', ')}`);
+    return;
   }
+  const ran = await migrateUp(pool);
+  console.log(ran.length ? `[BK] Applied ${ran.length} migration(s): ${ran.join(', ')}` : '[BK] Database schema is up to date');
 }
 
 /* ---------- DB helper functions ---------- */
@@ -292,11 +252,11 @@ async function findUserById(id) {
   return rows[0] || null;
 }
 
-async function createUser({ id, name, email, passHash, age, dob }) {
+async function createUser({ id, name, email, passHash, age, dob, guardianEmail = null, consentStatus = 'not_required' }) {
   await pool.query(
-    `INSERT INTO users (id, name, email, pass_hash, password_hash, age, dob)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-    [id, name, email, passHash, passHash, age, dob]
+    `INSERT INTO users (id, name, email, pass_hash, password_hash, age, dob, guardian_email, consent_status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [id, name, email, passHash, passHash, age, dob, guardianEmail, consentStatus]
   );
 }
 
@@ -365,12 +325,18 @@ async function getAnalysesByUser(userId) {
   return rows.map(r => ({
     id: r.id, candidateName: r.candidate_name, videoType: r.video_type,
     skillFocus: r.skill_focus, secondarySkills: r.secondary_skills,
+    skillId: r.skill_id || null, skillCategory: r.skill_category || null,
+    secondarySkillIds: r.secondary_skill_ids || [], requestedSkillId: r.requested_skill_id || null,
     sessionSummary: r.session_summary, currentLevel: r.current_level,
     technicalAnalysis: r.technical_analysis, improvementTips: r.improvement_tips,
     commonMistakesForPosition: r.common_mistakes, practiceProgression: r.practice_progression,
     youtubeRecommendations: r.youtube_recommendations,
     video_url: r.video_url, public_id: r.public_id, skill: r.skill,
-    raw: r.raw, created_at: r.created_at instanceof Date ? r.created_at.getTime() : Number(r.created_at) || Date.now(),
+    raw: r.raw, validation: r.validation || null, promptVersion: r.prompt_version || null,
+    trends: r.trends || null, clipId: r.clip_id || null,
+    trimStart: r.trim_start ?? null, trimEnd: r.trim_end ?? null,
+    contentHash: r.content_hash || null, model: r.model || null, planAdherence: r.plan_adherence || null,
+    created_at: r.created_at instanceof Date ? r.created_at.getTime() : Number(r.created_at) || Date.now(),
   }));
 }
 
@@ -383,163 +349,307 @@ async function getAnalysisById(userId, analysisId) {
   return {
     id: r.id, candidateName: r.candidate_name, videoType: r.video_type,
     skillFocus: r.skill_focus, secondarySkills: r.secondary_skills,
+    skillId: r.skill_id || null, skillCategory: r.skill_category || null,
+    secondarySkillIds: r.secondary_skill_ids || [], requestedSkillId: r.requested_skill_id || null,
     sessionSummary: r.session_summary, currentLevel: r.current_level,
     technicalAnalysis: r.technical_analysis, improvementTips: r.improvement_tips,
     commonMistakesForPosition: r.common_mistakes, practiceProgression: r.practice_progression,
     youtubeRecommendations: r.youtube_recommendations,
     video_url: r.video_url, public_id: r.public_id, skill: r.skill,
-    raw: r.raw, created_at: r.created_at instanceof Date ? r.created_at.getTime() : Number(r.created_at) || Date.now(),
+    raw: r.raw, validation: r.validation || null, promptVersion: r.prompt_version || null,
+    trends: r.trends || null, clipId: r.clip_id || null,
+    trimStart: r.trim_start ?? null, trimEnd: r.trim_end ?? null,
+    contentHash: r.content_hash || null, model: r.model || null, planAdherence: r.plan_adherence || null,
+    created_at: r.created_at instanceof Date ? r.created_at.getTime() : Number(r.created_at) || Date.now(),
   };
 }
 
+// The analysis, its biomechanics checkpoint rows, its usage_ledger row
+// (entitlements.js) and its owner's player_stats (player-stats.js) are written
+// in one transaction, so the aggregates always match the analyses table. The
+// player's last training plan for the skill is reviewed in the same
+// transaction (training-plans.js), so it is compared with exactly one analysis.
 async function insertAnalysis(userId, item) {
-  const doInsert = () => pool.query(
-    `INSERT INTO analyses (id, user_id, candidate_name, video_type, skill_focus, secondary_skills,
-       session_summary, current_level, technical_analysis, improvement_tips, common_mistakes,
-       practice_progression, youtube_recommendations, video_url, public_id, skill, raw)
-     VALUES ($1::uuid, $2::uuid, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
-    [item.id, userId, item.candidateName, item.videoType || 'training', item.skillFocus,
-     JSON.stringify(item.secondarySkills || []), item.sessionSummary, item.currentLevel,
-     JSON.stringify(item.technicalAnalysis || {}), JSON.stringify(item.improvementTips || []),
-     JSON.stringify(item.commonMistakesForPosition || []), JSON.stringify(item.practiceProgression || []),
-     JSON.stringify(item.youtubeRecommendations || []), item.video_url || null, item.public_id || null,
-     item.skill || null, JSON.stringify(item.raw || {})]
-  );
-
+  const owner = await findUserById(userId);
+  const client = await pool.connect();
   try {
-    await doInsert();
-    updatePlayerStats(userId, item).catch(e =>
-      console.error('[BK] updatePlayerStats failed:', e.message)
+    await client.query('BEGIN');
+    item.planAdherence = await reviewTrainingPlan(client, userId, item);
+    await client.query(
+      `INSERT INTO analyses (id, user_id, candidate_name, video_type, skill_focus, secondary_skills,
+         session_summary, current_level, technical_analysis, improvement_tips, common_mistakes,
+         practice_progression, youtube_recommendations, video_url, public_id, skill, raw, validation, prompt_version,
+         skill_id, skill_category, secondary_skill_ids, requested_skill_id, trends, clip_id, trim_start, trim_end,
+         content_hash, model, cache_key, plan_adherence)
+       VALUES ($1::uuid, $2::uuid, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+         $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31)`,
+      [item.id, userId, item.candidateName, item.videoType || 'training', item.skillFocus,
+       JSON.stringify(item.secondarySkills || []), item.sessionSummary, item.currentLevel,
+       JSON.stringify(item.technicalAnalysis || {}), JSON.stringify(item.improvementTips || []),
+       JSON.stringify(item.commonMistakesForPosition || []), JSON.stringify(item.practiceProgression || []),
+       JSON.stringify(item.youtubeRecommendations || []), item.video_url || null, item.public_id || null,
+       item.skill || null, JSON.stringify(item.raw || {}),
+       item.validation ? JSON.stringify(item.validation) : null, item.promptVersion || null,
+       item.skillId || null, item.skillCategory || null, JSON.stringify(item.secondarySkillIds || []),
+       item.requestedSkillId || null, item.trends ? JSON.stringify(item.trends) : null, item.clipId || null,
+       item.trimStart ?? null, item.trimEnd ?? null,
+       item.contentHash || null, item.model || null, item.cacheKey || null,
+       item.planAdherence ? JSON.stringify(item.planAdherence) : null]
     );
-  } catch (e) {
-    console.error('[BK] insertAnalysis first attempt failed:', e.message);
-    if (e.message.includes('does not exist') || e.message.includes('undefined column') || e.message.includes('not-null constraint') || e.message.includes('violates not')) {
-      console.log('[BK] Attempting to create/fix analyses table and retry...');
-      try {
-        await pool.query(`CREATE TABLE IF NOT EXISTS analyses (
-          id TEXT PRIMARY KEY, user_id TEXT NOT NULL, candidate_name TEXT,
-          video_type TEXT DEFAULT 'training', skill_focus TEXT,
-          secondary_skills JSONB DEFAULT '[]', session_summary TEXT, current_level TEXT,
-          technical_analysis JSONB DEFAULT '{}', improvement_tips JSONB DEFAULT '[]',
-          common_mistakes JSONB DEFAULT '[]', practice_progression JSONB DEFAULT '[]',
-          youtube_recommendations JSONB DEFAULT '[]', video_url TEXT, public_id TEXT,
-          skill TEXT, raw JSONB DEFAULT '{}',
-          created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT
-        )`);
-        const addCol = async (col, type) => {
-          try { await pool.query(`ALTER TABLE analyses ADD COLUMN IF NOT EXISTS ${col} ${type}`); } catch {}
-        };
-        await addCol('candidate_name', 'TEXT'); await addCol('video_type', "TEXT DEFAULT 'training'");
-        await addCol('skill_focus', 'TEXT'); await addCol('secondary_skills', "JSONB DEFAULT '[]'");
-        await addCol('session_summary', 'TEXT'); await addCol('current_level', 'TEXT');
-        await addCol('technical_analysis', "JSONB DEFAULT '{}'"); await addCol('improvement_tips', "JSONB DEFAULT '[]'");
-        await addCol('common_mistakes', "JSONB DEFAULT '[]'"); await addCol('practice_progression', "JSONB DEFAULT '[]'");
-        await addCol('youtube_recommendations', "JSONB DEFAULT '[]'"); await addCol('video_url', 'TEXT');
-        await addCol('public_id', 'TEXT'); await addCol('skill', 'TEXT'); await addCol('raw', "JSONB DEFAULT '{}'");
-        // Fix legacy NOT NULL constraints
-        try { await pool.query(`ALTER TABLE analyses ALTER COLUMN analysis_data DROP NOT NULL`); } catch {}
-        try { await pool.query(`ALTER TABLE analyses ALTER COLUMN analysis_data SET DEFAULT '{}'::jsonb`); } catch {}
-        await doInsert();
-        updatePlayerStats(userId, item).catch(e =>
-          console.error('[BK] updatePlayerStats failed:', e.message)
-        );
-        console.log('[BK] Retry succeeded after table fix');
-      } catch (retryErr) {
-        console.error('[BK] insertAnalysis retry also failed:', retryErr.message);
-        throw retryErr;
-      }
-    } else {
-      throw e;
+    const checkpoints = extractCheckpointScores(item.raw?.biomechanicalChecklist, CHECKPOINT_FAMILIES[item.skillCategory]);
+    for (const c of checkpoints) {
+      await client.query(
+        `INSERT INTO analysis_checkpoints (analysis_id, user_id, checkpoint, family, score, note, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT DO NOTHING`,
+        [item.id, userId, c.checkpoint, c.family, c.score, c.note, item.created_at || Date.now()]
+      );
     }
+    await recordAnalysisUsage(client, userId, item.id, {
+      isAdmin: isAdminUser(owner), prices: PLAN_PRICES, at: item.created_at || Date.now(),
+    });
+    await recomputePlayerStats(client, userId);
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
   }
 }
 
-async function updatePlayerStats(userId, item) {
+async function deleteAnalysis(userId, analysisId) {
+  let client;
   try {
-    const now = Date.now();
-    const ts = item.created_at || now;
-    const d = new Date(ts);
-    const monthKey = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rowCount } = await client.query(
+      'DELETE FROM analyses WHERE id = $1 AND user_id = $2', [analysisId, userId]
+    );
+    if (rowCount) {
+      await client.query('DELETE FROM analysis_checkpoints WHERE analysis_id = $1', [analysisId]);
+      await client.query('DELETE FROM analysis_moments WHERE analysis_id = $1', [analysisId]);
+      await detachAnalysisFromPlans(client, userId, analysisId);
+      await recomputePlayerStats(client, userId);
+    }
+    await client.query('COMMIT');
+    if (rowCount) fs.rmSync(momentsDir(userId, analysisId), { recursive: true, force: true });
+    return rowCount > 0;
+  } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client?.release();
+  }
+}
 
-    const primarySkill = item.skillFocus || null;
-    const secondary = Array.isArray(item.secondarySkills) ? item.secondarySkills.filter(Boolean) : [];
-    const allSkills = primarySkill ? [primarySkill, ...secondary] : secondary;
-    const level = item.currentLevel || null;
+// Trends against the player's earlier analyses of the same skill (trends.js).
+// An analysis whose skill could not be identified has nothing to compare with.
+async function computeAnalysisTrends(userId, item) {
+  if (!item.skillId && !item.skillFocus) return { comparedSessions: 0, items: [] };
+  const history = await loadTrendHistory(pool, userId, {
+    skillId: item.skillId || null,
+    skillFocus: item.skillId ? null : item.skillFocus,
+    before: item.created_at,
+    excludeId: item.id,
+  });
+  return trendsAgainstHistory(item.raw, history);
+}
 
-    const { rows } = await pool.query('SELECT * FROM player_stats WHERE user_id = $1', [userId]);
-    const existing = rows[0] || null;
+function momentsDir(userId, analysisId) {
+  return path.join(MEDIA_DIR, 'moments', String(userId), String(analysisId));
+}
 
-    const skillFreq     = existing?.skill_frequency   || {};
-    const skillLevels   = existing?.skill_levels      || {};
-    const skillLastSeen = existing?.skill_last_seen   || {};
-    const monthlyAct    = existing?.monthly_activity  || {};
+// Parses the analysis's keyMoments, checks them against the clip duration and
+// grabs a frame for each one (key-moments.js). Frames are best effort: without
+// ffmpeg, or for a clip ffmpeg cannot read, the moments are stored without them.
+// `window` is the part of the clip the model actually saw (videoWindow):
+// moments are checked against it, then shifted by the trim start so they land
+// on the full clip's timeline. Frames come from the preprocessed file when
+// there is one, otherwise from the original at the shifted time.
+async function captureKeyMoments(userId, item, { videoUrl, videoData, videoFile, publicId }, window = null) {
+  const duration = window ? window.duration : await getClipDuration(userId, { clipId: item.clipId, videoUrl, publicId });
+  const moments = normalizeKeyMoments(item.raw?.keyMoments, { duration });
+  const offset = window?.trimStart || 0;
+  if (moments.some(m => m.status === 'ok') && await isFfmpegAvailable()) {
+    await withVideoInput(window?.path ? { videoFile: { path: window.path } } : { videoUrl, videoData, videoFile }, input =>
+      extractMomentFrames(input, moments, momentsDir(userId, item.id), { offset: window?.path ? 0 : offset }));
+  }
+  for (const m of moments) {
+    if (m.seconds !== null) m.seconds = Math.round((m.seconds + offset) * 10) / 10;
+    if (m.endSeconds !== null) m.endSeconds = Math.round((m.endSeconds + offset) * 10) / 10;
+  }
+  await storeKeyMoments(pool, {
+    analysisId: item.id, userId, duration: window ? window.sourceDuration : duration, moments, createdAt: item.created_at,
+  });
+  return moments;
+}
 
-    for (const sk of allSkills) {
-      if (!sk) continue;
-      skillFreq[sk] = (skillFreq[sk] || 0) + 1;
-    }
-    if (primarySkill && level) skillLevels[primarySkill] = level;
-    if (primarySkill) skillLastSeen[primarySkill] = ts;
+// The slice of the clip a preprocessed file covers, in the shape
+// captureKeyMoments and provider_files use.
+function videoWindow(prepared) {
+  return {
+    path: prepared.path,
+    duration: prepared.output.duration,
+    sourceDuration: prepared.source.duration,
+    trimStart: prepared.trimStart,
+    trimEnd: prepared.trimEnd,
+  };
+}
 
-    if (!monthlyAct[monthKey]) monthlyAct[monthKey] = { sessions: 0, skills: [] };
-    monthlyAct[monthKey].sessions += 1;
-    if (primarySkill && !monthlyAct[monthKey].skills.includes(primarySkill)) {
-      monthlyAct[monthKey].skills.push(primarySkill);
-    }
+// Every clip is probed and re-encoded (ffmpeg.js preprocessVideo) before it goes
+// to the AI provider: a small canonical mp4 of just the requested window, and
+// the probe recorded on the clip row. Without ffmpeg the original is sent as is.
+async function prepareJobVideo(userId, payload, clip, videoFile) {
+  if (!await isFfmpegAvailable()) {
+    if (payload.trimStart || payload.trimEnd) throw new Error('Trimming is not available right now. Analyze the full clip instead.');
+    return null;
+  }
+  return withVideoInput({ videoUrl: payload.videoUrl, videoData: payload.videoData, videoFile }, async (input) => {
+    const prepared = await preprocessVideo(input, {
+      trimStart: payload.trimStart, trimEnd: payload.trimEnd, maxDuration: payload.maxClipSeconds || MAX_CLIP_SECONDS,
+    });
+    const target = clip || await findClip(userId, { videoUrl: payload.videoUrl, publicId: payload.publicId });
+    if (target) await recordClipProbe(target.id, prepared.source);
+    const { source, output } = prepared;
+    console.log(`[BK] Preprocessed clip: ${source.format}/${source.videoCodec} ${source.width}x${source.height}@${source.fps} ${source.duration}s -> ${output.width}x${output.height}@${output.fps} ${output.duration}s`);
+    return prepared;
+  });
+}
 
-    const totalAnalyses = (existing?.total_analyses || 0) + 1;
+/* ---------- Analysis cache ---------- */
+// Asking again for the same clip content, prompt version, requested skill and
+// trim window returns the player's stored analysis as long as the model that
+// wrote it is still one we run. A cached hit adds no analyses row and no usage,
+// so it never counts against the plan's quota; `force` skips the lookup.
+// Clips already uploaded to the AI provider are reused until their file expires
+// there (Gemini keeps uploads for 48 hours).
+const PROVIDER_FILE_TTL_MS = 47 * 60 * 60 * 1000;
+const PROVIDER_FILE_MARGIN_MS = 10 * 60 * 1000;
+
+function requestedSkillKey(skill) {
+  return normalizeSkill(skill)?.id || String(skill || '').trim().toLowerCase();
+}
 
-    await pool.query(
-      `INSERT INTO player_stats
-         (user_id, total_analyses, skill_frequency, skill_levels, skill_last_seen,
-          monthly_activity, last_analysis_at, updated_at)
-       VALUES ($1, $2, $3::jsonb, $4::jsonb, $5::jsonb, $6::jsonb, $7, $8)
-       ON CONFLICT (user_id) DO UPDATE SET
-         total_analyses   = $2,
-         skill_frequency  = $3::jsonb,
-         skill_levels     = $4::jsonb,
-         skill_last_seen  = $5::jsonb,
-         monthly_activity = $6::jsonb,
-         last_analysis_at = $7,
-         updated_at       = $8`,
-      [userId, totalAnalyses,
-       JSON.stringify(skillFreq), JSON.stringify(skillLevels),
-       JSON.stringify(skillLastSeen), JSON.stringify(monthlyAct),
-       ts, now]
-    );
-    console.log(`[BK] updatePlayerStats OK for user ${userId} - total: ${totalAnalyses}`);
-  } catch (e) {
-    console.error('[BK] updatePlayerStats error (non-fatal):', e.message);
-  }
+function analysisCacheKey({ contentHash, promptVersion, skill, trimStart, trimEnd }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([contentHash, promptVersion, requestedSkillKey(skill), trimStart || 0, trimEnd ?? null]))
+    .digest('hex');
 }
 
-async function deleteAnalysis(userId, analysisId) {
-  const { rowCount } = await pool.query(
-    'DELETE FROM analyses WHERE id = $1 AND user_id = $2', [analysisId, userId]
+// sha256 of a base64 data URI clip, as uploads record for stored clips.
+function hashVideoData(videoData) {
+  const match = typeof videoData === 'string' && videoData.match(/^data:video\/[\w.+-]+;base64,(.+)$/);
+  return match ? crypto.createHash('sha256').update(Buffer.from(match[1], 'base64')).digest('hex') : null;
+}
+
+async function findCachedAnalysis(userId, { contentHash, skill, trimStart, trimEnd }) {
+  if (!contentHash || !aiProvider) return null;
+  const version = await getActivePromptVersion(TRAINING_PROMPT);
+  if (!version) return null;
+  const cacheKey = analysisCacheKey({ contentHash, promptVersion: `${TRAINING_PROMPT}@${version}`, skill, trimStart, trimEnd });
+  const { rows } = await pool.query(
+    `SELECT id FROM analyses
+     WHERE user_id = $1 AND cache_key = $2 AND model = ANY($3)
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId, cacheKey, aiProvider.models]
   );
-  return rowCount > 0;
+  return rows[0] ? getAnalysisById(userId, rows[0].id) : null;
+}
+
+// Earlier analyses of the same clip content, whatever they were asked for.
+async function findAnalysesOfContent(userId, contentHash, limit = 5) {
+  if (!contentHash) return [];
+  const { rows } = await pool.query(
+    `SELECT id, skill_id, skill_focus, prompt_version, model, created_at FROM analyses
+     WHERE user_id = $1 AND content_hash = $2
+     ORDER BY created_at DESC LIMIT $3`,
+    [userId, contentHash, limit]
+  );
+  return rows.map(r => ({
+    id: r.id,
+    skillLabel: skillLabel(r.skill_id, r.skill_focus),
+    promptVersion: r.prompt_version || null,
+    model: r.model || null,
+    createdAt: Number(r.created_at),
+  }));
+}
+
+function providerFileKey(contentHash, { trimStart, trimEnd }) {
+  return `${aiProvider.name}:${contentHash}:${trimStart || 0}-${trimEnd ?? ''}`;
 }
 
-async function getAnalysisCount(userId) {
+// -> { file, window } for a still-usable upload of the same clip window, else null.
+async function findProviderFile(userId, videoKey) {
+  const { rows } = await pool.query(
+    'SELECT * FROM provider_files WHERE user_id = $1 AND video_key = $2 AND expires_at > $3',
+    [userId, videoKey, Date.now() + PROVIDER_FILE_MARGIN_MS]
+  );
+  const row = rows[0];
+  if (!row) return null;
   try {
-    const { rows } = await pool.query(
-      'SELECT COUNT(*) as count FROM analyses WHERE user_id = $1', [userId]
-    );
-    return parseInt(rows[0].count, 10);
+    const file = await aiProvider.getFile(row.name);
+    if (file?.state === 'ACTIVE') {
+      return {
+        file,
+        window: row.duration ? {
+          duration: row.duration, sourceDuration: row.source_duration, trimStart: row.trim_start, trimEnd: row.trim_end,
+        } : null,
+      };
+    }
   } catch (e) {
-    console.error('[BK] getAnalysisCount error (table may not exist yet):', e.message);
-    return 0;
+    console.log(`[BK] ${aiProvider.name} file ${row.name} no longer usable: ${e.message}`);
   }
+  await pool.query('DELETE FROM provider_files WHERE user_id = $1 AND video_key = $2', [userId, videoKey]);
+  return null;
+}
+
+async function recordProviderFile(userId, videoKey, file, window) {
+  const now = Date.now();
+  await pool.query(
+    `INSERT INTO provider_files (user_id, video_key, provider, name, uri, mime_type,
+       trim_start, trim_end, duration, source_duration, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     ON CONFLICT (user_id, video_key) DO UPDATE SET
+       provider = EXCLUDED.provider, name = EXCLUDED.name, uri = EXCLUDED.uri, mime_type = EXCLUDED.mime_type,
+       trim_start = EXCLUDED.trim_start, trim_end = EXCLUDED.trim_end, duration = EXCLUDED.duration,
+       source_duration = EXCLUDED.source_duration, expires_at = EXCLUDED.expires_at, created_at = EXCLUDED.created_at`,
+    [userId, videoKey, aiProvider.name, file.name, file.uri, file.mimeType || null,
+     window?.trimStart ?? null, window?.trimEnd ?? null, window?.duration ?? null, window?.sourceDuration ?? null,
+     Date.parse(file.expirationTime) || now + PROVIDER_FILE_TTL_MS, now]
+  );
+}
+
+async function insertClip(userId, clip, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO clips (user_id, url, public_id, created_at, bytes, duration, width, height, format,
+       storage_backend, storage_key, sha256, content_type, filename, upload_id,
+       video_codec, audio_codec, fps, probed_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19) RETURNING id`,
+    [userId, clip.url, clip.public_id, clip.created_at, clip.bytes, clip.duration, clip.width, clip.height, clip.format,
+     clip.storage_backend || null, clip.storage_key || null, clip.sha256 || null, clip.content_type || null,
+     clip.filename || null, clip.upload_id || null,
+     clip.video_codec || null, clip.audio_codec || null, clip.fps || null, clip.probed_at || null]
+  );
+  return rows[0].id;
 }
 
-async function insertClip(userId, clip) {
+// Probed metadata (ffmpeg.js probeVideo) replaces whatever the client reported.
+async function recordClipProbe(clipId, probe) {
   await pool.query(
-    `INSERT INTO clips (user_id, url, public_id, created_at, bytes, duration, width, height, format)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
-    [userId, clip.url, clip.public_id, clip.created_at, clip.bytes, clip.duration, clip.width, clip.height, clip.format]
+    `UPDATE clips SET duration = $1, width = $2, height = $3, format = $4,
+       video_codec = $5, audio_codec = $6, fps = $7, probed_at = $8
+     WHERE id = $9`,
+    [probe.duration, probe.width, probe.height, probe.format,
+     probe.videoCodec, probe.audioCodec, probe.fps, Date.now(), clipId]
   );
 }
 
+async function getClipById(userId, clipId) {
+  if (!/^\d+$/.test(String(clipId))) return null;
+  const { rows } = await pool.query('SELECT * FROM clips WHERE id = $1 AND user_id = $2', [Number(clipId), userId]);
+  return rows[0] || null;
+}
+
 async function getClipCount(userId) {
   const { rows } = await pool.query(
     'SELECT COUNT(*) as count FROM clips WHERE user_id = $1', [userId]
@@ -547,6 +657,31 @@ async function getClipCount(userId) {
   return parseInt(rows[0].count, 10);
 }
 
+// The clip an analysis was run on: the uploaded clip when there is one,
+// otherwise the latest POST /api/clip row for the same URL.
+async function findClip(userId, { clipId, videoUrl, publicId }) {
+  if (clipId) return getClipById(userId, clipId);
+  if (!videoUrl && !publicId) return null;
+  const { rows } = await pool.query(
+    `SELECT * FROM clips
+     WHERE user_id = $1 AND (($2::text IS NOT NULL AND public_id = $2) OR ($3::text IS NOT NULL AND url = $3))
+     ORDER BY id DESC LIMIT 1`,
+    [userId, publicId || null, videoUrl || null]
+  );
+  return rows[0] || null;
+}
+
+async function getClipDuration(userId, ref) {
+  return Number((await findClip(userId, ref))?.duration) || null;
+}
+
+// For user-supplied text placed into email HTML.
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+  ));
+}
+
 function toMs(value) {
   if (!value) return 0;
   if (value instanceof Date) return value.getTime();
@@ -559,132 +694,359 @@ function toMs(value) {
   return Number.isNaN(parsed) ? 0 : parsed;
 }
 
-/* ---------- Token Blacklist ---------- */
-const tokenBlacklist = new Set();
+/* ---------- Audit log ---------- */
+// Security-relevant events (password resets, session revocation, account changes).
+// Never throws: a failed audit write is logged, not surfaced to the user.
+async function recordAudit({ userId = null, actorId = null, action, req = null, metadata = {} }) {
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (id, user_id, actor_id, action, ip, user_agent, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [uuidv4(), userId, actorId ?? userId, action, req?.ip || null,
+       req ? String(req.headers['user-agent'] || '').slice(0, 300) || null : null,
+       JSON.stringify(metadata), Date.now()]
+    );
+  } catch (e) {
+    console.error(`[BK] audit ${action} failed:`, e.message);
+  }
+}
+
+/* ---------- Auth & sessions ---------- */
+// Access tokens are short-lived JWTs carrying the session id (sid). The refresh
+// token is "<sessionId>.<secret>" and only sha256(secret) is stored; every
+// refresh rotates the secret, and replaying an already-rotated one revokes the
+// session. Tokens issued before sessions existed have no sid and are revoked
+// through revoked_tokens / users.tokens_valid_after until they expire.
+const ACCESS_TOKEN_TTL_SEC = Number(process.env.ACCESS_TOKEN_TTL_SEC) || 15 * 60;
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const REFRESH_REUSE_GRACE_MS = 30 * 1000; // two tabs refreshing at once is not theft
+const AUTH_PRUNE_MS = 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+function issueTokens(user, sessionId, secret) {
+  return {
+    token: jwt.sign(
+      { sub: user.id, email: user.email, name: user.name, sid: sessionId },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_SEC },
+    ),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SEC,
+  };
+}
+
+function sessionClientInfo(req) {
+  return {
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 300) || null,
+    ip: req.ip || null,
+  };
+}
+
+async function createSession(user, req) {
+  const id = uuidv4();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const { userAgent, ip } = sessionClientInfo(req);
+  await pool.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_hash, user_agent, ip, created_at, last_used_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $6, $7)`,
+    [id, user.id, sha256(secret), userAgent, ip, now, now + REFRESH_TOKEN_TTL_MS]
+  );
+  return issueTokens(user, id, secret);
+}
+
+// Returns new tokens, or { error, stale? } when the refresh token is not usable.
+async function rotateSession(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) return { error: 'Invalid refresh token' };
 
-function auth(req, res, next) {
+  const client = await pool.connect();
   try {
-    const h = req.headers.authorization || '';
-    const token = h.startsWith('Bearer ') ? h.slice(7) : null;
-    if (!token) return res.status(401).json({ ok: false, error: 'Missing token' });
-    
-    // Check if token is blacklisted
-    if (tokenBlacklist.has(token)) {
-      return res.status(401).json({ ok: false, error: 'Token has been invalidated' });
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM user_sessions WHERE id = $1 FOR UPDATE', [sessionId]);
+    const session = rows[0];
+    const now = Date.now();
+    const hash = sha256(secret);
+
+    if (!session || session.revoked_at) {
+      await client.query('ROLLBACK');
+      return { error: 'Session has been revoked' };
     }
-    
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.userId = payload.sub;
-    req.token = token; // Store token for logout
-    next();
-  } catch {
-    res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-}
-
-/* ---------- Gemini AI client ---------- */
-const genAI       = GEMINI_KEY ? new GoogleGenerativeAI(GEMINI_KEY) : null;
-const fileManager = GEMINI_KEY ? new GoogleAIFileManager(GEMINI_KEY) : null;
-const GEMINI_MODELS = ['gemini-3-flash-preview', 'gemini-3.1-flash-lite-preview', 'gemini-2.5-flash'];
-
-function getGeminiErrorText(err) {
-  return String(err?.message || err?.error || err || '');
-}
-
-function isGeminiRetryable(err) {
-  const text = getGeminiErrorText(err).toLowerCase();
-  return err?.status === 429 || err?.status === 503 ||
-    text.includes('429') ||
-    text.includes('resource exhausted') ||
-    text.includes('quota') ||
-    text.includes('temporarily unavailable') ||
-    text.includes('deadline exceeded') ||
-    text.includes('503');
-}
-
-async function generateGeminiContent(contentParts, label = 'request') {
-  let lastErr = null;
-  for (const modelName of GEMINI_MODELS) {
-    const model = genAI.getGenerativeModel({ model: modelName });
-    const maxRetries = 3;
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const result = await model.generateContent(contentParts);
-        return { result, modelName };
-      } catch (err) {
-        lastErr = err;
-        const retryable = isGeminiRetryable(err);
-        if (!retryable || attempt === maxRetries) break;
-        const waitMs = Math.min(30000, 4000 * attempt);
-        console.log(`[BK] Gemini ${label} retry (${modelName}) ${attempt}/${maxRetries} in ${Math.round(waitMs / 1000)}s: ${getGeminiErrorText(err)}`);
-        await new Promise(r => setTimeout(r, waitMs));
+    if (Number(session.expires_at) < now) {
+      await client.query('ROLLBACK');
+      return { error: 'Session expired' };
+    }
+    if (hash !== session.refresh_hash) {
+      if (hash !== session.previous_hash) {
+        await client.query('ROLLBACK');
+        return { error: 'Invalid refresh token' };
+      }
+      if (now - Number(session.rotated_at) < REFRESH_REUSE_GRACE_MS) {
+        await client.query('ROLLBACK');
+        return { error: 'Refresh token already rotated', stale: true };
       }
+      await client.query(
+        `UPDATE user_sessions SET revoked_at = $2, revoked_reason = 'refresh_reuse' WHERE id = $1`,
+        [sessionId, now]
+      );
+      await client.query('COMMIT');
+      console.warn(`[BK] Refresh token reuse on session ${sessionId} (user ${session.user_id}); session revoked`);
+      return { error: 'Session has been revoked' };
+    }
+
+    const { rows: users } = await client.query('SELECT id, name, email FROM users WHERE id = $1', [session.user_id]);
+    if (!users[0]) {
+      await client.query('ROLLBACK');
+      return { error: 'User not found' };
     }
-    console.log(`[BK] Gemini model fallback: ${modelName} failed, trying next model...`);
+
+    const next = crypto.randomBytes(32).toString('base64url');
+    const { userAgent, ip } = sessionClientInfo(req);
+    await client.query(
+      `UPDATE user_sessions
+       SET refresh_hash = $2, previous_hash = $3, rotated_at = $4, last_used_at = $4, expires_at = $5,
+           user_agent = COALESCE($6, user_agent), ip = COALESCE($7, ip)
+       WHERE id = $1`,
+      [sessionId, sha256(next), session.refresh_hash, now, now + REFRESH_TOKEN_TTL_MS, userAgent, ip]
+    );
+    await client.query('COMMIT');
+    return issueTokens(users[0], sessionId, next);
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
   }
-  throw lastErr || new Error('Gemini request failed');
 }
 
-/* ---------- Video helpers for Gemini ---------- */
-function detectMimeType(url) {
-  if (url.match(/\.mov(\?|$)/i))  return 'video/mov';
-  if (url.match(/\.webm(\?|$)/i)) return 'video/webm';
-  if (url.match(/\.avi(\?|$)/i))  return 'video/avi';
-  return 'video/mp4';
+async function revokeSessions(userId, { sessionId = null, reason = 'logout', db = pool } = {}) {
+  const { rowCount } = await db.query(
+    `UPDATE user_sessions SET revoked_at = $3, revoked_reason = $4
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::text IS NULL OR id = $2)`,
+    [userId, sessionId, Date.now(), reason]
+  );
+  return rowCount;
+}
+
+async function pruneAuthState() {
+  const now = Date.now();
+  try {
+    await pool.query('DELETE FROM revoked_tokens WHERE expires_at < $1', [now]);
+    await pool.query(
+      'DELETE FROM user_sessions WHERE expires_at < $1 OR revoked_at < $1',
+      [now - REFRESH_TOKEN_TTL_MS]
+    );
+    await pool.query('DELETE FROM password_resets WHERE expires_at < $1', [now - 24 * 60 * 60 * 1000]);
+  } catch (e) {
+    console.error('[BK] Auth prune failed:', e.message);
+  }
 }
 
-async function uploadVideoToGemini(videoUrl, videoData) {
-  const tmpPath = path.join(os.tmpdir(), `bk-${Date.now()}.mp4`);
-  let mimeType = 'video/mp4';
+async function auth(req, res, next) {
+  const h = req.headers.authorization || '';
+  const token = h.startsWith('Bearer ') ? h.slice(7) : null;
+  if (!token) return res.status(401).json({ ok: false, error: 'Missing token' });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return res.status(401).json({ ok: false, error: 'Invalid token' });
+  }
 
   try {
-    if (videoData && videoData.startsWith('data:video/')) {
-      // Base64 video from local upload
-      const match = videoData.match(/^data:(video\/[^;]+);base64,(.+)$/);
-      if (!match) throw new Error('Invalid base64 video data');
-      mimeType = match[1];
-      fs.writeFileSync(tmpPath, Buffer.from(match[2], 'base64'));
-      console.log(`[BK] Wrote local video to temp file (${mimeType})`);
-    } else if (videoUrl) {
-      // Download from URL (Cloudinary or direct)
-      mimeType = detectMimeType(videoUrl);
-      console.log(`[BK] Downloading video from URL (${mimeType})...`);
-      const resp = await fetch(videoUrl);
-      if (!resp.ok) throw new Error(`Failed to download video: ${resp.status}`);
-      const buffer = Buffer.from(await resp.arrayBuffer());
-      fs.writeFileSync(tmpPath, buffer);
-      console.log(`[BK] Downloaded video: ${Math.round(buffer.length / 1024)}KB`);
+    if (payload.sid) {
+      const { rows } = await pool.query(
+        'SELECT revoked_at FROM user_sessions WHERE id = $1 AND user_id = $2',
+        [payload.sid, payload.sub]
+      );
+      if (!rows[0] || rows[0].revoked_at) {
+        return res.status(401).json({ ok: false, error: 'Session has been revoked' });
+      }
     } else {
-      throw new Error('No video URL or data provided');
+      const { rows } = await pool.query(
+        `SELECT EXISTS (SELECT 1 FROM revoked_tokens WHERE token_hash = $1) AS revoked,
+                (SELECT tokens_valid_after FROM users WHERE id = $2) AS valid_after`,
+        [sha256(token), payload.sub]
+      );
+      const { revoked, valid_after } = rows[0];
+      if (revoked || (valid_after && payload.iat * 1000 < Number(valid_after))) {
+        return res.status(401).json({ ok: false, error: 'Token has been invalidated' });
+      }
     }
+  } catch (e) {
+    console.error('[BK] auth session check failed:', e.message);
+    return res.status(500).json({ ok: false, error: 'Server error' });
+  }
 
-    // Upload to Gemini File API
-    console.log('[BK] Uploading video to Gemini...');
-    const uploadResult = await fileManager.uploadFile(tmpPath, {
-      mimeType,
-      displayName: `training-${Date.now()}`,
-    });
+  req.userId = payload.sub;
+  req.sessionId = payload.sid || null;
+  req.token = token;
+  req.tokenExp = payload.exp;
+  next();
+}
 
-    // Wait for Gemini to finish processing the video
-    let file = uploadResult.file;
-    console.log(`[BK] Gemini file state: ${file.state}`);
-    while (file.state === 'PROCESSING') {
-      await new Promise(r => setTimeout(r, 2000));
-      file = await fileManager.getFile(file.name);
-      console.log(`[BK] Gemini file state: ${file.state}`);
+async function requireAdmin(req, res, next) {
+  try {
+    const currentUser = await findUserById(req.userId);
+    if (!ADMIN_EMAILS.includes(currentUser?.email?.toLowerCase())) {
+      return res.status(403).json({ ok: false, error: 'Admin access required' });
     }
-    if (file.state === 'FAILED') {
-      throw new Error('Gemini could not process the video file.');
+    req.adminEmail = currentUser.email;
+    next();
+  } catch (e) {
+    console.error('[BK] requireAdmin error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+}
+
+/* ---------- Plans ---------- */
+function isAdminUser(user) {
+  return ADMIN_EMAILS.includes(user?.email?.toLowerCase());
+}
+
+// Plan, quota, clip limit and features for one user (entitlements.js).
+async function entitlementsFor(user) {
+  return getEntitlements(pool, user, { isAdmin: isAdminUser(user), prices: PLAN_PRICES });
+}
+
+// Gates a route on a plan feature (plans.js FEATURES).
+function requireFeature(feature) {
+  return async (req, res, next) => {
+    try {
+      const user = await findUserById(req.userId);
+      if (!user) return res.status(401).json({ ok: false, error: 'Not signed in' });
+      const entitlements = await entitlementsFor(user);
+      if (!entitlements.features[feature]) {
+        const plan = Object.values(PLANS).find(p => p.features[feature]);
+        return res.status(403).json({
+          ok: false,
+          error: `This needs the ${plan?.name || 'Pro'} plan or higher.`,
+          upgradeRequired: true,
+          feature,
+          plan: entitlements.plan,
+        });
+      }
+      req.entitlements = entitlements;
+      next();
+    } catch (e) {
+      console.error('[BK] requireFeature error:', e.message);
+      res.status(500).json({ ok: false, error: 'Server error' });
     }
+  };
+}
 
-    console.log(`[BK] Video ready: ${file.uri}`);
-    return file;
-  } finally {
-    // Clean up temp file
-    if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+/* ---------- Player access (teams) ---------- */
+// Player data routes accept ?playerId=<userId>. Owners and coaches of a team the
+// player is on, a parent linked to that player, and a guardian who consented for
+// the player may read it; only the player may change or delete it.
+async function getPlayerAccessRole(viewerId, playerId) {
+  if (viewerId === playerId) return 'self';
+  const { rows: guardian } = await pool.query(
+    `SELECT 1 FROM guardian_consents WHERE user_id = $1 AND guardian_user_id = $2 AND status = 'granted' LIMIT 1`,
+    [playerId, viewerId]
+  );
+  if (guardian.length) return 'guardian';
+  const { rows } = await pool.query(
+    `SELECT viewer.role FROM team_members viewer
+     JOIN team_members target
+       ON target.team_id = viewer.team_id AND target.user_id = $2 AND target.role = 'player'
+     WHERE viewer.user_id = $1
+       AND (viewer.role IN ('owner', 'coach') OR (viewer.role = 'parent' AND viewer.player_id = $2))
+     ORDER BY CASE viewer.role WHEN 'owner' THEN 0 WHEN 'coach' THEN 1 ELSE 2 END
+     LIMIT 1`,
+    [viewerId, playerId]
+  );
+  return rows[0]?.role || null;
+}
+
+async function playerScope(req, res, next) {
+  const requested = String(req.query.playerId || '').trim();
+  if (!requested || requested === req.userId) {
+    req.playerId = req.userId;
+    req.playerRole = 'self';
+    return next();
+  }
+  try {
+    const role = await getPlayerAccessRole(req.userId, requested);
+    if (!role) return res.status(403).json({ ok: false, error: 'You do not have access to this player' });
+    req.playerId = requested;
+    req.playerRole = role;
+    next();
+  } catch (e) {
+    console.error('[BK] playerScope error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+}
+
+// Minors awaiting (or refused) guardian consent can sign in and look around, but
+// cannot upload video, start analyses, pay or join teams.
+async function requireConsent(req, res, next) {
+  try {
+    const { rows } = await pool.query('SELECT consent_status FROM users WHERE id = $1', [req.userId]);
+    const status = rows[0]?.consent_status;
+    if (['pending', 'declined', 'revoked'].includes(status)) {
+      return res.status(403).json({
+        ok: false,
+        error: status === 'pending'
+          ? 'A parent or guardian needs to approve your account first. Check their inbox for our email.'
+          : 'Your parent or guardian has not approved this account.',
+        consentRequired: true,
+        consentStatus: status,
+      });
+    }
+    next();
+  } catch (e) {
+    console.error('[BK] requireConsent error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+}
+
+function selfOnly(req, res, next) {
+  const requested = String(req.query.playerId || '').trim();
+  if (requested && requested !== req.userId) {
+    return res.status(403).json({ ok: false, error: 'Coaches and parents can view player data but not change it' });
+  }
+  next();
+}
+
+/* ---------- Prompt registry ---------- */
+const promptRegistry = loadPromptRegistry(path.join(__dirname, 'prompts'));
+
+// Pinned version from prompt_settings, else the newest file on disk.
+async function getActivePromptVersion(name) {
+  try {
+    const { rows } = await pool.query('SELECT active_version FROM prompt_settings WHERE name = $1', [name]);
+    const pinned = rows[0]?.active_version;
+    if (pinned && promptRegistry.get(name, pinned)) return pinned;
+    if (pinned) console.error(`[BK] Pinned prompt ${name}@${pinned} not found on disk, using latest`);
+  } catch (e) {
+    console.error('[BK] getActivePromptVersion error (using latest):', e.message);
   }
+  return promptRegistry.latest(name)?.version || null;
+}
+
+async function renderActivePrompt(name, vars) {
+  const version = await getActivePromptVersion(name);
+  if (!version) throw new Error(`No prompt templates found for ${name}`);
+  return { text: promptRegistry.render(name, version, vars), id: `${name}@${version}` };
 }
 
+/* ---------- AI provider (Gemini, or canned fixtures offline) ---------- */
+const aiProvider = createAIProvider({
+  provider: process.env.AI_PROVIDER,
+  geminiKey: GEMINI_KEY,
+  fixtureDir: process.env.AI_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'ai'),
+});
+const AI_NOT_CONFIGURED = 'AI provider not configured. Set GEMINI_API_KEY, or AI_PROVIDER=fixture for offline runs.';
+
+const { generateGeminiContent, runTextAnalysisForTraining } = createTrainingAnalyzer({
+  provider: aiProvider,
+  renderPrompt: renderActivePrompt,
+  notConfiguredMessage: AI_NOT_CONFIGURED,
+});
+
 /* ---------- Misc ---------- */
 app.get('/', (_req, res) => res.sendFile(path.join(__dirname, 'index.html')));
 
@@ -697,7 +1059,8 @@ async function buildHealthPayload() {
       service: 'ball-knowledge-api',
       uptimeSec: Number(process.uptime().toFixed(1)),
       db: 'up',
-      geminiConfigured: !!genAI,
+      aiProvider: aiProvider?.name || null,
+      geminiConfigured: aiProvider?.name === 'gemini',
       stripeConfigured: !!STRIPE_SECRET,
       resendConfigured: !!RESEND_KEY,
       checkedInMs: Date.now() - startedAt,
@@ -735,13 +1098,12 @@ app.get('/api/test', (_req, res) =>
   res.json({ ok: true, message: 'Test route working!', timestamp: new Date().toISOString() }),
 );
 
-app.post('/api/test-ai', async (req, res) => {
+app.post('/api/test-ai', limits.publicAi, async (req, res) => {
   try {
-    if (!genAI) {
-      return res.status(400).json({ ok: false, error: 'Gemini API key not configured' });
+    if (!aiProvider) {
+      return res.status(400).json({ ok: false, error: AI_NOT_CONFIGURED });
     }
-    const { result, modelName } = await generateGeminiContent('Give me one quick soccer training tip in 2 sentences.', 'test-ai');
-    const message = result.response.text();
+    const { text: message, modelName } = await generateGeminiContent('Give me one quick soccer training tip in 2 sentences.', 'test-ai');
     res.json({ ok: true, message, model: modelName });
   } catch (error) {
     const msg = getGeminiErrorText(error);
@@ -803,7 +1165,7 @@ async function sendWelcomeEmail(userName, userEmail) {
   }
 }
 
-app.post('/api/signup', async (req, res) => {
+app.post('/api/signup', limits.auth, async (req, res) => {
   try {
     const { name, email, password, age, dob } = req.body || {};
     if (!name || !email || !password || !age || !dob) {
@@ -818,21 +1180,53 @@ app.post('/api/signup', async (req, res) => {
     const passHash = await bcrypt.hash(String(password), 10);
     const trimName = String(name).trim();
     const trimEmail = String(email).trim().toLowerCase();
+    const playerAge = ageFromDob(dob, age);
+
+    // Under-age players need a guardian to approve the account before uploading.
+    const consentRequired = playerAge !== null && playerAge < GUARDIAN_CONSENT_AGE;
+    const guardianEmail = String(req.body?.guardianEmail || '').trim().toLowerCase();
+    if (consentRequired) {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(guardianEmail)) {
+        return res.status(400).json({
+          ok: false,
+          error: `Players under ${GUARDIAN_CONSENT_AGE} need a parent or guardian email`,
+          guardianRequired: true,
+          consentAge: GUARDIAN_CONSENT_AGE,
+        });
+      }
+      if (guardianEmail === trimEmail) {
+        return res.status(400).json({ ok: false, error: 'Guardian email must be different from your own', guardianRequired: true });
+      }
+    }
 
-    await createUser({ id, name: trimName, email: trimEmail, passHash, age: Number(age), dob: String(dob).trim() });
+    await createUser({
+      id, name: trimName, email: trimEmail, passHash, age: Number(age), dob: String(dob).trim(),
+      guardianEmail: consentRequired ? guardianEmail : null,
+      consentStatus: consentRequired ? 'pending' : 'not_required',
+    });
 
-    sendWelcomeEmail(trimName, trimEmail);
+    // A bad or foreign referral code never blocks signing up.
+    if (req.body?.referralCode) {
+      const referral = await attachReferral(pool, id, req.body.referralCode).catch(e => {
+        console.error('[BK] attach referral failed:', e.message);
+        return null;
+      });
+      if (referral) console.log(`[BK] User ${id} signed up with a referral from ${referral.referrerId}`);
+    }
 
-    const token = jwt.sign(
-      { sub: id, email: trimEmail, name: trimName },
-      JWT_SECRET,
-      { expiresIn: '30d' },
-    );
+    if (consentRequired) {
+      await requestGuardianConsent({ id, name: trimName, age: playerAge }, guardianEmail, req);
+    } else {
+      sendWelcomeEmail(trimName, trimEmail);
+    }
+
+    const tokens = await createSession({ id, name: trimName, email: trimEmail }, req);
 
     res.json({
       ok: true,
-      token,
+      ...tokens,
       user: { id, name: trimName, email: trimEmail },
+      consentStatus: consentRequired ? 'pending' : 'not_required',
     });
   } catch (e) {
     console.error('[BK] signup', e);
@@ -840,30 +1234,48 @@ app.post('/api/signup', async (req, res) => {
   }
 });
 
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', limits.auth, async (req, res) => {
   try {
     const { email, password } = req.body || {};
     if (!email || !password) {
       return res.status(400).json({ ok: false, error: 'Email and password required' });
     }
 
+    const lockedFor = await loginLockout.lockedFor(email);
+    if (lockedFor) {
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({
+        ok: false,
+        error: 'Too many failed sign-in attempts. Try again later or reset your password.',
+        retryAfter: lockedFor,
+      });
+    }
+
     const user = await findUser(email);
-    if (!user) return res.status(401).json({ ok: false, error: 'Invalid credentials' });
+
+    // Unknown emails count as failures too, so lockout does not reveal which accounts exist.
+    const fail = async (error) => {
+      const { locked } = await loginLockout.recordFailure(email);
+      if (locked) {
+        console.warn(`[BK] Login locked for ${String(email).toLowerCase()} from ${req.ip}`);
+        if (user) await recordAudit({ userId: user.id, action: 'login_locked', req });
+      }
+      return res.status(401).json({ ok: false, error });
+    };
+
+    if (!user) return fail('Invalid credentials');
 
     const hash = user.pass_hash || user.password_hash;
     if (!hash) return res.status(401).json({ ok: false, error: 'Account needs password reset' });
     const ok = await bcrypt.compare(String(password), hash);
-    if (!ok) return res.status(401).json({ ok: false, error: 'Invalid credentials' });
+    if (!ok) return fail('Invalid credentials');
 
-    const token = jwt.sign(
-      { sub: user.id, email: user.email, name: user.name },
-      JWT_SECRET,
-      { expiresIn: '30d' },
-    );
+    await loginLockout.clear(email);
+    const tokens = await createSession(user, req);
 
     res.json({
       ok: true,
-      token,
+      ...tokens,
       user: { id: user.id, name: user.name, email: user.email },
     });
   } catch (e) {
@@ -873,18 +1285,49 @@ app.post('/api/login', async (req, res) => {
 });
 
 /* ---------- Password Reset ---------- */
-const pendingResets = new Map(); // email -> { code, expiresAt }
-
-app.post('/api/forgot-password', async (req, res) => {
+// Codes are 6 random digits, stored only as an HMAC keyed with JWT_SECRET so a
+// leaked table cannot be brute-forced offline. Each code allows a few guesses,
+// and only a few codes can be issued per hour, which caps online guessing too.
+const RESET_CODE_TTL_MS = 15 * 60 * 1000;
+const RESET_MAX_ATTEMPTS = 5;
+const RESET_MAX_PER_HOUR = 3;
+const RESET_GENERIC_MESSAGE = 'If that email is registered, a reset code has been sent.';
+
+const hashResetCode = (resetId, code) =>
+  crypto.createHmac('sha256', JWT_SECRET).update(`${resetId}:${code}`).digest('hex');
+
+app.post('/api/forgot-password', limits.reset, async (req, res) => {
   try {
     const { email } = req.body || {};
     if (!email) return res.status(400).json({ ok: false, error: 'Email required' });
 
     const user = await findUser(email);
-    if (!user) return res.json({ ok: true, message: 'If that email is registered, a reset code has been sent.' });
+    if (!user) return res.json({ ok: true, message: RESET_GENERIC_MESSAGE });
+
+    const now = Date.now();
+    const { rows: recent } = await pool.query(
+      'SELECT COUNT(*)::int AS n FROM password_resets WHERE user_id = $1 AND created_at > $2',
+      [user.id, now - 60 * 60 * 1000]
+    );
+    if (recent[0].n >= RESET_MAX_PER_HOUR) {
+      console.warn(`[BK] Password reset throttled for ${user.email}`);
+      await recordAudit({ userId: user.id, action: 'password_reset_throttled', req });
+      return res.json({ ok: true, message: RESET_GENERIC_MESSAGE });
+    }
 
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    pendingResets.set(user.email, { code, expiresAt: Date.now() + 15 * 60 * 1000 });
+    const id = uuidv4();
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    // Only the newest code is valid.
+    await pool.query(
+      'UPDATE password_resets SET used_at = $2 WHERE user_id = $1 AND used_at IS NULL',
+      [user.id, now]
+    );
+    await pool.query(
+      `INSERT INTO password_resets (id, user_id, code_hash, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [id, user.id, hashResetCode(id, code), now, now + RESET_CODE_TTL_MS]
+    );
+    await recordAudit({ userId: user.id, action: 'password_reset_requested', req });
 
     if (resend) {
       await resend.emails.send({
@@ -908,14 +1351,15 @@ app.post('/api/forgot-password', async (req, res) => {
       console.log(`[BK] Password reset code sent to ${user.email}`);
     }
 
-    res.json({ ok: true, message: 'If that email is registered, a reset code has been sent.' });
+    res.json({ ok: true, message: RESET_GENERIC_MESSAGE });
   } catch (e) {
     console.error('[BK] forgot-password error:', e);
     res.status(500).json({ ok: false, error: 'Server error' });
   }
 });
 
-app.post('/api/reset-password', async (req, res) => {
+app.post('/api/reset-password', limits.reset, async (req, res) => {
+  let client;
   try {
     const { email, code, newPassword } = req.body || {};
     if (!email || !code || !newPassword) {
@@ -928,40 +1372,92 @@ app.post('/api/reset-password', async (req, res) => {
     const user = await findUser(email);
     if (!user) return res.status(400).json({ ok: false, error: 'Invalid email or code' });
 
-    const reset = pendingResets.get(user.email);
-    if (!reset || reset.code !== code) {
-      return res.status(400).json({ ok: false, error: 'Invalid or expired code' });
+    const now = Date.now();
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT * FROM password_resets WHERE user_id = $1 AND used_at IS NULL
+       ORDER BY created_at DESC LIMIT 1 FOR UPDATE`,
+      [user.id]
+    );
+    const reset = rows[0];
+    if (!reset) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ ok: false, error: 'Invalid or expired code' });
     }
-    if (Date.now() > reset.expiresAt) {
-      pendingResets.delete(user.email);
+    if (now > Number(reset.expires_at)) {
+      await client.query('ROLLBACK');
       return res.status(400).json({ ok: false, error: 'Code has expired. Request a new one.' });
     }
+    if (reset.attempts >= RESET_MAX_ATTEMPTS) {
+      await client.query('ROLLBACK');
+      return res.status(429).json({ ok: false, error: 'Too many attempts. Request a new code.' });
+    }
+
+    const expected = Buffer.from(reset.code_hash, 'hex');
+    const given = Buffer.from(hashResetCode(reset.id, String(code).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) {
+      const attempts = reset.attempts + 1;
+      await client.query('UPDATE password_resets SET attempts = $2 WHERE id = $1', [reset.id, attempts]);
+      await client.query('COMMIT');
+      if (attempts >= RESET_MAX_ATTEMPTS) {
+        await recordAudit({ userId: user.id, action: 'password_reset_locked', req, metadata: { resetId: reset.id } });
+        return res.status(429).json({ ok: false, error: 'Too many attempts. Request a new code.' });
+      }
+      return res.status(400).json({ ok: false, error: 'Invalid or expired code' });
+    }
 
     const newHash = await bcrypt.hash(String(newPassword), 10);
-    await pool.query('UPDATE users SET pass_hash = $1 WHERE id = $2', [newHash, user.id]);
-    pendingResets.delete(user.email);
+    await client.query('UPDATE users SET pass_hash = $1, tokens_valid_after = $2 WHERE id = $3', [newHash, now, user.id]);
+    await client.query('UPDATE password_resets SET used_at = $2 WHERE id = $1', [reset.id, now]);
+    const revoked = await revokeSessions(user.id, { reason: 'password_reset', db: client });
+    await client.query('COMMIT');
+    await recordAudit({ userId: user.id, action: 'password_reset', req, metadata: { revokedSessions: revoked } });
 
-    console.log(`[BK] Password reset for ${user.email}`);
+    console.log(`[BK] Password reset for ${user.email} (${revoked} session(s) revoked)`);
     res.json({ ok: true, message: 'Password reset successfully. You can now log in.' });
   } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('[BK] reset-password error:', e);
     res.status(500).json({ ok: false, error: 'Server error' });
+  } finally {
+    client?.release();
   }
 });
 
 app.get('/api/me', auth, async (req, res) => {
   const u = await findUserById(req.userId);
   if (!u) return res.status(404).json({ ok: false, error: 'User not found' });
-  res.json({ ok: true, user: { id: u.id, name: u.name, email: u.email } });
+  res.json({
+    ok: true,
+    user: { id: u.id, name: u.name, email: u.email },
+    consentStatus: u.consent_status || 'not_required',
+  });
+});
+
+app.post('/api/token/refresh', limits.refresh, async (req, res) => {
+  try {
+    const out = await rotateSession(req.body?.refreshToken, req);
+    if (out.error) return res.status(401).json({ ok: false, error: out.error, stale: !!out.stale });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error('[BK] token/refresh', e);
+    res.status(500).json({ ok: false, error: 'Server error (refresh)' });
+  }
 });
 
-app.post('/api/logout', auth, (req, res) => {
+app.post('/api/logout', auth, async (req, res) => {
   try {
-    // Add token to blacklist
-    if (req.token) {
-      tokenBlacklist.add(req.token);
-      console.log('[BK] Token blacklisted for user:', req.userId);
+    if (req.sessionId) {
+      await revokeSessions(req.userId, { sessionId: req.sessionId });
+    } else {
+      await pool.query(
+        `INSERT INTO revoked_tokens (token_hash, user_id, expires_at, revoked_at)
+         VALUES ($1, $2, $3, $4) ON CONFLICT (token_hash) DO NOTHING`,
+        [sha256(req.token), req.userId, req.tokenExp * 1000, Date.now()]
+      );
     }
+    console.log('[BK] Logged out user:', req.userId);
     res.json({ ok: true, message: 'Logged out successfully' });
   } catch (e) {
     console.error('[BK] logout', e);
@@ -969,6 +1465,56 @@ app.post('/api/logout', auth, (req, res) => {
   }
 });
 
+app.post('/api/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.userId, { reason: 'logout_all' });
+    await pool.query('UPDATE users SET tokens_valid_after = $1 WHERE id = $2', [Date.now(), req.userId]);
+    await recordAudit({ userId: req.userId, action: 'sessions_revoked_all', req, metadata: { revoked } });
+    console.log(`[BK] Logged out everywhere for user ${req.userId} (${revoked} session(s))`);
+    res.json({ ok: true, revoked });
+  } catch (e) {
+    console.error('[BK] logout-all', e);
+    res.status(500).json({ ok: false, error: 'Server error (logout)' });
+  }
+});
+
+app.get('/api/sessions', auth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, user_agent, ip, created_at, last_used_at, expires_at FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > $2
+       ORDER BY last_used_at DESC NULLS LAST`,
+      [req.userId, Date.now()]
+    );
+    res.json({
+      ok: true,
+      sessions: rows.map(r => ({
+        id: r.id,
+        userAgent: r.user_agent,
+        ip: r.ip,
+        createdAt: Number(r.created_at),
+        lastUsedAt: Number(r.last_used_at) || null,
+        expiresAt: Number(r.expires_at),
+        current: r.id === req.sessionId,
+      })),
+    });
+  } catch (e) {
+    console.error('[BK] sessions list', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+app.delete('/api/sessions/:id', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.userId, { sessionId: req.params.id, reason: 'revoked_by_user' });
+    if (!revoked) return res.status(404).json({ ok: false, error: 'Session not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[BK] sessions revoke', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
 /* ==================================================================== */
 /*                              PROFILE                                 */
 /* ==================================================================== */
@@ -1006,7 +1552,7 @@ app.put('/api/profile', auth, async (req, res) => {
 /*                                CLIPS                                  */
 /* ==================================================================== */
 
-app.post('/api/clip', auth, async (req, res) => {
+app.post('/api/clip', auth, requireConsent, async (req, res) => {
   const { url, public_id, created_at, bytes, duration, width, height, format } = req.body || {};
   if (!url && !public_id) {
     return res.status(400).json({ ok: false, error: 'url or public_id required' });
@@ -1017,19 +1563,313 @@ app.post('/api/clip', auth, async (req, res) => {
     bytes: Number(bytes) || null, duration: Number(duration) || null,
     width: Number(width) || null, height: Number(height) || null, format: format || null,
   };
-  await insertClip(req.userId, clip);
+  clip.id = await insertClip(req.userId, clip);
   const total = await getClipCount(req.userId);
   res.json({ ok: true, clip, total });
 });
 
+/* ---------- Uploads ---------- */
+// Clips come to us in chunks instead of as base64 inside a JSON body:
+//   POST   /api/uploads                 declare type, size, sha256 (and duration)
+//   PUT    /api/uploads/:id/chunk?offset=N   raw bytes, optional X-Chunk-SHA256
+//   GET    /api/uploads/:id             receivedBytes to resume from after a dropped connection
+//   POST   /api/uploads/:id/complete    verify, move into storage (storage.js), create the clips row
+//   DELETE /api/uploads/:id             abandon
+// The clips row id is what /api/analyze takes as clipId.
+const UPLOAD_TYPES = {
+  'video/mp4': 'mp4', 'video/quicktime': 'mov', 'video/webm': 'webm', 'video/x-m4v': 'm4v', 'video/3gpp': '3gp',
+};
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 200 * 1024 * 1024;
+const MAX_CLIP_SECONDS = Number(process.env.MAX_CLIP_SECONDS) || MAX_PLAN_CLIP_SECONDS;
+const UPLOAD_CHUNK_BYTES = 5 * 1024 * 1024;
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'bk-uploads');
+
+const uploadPartPath = (uploadId) => path.join(UPLOAD_TMP_DIR, `${uploadId}.part`);
+
+function formatUpload(row) {
+  return {
+    id: row.id,
+    filename: row.filename,
+    contentType: row.content_type,
+    size: Number(row.size),
+    receivedBytes: Number(row.received_bytes),
+    chunkSize: row.chunk_size,
+    state: row.state,
+    clipId: row.clip_id || null,
+    error: row.error || null,
+    expiresAt: Number(row.expires_at),
+  };
+}
+
+async function getUpload(userId, uploadId) {
+  const { rows } = await pool.query('SELECT * FROM uploads WHERE id = $1 AND user_id = $2', [uploadId, userId]);
+  return rows[0] || null;
+}
+
+async function failUpload(uploadId, error) {
+  fs.rmSync(uploadPartPath(uploadId), { force: true });
+  await pool.query(
+    "UPDATE uploads SET state = 'failed', error = $1, updated_at = $2 WHERE id = $3",
+    [error, Date.now(), uploadId]
+  );
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Container magic bytes, so a renamed non-video never reaches storage or the AI
+// provider: ISO base media (mp4, mov, m4v, 3gp) or Matroska/WebM.
+function sniffVideoContainer(filePath) {
+  const head = Buffer.alloc(12);
+  const fd = fs.openSync(filePath, 'r');
+  try { fs.readSync(fd, head, 0, 12, 0); } finally { fs.closeSync(fd); }
+  if (head.readUInt32BE(0) === 0x1a45dfa3) return 'matroska';
+  if (['ftyp', 'moov', 'mdat', 'wide', 'free'].includes(head.toString('latin1', 4, 8))) return 'iso';
+  return null;
+}
+
+app.post('/api/uploads', auth, requireConsent, limits.upload, async (req, res) => {
+  try {
+    const { filename, contentType, size, sha256: checksum, duration } = req.body || {};
+    const type = String(contentType || '').toLowerCase();
+    if (!UPLOAD_TYPES[type]) {
+      return res.status(415).json({ ok: false, error: 'Upload an MP4, MOV, WebM, M4V or 3GP video.' });
+    }
+    const bytes = Number(size);
+    if (!Number.isInteger(bytes) || bytes <= 0) return res.status(400).json({ ok: false, error: 'size is required' });
+    if (bytes > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({ ok: false, error: `Clips can be at most ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB.` });
+    }
+    if (!/^[a-f0-9]{64}$/i.test(String(checksum || ''))) {
+      return res.status(400).json({ ok: false, error: 'sha256 (hex) of the whole file is required' });
+    }
+    const seconds = duration === undefined || duration === null || duration === '' ? null : Number(duration);
+    if (seconds !== null && !(seconds > 0)) return res.status(400).json({ ok: false, error: 'Invalid duration' });
+    if (seconds !== null && seconds > MAX_CLIP_SECONDS) {
+      return res.status(400).json({ ok: false, error: `Clips can be at most ${MAX_CLIP_SECONDS} seconds. Trim it and try again.` });
+    }
+
+    const now = Date.now();
+    const id = uuidv4();
+    fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+    fs.writeFileSync(uploadPartPath(id), '');
+    const { rows } = await pool.query(
+      `INSERT INTO uploads (id, user_id, filename, content_type, size, sha256, duration, chunk_size,
+         created_at, updated_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9, $10) RETURNING *`,
+      [id, req.userId, String(filename || '').slice(0, 255) || null, type, bytes, checksum.toLowerCase(),
+       seconds, UPLOAD_CHUNK_BYTES, now, now + UPLOAD_TTL_MS]
+    );
+    res.status(201).json({ ok: true, upload: formatUpload(rows[0]) });
+  } catch (e) {
+    console.error('[BK] upload create error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to start upload' });
+  }
+});
+
+app.get('/api/uploads/:id', auth, async (req, res) => {
+  try {
+    const upload = await getUpload(req.userId, req.params.id);
+    if (!upload) return res.status(404).json({ ok: false, error: 'Upload not found' });
+    res.json({ ok: true, upload: formatUpload(upload) });
+  } catch (e) {
+    console.error('[BK] upload status error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load upload' });
+  }
+});
+
+app.put('/api/uploads/:id/chunk', auth, express.raw({ type: () => true, limit: UPLOAD_CHUNK_BYTES }), async (req, res) => {
+  try {
+    const upload = await getUpload(req.userId, req.params.id);
+    if (!upload) return res.status(404).json({ ok: false, error: 'Upload not found' });
+    if (upload.state !== 'pending' || Number(upload.expires_at) < Date.now()) {
+      return res.status(409).json({ ok: false, error: `Upload is ${upload.state === 'pending' ? 'expired' : upload.state}` });
+    }
+    const offset = Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ ok: false, error: 'offset is required' });
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!chunk.length) return res.status(400).json({ ok: false, error: 'Empty chunk' });
+    if (offset + chunk.length > Number(upload.size)) {
+      return res.status(400).json({ ok: false, error: 'Chunk runs past the declared size' });
+    }
+    const chunkChecksum = req.get('x-chunk-sha256');
+    if (chunkChecksum && crypto.createHash('sha256').update(chunk).digest('hex') !== chunkChecksum.toLowerCase()) {
+      return res.status(422).json({ ok: false, error: 'Chunk checksum mismatch', receivedBytes: Number(upload.received_bytes) });
+    }
+
+    // Claim the byte range first so two requests for the same offset cannot both write.
+    const { rows } = await pool.query(
+      `UPDATE uploads SET received_bytes = received_bytes + $1, updated_at = $2
+       WHERE id = $3 AND received_bytes = $4 AND state = 'pending' RETURNING *`,
+      [chunk.length, Date.now(), upload.id, offset]
+    );
+    if (!rows[0]) {
+      return res.status(409).json({ ok: false, error: 'offset_mismatch', receivedBytes: Number(upload.received_bytes) });
+    }
+    try {
+      const fd = fs.openSync(uploadPartPath(upload.id), 'r+');
+      try { fs.writeSync(fd, chunk, 0, chunk.length, offset); } finally { fs.closeSync(fd); }
+    } catch (e) {
+      await pool.query(
+        'UPDATE uploads SET received_bytes = $1 WHERE id = $2 AND received_bytes = $3',
+        [offset, upload.id, offset + chunk.length]
+      );
+      throw e;
+    }
+    res.json({ ok: true, upload: formatUpload(rows[0]) });
+  } catch (e) {
+    console.error('[BK] upload chunk error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to store chunk' });
+  }
+});
+
+app.post('/api/uploads/:id/complete', auth, requireConsent, async (req, res) => {
+  try {
+    const upload = await getUpload(req.userId, req.params.id);
+    if (!upload) return res.status(404).json({ ok: false, error: 'Upload not found' });
+    if (upload.state === 'complete') {
+      return res.json({ ok: true, upload: formatUpload(upload), clip: await getClipById(req.userId, upload.clip_id) });
+    }
+    if (upload.state !== 'pending') return res.status(409).json({ ok: false, error: `Upload is ${upload.state}` });
+    if (Number(upload.received_bytes) !== Number(upload.size)) {
+      return res.status(409).json({ ok: false, error: 'incomplete', receivedBytes: Number(upload.received_bytes) });
+    }
+
+    // Claim the upload so a second /complete (a retry, a double tap) cannot
+    // store the same file again or race this one into a second clip.
+    const claimed = await pool.query(
+      "UPDATE uploads SET state = 'completing', updated_at = $1 WHERE id = $2 AND state = 'pending' RETURNING *",
+      [Date.now(), upload.id]
+    );
+    if (!claimed.rows[0]) return res.status(409).json({ ok: false, error: 'Upload is already being completed' });
+    try {
+      return await completeUpload(req, res, claimed.rows[0]);
+    } catch (e) {
+      // Unexpected failure: hand it back so the client can retry (a no-op once
+      // the clip is committed).
+      await pool.query(
+        "UPDATE uploads SET state = 'pending', updated_at = $1 WHERE id = $2 AND state = 'completing'",
+        [Date.now(), upload.id]
+      ).catch(() => {});
+      throw e;
+    }
+  } catch (e) {
+    console.error('[BK] upload complete error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to finish upload' });
+  }
+});
+
+// The rest of /complete, once the upload is claimed ('completing'): verify,
+// probe, store and create the clips row. Rejections mark the upload failed.
+async function completeUpload(req, res, upload) {
+  const partPath = uploadPartPath(upload.id);
+  if (await sha256File(partPath) !== upload.sha256) {
+    await failUpload(upload.id, 'checksum mismatch');
+    return res.status(422).json({ ok: false, error: 'The uploaded file does not match its checksum. Upload it again.' });
+  }
+  const container = sniffVideoContainer(partPath);
+  if (!container || (container === 'matroska') !== (upload.content_type === 'video/webm')) {
+    await failUpload(upload.id, 'not a video');
+    return res.status(415).json({ ok: false, error: 'That file is not a supported video.' });
+  }
+
+  // The declared duration is only a hint; the probe is what gets stored and checked.
+  let probe = null;
+  if (await isFfmpegAvailable()) {
+    try {
+      probe = await probeVideo(partPath);
+    } catch (e) {
+      await failUpload(upload.id, e.message);
+      return res.status(415).json({ ok: false, error: 'That file could not be read as a video.' });
+    }
+    if (probe.duration > MAX_CLIP_SECONDS) {
+      await failUpload(upload.id, `too long (${probe.duration}s)`);
+      return res.status(400).json({ ok: false, error: `Clips can be at most ${MAX_CLIP_SECONDS} seconds. Trim it and try again.` });
+    }
+  }
+
+  const key = `clips/${req.userId}/${upload.id}.${UPLOAD_TYPES[upload.content_type]}`;
+  await storage.putFile(key, partPath, { contentType: upload.content_type });
+
+  let client;
+  let clipId;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    clipId = await insertClip(req.userId, {
+      url: null, public_id: null, created_at: new Date().toISOString(),
+      bytes: Number(upload.size), duration: probe?.duration ?? upload.duration,
+      width: probe?.width ?? null, height: probe?.height ?? null,
+      format: probe?.format || UPLOAD_TYPES[upload.content_type],
+      storage_backend: storage.name, storage_key: key, sha256: upload.sha256,
+      content_type: upload.content_type, filename: upload.filename, upload_id: upload.id,
+      video_codec: probe?.videoCodec, audio_codec: probe?.audioCodec, fps: probe?.fps,
+      probed_at: probe ? Date.now() : null,
+    }, client);
+    await client.query(
+      "UPDATE uploads SET state = 'complete', clip_id = $1, updated_at = $2 WHERE id = $3 AND state = 'completing'",
+      [clipId, Date.now(), upload.id]
+    );
+    await client.query('COMMIT');
+  } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
+    await storage.remove(key).catch(() => {});
+    throw e;
+  } finally {
+    client?.release();
+  }
+
+  console.log(`[BK] Upload ${upload.id} stored as clip ${clipId} (${storage.name}, ${Math.round(Number(upload.size) / 1024)}KB)`);
+  const clip = await getClipById(req.userId, clipId);
+  res.json({ ok: true, upload: formatUpload({ ...upload, state: 'complete', clip_id: clipId }), clip });
+}
+
+app.delete('/api/uploads/:id', auth, async (req, res) => {
+  try {
+    const upload = await getUpload(req.userId, req.params.id);
+    if (!upload) return res.status(404).json({ ok: false, error: 'Upload not found' });
+    if (upload.state === 'pending') {
+      fs.rmSync(uploadPartPath(upload.id), { force: true });
+      await pool.query("UPDATE uploads SET state = 'aborted', updated_at = $1 WHERE id = $2", [Date.now(), upload.id]);
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[BK] upload abort error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to cancel upload' });
+  }
+});
+
+// Pending uploads past their expiry lose their partial file.
+async function pruneStaleUploads() {
+  try {
+    const { rows } = await pool.query(
+      "UPDATE uploads SET state = 'expired', updated_at = $1 WHERE state = 'pending' AND expires_at < $1 RETURNING id",
+      [Date.now()]
+    );
+    for (const { id } of rows) fs.rmSync(uploadPartPath(id), { force: true });
+    if (rows.length) console.log(`[BK] Expired ${rows.length} stale upload(s)`);
+    await pool.query('DELETE FROM provider_files WHERE expires_at < $1', [Date.now()]);
+  } catch (e) {
+    console.error('[BK] upload prune error:', e.message);
+  }
+}
+
 /* ==================================================================== */
 /*                               LIBRARY                                 */
 /* ==================================================================== */
 
-app.get('/api/analyses', auth, async (req, res) => {
-  const items = await getAnalysesByUser(req.userId);
-  const profile = await getProfile(req.userId);
-  const user = await findUserById(req.userId);
+app.get('/api/analyses', auth, playerScope, async (req, res) => {
+  const items = await getAnalysesByUser(req.playerId);
+  const profile = await getProfile(req.playerId);
+  const user = await findUserById(req.playerId);
   const mapped = items.map(item => ({
     id: item.id,
     candidateName: item.candidateName || profile.name || user?.name || "Player",
@@ -1040,12 +1880,14 @@ app.get('/api/analyses', auth, async (req, res) => {
     createdAt: item.created_at,
     analysis: item.raw,
     skillFocus: item.skillFocus,
+    skillId: item.skillId,
+    skillLabel: skillLabel(item.skillId, item.skillFocus),
     sessionSummary: item.sessionSummary,
     currentLevel: item.currentLevel,
     sessionSnapshot: item.raw?.sessionSnapshot || {},
     technicalAnalysis: item.technicalAnalysis,
     improvementTips: item.improvementTips,
-    trendVsLastSessions: item.raw?.trendVsLastSessions || [],
+    trendVsLastSessions: item.trends?.items || [],
     nextSessionPlan: item.raw?.nextSessionPlan || [],
     practiceProgression: item.practiceProgression,
     youtubeRecommendations: item.youtubeRecommendations,
@@ -1053,8 +1895,8 @@ app.get('/api/analyses', auth, async (req, res) => {
   res.json({ ok: true, items: mapped, analyses: mapped });
 });
 
-app.get('/api/analyses/:id', auth, async (req, res) => {
-  const item = await getAnalysisById(req.userId, req.params.id);
+app.get('/api/analyses/:id', auth, playerScope, async (req, res) => {
+  const item = await getAnalysisById(req.playerId, req.params.id);
   if (!item) return res.status(404).json({ ok: false, error: 'Not found' });
 
   const levelMap = {
@@ -1063,8 +1905,14 @@ app.get('/api/analyses/:id', auth, async (req, res) => {
     'Advanced': { grade: '8-9', description: 'Advanced' }
   };
   const currentLevelObj = levelMap[item.currentLevel] || { grade: '?', description: item.currentLevel };
-  const profile = await getProfile(req.userId);
-  const user = await findUserById(req.userId);
+  const profile = await getProfile(req.playerId);
+  const user = await findUserById(req.playerId);
+  const coachNotes = await getCoachNotes(req.userId, req.playerId, { analysisId: item.id });
+  // Analyses from before server-side trends are compared on read.
+  const trends = item.trends || await computeAnalysisTrends(req.playerId, item).catch(e => {
+    console.error('[BK] trend computation failed:', e.message);
+    return { comparedSessions: 0, items: [] };
+  });
 
   res.json({
     ok: true,
@@ -1077,6 +1925,8 @@ app.get('/api/analyses/:id', auth, async (req, res) => {
     createdAt: item.created_at,
     analysis: item.raw,
     skillFocus: item.skillFocus,
+    skillId: item.skillId,
+    skillLabel: skillLabel(item.skillId, item.skillFocus),
     sessionSummary: item.sessionSummary,
     currentLevel: currentLevelObj,
     sessionSnapshot: item.raw?.sessionSnapshot || {},
@@ -1084,48 +1934,301 @@ app.get('/api/analyses/:id', auth, async (req, res) => {
     improvementTips: item.improvementTips,
     commonMistakesForPosition: item.commonMistakesForPosition,
     practiceProgression: item.practiceProgression,
-    trendVsLastSessions: item.raw?.trendVsLastSessions || [],
+    trendVsLastSessions: trends.items,
+    trends,
+    clipId: item.clipId || null,
+    trimStart: item.trimStart ?? null,
+    trimEnd: item.trimEnd ?? null,
     nextSessionPlan: item.raw?.nextSessionPlan || [],
     youtubeRecommendations: item.youtubeRecommendations,
+    validation: item.validation,
+    promptVersion: item.promptVersion,
+    planAdherence: item.planAdherence,
+    coachNotes,
   });
 });
 
-app.delete('/api/analyses/:id', auth, async (req, res) => {
-  const deleted = await deleteAnalysis(req.userId, req.params.id);
-  if (!deleted) return res.status(404).json({ ok: false, error: 'Not found' });
-  res.json({ ok: true });
+/* ---------- Key moments ---------- */
+// Frames are fetched by <img> tags, which cannot send the bearer token, so the
+// moments response hands out short-lived HMAC-signed URLs instead.
+const MOMENT_URL_TTL_MS = 60 * 60 * 1000;
+
+function signMomentFrame(analysisId, index, exp) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`moment:${analysisId}:${index}:${exp}`).digest('hex');
+}
+
+function momentFrameUrl(analysisId, index) {
+  const exp = Date.now() + MOMENT_URL_TTL_MS;
+  return `/api/media/moments/${encodeURIComponent(analysisId)}/${index}.jpg?exp=${exp}&sig=${signMomentFrame(analysisId, index, exp)}`;
+}
+
+app.get('/api/analyses/:id/moments', auth, playerScope, async (req, res) => {
+  try {
+    const item = await getAnalysisById(req.playerId, req.params.id);
+    if (!item) return res.status(404).json({ ok: false, error: 'Not found' });
+
+    // Analyses whose moments were never captured are parsed on read, without frames.
+    let moments = await getKeyMoments(pool, String(item.id));
+    if (!moments.length) {
+      const duration = await getClipDuration(req.playerId, { clipId: item.clipId, videoUrl: item.video_url, publicId: item.public_id });
+      moments = normalizeKeyMoments(item.raw?.keyMoments, { duration }).map(m => ({ ...m, clipDuration: duration }));
+    }
+
+    res.json({
+      ok: true,
+      analysisId: item.id,
+      duration: moments[0]?.clipDuration ?? null,
+      moments: moments.map(m => ({
+        index: m.index,
+        timestamp: m.label,
+        seconds: m.seconds,
+        endSeconds: m.endSeconds,
+        display: m.seconds === null ? null : formatOffset(m.seconds),
+        status: m.status,
+        seekable: m.status === 'ok',
+        observation: m.observation,
+        impact: m.impact,
+        correction: m.correction,
+        thumbnailUrl: m.frameFile ? momentFrameUrl(item.id, m.index) : null,
+      })),
+    });
+  } catch (e) {
+    console.error('[BK] key moments error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load key moments' });
+  }
+});
+
+app.get('/api/media/moments/:analysisId/:file', async (req, res) => {
+  try {
+    const index = String(req.params.file).match(/^(\d+)\.jpg$/)?.[1];
+    const exp = Number(req.query.exp);
+    const sig = String(req.query.sig || '');
+    if (!index || !exp || exp < Date.now()) return res.status(403).json({ ok: false, error: 'Link expired' });
+    const expected = Buffer.from(signMomentFrame(req.params.analysisId, Number(index), exp));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return res.status(403).json({ ok: false, error: 'Invalid link' });
+    }
+
+    const { rows } = await pool.query(
+      'SELECT user_id, frame_file FROM analysis_moments WHERE analysis_id = $1 AND idx = $2',
+      [req.params.analysisId, Number(index)]
+    );
+    if (!rows[0]?.frame_file) return res.status(404).json({ ok: false, error: 'Not found' });
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.sendFile(path.join(momentsDir(rows[0].user_id, req.params.analysisId), rows[0].frame_file), (err) => {
+      if (err && !res.headersSent) res.status(404).json({ ok: false, error: 'Not found' });
+    });
+  } catch (e) {
+    console.error('[BK] moment frame error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load frame' });
+  }
+});
+
+app.delete('/api/analyses/:id', auth, selfOnly, async (req, res) => {
+  try {
+    const deleted = await deleteAnalysis(req.userId, req.params.id);
+    if (!deleted) return res.status(404).json({ ok: false, error: 'Not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[BK] delete analysis error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to delete analysis' });
+  }
+});
+
+/* ==================================================================== */
+/*                            TRAINING PLANS                             */
+/* ==================================================================== */
+
+// A dated multi-week plan built from an analysis's nextSessionPlan,
+// practiceProgression and improvementTips drills (training-plans.js), with a
+// reminder per session. An analysis has one active plan; building again with
+// { replace: true } archives the old one and drops its upcoming reminders.
+// -> { planId } or { conflictId } when the analysis already has an active
+// plan and replace is not set.
+async function saveTrainingPlan(userId, item, plan, { replace, reminders }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await findActivePlanForAnalysis(client, userId, item.id);
+    if (existing && !replace) {
+      await client.query('ROLLBACK');
+      return { conflictId: existing.id };
+    }
+    if (existing) await archiveTrainingPlan(client, existing.id);
+    const planId = await createTrainingPlan(client, userId, item, plan, { reminders });
+    await client.query('COMMIT');
+    return { planId };
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+app.post('/api/analyses/:id/plan', auth, selfOnly, async (req, res) => {
+  try {
+    const item = await getAnalysisById(req.userId, req.params.id);
+    if (!item) return res.status(404).json({ ok: false, error: 'Not found' });
+    const timeZone = await reminderTimeZone(req.userId, req.body?.timezone);
+    const { options, error } = parsePlanInput(req.body || {}, { timeZone });
+    if (error) return res.status(400).json({ ok: false, error });
+    const built = buildTrainingPlan(item, options);
+    if (built.error) return res.status(422).json({ ok: false, error: built.error });
+
+    const { planId, conflictId } = await saveTrainingPlan(req.userId, item, built.plan, {
+      replace: req.body?.replace === true, reminders: options.reminders,
+    });
+    if (conflictId) return res.status(409).json({ ok: false, error: 'This analysis already has a training plan', planId: conflictId });
+
+    const plan = await loadTrainingPlan(pool, planId, { userId: req.userId });
+    console.log(`[BK] Training plan ${planId} created for user ${req.userId} from analysis ${item.id} (${options.weeks} weeks x ${options.sessionsPerWeek})`);
+    res.json({ ok: true, plan: formatTrainingPlan(plan) });
+  } catch (e) {
+    console.error('[BK] create training plan error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to create training plan' });
+  }
+});
+
+app.get('/api/analyses/:id/plan', auth, playerScope, async (req, res) => {
+  try {
+    const existing = await findActivePlanForAnalysis(pool, req.playerId, req.params.id);
+    if (!existing) return res.status(404).json({ ok: false, error: 'No training plan for this analysis' });
+    const plan = await loadTrainingPlan(pool, existing.id, { userId: req.playerId });
+    res.json({ ok: true, plan: formatTrainingPlan(plan) });
+  } catch (e) {
+    console.error('[BK] get analysis plan error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load training plan' });
+  }
+});
+
+app.get('/api/training-plans', auth, playerScope, async (req, res) => {
+  try {
+    const includeArchived = req.query.status === 'all';
+    res.json({ ok: true, plans: await listTrainingPlans(pool, req.playerId, { includeArchived }) });
+  } catch (e) {
+    console.error('[BK] list training plans error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load training plans' });
+  }
+});
+
+app.get('/api/training-plans/:id', auth, playerScope, async (req, res) => {
+  try {
+    const plan = await loadTrainingPlan(pool, String(req.params.id), { userId: req.playerId });
+    if (!plan) return res.status(404).json({ ok: false, error: 'Training plan not found' });
+    res.json({ ok: true, plan: formatTrainingPlan(plan) });
+  } catch (e) {
+    console.error('[BK] get training plan error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load training plan' });
+  }
+});
+
+// { completed, reps, note }: reps is the total done across all sets; marking a
+// drill complete without reps records its full target.
+app.patch('/api/training-plans/:id/drills/:drillId', auth, selfOnly, async (req, res) => {
+  let client;
+  try {
+    const { completed, reps, note } = req.body || {};
+    if (completed !== undefined && typeof completed !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'completed must be true or false' });
+    }
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const result = await setDrillCompletion(client, req.userId, String(req.params.id), String(req.params.drillId), { completed, reps, note });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.notFound ? 404 : 400).json({ ok: false, error: result.error });
+    }
+    await client.query('COMMIT');
+    const plan = await loadTrainingPlan(client, String(req.params.id), { userId: req.userId });
+    res.json({ ok: true, plan: formatTrainingPlan(plan) });
+  } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('[BK] update plan drill error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to update drill' });
+  } finally {
+    client?.release();
+  }
+});
+
+app.delete('/api/training-plans/:id', auth, selfOnly, async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const deleted = await deleteTrainingPlan(client, req.userId, String(req.params.id));
+    await client.query('COMMIT');
+    if (!deleted) return res.status(404).json({ ok: false, error: 'Training plan not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('[BK] delete training plan error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to delete training plan' });
+  } finally {
+    client?.release();
+  }
 });
 
 /* ==================================================================== */
 /*                              REMINDERS                                */
 /* ==================================================================== */
 
+// Reminders are sent by the scheduler below (reminders.js): email through
+// Resend and Web Push to every browser the user enabled, outside their quiet
+// hours. A reminder may repeat with an RRULE-style `recurrence`
+// (recurrence.js), evaluated in the user's timezone from notification settings.
+const REMINDER_POLL_MS = Number(process.env.REMINDER_POLL_MS) || 60 * 1000;
+// Reminders found more than this late (e.g. after an outage) are marked missed
+// rather than sent hours after the session they were for.
+const REMINDER_MAX_LATE_MS = (Number(process.env.REMINDER_MAX_LATE_MINUTES) || 12 * 60) * 60 * 1000;
+
+let webPush = null;
+try {
+  webPush = createWebPush({
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT || `mailto:support@${new URL(APP_URL).hostname}`,
+  });
+} catch (e) {
+  console.error('[BK] Web Push disabled:', e.message);
+}
+
+// The user's timezone; the first reminder a user sets records the browser's.
+async function reminderTimeZone(userId, requested) {
+  const settings = await getNotificationSettings(pool, userId);
+  if (!settings.timezone && isValidTimeZone(requested)) {
+    await saveNotificationSettings(pool, userId, { timezone: requested });
+    return requested;
+  }
+  return settings.timezone || 'UTC';
+}
+
 app.post('/api/reminders', auth, async (req, res) => {
   try {
-    const { skill, drill, note, remindAt } = req.body || {};
+    const { skill, drill, note, remindAt, recurrence, timezone } = req.body || {};
     const trimSkill = String(skill || '').trim();
     const ts = Number(remindAt);
     if (!trimSkill) return res.status(400).json({ ok: false, error: 'Skill is required' });
     if (!Number.isFinite(ts) || ts <= 0) return res.status(400).json({ ok: false, error: 'Valid reminder date/time is required' });
 
-    const id = uuidv4();
+    const timeZone = await reminderTimeZone(req.userId, timezone);
+    let schedule = { recurrence: null, recurrenceStart: null, remindAt: ts };
+    if (recurrence) {
+      schedule = planRecurrence(recurrence, { start: ts, timeZone });
+      if (schedule.error) return res.status(400).json({ ok: false, error: schedule.error });
+    }
+
     const now = Date.now();
-    await pool.query(
-      `INSERT INTO skill_reminders (id, user_id, skill, drill, note, remind_at, completed, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, FALSE, $7, $7)`,
-      [id, req.userId, trimSkill, String(drill || '').trim() || null, String(note || '').trim() || null, ts, now]
+    const { rows } = await pool.query(
+      `INSERT INTO skill_reminders (id, user_id, skill, drill, note, remind_at, completed, recurrence, recurrence_start,
+         delivery_status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, FALSE, $7, $8, 'pending', $9, $9)
+       RETURNING *`,
+      [uuidv4(), req.userId, trimSkill, String(drill || '').trim() || null, String(note || '').trim() || null,
+       schedule.remindAt, schedule.recurrence, schedule.recurrenceStart, now]
     );
-    res.json({
-      ok: true,
-      reminder: {
-        id,
-        skill: trimSkill,
-        drill: String(drill || '').trim() || null,
-        note: String(note || '').trim() || null,
-        remindAt: ts,
-        completed: false,
-      },
-    });
+    res.json({ ok: true, reminder: formatReminder(rows[0], { timeZone }) });
   } catch (e) {
     console.error('[BK] create reminder error:', e.message);
     res.status(500).json({ ok: false, error: 'Failed to create reminder' });
@@ -1141,24 +2244,17 @@ app.get('/api/reminders', auth, async (req, res) => {
     const order = status === 'completed' ? 'ORDER BY remind_at DESC' : 'ORDER BY remind_at ASC';
 
     const { rows } = await pool.query(
-      `SELECT id, skill, drill, note, remind_at, completed, created_at
+      `SELECT *
        FROM skill_reminders
        ${where}
        ${order}
        LIMIT 500`,
       [req.userId]
     );
+    const { timezone } = await getNotificationSettings(pool, req.userId);
     res.json({
       ok: true,
-      reminders: rows.map(r => ({
-        id: r.id,
-        skill: r.skill,
-        drill: r.drill,
-        note: r.note,
-        remindAt: Number(r.remind_at) || 0,
-        completed: !!r.completed,
-        createdAt: Number(r.created_at) || 0,
-      })),
+      reminders: rows.map(r => formatReminder(r, { timeZone: timezone || 'UTC' })),
     });
   } catch (e) {
     console.error('[BK] list reminders error:', e.message);
@@ -1170,7 +2266,12 @@ app.patch('/api/reminders/:id', auth, async (req, res) => {
   try {
     const reminderId = String(req.params.id || '').trim();
     if (!reminderId) return res.status(400).json({ ok: false, error: 'Reminder ID required' });
-    const { completed, remindAt, note, drill, skill } = req.body || {};
+    const { completed, remindAt, note, drill, skill, recurrence } = req.body || {};
+    const { rows: [current] } = await pool.query(
+      'SELECT * FROM skill_reminders WHERE id = $1 AND user_id = $2', [reminderId, req.userId]
+    );
+    if (!current) return res.status(404).json({ ok: false, error: 'Reminder not found' });
+    const timeZone = (await getNotificationSettings(pool, req.userId)).timezone || 'UTC';
 
     const updates = [];
     const vals = [];
@@ -1179,11 +2280,22 @@ app.patch('/api/reminders/:id', auth, async (req, res) => {
       updates.push(`completed = $${i++}`);
       vals.push(completed);
     }
-    if (remindAt !== undefined) {
-      const ts = Number(remindAt);
-      if (!Number.isFinite(ts) || ts <= 0) return res.status(400).json({ ok: false, error: 'Invalid remindAt' });
-      updates.push(`remind_at = $${i++}`);
-      vals.push(ts);
+    // A new time or repeat rule restarts the schedule and its delivery state.
+    if (remindAt !== undefined || recurrence !== undefined) {
+      let ts = Number(current.recurrence_start) || Number(current.remind_at);
+      if (remindAt !== undefined) {
+        ts = Number(remindAt);
+        if (!Number.isFinite(ts) || ts <= 0) return res.status(400).json({ ok: false, error: 'Invalid remindAt' });
+      }
+      const rule = recurrence !== undefined ? recurrence : current.recurrence;
+      let schedule = { recurrence: null, recurrenceStart: null, remindAt: ts };
+      if (rule) {
+        // Keeping the old start keeps its time of day, but past dates are skipped.
+        schedule = planRecurrence(rule, { start: ts, timeZone, notBefore: remindAt === undefined ? Date.now() : ts });
+        if (schedule.error) return res.status(400).json({ ok: false, error: schedule.error });
+      }
+      updates.push(`remind_at = $${i++}`, `recurrence = $${i++}`, `recurrence_start = $${i++}`, 'occurrences = 0', RESET_DELIVERY_SQL);
+      vals.push(schedule.remindAt, schedule.recurrence, schedule.recurrenceStart);
     }
     if (note !== undefined) {
       updates.push(`note = $${i++}`);
@@ -1208,23 +2320,11 @@ app.patch('/api/reminders/:id', auth, async (req, res) => {
       `UPDATE skill_reminders
        SET ${updates.join(', ')}
        WHERE id = $${i++} AND user_id = $${i}
-       RETURNING id, skill, drill, note, remind_at, completed, created_at`,
+       RETURNING *`,
       vals
     );
     if (!rows[0]) return res.status(404).json({ ok: false, error: 'Reminder not found' });
-    const r = rows[0];
-    res.json({
-      ok: true,
-      reminder: {
-        id: r.id,
-        skill: r.skill,
-        drill: r.drill,
-        note: r.note,
-        remindAt: Number(r.remind_at) || 0,
-        completed: !!r.completed,
-        createdAt: Number(r.created_at) || 0,
-      },
-    });
+    res.json({ ok: true, reminder: formatReminder(rows[0], { timeZone }) });
   } catch (e) {
     console.error('[BK] update reminder error:', e.message);
     res.status(500).json({ ok: false, error: 'Failed to update reminder' });
@@ -1247,10 +2347,248 @@ app.delete('/api/reminders/:id', auth, async (req, res) => {
   }
 });
 
-app.post('/api/experience-feedback', auth, async (req, res) => {
+/* ---------- Snooze ---------- */
+app.post('/api/reminders/:id/snooze', auth, async (req, res) => {
   try {
-    const { rating, flowStep, comment, metadata } = req.body || {};
-    const normalizedRating = String(rating || '').trim().toLowerCase();
+    const result = await snoozeReminder(pool, String(req.params.id), Number(req.body?.minutes) || 60, { userId: req.userId });
+    if (result.error) return res.status(result.notFound ? 404 : result.conflict ? 409 : 400).json({ ok: false, error: result.error });
+    const { timezone } = await getNotificationSettings(pool, req.userId);
+    res.json({ ok: true, reminder: formatReminder(result.reminder, { timeZone: timezone || 'UTC' }) });
+  } catch (e) {
+    console.error('[BK] snooze reminder error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to snooze reminder' });
+  }
+});
+
+// Snooze links in reminder emails and push notifications carry a signed token
+// (reminders.js signSnoozeToken) instead of a session.
+app.post('/api/reminders/snooze', async (req, res) => {
+  try {
+    const reminderId = verifySnoozeToken(JWT_SECRET, req.body?.token);
+    if (!reminderId) return res.status(400).json({ ok: false, error: 'This snooze link is invalid or has expired' });
+    const result = await snoozeReminder(pool, reminderId, Number(req.body?.minutes) || 60);
+    if (result.error) return res.status(result.notFound ? 404 : result.conflict ? 409 : 400).json({ ok: false, error: result.error });
+    const r = result.reminder;
+    console.log(`[BK] Reminder ${reminderId} snoozed by link for ${Number(req.body?.minutes) || 60} minutes`);
+    res.json({ ok: true, skill: r.skill, remindAt: reminderDueAt(r) });
+  } catch (e) {
+    console.error('[BK] snooze link error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to snooze reminder' });
+  }
+});
+
+/* ---------- Notification settings & push subscriptions ---------- */
+app.get('/api/notification-settings', auth, async (req, res) => {
+  try {
+    const settings = await getNotificationSettings(pool, req.userId);
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM push_subscriptions WHERE user_id = $1', [req.userId]);
+    res.json({
+      ok: true,
+      settings: formatNotificationSettings(settings),
+      pushDevices: rows[0].count,
+      channels: { email: Boolean(resend), push: Boolean(webPush) },
+    });
+  } catch (e) {
+    console.error('[BK] notification settings error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load notification settings' });
+  }
+});
+
+app.put('/api/notification-settings', auth, async (req, res) => {
+  try {
+    const { settings, error } = await saveNotificationSettings(pool, req.userId, req.body || {});
+    if (error) return res.status(400).json({ ok: false, error });
+    res.json({ ok: true, settings: formatNotificationSettings(settings) });
+  } catch (e) {
+    console.error('[BK] save notification settings error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to save notification settings' });
+  }
+});
+
+app.get('/api/push/public-key', (_req, res) => {
+  if (!webPush) return res.status(404).json({ ok: false, error: 'Push notifications are not configured' });
+  res.json({ ok: true, publicKey: webPush.publicKey });
+});
+
+// Body: the browser's PushSubscription as JSON ({ endpoint, keys: { p256dh, auth } }).
+app.post('/api/push/subscriptions', auth, async (req, res) => {
+  try {
+    if (!webPush) return res.status(400).json({ ok: false, error: 'Push notifications are not configured' });
+    const result = await savePushSubscription(pool, req.userId, req.body || {}, {
+      userAgent: String(req.headers['user-agent'] || '').slice(0, 300) || null,
+    });
+    if (result.error) return res.status(400).json({ ok: false, error: result.error });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[BK] save push subscription error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to save push subscription' });
+  }
+});
+
+app.delete('/api/push/subscriptions', auth, async (req, res) => {
+  try {
+    const endpoint = String(req.body?.endpoint || '');
+    if (!endpoint) return res.status(400).json({ ok: false, error: 'endpoint required' });
+    const removed = await removePushSubscription(pool, { endpoint, userId: req.userId });
+    res.json({ ok: true, removed });
+  } catch (e) {
+    console.error('[BK] remove push subscription error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to remove push subscription' });
+  }
+});
+
+/* ---------- Reminder scheduler ---------- */
+function formatReminderTime(ms, timeZone) {
+  return new Date(ms).toLocaleString('en-US', {
+    timeZone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+}
+
+async function sendReminderEmail(user, reminder, { timeZone, repeats }) {
+  const token = signSnoozeToken(JWT_SECRET, reminder.id);
+  const snoozeUrl = (minutes) => `${APP_URL}/#/snooze/${encodeURIComponent(token)}/${minutes}`;
+  const { error } = await resend.emails.send({
+    from: 'Ball Knowledge <onboarding@resend.dev>',
+    to: user.email,
+    subject: `Training reminder: ${reminder.skill}`,
+    html: `
+      <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:600px;margin:0 auto;background:#0a0a0a;color:#ffffff;border-radius:16px;overflow:hidden">
+        <div style="background:linear-gradient(135deg,#00ff95,#19d3ff);padding:32px;text-align:center">
+          <h1 style="margin:0;font-size:24px;color:#0a0a0a">⚽ Ball Knowledge</h1>
+        </div>
+        <div style="padding:32px">
+          <h2 style="margin:0 0 12px;color:#00ff95">Time to work on ${escapeHtml(reminder.skill)}</h2>
+          ${reminder.drill ? `<p style="color:#ffffff;font-size:16px;margin:0 0 8px"><strong>Drill:</strong> ${escapeHtml(reminder.drill)}</p>` : ''}
+          ${reminder.note ? `<p style="color:#cccccc;font-size:15px;line-height:1.6;margin:0 0 8px">${escapeHtml(reminder.note)}</p>` : ''}
+          <p style="color:#888;font-size:13px;margin:16px 0 0">${escapeHtml(formatReminderTime(reminderDueAt(reminder), timeZone))}${repeats ? ` · ${escapeHtml(repeats)}` : ''}</p>
+          <div style="text-align:center;margin:28px 0 8px">
+            <a href="${APP_URL}/#/reminders" style="display:inline-block;padding:14px 32px;background:#00ff95;color:#0a0a0a;border-radius:10px;font-weight:700;text-decoration:none">Open reminders</a>
+          </div>
+          <p style="text-align:center;color:#888;font-size:13px;margin:16px 0 0">
+            Not now? Snooze for <a href="${snoozeUrl(60)}" style="color:#19d3ff">1 hour</a> or <a href="${snoozeUrl(24 * 60)}" style="color:#19d3ff">until tomorrow</a>.
+          </p>
+        </div>
+      </div>
+    `,
+  });
+  if (error) throw new Error(error.message || 'Resend rejected the email');
+}
+
+// -> how many of the user's browsers accepted the push. Subscriptions the push
+// service reports gone are deleted; the send fails only if none accepted it.
+async function sendReminderPush(userId, reminder, { repeats }) {
+  const subscriptions = await listPushSubscriptions(pool, userId);
+  const payload = {
+    title: `Training reminder: ${reminder.skill}`,
+    body: [reminder.drill, reminder.note, repeats].filter(Boolean).join(' · ') || 'Time for your training session.',
+    tag: `reminder-${reminder.id}`,
+    url: '/#/reminders',
+    snoozeToken: signSnoozeToken(JWT_SECRET, reminder.id),
+  };
+  let delivered = 0;
+  let lastError = null;
+  for (const subscription of subscriptions) {
+    try {
+      await webPush.send(subscription, payload, { ttl: 6 * 60 * 60 });
+      await recordPushResult(pool, subscription.id, true);
+      delivered++;
+    } catch (e) {
+      if (e.gone) {
+        await removePushSubscription(pool, { endpoint: subscription.endpoint });
+        console.log(`[BK] Push subscription ${subscription.id} for user ${userId} is gone, removed`);
+      } else {
+        await recordPushResult(pool, subscription.id, false);
+        lastError = e;
+      }
+    }
+  }
+  if (!delivered && lastError) throw lastError;
+  return delivered;
+}
+
+// -> the reminder's new delivery_status, or 'deferred' for quiet hours.
+async function deliverReminder(reminder) {
+  const now = Date.now();
+  const [user, settings] = await Promise.all([
+    findUserById(reminder.user_id),
+    getNotificationSettings(pool, reminder.user_id),
+  ]);
+  const timeZone = settings.timezone || 'UTC';
+  const finish = (outcome) => finishDelivery(pool, reminder, { workerId: WORKER_ID, now, timeZone, ...outcome });
+
+  if (!user) return finish({ error: 'Account not found' });
+  if (!reminder.next_attempt_at && now - reminderDueAt(reminder) > REMINDER_MAX_LATE_MS) {
+    return finish({ missed: true, error: 'Not sent in time' });
+  }
+  const quietUntil = quietHoursEnd(now, settings);
+  if (quietUntil) {
+    await deferReminder(pool, reminder, quietUntil, { workerId: WORKER_ID });
+    return 'deferred';
+  }
+
+  const repeats = describeReminderRecurrence(reminder, timeZone);
+  const via = [];
+  const errors = [];
+  if (settings.emailEnabled && resend && user.email) {
+    try {
+      await sendReminderEmail(user, reminder, { timeZone, repeats });
+      via.push('email');
+    } catch (e) {
+      errors.push(`email: ${e.message}`);
+    }
+  }
+  if (settings.pushEnabled && webPush) {
+    try {
+      if (await sendReminderPush(user.id, reminder, { repeats })) via.push('push');
+    } catch (e) {
+      errors.push(`push: ${e.message}`);
+    }
+  }
+  return finish({
+    via,
+    error: errors.join('; ') || (via.length ? null : 'No delivery channel available'),
+    retry: errors.length > 0,
+  });
+}
+
+async function runReminderScheduler() {
+  try {
+    let batch;
+    while ((batch = await claimDueReminders(pool, { workerId: WORKER_ID })).length) {
+      for (const reminder of batch) {
+        try {
+          const status = await deliverReminder(reminder);
+          console.log(`[BK] Reminder ${reminder.id} for user ${reminder.user_id}: ${status}`);
+        } catch (e) {
+          // Left in 'sending'; the lease expiry hands it to the next run.
+          console.error(`[BK] Reminder ${reminder.id} delivery error:`, e.message);
+        }
+      }
+    }
+  } catch (e) {
+    console.error('[BK] Reminder scheduler error:', e.message);
+  } finally {
+    setTimeout(runReminderScheduler, REMINDER_POLL_MS);
+  }
+}
+
+function startReminderScheduler() {
+  if (!process.env.POSTGRES_URL && !process.env.DATABASE_URL) {
+    console.error('[BK] WARNING: No database configured, reminder scheduler not started.');
+    return;
+  }
+  if (process.env.REMINDER_SCHEDULER === 'off') {
+    console.log('[BK] Reminder scheduler disabled (REMINDER_SCHEDULER=off)');
+    return;
+  }
+  console.log(`[BK] Reminder scheduler started (poll ${REMINDER_POLL_MS}ms, email ${resend ? 'on' : 'off'}, push ${webPush ? 'on' : 'off'})`);
+  runReminderScheduler();
+}
+
+app.post('/api/experience-feedback', auth, async (req, res) => {
+  try {
+    const { rating, flowStep, comment, metadata } = req.body || {};
+    const normalizedRating = String(rating || '').trim().toLowerCase();
     const allowedRatings = new Set(['great', 'okay', 'not_good']);
     if (!allowedRatings.has(normalizedRating)) {
       return res.status(400).json({ ok: false, error: 'rating must be one of: great, okay, not_good' });
@@ -1275,379 +2613,1131 @@ app.post('/api/experience-feedback', auth, async (req, res) => {
 });
 
 /* ==================================================================== */
-/*                     PART 1: TRAINING CLIP ANALYSIS                    */
+/*                                TEAMS                                 */
 /* ==================================================================== */
 
-async function runTextAnalysisForTraining({ profile, user, videoUrl, videoData, skill }) {
-  if (!genAI || !fileManager) {
-    throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY environment variable.');
-  }
-
-  const position = profile.position || user?.position || 'player';
-
-  // Calculate player age from dob or stored age
-  let playerAge = null;
-  const dob = profile.dob || user?.dob;
-  if (dob) {
-    const birthDate = new Date(dob);
-    if (!isNaN(birthDate.getTime())) {
-      const today = new Date();
-      let age = today.getFullYear() - birthDate.getFullYear();
-      const m = today.getMonth() - birthDate.getMonth();
-      if (m < 0 || (m === 0 && today.getDate() < birthDate.getDate())) age--;
-      if (age > 0 && age < 100) playerAge = age;
-    }
-  }
-  if (!playerAge) playerAge = profile.age || user?.age || null;
-
-  const ageLabel = playerAge ? `${playerAge} years old` : 'unknown age';
-  let ageGroup = 'adult';
-  if (playerAge) {
-    if (playerAge <= 8) ageGroup = 'young child (8 and under)';
-    else if (playerAge <= 12) ageGroup = 'youth (9-12)';
-    else if (playerAge <= 15) ageGroup = 'teen (13-15)';
-    else if (playerAge <= 18) ageGroup = 'older teen (16-18)';
-    else ageGroup = 'adult (19+)';
-  }
-
-  console.log(`[BK] Uploading video for Gemini analysis... Player age: ${ageLabel}, age group: ${ageGroup}`);
-  const file = await uploadVideoToGemini(videoUrl, videoData);
-
-  const prompt = `You are an elite-level soccer / football coach and technical analyst with 20+ years of experience coaching all ages from youth academy to professional. You have deep expertise in biomechanics, freestyle football, technical training, and player development.
-
-PLAYER INFO:
-- Position: ${position}
-- Age: ${ageLabel}
-- Age group: ${ageGroup}
-- Requested training focus from player: ${skill || 'not provided'}
-
-===== PRIMARY SKILL DETECTION (CRITICAL) =====
-- Choose "skillFocus" from the MOST REPEATED, MOST CENTRAL action in the clip (what the player is actually drilling over and over).
-- Do NOT infer skills that are not clearly present. If there are no clear shot attempts, do NOT label shooting.
-- Only include a skill in "secondarySkills" if it is clearly observable multiple times (not a one-off touch).
-- If the player provided a requested focus, use it as a tie-breaker when the video evidence supports it AND when two similar-looking moves could explain what you see. For example, if the player says "pull-back" and you see a sole-drag move, call it a pull-back — not a V-pull or drag-back — unless the V or direction change is unmistakably clear.
-- If the player says "first touch + passing" and the clip shows repeated wall passing/receiving with control errors, skillFocus should be "First Touch / Ball Control" or "Passing & First Touch" — not shooting.
-- For shooting to be listed, there must be clear repeated shot attempts toward a target/goal with striking mechanics visible.
-
-===== AGE-APPROPRIATE COACHING (CRITICAL) =====
-You MUST tailor ALL feedback, drills, language, and expectations to the player's age group. The same mistake requires completely different coaching for a 10-year-old vs a 16-year-old.
-
-YOUNG CHILD (8 and under):
-- Use simple, fun, encouraging language. Think "coach talking to a kid at practice."
-- Keep drill instructions very simple — short, visual, game-like activities (e.g., "kick the ball at the cone 10 times" not "work on your instep contact angle").
-- Focus on FUN first, then basic coordination. Do not overwhelm with technical detail.
-- Celebrate effort and improvement, not perfection. If they can kick the ball, that's progress.
-- Avoid complex biomechanics explanations. Say "try to land on your toes" not "adjust your center of gravity."
-- Recommend age-appropriate YouTube content (fun soccer challenges, basic skills for kids).
-
-YOUTH (9-12):
-- Encouraging but start introducing real technique vocabulary (e.g., "plant foot", "follow through", "laces").
-- Drills should be simple but purposeful — wall passes, cone dribbling courses, target shooting.
-- Keep explanations clear and practical. One focus point at a time, not five corrections.
-- Emphasize building good habits now: "If you learn to lock your ankle now, shooting gets way easier later."
-- This age is about repetition and building a foundation — not perfection.
-- Be positive but honest. "You're getting better at X, now let's work on Y."
-
-TEEN (13-15):
-- More technical and direct coaching language. They can handle detailed breakdowns.
-- Introduce biomechanics concepts: hip rotation, weight transfer, body angles.
-- Drills should be more structured with reps, progressions, and game-realistic scenarios.
-- Push them harder. Point out habits that will hold them back if not fixed now.
-- Reference professional players as examples (e.g., "Watch how Messi drops his shoulder before the cut").
-- Expect more consistency and hold them to a higher standard than younger players.
-
-OLDER TEEN (16-18):
-- Coach them like a competitive player. Be direct, specific, and demanding.
-- Full biomechanical breakdowns. Talk about ankle lock angles, striking through the ball, deceleration mechanics.
-- Drills should simulate match conditions: pressure, speed, one-touch play, transitions.
-- Identify weaknesses bluntly — "Your weak foot is a liability. Here's how to fix it."
-- Reference professional-level standards. If they want to play at the next level, tell them what it takes.
-- Discuss tactical awareness and decision-making, not just technique.
-
-ADULT (19+):
-- Professional-level coaching analysis. Assume they understand soccer terminology.
-- Deep biomechanical and tactical breakdowns.
-- High-performance drills with match-realistic intensity.
-- Focus on marginal gains and fine-tuning rather than basics (unless basics are clearly lacking).
-- Be direct and analytical. They want real coaching, not encouragement.
-
-===== HOW TO WATCH THE VIDEO =====
-1. Watch the ENTIRE video from start to finish before forming any conclusions.
-2. Pay attention to every single touch, movement, and transition.
-3. Note the SPECIFIC skills, tricks, and techniques being performed — NAME THEM by their real names.
-4. Track which foot (left/right) is being used for each action when visible.
-5. Notice body mechanics: ankle lock, knee position, hip rotation, shoulder alignment, center of gravity.
-6. Count approximate touches, note the rhythm, and observe consistency across attempts.
-
-===== MULTI-PLAYER FOCUS RULES (CRITICAL) =====
-If there are multiple players in the clip, you must identify ONE primary player and focus the analysis on that player only.
-- Primary player selection priority:
-  1) The player who touches the ball most often
-  2) The player performing the key action repeatedly (especially receiving + executing)
-  3) The player most central to the drill pattern (not background/support players)
-- If one player repeatedly receives passes (ground or air), controls, and returns the ball, that receiving player is usually the primary player.
-- Do NOT shift the report back and forth between different players. Keep the full report centered on the primary player.
-- You may briefly mention teammates only as context (e.g., "teammate in red serves passes"), but all coaching feedback must be about the primary player.
-- If jersey/shirt colors are visible, use them to keep identity consistent (e.g., "player in black receiving passes").
-- If you cannot confidently track one player, say that clearly and explain the visibility limitation instead of mixing multiple players in one evaluation.
-
-===== ACCURACY RULES (CRITICAL) =====
-- Describe ONLY what you can actually see. Do NOT assume, guess, or hallucinate.
-- If the player only uses their feet, do NOT say they used thighs or head.
-- If the camera angle makes something unclear, say so explicitly.
-- Be honest about what was done well AND what needs work. Do not sugarcoat.
-
-===== UNDERSTAND INTENT vs OUTCOME (VERY IMPORTANT) =====
-Do NOT confuse what the player is TRYING to do with what the ball happens to do.
-- If a player is passing against a wall and the ball bounces back off the ground, that is NOT a volley. That is a WALL PASS DRILL where the ball happened to bounce. The player is practicing passing and receiving, not volleying.
-- A volley is when a player INTENTIONALLY strikes the ball out of the air (e.g., a cross comes in and they hit it before it bounces). If the ball just bounces because of the surface, the wall, or a heavy touch, that is an uncontrolled bounce — NOT an intentional aerial technique.
-- If the ball is bouncing and the player is clearly trying to get it under control or keep it on the ground, recognize that as a FIRST TOUCH / CONTROL issue, not as the player choosing to play in the air.
-- Always ask yourself: "Is the player CHOOSING to do this, or is this happening because they haven't controlled the ball?" The answer changes the entire analysis.
-- Common drill recognition:
-  * Passing against a wall = wall pass drill (passing accuracy, first touch, weight of pass)
-  * Ball bouncing off wall = natural rebound, not a volley unless player deliberately strikes it mid-air
-  * Ball popping up after a touch = heavy/poor first touch, not intentional juggling
-  * Player chasing a loose ball = loss of control, not a dribbling move
-
-===== WHAT TO ANALYZE BY ACTIVITY TYPE =====
-
-JUGGLING / FREESTYLE:
-- Name every trick you can identify: Around the World (ATW), crossover, Akka, Touzani Around the World (TATW), Hop the World (HTW), neck stall, sole stall, clipper, rainbow flick, sombrero, Maradona, etc.
-- Evaluate touch quality: Is the ball staying close? Are touches soft and controlled or hard and bouncy?
-- Note which foot is dominant and whether weak foot is used at all.
-- Assess rhythm and flow: Are trick transitions smooth or does the player reset to basic juggling between each trick?
-- Count longest juggling streak if visible. Note any drops.
-
-SHOOTING:
-- Analyze approach angle and run-up (straight, angled, length of run-up).
-- Identify striking technique: laces drive, instep curl, outside foot, chip, knuckleball, toe poke, volley, half-volley.
-- Evaluate plant foot placement (next to ball, behind, too far away).
-- Check body position at contact: leaning back (ball goes high), over the ball (driven shot), hip rotation, follow-through direction.
-- Assess power vs accuracy balance. Note where the shot goes (top corner, low, wide, saved, etc.).
-- Identify common shooting mistakes: leaning too far back, planting foot too far from ball, looking down at contact, no follow-through, ankle not locked.
-
-DRIBBLING / BALL MASTERY:
-- Identify specific moves by their CORRECT names. Reference list below — use the closest matching name. Do NOT substitute a different move name if the actual move is on this list.
-
-  SOLE / PULL MOVES (ball mastery):
-  * Pull-back: sole of foot drags ball straight backward
-  * V-pull (V-turn): sole pulls ball back then player redirects it diagonally forward — ball path makes a V. NOT the same as a pull-back.
-  * L-turn: sole rolls the ball backward (the vertical of the L), then the inside of the foot pushes it 90° to the side (the horizontal of the L) — ball path makes an L shape
-  * T-pull: toe or sole pulls the ball back between the feet
-  * Sole roll: sole of foot rolls the ball sideways across the body (not backward)
-  * Inside hook / outside hook: quick cut using inside or outside of foot to change direction
-  * Stop-and-go: player stops the ball dead with the sole then explodes forward
-  * Iniesta turn (inside cut): a sharp inside-foot cut/hook while shielding the ball, often done in tight space — associated with Andrés Iniesta. Usually follows a pull-back or L-turn in a combo pattern.
-  * "L into Iniesta" = L-turn immediately followed by an inside cut (Iniesta-style), a common combination drill
-
-  CLASSIC DRIBBLING MOVES:
-  * Stepovers / scissors (single or double)
-  * Cruyff turn: drag-back with the inside of the foot behind the standing leg
-  * La Croqueta: lateral push from one foot to the other while defender commits
-  * Elastico (flip-flap): outside foot fake then quick inside foot redirect
-  * Ronaldo chop: rapid inside-foot chop across the body
-  * Maradona spin (360 turn): one foot stops the ball, other drags it in a full rotation
-  * Body feint: shoulder drop/dip without touching the ball
-  * Drag-back: inside of foot drags ball back to reset or change direction
-  * Ball roll: foot rolls ball sideways using the sole
-  * Chop: sharp inside-foot cut going against the direction of travel
-  * Nutmeg attempt: deliberately pushing ball through defender's legs
-  * Step-over into acceleration: any stepover immediately followed by explosive burst
-
-- DISAMBIGUATION RULE: Many moves look similar on camera. Use the player's stated skill as the tiebreaker when two moves are visually similar.
-  * Pull-back vs V-pull: if the ball just goes straight back = pull-back. If it goes back THEN angles forward = V-pull.
-  * L-turn vs pull-back: L-turn has a 90° sideways push after the pull-back. If you only see the backward component = pull-back only.
-  * Cruyff turn vs drag-back: Cruyff passes the ball behind the standing leg. Drag-back stays in front.
-  * Do NOT label a move "V-pull" if what you see is a pull-back or L-turn. Use the player's stated skill to resolve ambiguity.
-
-- Evaluate first touch quality: Is it too heavy? Does the ball get away? Is it controlled into space?
-- Note close control vs speed: Is the ball glued to their feet? How many touches per distance?
-- Assess change of pace and direction. Is there an explosive burst after the move?
-- Check head position: Are they looking up (scanning) or always staring at the ball?
-- Note bad touches specifically: which foot, what happened, did they lose the ball?
-
-PASSING (including wall pass drills):
-- Identify pass types: short pass, through ball, long ball, lofted pass, driven pass, outside-foot pass, backheel, cross, switch of play.
-- Evaluate weight of pass (too hard, too soft, just right). Too hard = ball bounces back fast and high off the wall. Too soft = ball doesn't reach the target.
-- Check technique: inside foot, laces, outside foot, which foot.
-- Assess accuracy and intention vs result.
-- WALL PASSING: If the player is passing against a wall and receiving the rebound, analyze the PASS WEIGHT (is the return bouncing or rolling?), the FIRST TOUCH on the rebound (can they control it quickly?), and BODY POSITIONING (are they preparing for the next pass?).
-- If the ball keeps bouncing back instead of rolling, the player is hitting the ball too hard or striking too low. That's a pass weight issue, NOT a volley drill.
-- Note if the player is working one-touch or two-touch patterns against the wall.
-
-BALL CONTROL / FIRST TOUCH:
-- Note receiving technique: inside foot, sole, outside foot, thigh, chest.
-- Is the first touch setting them up for the next action or killing their momentum?
-- Evaluate control under different scenarios (ground ball, aerial ball, bouncing ball off a wall).
-- If the ball is bouncing and the player is trying to bring it down or keep it on the ground, that is a first touch PROBLEM to correct — not a different skill being practiced.
-- A good first touch cushions the ball and keeps it close. A bad first touch lets the ball bounce away or pop up.
-
-===== SKILL LEVEL ASSESSMENT =====
-- "Beginner": Struggling with basic ball control. Frequent loss of possession. Simple touches only. Inconsistent striking. Cannot perform basic tricks.
-- "Intermediate": Solid fundamentals. Can juggle consistently (20+ touches). Performs basic tricks (ATW, sole stalls). Decent shooting technique with room for improvement. Comfortable dribbling at moderate pace. Some weak foot ability.
-- "Advanced": Executes complex freestyle tricks cleanly and consistently. Strong both feet. Powerful and accurate shooting with proper technique. Close dribbling control at speed. Smooth transitions between skills. High touch count juggling with trick combos.
-- A player performing freestyle tricks (ATW, crossovers, Akkas, etc.) is AT LEAST Intermediate. If done fluidly with combos, they are Advanced.
-
-===== SKILL-SPECIFIC BIOMECHANICS CHECKLIST (CRITICAL) =====
-Based on the primary skillFocus detected, you MUST evaluate the following biomechanical checkpoints and score each 1–10. Only include the checkpoints relevant to the skill observed — do NOT invent checkpoints that cannot be observed in the video. If a checkpoint is not visible due to camera angle, set score to null and note "camera angle limited".
-
-SHOOTING checkpoints: plantFootPosition, ankleLock, bodyLeanAtContact, hipRotation, followThroughDirection, approachAngle, headPosition
-PASSING / FIRST TOUCH checkpoints: receivingSurface, cushionTechnique, bodyOrientationPreTouch, touchDirection, passWeight, bodyShapeAfterTouch
-DRIBBLING checkpoints: touchDistance, headPosition, changeOfPaceExecution, weakFootInvolvement, bodyFeintQuality
-JUGGLING / FREESTYLE checkpoints: touchHeightConsistency, rhythmBetweenTricks, weakFootUsage, dropFrequency, trickTransitionFluidity
-
-For each checkpoint provide: { "score": "X/10", "note": "one-line explanation of what you saw" }
-If score is null, still provide a "note" explaining the visibility limitation.
-
-===== KEY MOMENTS =====
-Identify 2–4 specific moments in the video where the most important technical errors are clearly visible. Be specific about WHEN in the video (e.g., "around 0:08 on the second shot attempt", "during the third wall pass sequence"). For each moment describe:
-- What the body position / ball contact looked like at that exact moment
-- What direct impact it had on the outcome (ball went high, touch was heavy, lost possession, etc.)
-- What the correct action should have looked like instead
-These must be grounded in what you actually saw — do NOT fabricate moments.
-
-===== COACHING CUES =====
-Provide 2–3 short, memorable cue phrases this player can say to themselves during their next session to self-correct the top errors. These should be simple, physical, and instant — the kind of thing a coach shouts from the sideline. Examples: "lock the ankle", "plant beside the ball", "lean over it", "soft touch, stay close", "eyes up after the pass".
-
-===== COACHING FEEDBACK RULES =====
-- For every weakness you identify, provide a SPECIFIC drill or exercise to fix it. Not generic advice — real drills a coach would assign.
-- Reference real coaching terminology and biomechanics.
-- Improvement tips should be prioritized: fix the biggest technical issue first.
-- For "improvementTips": the "tip" field = the observed error (exactly what you saw happen), the "why" field = the biomechanical root cause (which body position or movement caused it), the "how" field = a specific corrective drill with reps, sets, and setup instructions.
-- YouTube recommendations should be REAL channels known for soccer coaching/training (e.g., Unisport, Progressive Soccer, 7MLC, Joner 1on1, Tom Byer, Tekkerz Kid, etc.) with specific video topics that address the player's weaknesses.
-
-===== COACH SUMMARY STYLE (CRITICAL) =====
-- The "sessionSummary" MUST focus only on the primary player's drill execution.
-- Describe what the player is actually doing in the drill (e.g., V-pulls, inside-out touches, wall passes, first touch, pass weight, body shape, rhythm, control distance).
-- Do NOT mention or speculate about age, age group, "young player", "teen", "kid", "adult", or any demographic assumptions.
-- Do NOT include filler context about non-primary players unless directly relevant to the drill outcome.
-- Keep it practical and drill-centered: action observed -> issue -> immediate coaching takeaway.
-
-Respond with ONLY valid JSON (no markdown fences, no backticks). Use this exact schema:
-{
-  "sessionSummary": "2-3 detailed paragraphs focused strictly on the player's drill actions and execution quality. Name the drill actions performed, where control breaks down, and what technical pattern is happening repeatedly. Do NOT mention age/demographics.",
-  "skillFocus": "Primary skill being trained (e.g., Freestyle Juggling, Shooting Technique, Close Dribbling, Passing Accuracy)",
-  "secondarySkills": ["skill 1", "skill 2"],
-  "currentLevel": "Beginner | Intermediate | Advanced",
-  "sessionSnapshot": {
-    "levelScore": "numeric score from 0-10",
-    "confidence": "High | Medium | Low",
-    "quickTiles": [
-      { "label": "First Touch", "value": "6.5/10", "note": "short reason" },
-      { "label": "Consistency", "value": "7.0/10", "note": "short reason" },
-      { "label": "Tempo", "value": "6.8/10", "note": "short reason" }
-    ]
-  },
-  "technicalAnalysis": {
-    "footwork": "Detailed analysis of foot technique — which foot is used, ankle lock, touch quality, surface of foot",
-    "bodyPosition": "Posture, balance, center of gravity, knee bend, hip alignment during the skill",
-    "followThrough": "Completion of movement — follow-through on shots, fluidity of trick execution, finishing touches",
-    "consistency": "How repeatable is the technique? Success rate, drop frequency, accuracy across attempts",
-    "sessionProgression": "Did the player improve during the video? Did they attempt harder variations? Did fatigue affect quality?"
-  },
-  "biomechanicalChecklist": {
-    "plantFootPosition": { "score": "X/10 or null", "note": "what you saw" },
-    "ankleLock": { "score": "X/10 or null", "note": "what you saw" }
-  },
-  "keyMoments": [
-    {
-      "timestamp": "~0:08 (second shot attempt)",
-      "observation": "exact description of body position or contact at that moment",
-      "impact": "what happened as a result",
-      "correction": "what should have happened instead"
-    }
-  ],
-  "coachingCues": ["lock the ankle", "plant beside the ball", "lean over it"],
-  "improvementTips": [{"priority": 1, "tip": "the observed error — what you saw happen", "why": "biomechanical root cause — which body position caused it", "how": "corrective drill with reps/sets/setup"}],
-  "commonMistakesForPosition": [{"mistake": "specific technical error", "observed": true, "correction": "exactly how to fix it with a drill"}],
-  "practiceProgression": [{"level": "current", "drill": "drill they should do now"}, {"level": "next", "drill": "drill to progress to once current is mastered"}],
-  "trendVsLastSessions": [{"metric": "Passing Accuracy", "trend": "improving | flat | declining", "note": "short explanation"}],
-  "nextSessionPlan": [{"block": "Warm-up", "duration": "5 min", "focus": "what to do"}, {"block": "Main Block", "duration": "10 min", "focus": "what to do"}],
-  "youtubeRecommendations": [{"title": "specific video topic", "coach": "real YouTube channel name", "why": "how it addresses this player's specific needs"}]
-}`;
+// owner: one per team, full control. coach: invites players/parents, reads every
+// player's data and writes notes. player: the athlete. parent: reads the one
+// linked player. Nobody can delete another member's analyses.
+const INVITE_ROLES = ['coach', 'player', 'parent'];
+const INVITE_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+async function getTeamRole(teamId, userId) {
+  const { rows } = await pool.query(
+    'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2', [teamId, userId]
+  );
+  return rows[0]?.role || null;
+}
+
+// Non-members get 404 so team ids cannot be probed.
+function requireTeamRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const role = await getTeamRole(req.params.id, req.userId);
+      if (!role) return res.status(404).json({ ok: false, error: 'Team not found' });
+      if (roles.length && !roles.includes(role)) {
+        return res.status(403).json({ ok: false, error: 'Your team role does not allow this' });
+      }
+      req.teamRole = role;
+      next();
+    } catch (e) {
+      console.error('[BK] requireTeamRole error:', e.message);
+      res.status(500).json({ ok: false, error: 'Server error' });
+    }
+  };
+}
+
+async function isTeamPlayer(teamId, userId) {
+  return (await getTeamRole(teamId, userId)) === 'player';
+}
+
+// Notes the viewer may see about a player: all of them for the player, a linked
+// parent or a consenting guardian, otherwise only notes from teams where the
+// viewer is owner or coach.
+async function getCoachNotes(viewerId, playerId, { analysisId = null } = {}) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT n.*, u.name AS author_name, t.name AS team_name
+       FROM coach_notes n
+       JOIN teams t ON t.id = n.team_id
+       LEFT JOIN users u ON u.id = n.author_id
+       WHERE n.player_id = $1
+         AND ($3::text IS NULL OR n.analysis_id = $3)
+         AND ($2 = $1
+              OR EXISTS (SELECT 1 FROM team_members m WHERE m.team_id = n.team_id AND m.user_id = $2
+                         AND (m.role IN ('owner', 'coach') OR (m.role = 'parent' AND m.player_id = $1)))
+              OR EXISTS (SELECT 1 FROM guardian_consents g WHERE g.user_id = $1 AND g.guardian_user_id = $2
+                         AND g.status = 'granted'))
+       ORDER BY n.created_at DESC`,
+      [playerId, viewerId, analysisId]
+    );
+    return rows.map(r => ({
+      id: r.id,
+      teamId: r.team_id,
+      teamName: r.team_name,
+      playerId: r.player_id,
+      analysisId: r.analysis_id,
+      author: { id: r.author_id, name: r.author_name || 'Coach' },
+      body: r.body,
+      createdAt: Number(r.created_at),
+      updatedAt: Number(r.updated_at) || null,
+    }));
+  } catch (e) {
+    console.error('[BK] getCoachNotes error:', e.message);
+    return [];
+  }
+}
+
+app.post('/api/teams', auth, requireFeature('coachFeatures'), async (req, res) => {
+  const name = String(req.body?.name || '').trim().slice(0, 100);
+  if (!name) return res.status(400).json({ ok: false, error: 'Team name required' });
+  let client;
+  try {
+    client = await pool.connect();
+    const id = uuidv4();
+    const now = Date.now();
+    await client.query('BEGIN');
+    await client.query(
+      'INSERT INTO teams (id, name, owner_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $4)',
+      [id, name, req.userId, now]
+    );
+    await client.query(
+      `INSERT INTO team_members (team_id, user_id, role, created_at) VALUES ($1, $2, 'owner', $3)`,
+      [id, req.userId, now]
+    );
+    await client.query('COMMIT');
+    res.json({ ok: true, team: { id, name, role: 'owner', createdAt: now } });
+  } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('[BK] create team error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to create team' });
+  } finally {
+    client?.release();
+  }
+});
+
+app.get('/api/teams', auth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT t.id, t.name, t.created_at, m.role, m.player_id,
+              (SELECT COUNT(*)::int FROM team_members p WHERE p.team_id = t.id AND p.role = 'player') AS player_count
+       FROM team_members m JOIN teams t ON t.id = m.team_id
+       WHERE m.user_id = $1
+       ORDER BY t.created_at DESC`,
+      [req.userId]
+    );
+    res.json({
+      ok: true,
+      teams: rows.map(r => ({
+        id: r.id, name: r.name, role: r.role, linkedPlayerId: r.player_id || null,
+        playerCount: r.player_count, createdAt: Number(r.created_at),
+      })),
+    });
+  } catch (e) {
+    console.error('[BK] list teams error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load teams' });
+  }
+});
+
+app.get('/api/teams/:id', auth, requireTeamRole(), async (req, res) => {
+  try {
+    const { rows: teamRows } = await pool.query('SELECT * FROM teams WHERE id = $1', [req.params.id]);
+    const team = teamRows[0];
+    const { rows } = await pool.query(
+      `SELECT m.user_id, m.role, m.player_id, m.created_at, u.name, u.email, p.position, p.name AS profile_name,
+              s.total_analyses, s.last_analysis_at
+       FROM team_members m
+       LEFT JOIN users u ON u.id = m.user_id
+       LEFT JOIN profiles p ON p.user_id = m.user_id
+       LEFT JOIN player_stats s ON s.user_id = m.user_id
+       WHERE m.team_id = $1
+       ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'coach' THEN 1 WHEN 'player' THEN 2 ELSE 3 END, u.name`,
+      [req.params.id]
+    );
+    const staff = ['owner', 'coach'].includes(req.teamRole);
+    res.json({
+      ok: true,
+      team: { id: team.id, name: team.name, ownerId: team.owner_id, createdAt: Number(team.created_at) },
+      role: req.teamRole,
+      members: rows.map(r => ({
+        userId: r.user_id,
+        name: r.profile_name || r.name || 'Player',
+        email: staff ? r.email : undefined,
+        role: r.role,
+        linkedPlayerId: r.player_id || null,
+        position: r.position || null,
+        totalAnalyses: staff && r.role === 'player' ? r.total_analyses || 0 : undefined,
+        lastAnalysisAt: staff && r.role === 'player' ? Number(r.last_analysis_at) || null : undefined,
+        joinedAt: Number(r.created_at),
+      })),
+    });
+  } catch (e) {
+    console.error('[BK] get team error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load team' });
+  }
+});
+
+app.patch('/api/teams/:id', auth, requireTeamRole('owner'), async (req, res) => {
+  const name = String(req.body?.name || '').trim().slice(0, 100);
+  if (!name) return res.status(400).json({ ok: false, error: 'Team name required' });
+  try {
+    await pool.query('UPDATE teams SET name = $2, updated_at = $3 WHERE id = $1', [req.params.id, name, Date.now()]);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[BK] rename team error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to update team' });
+  }
+});
+
+app.delete('/api/teams/:id', auth, requireTeamRole('owner'), async (req, res) => {
+  try {
+    await pool.query('DELETE FROM teams WHERE id = $1', [req.params.id]);
+    await recordAudit({ userId: req.userId, action: 'team_deleted', req, metadata: { teamId: req.params.id } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[BK] delete team error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to delete team' });
+  }
+});
+
+/* ---------- Invites ---------- */
+app.post('/api/teams/:id/invites', auth, requireTeamRole('owner', 'coach'), async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const role = String(req.body?.role || 'player').trim().toLowerCase();
+    const playerId = req.body?.playerId ? String(req.body.playerId) : null;
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ ok: false, error: 'Valid email required' });
+    }
+    if (!INVITE_ROLES.includes(role)) {
+      return res.status(400).json({ ok: false, error: `Role must be one of: ${INVITE_ROLES.join(', ')}` });
+    }
+    if (role === 'coach' && req.teamRole !== 'owner') {
+      return res.status(403).json({ ok: false, error: 'Only the team owner can invite coaches' });
+    }
+    if (role === 'parent' && !(playerId && await isTeamPlayer(req.params.id, playerId))) {
+      return res.status(400).json({ ok: false, error: 'A parent invite needs the playerId of a player on this team' });
+    }
+
+    const id = uuidv4();
+    const token = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+    await pool.query(
+      `INSERT INTO team_invites (id, team_id, email, role, player_id, token_hash, invited_by, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [id, req.params.id, email, role, role === 'parent' ? playerId : null, sha256(token), req.userId, now, now + INVITE_TTL_MS]
+    );
+
+    const { rows: teamRows } = await pool.query('SELECT name FROM teams WHERE id = $1', [req.params.id]);
+    const inviter = await findUserById(req.userId);
+    const inviteUrl = `${req.protocol}://${req.get('host')}/#/invite/${token}`;
+    if (resend) {
+      resend.emails.send({
+        from: 'Ball Knowledge <onboarding@resend.dev>',
+        to: email,
+        subject: `${inviter?.name || 'Your coach'} invited you to ${teamRows[0]?.name || 'a team'} on Ball Knowledge`,
+        html: `
+          <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:600px;margin:0 auto;background:#0a0a0a;color:#ffffff;border-radius:16px;overflow:hidden">
+            <div style="background:linear-gradient(135deg,#00ff95,#19d3ff);padding:32px;text-align:center">
+              <h1 style="margin:0;font-size:24px;color:#0a0a0a">⚽ Ball Knowledge</h1>
+            </div>
+            <div style="padding:32px;text-align:center">
+              <h2 style="margin:0 0 12px;color:#ffffff">Join ${escapeHtml(teamRows[0]?.name || 'the team')}</h2>
+              <p style="color:#cccccc;font-size:15px;line-height:1.6">${escapeHtml(inviter?.name || 'A coach')} invited you to join as a ${role}. The invite expires in 14 days.</p>
+              <a href="${inviteUrl}" style="display:inline-block;margin:24px 0;padding:14px 32px;background:#00ff95;color:#0a0a0a;border-radius:10px;font-weight:700;text-decoration:none">Accept invite</a>
+              <p style="color:#666;font-size:13px">Sign in or create an account with ${escapeHtml(email)} (the address this invite was sent to), then open the link.</p>
+            </div>
+          </div>
+        `,
+      }).catch(e => console.error('[BK] Team invite email failed:', e.message));
+    }
+
+    res.json({
+      ok: true,
+      invite: { id, email, role, playerId: role === 'parent' ? playerId : null, expiresAt: now + INVITE_TTL_MS },
+      inviteUrl,
+    });
+  } catch (e) {
+    console.error('[BK] create invite error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to create invite' });
+  }
+});
+
+app.get('/api/teams/:id/invites', auth, requireTeamRole('owner', 'coach'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, email, role, player_id, invited_by, created_at, expires_at FROM team_invites
+       WHERE team_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > $2
+       ORDER BY created_at DESC`,
+      [req.params.id, Date.now()]
+    );
+    res.json({
+      ok: true,
+      invites: rows.map(r => ({
+        id: r.id, email: r.email, role: r.role, playerId: r.player_id || null,
+        invitedBy: r.invited_by, createdAt: Number(r.created_at), expiresAt: Number(r.expires_at),
+      })),
+    });
+  } catch (e) {
+    console.error('[BK] list invites error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load invites' });
+  }
+});
+
+app.delete('/api/teams/:id/invites/:inviteId', auth, requireTeamRole('owner', 'coach'), async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      `UPDATE team_invites SET revoked_at = $3
+       WHERE id = $1 AND team_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [req.params.inviteId, req.params.id, Date.now()]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: 'Invite not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[BK] revoke invite error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to revoke invite' });
+  }
+});
+
+app.post('/api/invites/accept', auth, requireConsent, async (req, res) => {
+  const token = String(req.body?.token || '').trim();
+  if (!token) return res.status(400).json({ ok: false, error: 'Invite token required' });
+  let client;
+  try {
+    client = await pool.connect();
+    const now = Date.now();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT i.*, t.name AS team_name FROM team_invites i JOIN teams t ON t.id = i.team_id
+       WHERE i.token_hash = $1 FOR UPDATE OF i`,
+      [sha256(token)]
+    );
+    const invite = rows[0];
+    if (!invite || invite.revoked_at || invite.accepted_at || Number(invite.expires_at) < now) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ ok: false, error: 'This invite is invalid or has expired' });
+    }
+    // The token alone is not enough: it may have been forwarded or leaked.
+    const { rows: [accepting] } = await client.query('SELECT email FROM users WHERE id = $1', [req.userId]);
+    if (String(accepting?.email || '').trim().toLowerCase() !== String(invite.email).trim().toLowerCase()) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ ok: false, error: 'This invite was sent to a different email address' });
+    }
+    const { rows: existing } = await client.query(
+      'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2', [invite.team_id, req.userId]
+    );
+    if (existing[0]) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ ok: false, error: `You are already on this team as ${existing[0].role}` });
+    }
+    await client.query(
+      `INSERT INTO team_members (team_id, user_id, role, player_id, created_at) VALUES ($1, $2, $3, $4, $5)`,
+      [invite.team_id, req.userId, invite.role, invite.player_id, now]
+    );
+    await client.query(
+      'UPDATE team_invites SET accepted_at = $2, accepted_by = $3 WHERE id = $1',
+      [invite.id, now, req.userId]
+    );
+    await client.query('COMMIT');
+    await recordAudit({
+      userId: req.userId, action: 'team_joined', req,
+      metadata: { teamId: invite.team_id, role: invite.role, inviteId: invite.id },
+    });
+    res.json({ ok: true, team: { id: invite.team_id, name: invite.team_name, role: invite.role } });
+  } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('[BK] accept invite error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to accept invite' });
+  } finally {
+    client?.release();
+  }
+});
+
+/* ---------- Members ---------- */
+// Owners remove anyone but themselves, coaches remove players and parents, and
+// any non-owner can leave. Removing a player also removes their linked parents.
+app.delete('/api/teams/:id/members/:userId', auth, requireTeamRole(), async (req, res) => {
+  try {
+    const targetId = req.params.userId;
+    const targetRole = await getTeamRole(req.params.id, targetId);
+    if (!targetRole) return res.status(404).json({ ok: false, error: 'Member not found' });
+    if (targetRole === 'owner') {
+      return res.status(400).json({ ok: false, error: 'The owner cannot leave; delete the team instead' });
+    }
+    const leaving = targetId === req.userId;
+    const allowed = leaving
+      || req.teamRole === 'owner'
+      || (req.teamRole === 'coach' && ['player', 'parent'].includes(targetRole));
+    if (!allowed) return res.status(403).json({ ok: false, error: 'Your team role does not allow this' });
+
+    await pool.query('DELETE FROM team_members WHERE team_id = $1 AND user_id = $2', [req.params.id, targetId]);
+    if (targetRole === 'player') {
+      await pool.query(
+        `DELETE FROM team_members WHERE team_id = $1 AND role = 'parent' AND player_id = $2`,
+        [req.params.id, targetId]
+      );
+    }
+    await recordAudit({
+      userId: targetId, actorId: req.userId, action: leaving ? 'team_left' : 'team_member_removed', req,
+      metadata: { teamId: req.params.id, role: targetRole },
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[BK] remove member error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to remove member' });
+  }
+});
+
+/* ---------- Coach notes ---------- */
+app.post('/api/teams/:id/players/:playerId/notes', auth, requireTeamRole('owner', 'coach'), async (req, res) => {
+  try {
+    const body = String(req.body?.body || '').trim().slice(0, 4000);
+    const analysisId = req.body?.analysisId ? String(req.body.analysisId) : null;
+    if (!body) return res.status(400).json({ ok: false, error: 'Note text required' });
+    if (!await isTeamPlayer(req.params.id, req.params.playerId)) {
+      return res.status(404).json({ ok: false, error: 'Player not found on this team' });
+    }
+    if (analysisId && !await getAnalysisById(req.params.playerId, analysisId)) {
+      return res.status(404).json({ ok: false, error: 'Analysis not found for this player' });
+    }
+    const id = uuidv4();
+    const now = Date.now();
+    await pool.query(
+      `INSERT INTO coach_notes (id, team_id, player_id, author_id, analysis_id, body, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [id, req.params.id, req.params.playerId, req.userId, analysisId, body, now]
+    );
+    res.json({ ok: true, note: { id, teamId: req.params.id, playerId: req.params.playerId, analysisId, body, createdAt: now } });
+  } catch (e) {
+    console.error('[BK] create coach note error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to save note' });
+  }
+});
+
+app.get('/api/coach-notes', auth, playerScope, async (req, res) => {
+  const notes = await getCoachNotes(req.userId, req.playerId, { analysisId: req.query.analysisId || null });
+  res.json({ ok: true, notes });
+});
+
+app.delete('/api/coach-notes/:id', auth, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      `DELETE FROM coach_notes n WHERE n.id = $1
+       AND (n.author_id = $2 OR EXISTS (SELECT 1 FROM team_members m
+            WHERE m.team_id = n.team_id AND m.user_id = $2 AND m.role = 'owner'))`,
+      [req.params.id, req.userId]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: 'Note not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[BK] delete coach note error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to delete note' });
+  }
+});
+
+/* ==================================================================== */
+/*                        GUARDIAN CONSENT                              */
+/* ==================================================================== */
+
+// A player under GUARDIAN_CONSENT_AGE signs up with a guardian email. The
+// guardian gets a one-time link (#/consent/<token>) to approve or decline; the
+// same token later links the guardian's own account so they can follow the
+// child's analyses through the regular ?playerId= routes.
+const CONSENT_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+function ageFromDob(dob, fallbackAge) {
+  const m = String(dob || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) {
+    const now = new Date();
+    let years = now.getFullYear() - Number(m[1]);
+    const beforeBirthday = now.getMonth() + 1 < Number(m[2])
+      || (now.getMonth() + 1 === Number(m[2]) && now.getDate() < Number(m[3]));
+    if (beforeBirthday) years--;
+    if (years >= 0 && years < 120) return years;
+  }
+  const n = Number(fallbackAge);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+async function requestGuardianConsent(child, guardianEmail, req) {
+  const id = uuidv4();
+  const token = crypto.randomBytes(24).toString('base64url');
+  const now = Date.now();
+  await pool.query(
+    `UPDATE guardian_consents SET status = 'superseded' WHERE user_id = $1 AND status = 'pending'`,
+    [child.id]
+  );
+  await pool.query(
+    `INSERT INTO guardian_consents (id, user_id, guardian_email, token_hash, requested_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [id, child.id, guardianEmail, sha256(token), now, now + CONSENT_TTL_MS]
+  );
+  await recordAudit({ userId: child.id, action: 'guardian_consent_requested', req, metadata: { consentId: id } });
+
+  const consentUrl = `${req.protocol}://${req.get('host')}/#/consent/${token}`;
+  if (resend) {
+    resend.emails.send({
+      from: 'Ball Knowledge <onboarding@resend.dev>',
+      to: guardianEmail,
+      subject: `${child.name} wants to use Ball Knowledge — your approval is needed`,
+      html: `
+        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:600px;margin:0 auto;background:#0a0a0a;color:#ffffff;border-radius:16px;overflow:hidden">
+          <div style="background:linear-gradient(135deg,#00ff95,#19d3ff);padding:32px;text-align:center">
+            <h1 style="margin:0;font-size:24px;color:#0a0a0a">⚽ Ball Knowledge</h1>
+          </div>
+          <div style="padding:32px">
+            <h2 style="margin:0 0 12px;color:#ffffff">Parent / guardian approval</h2>
+            <p style="color:#cccccc;font-size:15px;line-height:1.6">${escapeHtml(child.name)} created a Ball Knowledge account and listed you as their parent or guardian.
+            Ball Knowledge analyses training videos that players upload of themselves and gives coaching feedback.
+            Because they are under ${GUARDIAN_CONSENT_AGE}, they cannot upload videos until you approve.</p>
+            <div style="text-align:center">
+              <a href="${consentUrl}" style="display:inline-block;margin:24px 0;padding:14px 32px;background:#00ff95;color:#0a0a0a;border-radius:10px;font-weight:700;text-decoration:none">Review and respond</a>
+            </div>
+            <p style="color:#666;font-size:13px">This link expires in 14 days. If you don't know this player, you can ignore this email and nothing will be uploaded.</p>
+          </div>
+        </div>
+      `,
+    }).catch(e => console.error('[BK] Guardian consent email failed:', e.message));
+  }
+  console.log(`[BK] Guardian consent requested for user ${child.id}`);
+  return { consentId: id, consentUrl };
+}
+
+async function findConsentByToken(token) {
+  const { rows } = await pool.query(
+    `SELECT g.*, u.name AS child_name, u.age AS child_age, u.dob AS child_dob
+     FROM guardian_consents g JOIN users u ON u.id = g.user_id
+     WHERE g.token_hash = $1`,
+    [sha256(String(token || ''))]
+  );
+  return rows[0] || null;
+}
+
+// The player asks again, optionally with a corrected guardian email.
+app.post('/api/consent/resend', auth, limits.email, async (req, res) => {
+  try {
+    const user = await findUserById(req.userId);
+    if (!['pending', 'declined', 'revoked'].includes(user?.consent_status)) {
+      return res.status(400).json({ ok: false, error: 'Your account does not need guardian approval' });
+    }
+    const guardianEmail = String(req.body?.guardianEmail || user.guardian_email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(guardianEmail) || guardianEmail === user.email.toLowerCase()) {
+      return res.status(400).json({ ok: false, error: 'A valid parent or guardian email is required' });
+    }
+    await pool.query(
+      `UPDATE users SET guardian_email = $2, consent_status = 'pending' WHERE id = $1`,
+      [req.userId, guardianEmail]
+    );
+    await requestGuardianConsent({ id: user.id, name: user.name, age: ageFromDob(user.dob, user.age) }, guardianEmail, req);
+    res.json({ ok: true, consentStatus: 'pending' });
+  } catch (e) {
+    console.error('[BK] consent resend error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to send approval request' });
+  }
+});
+
+app.get('/api/consent/:token', async (req, res) => {
+  try {
+    const consent = await findConsentByToken(req.params.token);
+    if (!consent) return res.status(404).json({ ok: false, error: 'This link is invalid' });
+    res.json({
+      ok: true,
+      child: { name: consent.child_name, age: ageFromDob(consent.child_dob, consent.child_age) },
+      status: Number(consent.expires_at) < Date.now() && consent.status === 'pending' ? 'expired' : consent.status,
+      consentAge: GUARDIAN_CONSENT_AGE,
+    });
+  } catch (e) {
+    console.error('[BK] get consent error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+app.post('/api/consent/:token', async (req, res) => {
+  const decision = String(req.body?.decision || '').toLowerCase();
+  if (!['grant', 'decline'].includes(decision)) {
+    return res.status(400).json({ ok: false, error: 'decision must be grant or decline' });
+  }
+  let client;
+  try {
+    client = await pool.connect();
+    const now = Date.now();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT * FROM guardian_consents WHERE token_hash = $1 FOR UPDATE', [sha256(req.params.token)]
+    );
+    const consent = rows[0];
+    if (!consent || consent.status !== 'pending' || Number(consent.expires_at) < now) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ ok: false, error: 'This consent request is no longer open' });
+    }
+    const status = decision === 'grant' ? 'granted' : 'declined';
+    await client.query(
+      `UPDATE guardian_consents SET status = $2, responded_at = $3, response_ip = $4, response_user_agent = $5
+       WHERE id = $1`,
+      [consent.id, status, now, req.ip || null, String(req.headers['user-agent'] || '').slice(0, 300) || null]
+    );
+    await client.query(
+      'UPDATE users SET consent_status = $2, consent_granted_at = $3 WHERE id = $1',
+      [consent.user_id, status, status === 'granted' ? now : null]
+    );
+    await client.query('COMMIT');
+    await recordAudit({
+      userId: consent.user_id, action: `guardian_consent_${status}`, req,
+      metadata: { consentId: consent.id, guardianEmail: consent.guardian_email },
+    });
+    console.log(`[BK] Guardian consent ${status} for user ${consent.user_id}`);
+    res.json({ ok: true, status });
+  } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('[BK] consent decision error:', e.message);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  } finally {
+    client?.release();
+  }
+});
+
+app.post('/api/guardian/link', auth, async (req, res) => {
+  try {
+    const consent = await findConsentByToken(req.body?.token);
+    if (!consent || consent.status !== 'granted') {
+      return res.status(400).json({ ok: false, error: 'Approve the request first, then link your account' });
+    }
+    if (consent.user_id === req.userId) {
+      return res.status(400).json({ ok: false, error: 'Players cannot be their own guardian' });
+    }
+    if (consent.guardian_user_id && consent.guardian_user_id !== req.userId) {
+      return res.status(409).json({ ok: false, error: 'This approval is already linked to another account' });
+    }
+    await pool.query('UPDATE guardian_consents SET guardian_user_id = $2 WHERE id = $1', [consent.id, req.userId]);
+    await recordAudit({ userId: consent.user_id, actorId: req.userId, action: 'guardian_linked', req, metadata: { consentId: consent.id } });
+    res.json({ ok: true, child: { id: consent.user_id, name: consent.child_name } });
+  } catch (e) {
+    console.error('[BK] guardian link error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to link guardian account' });
+  }
+});
+
+// Guardian dashboard: every linked child with their latest sessions. Details come
+// from /api/analyses, /api/player-report and /api/progress with ?playerId=<child id>.
+app.get('/api/guardian/children', auth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT DISTINCT ON (u.id) u.id, u.name, u.age, u.dob, u.consent_status, u.consent_granted_at,
+              s.total_analyses, s.last_analysis_at
+       FROM guardian_consents g
+       JOIN users u ON u.id = g.user_id
+       LEFT JOIN player_stats s ON s.user_id = u.id
+       WHERE g.guardian_user_id = $1 AND g.status = 'granted'
+       ORDER BY u.id, g.responded_at DESC`,
+      [req.userId]
+    );
+    const children = [];
+    for (const r of rows) {
+      const { rows: recent } = await pool.query(
+        `SELECT id, skill_focus, current_level, session_summary, created_at FROM analyses
+         WHERE user_id = $1 ORDER BY created_at DESC LIMIT 5`,
+        [r.id]
+      );
+      children.push({
+        id: r.id,
+        name: r.name,
+        age: ageFromDob(r.dob, r.age),
+        consentStatus: r.consent_status,
+        consentGrantedAt: Number(r.consent_granted_at) || null,
+        totalAnalyses: r.total_analyses || 0,
+        lastAnalysisAt: Number(r.last_analysis_at) || null,
+        recentAnalyses: recent.map(a => ({
+          id: a.id,
+          skillFocus: a.skill_focus,
+          currentLevel: a.current_level,
+          sessionSummary: a.session_summary
+            ? a.session_summary.slice(0, 200) + (a.session_summary.length > 200 ? '...' : '')
+            : null,
+          createdAt: toMs(a.created_at),
+        })),
+        links: {
+          analyses: `/api/analyses?playerId=${r.id}`,
+          report: `/api/player-report?playerId=${r.id}`,
+          progress: `/api/progress?playerId=${r.id}`,
+        },
+      });
+    }
+    res.json({ ok: true, children });
+  } catch (e) {
+    console.error('[BK] guardian children error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load children' });
+  }
+});
+
+app.post('/api/guardian/children/:id/revoke', auth, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      `UPDATE guardian_consents SET status = 'revoked', responded_at = $3
+       WHERE user_id = $1 AND guardian_user_id = $2 AND status = 'granted'`,
+      [req.params.id, req.userId, Date.now()]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: 'Child not found' });
+    await pool.query(
+      `UPDATE users SET consent_status = 'revoked', consent_granted_at = NULL WHERE id = $1`,
+      [req.params.id]
+    );
+    await recordAudit({ userId: req.params.id, actorId: req.userId, action: 'guardian_consent_revoked', req });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[BK] guardian revoke error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to revoke consent' });
+  }
+});
+
+/* ==================================================================== */
+/*                       ACCOUNT EXPORT / DELETION                      */
+/* ==================================================================== */
+
+// Every table holding a user's own rows, as [table, user column, export key].
+// GET /api/account/export and DELETE /api/account both walk this list, so a new
+// per-user table belongs here too. Secrets (password/refresh/reset hashes,
+// invite and consent tokens) are never exported.
+const ACCOUNT_TABLES = [
+  ['profiles', 'user_id', 'profile'],
+  ['analyses', 'user_id', 'analyses'],
+  ['analysis_checkpoints', 'user_id', null],
+  ['analysis_moments', 'user_id', null],
+  ['analysis_jobs', 'user_id', 'analysisJobs'],
+  ['clips', 'user_id', 'clips'],
+  ['uploads', 'user_id', 'uploads'],
+  ['subscriptions', 'user_id', 'subscriptions'],
+  ['credit_ledger', 'user_id', 'credits'],
+  ['usage_ledger', 'user_id', 'usage'],
+  ['promo_redemptions', 'user_id', 'promoRedemptions'],
+  ['referrals', 'referrer_id', 'referrals'],
+  ['referrals', 'referee_id', 'referredBy'],
+  ['provider_files', 'user_id', null],
+  ['player_stats', 'user_id', 'playerStats'],
+  ['skill_reminders', 'user_id', 'reminders'],
+  ['training_plans', 'user_id', 'trainingPlans'],
+  ['training_plan_sessions', 'user_id', 'trainingPlanSessions'],
+  ['training_plan_drills', 'user_id', 'trainingPlanDrills'],
+  ['notification_settings', 'user_id', 'notificationSettings'],
+  ['push_subscriptions', 'user_id', null],
+  ['experience_feedback', 'user_id', 'feedback'],
+  ['user_sessions', 'user_id', 'sessions'],
+  ['guardian_consents', 'user_id', 'guardianConsents'],
+  ['password_resets', 'user_id', null],
+  ['revoked_tokens', 'user_id', null],
+];
+const EXPORT_OMIT = ['pass_hash', 'password_hash', 'refresh_hash', 'previous_hash', 'code_hash', 'token_hash'];
+
+const omitSecrets = (row) => Object.fromEntries(Object.entries(row).filter(([k]) => !EXPORT_OMIT.includes(k)));
+
+async function collectAccountData(userId) {
+  const user = await findUserById(userId);
+  if (!user) return null;
+  const data = { exportedAt: Date.now(), user: omitSecrets(user) };
+  for (const [table, column, key] of ACCOUNT_TABLES) {
+    if (!key) continue;
+    const { rows } = await pool.query(`SELECT * FROM ${table} WHERE ${column} = $1`, [userId]);
+    data[key] = rows.map(omitSecrets);
+  }
+  if (data.profile) data.profile = data.profile[0] || null;
+  if (data.playerStats) data.playerStats = data.playerStats[0] || null;
+
+  const { rows: teams } = await pool.query(
+    `SELECT t.id, t.name, m.role, m.player_id, m.created_at AS joined_at
+     FROM team_members m JOIN teams t ON t.id = m.team_id WHERE m.user_id = $1`,
+    [userId]
+  );
+  const { rows: notes } = await pool.query(
+    `SELECT n.id, n.team_id, n.analysis_id, n.body, n.created_at, n.updated_at, u.name AS author_name
+     FROM coach_notes n LEFT JOIN users u ON u.id = n.author_id WHERE n.player_id = $1`,
+    [userId]
+  );
+  const { rows: audit } = await pool.query(
+    'SELECT action, ip, user_agent, metadata, created_at FROM audit_log WHERE user_id = $1 ORDER BY created_at',
+    [userId]
+  );
+  Object.assign(data, { teams, coachNotes: notes, auditLog: audit });
+  return data;
+}
+
+// Cancels every live subscription for the customer straight away (no proration
+// credit). Throws so the caller can refuse to delete an account that would keep billing.
+async function cancelStripeSubscriptions(customerId) {
+  if (!stripe || !customerId) return 0;
+  const subs = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100 });
+  let cancelled = 0;
+  for (const sub of subs.data) {
+    if (['canceled', 'incomplete_expired'].includes(sub.status)) continue;
+    await stripe.subscriptions.cancel(sub.id);
+    cancelled++;
+  }
+  return cancelled;
+}
+
+app.get('/api/account/export', auth, limits.export, async (req, res) => {
+  try {
+    const data = await collectAccountData(req.userId);
+    if (!data) return res.status(404).json({ ok: false, error: 'User not found' });
+    await recordAudit({ userId: req.userId, action: 'account_exported', req });
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="ball-knowledge-export-${date}.json"`);
+    res.json({ ok: true, ...data });
+  } catch (e) {
+    console.error('[BK] account export error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to export account data' });
+  }
+});
+
+// Permanently deletes the account. Requires the current password. Teams the user
+// owns are deleted with their members, invites and notes; notes the user wrote
+// as a coach on other teams go too. audit_log rows are kept as the deletion record.
+app.delete('/api/account', auth, limits.auth, async (req, res) => {
+  let client;
+  try {
+    const user = await findUserById(req.userId);
+    if (!user) return res.status(404).json({ ok: false, error: 'User not found' });
+    const hash = user.pass_hash || user.password_hash;
+    if (!hash || !(await bcrypt.compare(String(req.body?.password || ''), hash))) {
+      return res.status(401).json({ ok: false, error: 'Password is incorrect' });
+    }
+
+    let cancelled = 0;
+    try {
+      cancelled = await cancelStripeSubscriptions(user.stripe_customer_id);
+    } catch (e) {
+      console.error('[BK] account delete: Stripe cancel failed:', e.message);
+      return res.status(502).json({ ok: false, error: 'Could not cancel your subscription. Please try again or contact support.' });
+    }
+
+    // Stored objects are removed once the rows are gone; a failed removal is logged
+    // rather than resurrecting the account.
+    const { rows: storedClips } = await pool.query(
+      'SELECT storage_key FROM clips WHERE user_id = $1 AND storage_key IS NOT NULL', [req.userId]
+    );
+    const { rows: pendingUploads } = await pool.query(
+      "SELECT id FROM uploads WHERE user_id = $1 AND state = 'pending'", [req.userId]
+    );
+
+    client = await pool.connect();
+    const counts = {};
+    await client.query('BEGIN');
+    for (const [table, column] of ACCOUNT_TABLES) {
+      const { rowCount } = await client.query(`DELETE FROM ${table} WHERE ${column} = $1`, [req.userId]);
+      counts[table] = rowCount;
+    }
+    const { rowCount: teams } = await client.query('DELETE FROM teams WHERE owner_id = $1', [req.userId]);
+    counts.teams = teams;
+    await client.query('DELETE FROM team_members WHERE user_id = $1 OR player_id = $1', [req.userId]);
+    await client.query('DELETE FROM team_invites WHERE player_id = $1', [req.userId]);
+    await client.query('DELETE FROM coach_notes WHERE player_id = $1 OR author_id = $1', [req.userId]);
+    await client.query('UPDATE guardian_consents SET guardian_user_id = NULL WHERE guardian_user_id = $1', [req.userId]);
+    await client.query('DELETE FROM users WHERE id = $1', [req.userId]);
+    await client.query('COMMIT');
+    client.release();
+    client = null;
+
+    fs.rmSync(path.join(MEDIA_DIR, 'moments', String(req.userId)), { recursive: true, force: true });
+    for (const { id } of pendingUploads) fs.rmSync(uploadPartPath(id), { force: true });
+    for (const { storage_key: key } of storedClips) {
+      await storage.remove(key).catch(e => console.error(`[BK] account delete: could not remove ${key}:`, e.message));
+    }
+
+    await recordAudit({
+      userId: req.userId, action: 'account_deleted', req,
+      metadata: { emailHash: sha256(user.email.toLowerCase()), stripeSubscriptionsCancelled: cancelled, counts },
+    });
+    console.log(`[BK] Account ${req.userId} deleted`);
+    res.json({ ok: true });
+  } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('[BK] account delete error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to delete account' });
+  } finally {
+    client?.release();
+  }
+});
+
+/* ==================================================================== */
+/*                          SUBSCRIPTION / PAYWALL                      */
+/* ==================================================================== */
+
+/* ---------- Promo codes & referrals ---------- */
+// A checkout started with a discount or trial code (metadata.promoCode) counts
+// as a redemption once it completes. Webhook redeliveries and verify-checkout
+// record it once (promo_redemptions is unique per code and user).
+async function recordCheckoutPromo(db, session, userId) {
+  const code = session.metadata?.promoCode;
+  if (!code || !userId) return;
+  const promo = await getPromoCode(db, code);
+  if (!promo) return;
+  const subscriptionId = typeof session.subscription === 'string' ? session.subscription : session.subscription?.id;
+  if (await recordRedemption(db, promo, userId, { checkoutSessionId: session.id, subscriptionId: subscriptionId || null })) {
+    console.log(`[BK] Promo code ${promo.code} redeemed by user ${userId}`);
+  }
+}
+
+// A referral converts when the referred user's subscription is paid for, not
+// while it is still trialing (referrals.js).
+async function convertReferralFor(db, userId, sub) {
+  if (!userId || sub?.status !== 'active') return;
+  const referral = await convertReferral(db, userId);
+  if (referral) console.log(`[BK] Referral ${referral.id} converted: ${referral.credits} credits each to ${referral.referrerId} and ${userId}`);
+}
+
+// Stripe event -> subscriptions mirror (subscriptions.js), inside the webhook's
+// transaction. Invoice and checkout events carry no full subscription, so it is
+// retrieved fresh. Returns false for event types we record but do not act on.
+async function applyStripeEvent(db, event) {
+  const object = event.data.object;
+  const eventAt = event.created ? event.created * 1000 : Date.now();
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const userId = object.metadata?.userId || object.client_reference_id || null;
+      if (userId && object.customer) {
+        await db.query('UPDATE users SET stripe_customer_id = $1 WHERE id = $2', [object.customer, userId]);
+      }
+      if (object.mode !== 'subscription' || !object.subscription) return false;
+      const sub = await stripe.subscriptions.retrieve(typeof object.subscription === 'string' ? object.subscription : object.subscription.id);
+      const owner = await syncSubscription(db, sub, { userId });
+      if (owner) {
+        await recordCheckoutPromo(db, object, owner);
+        await convertReferralFor(db, owner, sub);
+      }
+      console.log(`[BK] Checkout completed: subscription ${sub.id} (${sub.status}) for user ${owner || 'unknown'}`);
+      return true;
+    }
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+    case 'customer.subscription.paused':
+    case 'customer.subscription.resumed': {
+      const owner = await syncSubscription(db, object, { stripeAt: eventAt });
+      await convertReferralFor(db, owner, object);
+      console.log(`[BK] Subscription ${object.id} is ${object.status}${object.cancel_at_period_end ? ' (cancels at period end)' : ''} for user ${owner || 'unknown'}`);
+      return Boolean(owner);
+    }
+    case 'invoice.paid':
+    case 'invoice.payment_failed': {
+      const subscriptionId = invoiceSubscriptionId(object);
+      if (!subscriptionId) return false;
+      const sub = await stripe.subscriptions.retrieve(subscriptionId);
+      const owner = await syncSubscription(db, sub);
+      await convertReferralFor(db, owner, sub);
+      const status = event.type === 'invoice.paid' ? 'paid' : 'payment_failed';
+      await recordInvoiceStatus(db, subscriptionId, { invoiceId: object.id, status, at: eventAt });
+      console.log(`[BK] Invoice ${object.id} ${status} for subscription ${subscriptionId} (user ${owner || 'unknown'})`);
+      return Boolean(owner);
+    }
+    case 'charge.refunded': {
+      // Access follows the subscription; a refund alone does not cancel it.
+      // Full refunds are noted on the customer's subscriptions for support.
+      if (!object.refunded || !object.customer) return false;
+      const customerId = typeof object.customer === 'string' ? object.customer : object.customer.id;
+      const { rows } = await db.query('SELECT id FROM subscriptions WHERE customer_id = $1', [customerId]);
+      for (const { id } of rows) await recordInvoiceStatus(db, id, { status: 'refunded', at: eventAt });
+      console.log(`[BK] Charge ${object.id} refunded for stripe customer ${customerId}`);
+      return rows.length > 0;
+    }
+    default:
+      return false;
+  }
+}
 
-  console.log('[BK] Sending video to Gemini...');
+app.get('/api/subscription-status', auth, async (req, res) => {
+  try {
+    const currentUser = await findUserById(req.userId);
+    if (!currentUser) return res.status(404).json({ ok: false, error: 'User not found' });
+    const entitlements = await entitlementsFor(currentUser);
+    const subscription = await getUserSubscription(pool, req.userId).catch(e => {
+      console.error('[BK] getUserSubscription error:', e.message);
+      return null;
+    });
 
-  const contentParts = [
-    { fileData: { mimeType: file.mimeType, fileUri: file.uri } },
-    { text: prompt },
-  ];
+    res.json({
+      ok: true,
+      plan: entitlements.plan,
+      planName: entitlements.planName,
+      status: currentUser.subscription_status || 'free',
+      subscription,
+      analysisCount: entitlements.quota.used,
+      limit: entitlements.quota.limit,
+      remaining: entitlements.quota.remaining,
+      resetsAt: entitlements.quota.resetsAt,
+      canAnalyze: entitlements.canAnalyze,
+      maxClipSeconds: entitlements.maxClipSeconds,
+      features: entitlements.features,
+      quota: entitlements.quota,
+    });
+  } catch (e) {
+    console.error('[BK] subscription-status error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load subscription status' });
+  }
+});
+
+// The plan catalogue, with the plans that can currently be bought.
+app.get('/api/plans', (_req, res) => {
+  res.json({
+    ok: true,
+    plans: Object.values(PLANS).map(plan => ({
+      ...describePlan(plan),
+      purchasable: Boolean(stripe && PLAN_PRICES[plan.id]),
+    })),
+  });
+});
+
+// Bonus credit balance and recent grants/debits (credits.js).
+app.get('/api/credits', auth, async (req, res) => {
+  try {
+    const [balance, entries] = await Promise.all([getCreditBalance(pool, req.userId), listCredits(pool, req.userId)]);
+    res.json({ ok: true, balance, entries });
+  } catch (e) {
+    console.error('[BK] credits error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load credits' });
+  }
+});
+
+app.get('/api/referrals', auth, async (req, res) => {
+  try {
+    const summary = await getReferralSummary(pool, req.userId);
+    if (!summary.code) return res.status(404).json({ ok: false, error: 'User not found' });
+    const appUrl = `${req.protocol}://${req.get('host')}`;
+    res.json({ ok: true, ...summary, link: `${appUrl}/?ref=${summary.code}` });
+  } catch (e) {
+    console.error('[BK] referrals error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load referrals' });
+  }
+});
+
+// Credit codes are redeemed here; discount and trial codes go to checkout.
+app.post('/api/promo/redeem', auth, limits.promo, async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { promo, error } = await redeemCreditCode(client, req.body?.code, req.userId);
+    if (error) {
+      await client.query('ROLLBACK');
+      const other = await getPromoCode(client, req.body?.code);
+      const useAtCheckout = Boolean(other?.active && other.kind !== 'credits');
+      return res.status(400).json({
+        ok: false,
+        error: useAtCheckout ? 'Enter that code when you upgrade.' : error,
+        ...(useAtCheckout ? { useAtCheckout } : {}),
+      });
+    }
+    await client.query('COMMIT');
+    console.log(`[BK] Promo code ${promo.code} redeemed by user ${req.userId}: ${promo.credits} credits`);
+    res.json({ ok: true, code: promo.code, credits: promo.credits, balance: await getCreditBalance(client, req.userId) });
+  } catch (e) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('[BK] promo redeem error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to redeem code' });
+  } finally {
+    client?.release();
+  }
+});
+
+/* ---------- Admin: promo codes & referrals ---------- */
+// Discount codes are created in Stripe first (a coupon plus a promotion code
+// with the same code), then recorded here. Trial and credit codes are ours only.
+app.post('/api/admin/promo-codes', auth, requireAdmin, async (req, res) => {
+  try {
+    const { fields, error } = parsePromoInput(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    if (await getPromoCode(pool, fields.code)) {
+      return res.status(409).json({ ok: false, error: `Code ${fields.code} already exists` });
+    }
+
+    const stripeIds = {};
+    if (fields.kind === 'discount') {
+      if (!stripe) return res.status(400).json({ ok: false, error: 'Stripe not configured' });
+      const expiresAt = fields.expiresAt ? Math.floor(fields.expiresAt / 1000) : undefined;
+      const coupon = await stripe.coupons.create({
+        name: fields.description || fields.code,
+        duration: fields.duration,
+        ...(fields.durationInMonths ? { duration_in_months: fields.durationInMonths } : {}),
+        ...(fields.percentOff !== null
+          ? { percent_off: fields.percentOff }
+          : { amount_off: fields.amountOff, currency: fields.currency }),
+        metadata: { createdBy: req.adminEmail },
+      });
+      const promotionCode = await stripe.promotionCodes.create({
+        promotion: { type: 'coupon', coupon: coupon.id },
+        code: fields.code,
+        ...(fields.maxRedemptions ? { max_redemptions: fields.maxRedemptions } : {}),
+        ...(expiresAt ? { expires_at: expiresAt } : {}),
+      });
+      stripeIds.stripeCouponId = coupon.id;
+      stripeIds.stripePromotionCodeId = promotionCode.id;
+    }
+
+    const row = await createPromoCode(pool, fields, { createdBy: req.adminEmail, ...stripeIds });
+    if (!row) return res.status(409).json({ ok: false, error: `Code ${fields.code} already exists` });
+    await recordAudit({ actorId: req.userId, action: 'promo_code_created', req, metadata: { code: row.code, kind: row.kind } });
+    console.log(`[BK] Promo code ${row.code} (${row.kind}) created by ${req.adminEmail}`);
+    res.status(201).json({ ok: true, promoCode: formatPromoCode(row) });
+  } catch (e) {
+    console.error('[BK] create promo code error:', e.message);
+    res.status(e.type === 'StripeInvalidRequestError' ? 400 : 500).json({
+      ok: false,
+      error: e.type === 'StripeInvalidRequestError' ? `Stripe: ${e.message}` : 'Failed to create promo code',
+    });
+  }
+});
+
+app.get('/api/admin/promo-codes', auth, requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, promoCodes: await listPromoCodes(pool) });
+  } catch (e) {
+    console.error('[BK] list promo codes error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load promo codes' });
+  }
+});
 
-  let result;
-  let usedModelName = GEMINI_MODELS[0];
+app.get('/api/admin/promo-codes/:code/redemptions', auth, requireAdmin, async (req, res) => {
   try {
-    const out = await generateGeminiContent(contentParts, 'analyze');
-    result = out.result;
-    usedModelName = out.modelName;
-  } catch (err) {
-    if (isGeminiRetryable(err)) {
-      throw new Error('Gemini quota/rate limit reached. Please retry shortly, or enable billing in Google AI Studio/Vertex for reliable analysis.');
-    }
-    throw err;
+    const promo = await getPromoCode(pool, req.params.code);
+    if (!promo) return res.status(404).json({ ok: false, error: 'Promo code not found' });
+    res.json({ ok: true, promoCode: formatPromoCode(promo), redemptions: await listRedemptions(pool, promo.code) });
+  } catch (e) {
+    console.error('[BK] promo redemptions error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load redemptions' });
   }
+});
 
-  const rawContent = result.response.text();
-  console.log(`[BK] Gemini (${usedModelName}) response (first 500 chars):`, rawContent.substring(0, 500));
-
-  let data = {};
+// { active: false } retires a code (and its Stripe promotion code); past
+// redemptions and credits are kept.
+app.patch('/api/admin/promo-codes/:code', auth, requireAdmin, async (req, res) => {
   try {
-    data = JSON.parse(rawContent);
-  } catch {
-    const m = rawContent.match(/\{[\s\S]*\}/);
-    if (m) {
-      try {
-        data = JSON.parse(m[0]);
-      } catch (e) {
-        console.error('[BK] Failed to parse extracted JSON');
-        throw new Error('Could not analyze video. The AI did not return valid JSON.');
-      }
-    } else {
-      console.error('[BK] No JSON found in response');
-      throw new Error('Could not analyze video. The AI response was: ' + rawContent.substring(0, 200));
+    if (typeof req.body?.active !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'active (boolean) required' });
+    }
+    const promo = await getPromoCode(pool, req.params.code);
+    if (!promo) return res.status(404).json({ ok: false, error: 'Promo code not found' });
+    if (promo.stripe_promotion_code_id && stripe) {
+      await stripe.promotionCodes.update(promo.stripe_promotion_code_id, { active: req.body.active });
     }
+    const { rows } = await pool.query(
+      'UPDATE promo_codes SET active = $1, updated_at = $2 WHERE code = $3 RETURNING *',
+      [req.body.active, Date.now(), promo.code]
+    );
+    await recordAudit({ actorId: req.userId, action: 'promo_code_updated', req, metadata: { code: promo.code, active: req.body.active } });
+    console.log(`[BK] Promo code ${promo.code} ${req.body.active ? 'activated' : 'deactivated'} by ${req.adminEmail}`);
+    res.json({ ok: true, promoCode: formatPromoCode(rows[0]) });
+  } catch (e) {
+    console.error('[BK] update promo code error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to update promo code' });
   }
+});
 
-  console.log(`[BK] Parsed analysis - Skill: ${data.skillFocus || 'N/A'}, Level: ${data.currentLevel || 'N/A'}`);
-
-  return {
-    skillFocus: data.skillFocus || 'Training session',
-    secondarySkills: Array.isArray(data.secondarySkills) ? data.secondarySkills : [],
-    sessionSummary: data.sessionSummary || 'Training analysis complete.',
-    currentLevel: data.currentLevel || 'Intermediate',
-    sessionSnapshot: data.sessionSnapshot || {},
-    technicalAnalysis: data.technicalAnalysis || {},
-    biomechanicalChecklist: data.biomechanicalChecklist && typeof data.biomechanicalChecklist === 'object' ? data.biomechanicalChecklist : {},
-    keyMoments: Array.isArray(data.keyMoments) ? data.keyMoments : [],
-    coachingCues: Array.isArray(data.coachingCues) ? data.coachingCues : [],
-    improvementTips: Array.isArray(data.improvementTips) ? data.improvementTips : [],
-    commonMistakesForPosition: Array.isArray(data.commonMistakesForPosition) ? data.commonMistakesForPosition : [],
-    practiceProgression: Array.isArray(data.practiceProgression) ? data.practiceProgression : [],
-    trendVsLastSessions: Array.isArray(data.trendVsLastSessions) ? data.trendVsLastSessions : [],
-    nextSessionPlan: Array.isArray(data.nextSessionPlan) ? data.nextSessionPlan : [],
-    youtubeRecommendations: Array.isArray(data.youtubeRecommendations) ? data.youtubeRecommendations : [],
-    raw: data,
-  };
-}
-
-/* ==================================================================== */
-/*                          SUBSCRIPTION / PAYWALL                      */
-/* ==================================================================== */
-
-app.get('/api/subscription-status', auth, async (req, res) => {
-  const currentUser = await findUserById(req.userId);
-  const analysisCount = await getAnalysisCount(req.userId);
-  const subStatus = currentUser?.subscription_status || 'free';
-  const isAdmin = ADMIN_EMAILS.includes(currentUser?.email?.toLowerCase());
-  const canAnalyze = isAdmin || analysisCount < FREE_ANALYSIS_LIMIT || subStatus === 'active';
-
-  res.json({
-    ok: true,
-    plan: isAdmin ? 'admin' : (subStatus === 'active' ? 'pro' : 'free'),
-    analysisCount,
-    limit: FREE_ANALYSIS_LIMIT,
-    remaining: (isAdmin || subStatus === 'active') ? 'unlimited' : Math.max(0, FREE_ANALYSIS_LIMIT - analysisCount),
-    canAnalyze,
-  });
+app.get('/api/admin/referrals', auth, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    res.json({ ok: true, ...(await referralReport(pool, { limit })) });
+  } catch (e) {
+    console.error('[BK] referral report error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load referral report' });
+  }
 });
 
 app.get('/api/admin/stats', auth, async (req, res) => {
@@ -1679,10 +3769,10 @@ app.get('/api/admin/stats', auth, async (req, res) => {
     let topSkillFocuses = [];
     const [topSkillsRes, latestAnalysisRes, analysesLast7dRes, analysesLast30dRes, dailyAnalysesRes] = await Promise.all([
       pool.query(
-        `SELECT skill_focus, COUNT(*)::int AS count
+        `SELECT skill_id, MIN(skill_focus) AS skill_focus, COUNT(*)::int AS count
          FROM analyses
          WHERE skill_focus IS NOT NULL AND TRIM(skill_focus) <> ''
-         GROUP BY skill_focus
+         GROUP BY COALESCE(skill_id, LOWER(TRIM(skill_focus))), skill_id
          ORDER BY count DESC
          LIMIT 5`
       ),
@@ -1751,7 +3841,9 @@ app.get('/api/admin/stats', auth, async (req, res) => {
       )
     ]);
 
-    topSkillFocuses = (topSkillsRes.rows || []).map(r => ({ skill: r.skill_focus, count: r.count }));
+    topSkillFocuses = (topSkillsRes.rows || []).map(r => ({
+      skill: skillLabel(r.skill_id, r.skill_focus), skillId: r.skill_id || null, count: r.count,
+    }));
 
     const latestAnalysisAt = Number(latestAnalysisRes.rows?.[0]?.latest || 0) || null;
     const analysesLast7d = parseInt(analysesLast7dRes.rows?.[0]?.count || 0, 10);
@@ -1875,15 +3967,104 @@ app.get('/api/admin/experience-feedback', auth, async (req, res) => {
   }
 });
 
-app.post('/api/create-checkout-session', auth, async (req, res) => {
+app.get('/api/admin/prompts', auth, requireAdmin, async (_req, res) => {
+  try {
+    const prompts = [];
+    for (const name of promptRegistry.names()) {
+      const activeVersion = await getActivePromptVersion(name);
+      const { rows } = await pool.query('SELECT active_version, updated_by, updated_at FROM prompt_settings WHERE name = $1', [name]);
+      prompts.push({
+        name,
+        activeVersion,
+        pinned: !!rows[0]?.active_version,
+        pinnedBy: rows[0]?.updated_by || null,
+        pinnedAt: Number(rows[0]?.updated_at) || null,
+        versions: promptRegistry.versions(name).map(p => ({
+          version: p.version,
+          id: p.id,
+          variables: p.variables,
+          sha256: p.sha256,
+          length: p.text.length,
+          active: p.version === activeVersion,
+        })),
+      });
+    }
+    res.json({ ok: true, prompts });
+  } catch (e) {
+    console.error('[BK] admin prompts error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load prompts' });
+  }
+});
+
+app.get('/api/admin/prompts/:name/:version', auth, requireAdmin, (req, res) => {
+  const prompt = promptRegistry.get(req.params.name, req.params.version);
+  if (!prompt) return res.status(404).json({ ok: false, error: 'Prompt version not found' });
+  res.json({ ok: true, prompt: { name: prompt.name, version: prompt.version, id: prompt.id, variables: prompt.variables, sha256: prompt.sha256, text: prompt.text } });
+});
+
+// Rebuilds player_stats from the analyses table: one player with { userId },
+// otherwise every player (backfill after a deploy or a manual data fix).
+app.post('/api/admin/recompute-stats', auth, requireAdmin, async (req, res) => {
+  try {
+    const userId = String(req.body?.userId || '').trim();
+    const started = Date.now();
+    const result = userId
+      ? { users: 1, failed: 0, stats: await rebuildPlayerStats(pool, userId) }
+      : await recomputeAllPlayerStats(pool);
+    await recordAudit({
+      actorId: req.userId, userId: userId || null, action: 'player_stats_recomputed', req,
+      metadata: { users: result.users, failed: result.failed },
+    });
+    console.log(`[BK] Recomputed player_stats for ${result.users} user(s) in ${Date.now() - started}ms (${result.failed} failed)`);
+    res.json({ ok: true, ...result, durationMs: Date.now() - started });
+  } catch (e) {
+    console.error('[BK] recompute stats error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to recompute stats' });
+  }
+});
+
+// Pin a version ({ version: "v2" }) or unpin ({ version: null }) to follow the latest file.
+app.put('/api/admin/prompts/:name/active', auth, requireAdmin, async (req, res) => {
+  try {
+    const name = req.params.name;
+    const version = req.body?.version ?? null;
+    if (!promptRegistry.versions(name).length) {
+      return res.status(404).json({ ok: false, error: 'Prompt not found' });
+    }
+    if (version !== null && !promptRegistry.get(name, String(version))) {
+      return res.status(400).json({ ok: false, error: `Unknown version "${version}" for ${name}` });
+    }
+    await pool.query(
+      `INSERT INTO prompt_settings (name, active_version, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (name) DO UPDATE SET active_version = $2, updated_by = $3, updated_at = $4`,
+      [name, version === null ? null : String(version), req.adminEmail, Date.now()]
+    );
+    const activeVersion = await getActivePromptVersion(name);
+    console.log(`[BK] Prompt ${name} ${version === null ? 'unpinned' : `pinned to ${version}`} by ${req.adminEmail}`);
+    res.json({ ok: true, name, activeVersion, pinned: version !== null });
+  } catch (e) {
+    console.error('[BK] pin prompt error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to update active prompt' });
+  }
+});
+
+app.post('/api/create-checkout-session', auth, requireConsent, async (req, res) => {
   if (!stripe) {
     return res.status(400).json({ ok: false, error: 'Stripe not configured' });
   }
   try {
     const currentUser = await findUserById(req.userId);
     const appUrl = `${req.protocol}://${req.get('host')}`;
+    const planId = String(req.body?.plan || 'pro').toLowerCase();
+    if (!PAID_PLAN_IDS.includes(planId)) {
+      return res.status(400).json({ ok: false, error: `plan must be one of ${PAID_PLAN_IDS.join(', ')}` });
+    }
+    if (planId !== 'pro' && !PLAN_PRICES[planId]) {
+      return res.status(400).json({ ok: false, error: `The ${PLANS[planId].name} plan is not available yet.` });
+    }
 
-    let priceId = STRIPE_PRICE_ID;
+    let priceId = PLAN_PRICES[planId];
 
     if (!priceId) {
       const prices = await stripe.prices.list({ lookup_keys: [STRIPE_LOOKUP_KEY], limit: 1 });
@@ -1903,17 +4084,41 @@ app.post('/api/create-checkout-session', auth, async (req, res) => {
       return res.status(400).json({ ok: false, error: 'No subscription price configured in Stripe. Set STRIPE_PRICE_ID env var.' });
     }
 
+    // A discount code is applied by Stripe; a trial code sets the trial length.
+    // Without a code, customers may still enter one on the Stripe page.
+    let promo = null;
+    if (req.body?.promoCode) {
+      const check = await checkPromoCode(pool, req.body.promoCode, req.userId, { kinds: ['discount', 'trial'] });
+      if (check.error) return res.status(400).json({ ok: false, error: check.error, promoCode: req.body.promoCode });
+      promo = check.promo;
+    }
+
+    // The plan's free trial is for a first subscription only.
+    const { rowCount: subscribedBefore } = await pool.query('SELECT 1 FROM subscriptions WHERE user_id = $1 LIMIT 1', [req.userId]);
+    const trialDays = promo?.kind === 'trial' ? promo.trial_days : subscribedBefore ? 0 : PLANS[planId].trialDays;
+
+    const metadata = { userId: req.userId, plan: planId, ...(promo ? { promoCode: promo.code } : {}) };
     const session = await stripe.checkout.sessions.create({
       mode: 'subscription',
       payment_method_types: ['card'],
       line_items: [{ price: priceId, quantity: 1 }],
-      metadata: { userId: req.userId },
+      metadata,
+      client_reference_id: req.userId,
+      // Copied onto the subscription so later webhook events find the user directly.
+      subscription_data: {
+        metadata,
+        ...(trialDays ? { trial_period_days: trialDays } : {}),
+      },
+      ...(promo?.kind === 'discount'
+        ? { discounts: [{ promotion_code: promo.stripe_promotion_code_id }] }
+        : { allow_promotion_codes: true }),
       customer_email: currentUser?.email,
       success_url: `${appUrl}?session_id={CHECKOUT_SESSION_ID}&upgrade=success#/analyze`,
       cancel_url: `${appUrl}?upgrade=cancelled#/analyze`,
     });
 
-    res.json({ ok: true, url: session.url });
+    console.log(`[BK] Checkout for user ${req.userId}: ${planId}${trialDays ? `, ${trialDays}-day trial` : ''}${promo ? `, code ${promo.code}` : ''}`);
+    res.json({ ok: true, url: session.url, trialDays, promoCode: promo?.code || null });
   } catch (e) {
     console.error('[BK] Stripe checkout error:', e.message);
     res.status(500).json({ ok: false, error: 'Failed to create checkout session' });
@@ -1949,8 +4154,8 @@ app.post('/api/verify-checkout', auth, async (req, res) => {
     const { sessionId } = req.body || {};
     if (!sessionId) return res.status(400).json({ ok: false, error: 'sessionId required' });
 
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-    if (!session || session.payment_status !== 'paid') {
+    const session = await stripe.checkout.sessions.retrieve(sessionId, { expand: ['subscription'] });
+    if (!session || !['paid', 'no_payment_required'].includes(session.payment_status)) {
       return res.json({ ok: true, activated: false, reason: 'Payment not completed' });
     }
 
@@ -1959,13 +4164,19 @@ app.post('/api/verify-checkout', auth, async (req, res) => {
       return res.status(403).json({ ok: false, error: 'Session does not belong to this user' });
     }
 
-    const customerId = session.customer;
-    await pool.query(
-      'UPDATE users SET subscription_status = $1, stripe_customer_id = $2 WHERE id = $3',
-      ['active', customerId, req.userId]
-    );
-    console.log(`[BK] verify-checkout activated subscription for user ${req.userId}`);
-    res.json({ ok: true, activated: true });
+    // The webhook may not have arrived yet; mirror the subscription now. Promo
+    // redemptions and referral credits are left to the webhook's transaction.
+    if (session.subscription && typeof session.subscription === 'object') {
+      await syncSubscription(pool, session.subscription, { userId: req.userId });
+    } else {
+      await pool.query(
+        'UPDATE users SET subscription_status = $1, stripe_customer_id = $2 WHERE id = $3',
+        ['active', session.customer, req.userId]
+      );
+    }
+    const { subscription_status: status } = await findUserById(req.userId) || {};
+    console.log(`[BK] verify-checkout for user ${req.userId}: ${status}`);
+    res.json({ ok: true, activated: status === 'active' });
   } catch (e) {
     console.error('[BK] verify-checkout error:', e.message);
     res.status(500).json({ ok: false, error: 'Failed to verify checkout session' });
@@ -1976,28 +4187,62 @@ app.post('/api/verify-checkout', auth, async (req, res) => {
 /*                     TRAINING ANALYSIS                                */
 /* ==================================================================== */
 
-app.post('/api/analyze', auth, async (req, res) => {
-  try {
-    const currentUser = await findUserById(req.userId);
-    const analysisCount = await getAnalysisCount(req.userId);
-    const subStatus = currentUser?.subscription_status || 'free';
-    const isAdmin = ADMIN_EMAILS.includes(currentUser?.email?.toLowerCase());
+function formatCurrentLevel(level) {
+  const levelMap = {
+    'Beginner': { grade: '4-5', description: level },
+    'Intermediate': { grade: '6-7', description: level },
+    'Advanced': { grade: '8-9', description: level }
+  };
+  return levelMap[level] || { grade: '?', description: level };
+}
 
-    if (!isAdmin && analysisCount >= FREE_ANALYSIS_LIMIT && subStatus !== 'active') {
-      return res.status(403).json({
-        ok: false,
-        error: 'limit_reached',
-        analysisCount,
-        limit: FREE_ANALYSIS_LIMIT,
-        message: `You've used your ${FREE_ANALYSIS_LIMIT} free analyses. Upgrade to Ball Knowledge Pro for unlimited analysis.`
-      });
-    }
+function buildAnalyzeResponse(item) {
+  const raw = item.raw || {};
+  return {
+    ok: true,
+    id: item.id,
+    videoType: 'training',
+    videoUrl: item.video_url,
+    publicId: item.public_id,
+    skill: item.skill,
+    createdAt: item.created_at,
+    summary: item.sessionSummary,
+    analysis: raw,
+    skillFocus: item.skillFocus,
+    skillId: item.skillId || null,
+    skillLabel: skillLabel(item.skillId, item.skillFocus),
+    secondarySkills: item.secondarySkills,
+    sessionSummary: item.sessionSummary,
+    currentLevel: formatCurrentLevel(item.currentLevel),
+    sessionSnapshot: raw.sessionSnapshot || {},
+    technicalAnalysis: item.technicalAnalysis,
+    improvementTips: item.improvementTips,
+    commonMistakesForPosition: item.commonMistakesForPosition,
+    practiceProgression: item.practiceProgression,
+    trendVsLastSessions: item.trends?.items || [],
+    trends: item.trends || null,
+    clipId: item.clipId || null,
+    trimStart: item.trimStart ?? null,
+    trimEnd: item.trimEnd ?? null,
+    nextSessionPlan: raw.nextSessionPlan || [],
+    youtubeRecommendations: item.youtubeRecommendations,
+    validation: item.validation || null,
+    promptVersion: item.promptVersion || null,
+    model: item.model || null,
+    planAdherence: item.planAdherence || null,
+  };
+}
 
+app.post('/api/analyze', auth, requireConsent, limits.analyze, async (req, res) => {
+  try {
     const {
       height, heightFeet, heightInches,
       weight, foot, position,
       videoUrl, publicId,
       videoData,
+      clipId,
+      trimStart, trimEnd,
+      force,
       skill,
       candidateInfo,
     } = req.body || {};
@@ -2006,95 +4251,440 @@ app.post('/api/analyze', auth, async (req, res) => {
       skill || candidateInfo?.focus || candidateInfo?.skill || ''
     ).trim() || null;
 
-    console.log(`[BK] Analyze request - videoUrl: ${videoUrl ? 'present' : 'none'}, videoData: ${videoData ? 'present' : 'none'}, requestedFocus: ${requestedFocus || 'none'}`);
+    console.log(`[BK] Analyze request - clipId: ${clipId || 'none'}, videoUrl: ${videoUrl ? 'present' : 'none'}, videoData: ${videoData ? 'present' : 'none'}, requestedFocus: ${requestedFocus || 'none'}`);
 
-    if (!videoUrl && !videoData) {
+    if (!clipId && !videoUrl && !videoData) {
       return res.status(400).json({ ok: false, error: 'Upload a training clip before analyzing.' });
     }
+    const clip = clipId ? await getClipById(req.userId, clipId) : null;
+    if (clipId && !clip?.storage_key) {
+      return res.status(404).json({ ok: false, error: 'Clip not found. Upload it again.' });
+    }
+    if (!clipId && !videoData && !/^https?:\/\//i.test(videoUrl)) {
+      return res.status(400).json({ ok: false, error: 'videoUrl must be an http(s) URL.' });
+    }
 
-    await upsertProfile(req.userId, { height, heightFeet, heightInches, weight, foot, position, skill: requestedFocus });
+    // Optional window, in seconds, applied when the clip is preprocessed.
+    const blank = (v) => v === undefined || v === null || v === '';
+    const start = blank(trimStart) ? null : Number(trimStart);
+    const end = blank(trimEnd) ? null : Number(trimEnd);
+    if ((start !== null && !(start >= 0)) || (end !== null && !(end > 0)) || (start !== null && end !== null && end <= start)) {
+      return res.status(400).json({ ok: false, error: 'trimEnd must be after trimStart, both in seconds.' });
+    }
+    if ((start || end) && !await isFfmpegAvailable()) {
+      return res.status(400).json({ ok: false, error: 'Trimming is not available right now. Analyze the full clip instead.' });
+    }
+    if (start && Number(clip?.duration) && start >= Number(clip.duration)) {
+      return res.status(400).json({ ok: false, error: `trimStart is past the end of the clip (${clip.duration}s).` });
+    }
 
+    // Uploaded and inline clips are hashed already; a URL clip only once a job
+    // has downloaded it (the hash is then kept on its clips row).
+    const urlClip = !clip && videoUrl ? await findClip(req.userId, { videoUrl, publicId }) : null;
+    const contentHash = clip?.sha256
+      || (!clip && videoData ? hashVideoData(videoData) : null)
+      || urlClip?.sha256
+      || null;
+    const currentUser = await findUserById(req.userId);
+    const entitlements = await entitlementsFor(currentUser || { id: req.userId });
     const profile = await getProfile(req.userId);
-    const user = currentUser || {};
-
-    const result = await runTextAnalysisForTraining({
-      profile,
-      user,
-      videoUrl,
-      videoData,
-      skill: requestedFocus || profile.skill || null,
-    });
-
-    const candidateName = profile.name?.trim() || user?.name?.trim() || "Player";
-    const item = {
-      id: uuidv4(),
-      candidateName,
-      videoType: 'training',
-      skillFocus: result.skillFocus,
-      secondarySkills: result.secondarySkills,
-      sessionSummary: result.sessionSummary,
-      currentLevel: result.currentLevel,
-      sessionSnapshot: result.sessionSnapshot,
-      technicalAnalysis: result.technicalAnalysis,
-      improvementTips: result.improvementTips,
-      commonMistakesForPosition: result.commonMistakesForPosition,
-      practiceProgression: result.practiceProgression,
-      trendVsLastSessions: result.trendVsLastSessions,
-      nextSessionPlan: result.nextSessionPlan,
-      youtubeRecommendations: result.youtubeRecommendations,
-      video_url: videoUrl,
-      public_id: publicId || null,
+    const cacheRequest = {
+      contentHash,
       skill: requestedFocus || profile.skill || null,
-      raw: result.raw,
-      created_at: Date.now(),
+      trimStart: start || null,
+      trimEnd: end,
     };
+    const skipCache = force === true || force === 'true';
+
+    const cached = skipCache ? null : await findCachedAnalysis(req.userId, cacheRequest);
+    if (cached) {
+      console.log(`[BK] Analysis cache hit for user ${req.userId}: ${cached.id}`);
+      if (!cached.trends) cached.trends = await computeAnalysisTrends(req.userId, cached).catch(() => null);
+      return res.json({ ...buildAnalyzeResponse(cached), cached: true, quota: entitlements.quota });
+    }
 
-    await insertAnalysis(req.userId, item);
+    // Jobs still in flight will become analyses, so they count against the quota too.
+    const { quota } = entitlements;
+    if (!entitlements.canAnalyze) {
+      return res.status(403).json({
+        ok: false,
+        error: 'limit_reached',
+        plan: entitlements.plan,
+        analysisCount: quota.used,
+        limit: quota.limit,
+        quota,
+        message: entitlements.plan === 'free'
+          ? `You've used your ${quota.limit} free analyses this month. Upgrade to Ball Knowledge Pro for more.`
+          : `You've used all ${quota.limit} analyses in your ${entitlements.planName} plan this billing period.`,
+      });
+    }
 
-    console.log(`[BK] Analysis complete for user ${req.userId} - Skill: ${item.skillFocus}, Level: ${item.currentLevel}`);
+    // The window the model would see, when the clip's length is known; longer
+    // URL clips are cut to the plan's limit when they are preprocessed.
+    const clipDuration = Number((clip || urlClip)?.duration) || null;
+    const windowEnd = end ?? clipDuration;
+    if (windowEnd !== null && windowEnd - (start || 0) > entitlements.maxClipSeconds) {
+      return res.status(403).json({
+        ok: false,
+        error: 'clip_too_long',
+        plan: entitlements.plan,
+        maxClipSeconds: entitlements.maxClipSeconds,
+        quota,
+        message: `Your ${entitlements.planName} plan analyzes up to ${entitlements.maxClipSeconds} seconds of video. Set a start and end to pick the part to analyze, or upgrade.`,
+      });
+    }
 
-    const levelMap = {
-      'Beginner': { grade: '4-5', description: item.currentLevel },
-      'Intermediate': { grade: '6-7', description: item.currentLevel },
-      'Advanced': { grade: '8-9', description: item.currentLevel }
-    };
-    const currentLevelObj = levelMap[item.currentLevel] || { grade: '?', description: item.currentLevel };
+    await upsertProfile(req.userId, { height, heightFeet, heightInches, weight, foot, position, skill: requestedFocus });
+    const previousAnalyses = await findAnalysesOfContent(req.userId, contentHash);
+
+    const job = await createAnalysisJob(req.userId, {
+      analysisId: uuidv4(),
+      clipId: clip?.id || null,
+      videoUrl: clip ? null : videoUrl || null,
+      videoData: clip ? null : videoData || null,
+      trimStart: cacheRequest.trimStart,
+      trimEnd: cacheRequest.trimEnd,
+      publicId: publicId || null,
+      skill: cacheRequest.skill,
+      contentHash,
+      force: skipCache,
+      maxClipSeconds: entitlements.maxClipSeconds,
+    });
+    wakeAnalysisWorker();
 
-    res.json({
+    console.log(`[BK] Analysis job ${job.id} queued for user ${req.userId}${previousAnalyses.length ? ` (clip analyzed ${previousAnalyses.length}x before)` : ''}`);
+    res.status(202).json({
       ok: true,
-      id: item.id,
-      videoType: 'training',
-      videoUrl: item.video_url,
-      publicId: item.public_id,
-      skill: item.skill,
-      createdAt: item.created_at,
-      summary: item.sessionSummary,
-      analysis: result.raw,
-      skillFocus: item.skillFocus,
-      secondarySkills: item.secondarySkills,
-      sessionSummary: item.sessionSummary,
-      currentLevel: currentLevelObj,
-      sessionSnapshot: item.sessionSnapshot || {},
-      technicalAnalysis: item.technicalAnalysis,
-      improvementTips: item.improvementTips,
-      commonMistakesForPosition: item.commonMistakesForPosition,
-      practiceProgression: item.practiceProgression,
-      trendVsLastSessions: item.trendVsLastSessions || [],
-      nextSessionPlan: item.nextSessionPlan || [],
-      youtubeRecommendations: item.youtubeRecommendations,
+      jobId: job.id,
+      state: job.state,
+      statusUrl: `/api/analyses/jobs/${job.id}`,
+      previousAnalyses,
+      quota: {
+        ...quota,
+        pending: quota.pending + 1,
+        remaining: quota.limit === null ? quota.remaining : Math.max(0, quota.remaining - 1),
+      },
     });
   } catch (e) {
-    console.error('[BK] Analysis error:', e);
-    console.error('[BK] Stack trace:', e.stack);
+    console.error('[BK] Analysis enqueue error:', e);
     res.status(500).json({
       ok: false,
-      error: e.message || 'Analysis failed on the server. Try again with a shorter clip or try re-uploading.',
+      error: e.message || 'Could not queue the analysis. Please try again.',
       detail: e.message || String(e),
     });
   }
 });
 
-app.post("/api/feedback", async (req, res) => {
+app.get('/api/analyses/jobs/:id', auth, async (req, res) => {
+  try {
+    const job = await getAnalysisJob(req.userId, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    res.json({ ok: true, job: formatAnalysisJob(job) });
+  } catch (e) {
+    console.error('[BK] get analysis job error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load analysis job' });
+  }
+});
+
+/* ==================================================================== */
+/*                           ANALYSIS JOBS                              */
+/* ==================================================================== */
+
+// queued -> uploading -> processing -> analyzing -> done | failed
+const ACTIVE_JOB_STATES = ['uploading', 'processing', 'analyzing'];
+const JOB_POLL_MS = Number(process.env.ANALYSIS_JOB_POLL_MS) || 3000;
+const JOB_STALE_MS = Number(process.env.ANALYSIS_JOB_STALE_MS) || 2 * 60 * 1000;
+const JOB_HEARTBEAT_MS = 30 * 1000;
+const JOB_MAX_ATTEMPTS = 3;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+async function createAnalysisJob(userId, payload) {
+  const id = uuidv4();
+  const now = Date.now();
+  await pool.query(
+    `INSERT INTO analysis_jobs (id, user_id, state, payload, attempts, created_at, updated_at)
+     VALUES ($1, $2, 'queued', $3::jsonb, 0, $4, $4)`,
+    [id, userId, JSON.stringify(payload), now]
+  );
+  return { id, state: 'queued', createdAt: now };
+}
+
+async function getAnalysisJob(userId, jobId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM analysis_jobs WHERE id = $1 AND user_id = $2', [jobId, userId]
+  );
+  return rows[0] || null;
+}
+
+function formatAnalysisJob(r) {
+  return {
+    id: r.id,
+    state: r.state,
+    analysisId: r.analysis_id || null,
+    error: r.error || null,
+    attempts: Number(r.attempts) || 0,
+    createdAt: Number(r.created_at) || 0,
+    updatedAt: Number(r.updated_at) || 0,
+    finishedAt: Number(r.finished_at) || null,
+    result: r.state === 'done' ? r.result : null,
+  };
+}
+
+// Claims the oldest runnable job. Jobs left in an active state by a worker that
+// stopped heartbeating (crash, deploy, restart) are picked up again here.
+async function claimNextAnalysisJob() {
+  const now = Date.now();
+  const { rows } = await pool.query(
+    `UPDATE analysis_jobs
+     SET state = 'uploading', locked_by = $1, locked_at = $2, updated_at = $2, attempts = attempts + 1
+     WHERE id = (
+       SELECT id FROM analysis_jobs
+       WHERE (state = 'queued' AND (run_after IS NULL OR run_after <= $2))
+          OR (state = ANY($3) AND (locked_at IS NULL OR locked_at < $4))
+       ORDER BY created_at ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [WORKER_ID, now, ACTIVE_JOB_STATES, now - JOB_STALE_MS]
+  );
+  return rows[0] || null;
+}
+
+async function setAnalysisJobState(jobId, state) {
+  const now = Date.now();
+  await pool.query(
+    `UPDATE analysis_jobs SET state = $1, locked_at = $2, updated_at = $2
+     WHERE id = $3 AND locked_by = $4`,
+    [state, now, jobId, WORKER_ID]
+  );
+}
+
+// Finishing and requeueing only apply while this run still holds the job: a
+// run whose lease went stale may have been reclaimed (attempts then moved on),
+// and the newer run's outcome wins. -> false when the lease was lost.
+async function finishAnalysisJob(job, { state, analysisId = null, result = null, error = null }) {
+  const now = Date.now();
+  // The base64 clip is only needed while the job can still run.
+  const { rowCount } = await pool.query(
+    `UPDATE analysis_jobs
+     SET state = $1, analysis_id = $2, result = $3::jsonb, error = $4,
+         payload = payload - 'videoData', locked_by = NULL, locked_at = NULL,
+         updated_at = $5, finished_at = $5
+     WHERE id = $6 AND locked_by = $7 AND attempts = $8`,
+    [state, analysisId, result ? JSON.stringify(result) : null, error, now, job.id, WORKER_ID, job.attempts]
+  );
+  if (!rowCount) console.log(`[BK] Analysis job ${job.id} attempt ${job.attempts} lost its lease; not marking it ${state}`);
+  return rowCount > 0;
+}
+
+async function requeueAnalysisJob(job, error, delayMs) {
+  const now = Date.now();
+  const { rowCount } = await pool.query(
+    `UPDATE analysis_jobs
+     SET state = 'queued', error = $1, run_after = $2, locked_by = NULL, locked_at = NULL, updated_at = $3
+     WHERE id = $4 AND locked_by = $5 AND attempts = $6`,
+    [error, now + delayMs, now, job.id, WORKER_ID, job.attempts]
+  );
+  if (!rowCount) console.log(`[BK] Analysis job ${job.id} attempt ${job.attempts} lost its lease; not requeueing it`);
+  return rowCount > 0;
+}
+
+// The job's clip as a local file where there is one: uploaded clips are read
+// from storage (S3 objects land in a temp file), URL clips are downloaded once
+// so they can be hashed and the copy is used for preprocessing, the upload and
+// key moment frames. -> { clip, clipFile, storedFile, contentHash }
+async function openJobClip(userId, payload) {
+  const clip = payload.clipId ? await getClipById(userId, payload.clipId) : null;
+  if (payload.clipId && !clip?.storage_key) throw new Error('The uploaded clip is no longer available. Upload it again.');
+  let clipFile = null;
+  if (clip) clipFile = await storage.openFile(clip.storage_key);
+  else if (payload.videoUrl) clipFile = await downloadVideo(payload.videoUrl);
+  const storedFile = clipFile ? { path: clipFile.path, mimeType: clip?.content_type || clipFile.mimeType || 'video/mp4' } : null;
+
+  try {
+    const contentHash = payload.contentHash || clip?.sha256
+      || (storedFile ? await sha256File(storedFile.path) : hashVideoData(payload.videoData));
+    // Remembered on the POST /api/clip row so the next request can hit the cache up front.
+    if (!clip && payload.videoUrl && contentHash) {
+      const urlClip = await findClip(userId, { videoUrl: payload.videoUrl, publicId: payload.publicId });
+      if (urlClip && !urlClip.sha256) await pool.query('UPDATE clips SET sha256 = $1 WHERE id = $2', [contentHash, urlClip.id]);
+    }
+    return { clip, clipFile, storedFile, contentHash };
+  } catch (e) {
+    clipFile?.cleanup();
+    throw e;
+  }
+}
+
+async function processAnalysisJob(job) {
+  const payload = job.payload || {};
+  const heartbeat = setInterval(() => {
+    pool.query(
+      'UPDATE analysis_jobs SET locked_at = $1 WHERE id = $2 AND locked_by = $3',
+      [Date.now(), job.id, WORKER_ID]
+    ).catch(e => console.error('[BK] analysis job heartbeat failed:', e.message));
+  }, JOB_HEARTBEAT_MS);
+  let source = null;
+  let prepared = null;
+
+  try {
+    if (job.attempts > JOB_MAX_ATTEMPTS) {
+      await finishAnalysisJob(job, {
+        state: 'failed',
+        error: job.error || `Analysis did not complete after ${JOB_MAX_ATTEMPTS} attempts.`,
+      });
+      return;
+    }
+
+    // A previous run may have stored the analysis right before its worker went away.
+    let item = payload.analysisId ? await getAnalysisById(job.user_id, payload.analysisId) : null;
+    let cached = false;
+
+    if (!item) {
+      source = await openJobClip(job.user_id, payload);
+      // The clip's hash may only be known now (URL clips), so check the cache again.
+      if (!payload.force) item = await findCachedAnalysis(job.user_id, { ...payload, contentHash: source.contentHash });
+      cached = Boolean(item);
+    }
+
+    if (!item) {
+      const { clip, storedFile, contentHash } = source;
+      const user = await findUserById(job.user_id) || {};
+      const profile = await getProfile(job.user_id);
+      // Earlier sessions of the requested skill (or the latest of any skill) give
+      // the model context; the trends themselves are computed below.
+      const requested = normalizeSkill(payload.skill);
+      const history = await loadTrendHistory(pool, job.user_id, {
+        skillId: requested?.id || null,
+        excludeId: payload.analysisId || null,
+      });
+
+      // The same clip window may still be on the provider from an earlier run;
+      // then there is nothing to preprocess or upload.
+      const videoKey = contentHash && aiProvider ? providerFileKey(contentHash, payload) : null;
+      const reused = videoKey ? await findProviderFile(job.user_id, videoKey) : null;
+      if (!reused) prepared = await prepareJobVideo(job.user_id, payload, clip, storedFile);
+      const videoFile = prepared ? { path: prepared.path, mimeType: prepared.mimeType } : storedFile;
+      const window = prepared ? videoWindow(prepared) : reused?.window || null;
+
+      const result = await runTextAnalysisForTraining({
+        profile,
+        user,
+        videoUrl: payload.videoUrl,
+        videoData: payload.videoData,
+        videoFile,
+        file: reused?.file,
+        skill: payload.skill,
+        history: describeHistoryForPrompt(history),
+        onStage: state => setAnalysisJobState(job.id, state),
+      });
+      if (videoKey && !reused) {
+        await recordProviderFile(job.user_id, videoKey, result.file, window).catch(e =>
+          console.error('[BK] recordProviderFile error:', e.message));
+      }
+
+      const candidateName = profile.name?.trim() || user?.name?.trim() || "Player";
+      const focus = normalizeSkill(result.skillFocus);
+      item = {
+        id: payload.analysisId || uuidv4(),
+        candidateName,
+        videoType: 'training',
+        skillFocus: result.skillFocus,
+        skillId: focus?.id || null,
+        skillCategory: focus?.category || null,
+        secondarySkills: result.secondarySkills,
+        secondarySkillIds: normalizeSkillList(result.secondarySkills),
+        requestedSkillId: requested?.id || null,
+        sessionSummary: result.sessionSummary,
+        currentLevel: result.currentLevel,
+        sessionSnapshot: result.sessionSnapshot,
+        technicalAnalysis: result.technicalAnalysis,
+        improvementTips: result.improvementTips,
+        commonMistakesForPosition: result.commonMistakesForPosition,
+        practiceProgression: result.practiceProgression,
+        nextSessionPlan: result.nextSessionPlan,
+        youtubeRecommendations: result.youtubeRecommendations,
+        video_url: payload.videoUrl,
+        public_id: payload.publicId || null,
+        clipId: clip?.id || null,
+        trimStart: window ? window.trimStart : null,
+        trimEnd: window ? window.trimEnd : null,
+        skill: payload.skill || null,
+        raw: result.raw,
+        validation: result.validation,
+        promptVersion: result.promptVersion,
+        contentHash: contentHash || null,
+        model: result.validation?.model || null,
+        cacheKey: contentHash ? analysisCacheKey({ ...payload, contentHash, promptVersion: result.promptVersion }) : null,
+        created_at: Date.now(),
+      };
+      item.trends = await computeAnalysisTrends(job.user_id, item);
+
+      await insertAnalysis(job.user_id, item);
+      await captureKeyMoments(job.user_id, item, { ...payload, videoFile: storedFile }, window).catch(e =>
+        console.error(`[BK] Key moments for analysis ${item.id} failed:`, e.message));
+    }
+
+    if (!await finishAnalysisJob(job, { state: 'done', analysisId: item.id, result: { ...buildAnalyzeResponse(item), cached } })) return;
+    console.log(`[BK] Analysis job ${job.id} done for user ${job.user_id}${cached ? ' (cached)' : ''} - Skill: ${item.skillFocus}, Level: ${item.currentLevel}`);
+  } catch (e) {
+    const message = e.message || 'Analysis failed on the server. Try again with a shorter clip or try re-uploading.';
+    if ((e.retryable || isGeminiRetryable(e)) && job.attempts < JOB_MAX_ATTEMPTS) {
+      const delayMs = 60 * 1000 * job.attempts;
+      console.log(`[BK] Analysis job ${job.id} attempt ${job.attempts} failed, retrying in ${Math.round(delayMs / 1000)}s: ${message}`);
+      await requeueAnalysisJob(job, message, delayMs);
+    } else {
+      console.error(`[BK] Analysis job ${job.id} failed:`, e);
+      await finishAnalysisJob(job, { state: 'failed', error: message });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    prepared?.cleanup();
+    source?.clipFile?.cleanup();
+  }
+}
+
+let analysisWorkerTimer = null;
+let analysisWorkerBusy = false;
+
+async function runAnalysisWorker() {
+  analysisWorkerTimer = null;
+  analysisWorkerBusy = true;
+  try {
+    let job;
+    while ((job = await claimNextAnalysisJob())) {
+      console.log(`[BK] Analysis job ${job.id} claimed (attempt ${job.attempts})`);
+      await processAnalysisJob(job);
+    }
+  } catch (e) {
+    console.error('[BK] Analysis worker error:', e.message);
+  } finally {
+    analysisWorkerBusy = false;
+    analysisWorkerTimer = setTimeout(runAnalysisWorker, JOB_POLL_MS);
+  }
+}
+
+function wakeAnalysisWorker() {
+  if (analysisWorkerBusy || !analysisWorkerTimer) return;
+  clearTimeout(analysisWorkerTimer);
+  runAnalysisWorker();
+}
+
+function startAnalysisWorker() {
+  if (!process.env.POSTGRES_URL && !process.env.DATABASE_URL) {
+    console.error('[BK] WARNING: No database configured, analysis worker not started.');
+    return;
+  }
+  if (process.env.ANALYSIS_WORKER === 'off') {
+    console.log('[BK] Analysis worker disabled (ANALYSIS_WORKER=off)');
+    return;
+  }
+  console.log(`[BK] Analysis worker ${WORKER_ID} started (poll ${JOB_POLL_MS}ms)`);
+  runAnalysisWorker();
+}
+
+app.post("/api/feedback", limits.publicAi, async (req, res) => {
   try {
     const { playerContext, clipsNotes } = req.body;
 
@@ -2102,8 +4692,8 @@ app.post("/api/feedback", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Missing playerContext or clipsNotes" });
     }
 
-    if (!genAI) {
-      return res.status(400).json({ ok: false, error: "Gemini API key not configured" });
+    if (!aiProvider) {
+      return res.status(400).json({ ok: false, error: AI_NOT_CONFIGURED });
     }
 
     const prompt = `You are a professional soccer coach and performance analyst. Output ONLY valid JSON, no markdown, no extra text.
@@ -2123,20 +4713,9 @@ Return VALID JSON ONLY with this structure:
   "twoWeekPlan": [{ "day": "", "focus": "", "drills": [] }]
 }`;
 
-    const { result } = await generateGeminiContent(prompt, 'feedback');
-    const raw = result.response.text();
-    let parsed;
-    try {
-      parsed = JSON.parse(raw);
-    } catch {
-      const m = raw.match(/\{[\s\S]*\}/);
-      if (m) {
-        try { parsed = JSON.parse(m[0]); } catch { parsed = { raw }; }
-      } else {
-        parsed = { raw };
-      }
-    }
-    return res.json({ ok: true, report: parsed });
+    const { text: raw } = await generateGeminiContent(prompt, 'feedback');
+    const { data } = parseModelJson(raw);
+    return res.json({ ok: true, report: data || { raw } });
 
   } catch (e) {
     console.error(e);
@@ -2148,56 +4727,21 @@ Return VALID JSON ONLY with this structure:
 /*                     PLAYER REPORT / TRENDS                           */
 /* ==================================================================== */
 
-app.get('/api/player-report', auth, async (req, res) => {
+app.get('/api/player-report', auth, playerScope, async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.playerId;
 
-    const { rows: statsRows } = await pool.query(
-      'SELECT * FROM player_stats WHERE user_id = $1', [userId]
-    );
-    const stats = statsRows[0] || null;
+    const {
+      skillFrequency, skillLevels, skillLastSeen, monthlyActivity, totalAnalyses, lastAnalysisAt,
+    } = await getPlayerStats(pool, userId);
 
     const { rows: analysisRows } = await pool.query(
-      `SELECT id, skill_focus, secondary_skills, current_level, session_summary, created_at, raw
-       FROM analyses WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50`,
+      `SELECT id, skill_focus, current_level, session_summary, created_at
+       FROM analyses WHERE user_id = $1 ORDER BY created_at DESC LIMIT 5`,
       [userId]
     );
 
-    const now = new Date();
-    const currentMonthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-
-    let skillFrequency  = stats?.skill_frequency  || {};
-    let skillLevels     = stats?.skill_levels      || {};
-    let skillLastSeen   = stats?.skill_last_seen   || {};
-    let monthlyActivity = stats?.monthly_activity  || {};
-    let totalAnalyses   = stats?.total_analyses    || 0;
-    let lastAnalysisAt  = stats?.last_analysis_at  || null;
-
-    // Fallback: derive from raw analyses rows for users who had analyses before player_stats existed
-    if (!stats && analysisRows.length > 0) {
-      for (const row of analysisRows) {
-        const ts = toMs(row.created_at);
-        const primarySkill = row.skill_focus || null;
-        const secondary = Array.isArray(row.secondary_skills) ? row.secondary_skills : [];
-        const allSkills = primarySkill ? [primarySkill, ...secondary] : secondary;
-        const level = row.current_level || null;
-        const d = new Date(ts);
-        const mk = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
-
-        for (const sk of allSkills) { if (sk) skillFrequency[sk] = (skillFrequency[sk] || 0) + 1; }
-        if (primarySkill && level) skillLevels[primarySkill] = level;
-        if (primarySkill && (!skillLastSeen[primarySkill] || ts > skillLastSeen[primarySkill])) {
-          skillLastSeen[primarySkill] = ts;
-        }
-        if (!monthlyActivity[mk]) monthlyActivity[mk] = { sessions: 0, skills: [] };
-        monthlyActivity[mk].sessions += 1;
-        if (primarySkill && !monthlyActivity[mk].skills.includes(primarySkill)) {
-          monthlyActivity[mk].skills.push(primarySkill);
-        }
-        totalAnalyses++;
-        if (!lastAnalysisAt || ts > lastAnalysisAt) lastAnalysisAt = ts;
-      }
-    }
+    const currentMonthKey = monthKey(Date.now());
 
     const topSkills = Object.entries(skillFrequency)
       .sort((a, b) => b[1] - a[1])
@@ -2248,14 +4792,21 @@ app.get('/api/player-report', auth, async (req, res) => {
   }
 });
 
-app.get('/api/progress', auth, async (req, res) => {
+// Canonical skill taxonomy (skill-taxonomy.js) for pickers and filters.
+app.get('/api/skills', (_req, res) => {
+  res.json({ ok: true, ...listSkills() });
+});
+
+app.get('/api/progress', auth, playerScope, async (req, res) => {
   try {
-    const userId = req.userId;
-    const skillFilter = String(req.query.skill || '').trim().toLowerCase();
+    const userId = req.playerId;
+    // ?skill= takes a canonical id ("v_pull") or any label that normalises to one.
+    const skillQuery = String(req.query.skill || '').trim();
+    const skillFilter = skillQuery ? (normalizeSkill(skillQuery).id || skillQuery.toLowerCase()) : '';
     const range = String(req.query.range || '90').trim().toLowerCase();
 
     const { rows } = await pool.query(
-      `SELECT id, skill_focus, current_level, session_summary, created_at, raw
+      `SELECT id, skill_id, skill_focus, current_level, session_summary, created_at, raw
        FROM analyses
        WHERE user_id = $1
        ORDER BY created_at ASC
@@ -2290,12 +4841,12 @@ app.get('/api/progress', auth, async (req, res) => {
     const points = [];
     for (const r of rows) {
       const ts = toMs(r.created_at);
-      const skill = String(r.skill_focus || 'General').trim();
-      const skillLower = skill.toLowerCase();
+      const canonical = r.skill_id ? { id: r.skill_id } : normalizeSkill(r.skill_focus);
+      const skill = skillLabel(canonical?.id, r.skill_focus) || 'General';
       allSkillsSet.add(skill);
 
       if (since && ts < since) continue;
-      if (skillFilter && skillLower !== skillFilter) continue;
+      if (skillFilter && (canonical?.id || skill.toLowerCase()) !== skillFilter) continue;
 
       const fallback = levelFallback(r.current_level);
       const score = parseSnapshotScore(r.raw, fallback);
@@ -2342,7 +4893,82 @@ app.get('/api/progress', auth, async (req, res) => {
   }
 });
 
-app.post('/api/player-report/email', auth, async (req, res) => {
+// Per-checkpoint biomechanics scores over time (analysis_checkpoints). ?skill=
+// takes any skill id or label and selects its checkpoint family ("v_pull" ->
+// dribbling); without it every family is returned. Deltas compare the first and
+// last scored session in the range.
+app.get('/api/progress/checkpoints', auth, playerScope, async (req, res) => {
+  try {
+    const skillQuery = String(req.query.skill || '').trim();
+    const skill = skillQuery ? normalizeSkill(skillQuery) : null;
+    const family = skill ? CHECKPOINT_FAMILIES[skill.category] || null : null;
+    if (skillQuery && !family) {
+      return res.status(400).json({ ok: false, error: `Unknown skill "${skillQuery}"`, families: Object.keys(SKILL_CHECKPOINTS) });
+    }
+    const range = String(req.query.range || '90').trim().toLowerCase();
+    const rangeDays = range === 'all' ? null : Math.max(1, Number(range) || 90);
+    const since = rangeDays ? Date.now() - rangeDays * 24 * 60 * 60 * 1000 : 0;
+
+    const { rows } = await pool.query(
+      `SELECT analysis_id, checkpoint, family, score, created_at
+       FROM analysis_checkpoints
+       WHERE user_id = $1 AND score IS NOT NULL AND created_at >= $2
+         AND ($3::text IS NULL OR family = $3)
+       ORDER BY created_at ASC`,
+      [req.playerId, since, family]
+    );
+
+    // Keyed by family too: headPosition is both a shooting and a dribbling
+    // checkpoint, and the two are different movements.
+    const seriesKey = (fam, checkpoint) => `${fam || ''}:${checkpoint}`;
+    const byCheckpoint = new Map();
+    for (const r of rows) {
+      const key = seriesKey(r.family, r.checkpoint);
+      if (!byCheckpoint.has(key)) {
+        byCheckpoint.set(key, { key, checkpoint: r.checkpoint, family: r.family, points: [] });
+      }
+      byCheckpoint.get(key).points.push({ analysisId: r.analysis_id, ts: toMs(r.created_at), score: Number(r.score) });
+    }
+
+    const round = (n) => Number(n.toFixed(1));
+    const series = [...byCheckpoint.values()].map(c => {
+      const first = c.points[0].score;
+      const last = c.points[c.points.length - 1].score;
+      return {
+        ...c,
+        count: c.points.length,
+        first,
+        last,
+        delta: c.points.length > 1 ? round(last - first) : null,
+        average: round(c.points.reduce((sum, p) => sum + p.score, 0) / c.points.length),
+        best: Math.max(...c.points.map(p => p.score)),
+      };
+    }).sort((a, b) => (a.family || '').localeCompare(b.family || '') || a.checkpoint.localeCompare(b.checkpoint));
+
+    const withDelta = series.filter(c => c.delta !== null);
+    const brief = (c) => ({ key: c.key, checkpoint: c.checkpoint, family: c.family, first: c.first, last: c.last, delta: c.delta });
+    const expected = family ? SKILL_CHECKPOINTS[family] : [];
+
+    res.json({
+      ok: true,
+      checkpoints: {
+        skill: skill?.id || 'all',
+        family: family || 'all',
+        range,
+        sessions: new Set(rows.map(r => r.analysis_id)).size,
+        series,
+        mostImproved: withDelta.filter(c => c.delta > 0).sort((a, b) => b.delta - a.delta).slice(0, 3).map(brief),
+        mostRegressed: withDelta.filter(c => c.delta < 0).sort((a, b) => a.delta - b.delta).slice(0, 3).map(brief),
+        notYetScored: expected.filter(name => !byCheckpoint.has(seriesKey(family, name))),
+      },
+    });
+  } catch (e) {
+    console.error('[BK] checkpoint progress error:', e.message);
+    res.status(500).json({ ok: false, error: 'Failed to load checkpoint progress' });
+  }
+});
+
+app.post('/api/player-report/email', auth, requireFeature('reportEmail'), async (req, res) => {
   try {
     if (!resend) return res.status(400).json({ ok: false, error: 'Email service not configured' });
 
@@ -2354,45 +4980,16 @@ app.post('/api/player-report/email', auth, async (req, res) => {
     const playerName  = profile?.name || user.name || 'Player';
     const playerEmail = user.email;
 
-    const { rows: statsRows } = await pool.query(
-      'SELECT * FROM player_stats WHERE user_id = $1', [userId]
-    );
-    const stats = statsRows[0] || null;
+    const { skillFrequency, skillLevels, monthlyActivity, totalAnalyses } = await getPlayerStats(pool, userId);
 
     const { rows: analysisRows } = await pool.query(
-      `SELECT id, skill_focus, secondary_skills, current_level, session_summary, created_at, raw
-       FROM analyses WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50`,
+      `SELECT id, skill_id, skill_focus, current_level, session_summary, created_at, raw, trends
+       FROM analyses WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1`,
       [userId]
     );
 
-    let skillFrequency  = stats?.skill_frequency  || {};
-    let skillLevels     = stats?.skill_levels      || {};
-    let monthlyActivity = stats?.monthly_activity  || {};
-    let totalAnalyses   = stats?.total_analyses    || 0;
-
-    if (!stats && analysisRows.length > 0) {
-      for (const row of analysisRows) {
-        const ts = toMs(row.created_at);
-        const primarySkill = row.skill_focus || null;
-        const secondary = Array.isArray(row.secondary_skills) ? row.secondary_skills : [];
-        const allSkills = primarySkill ? [primarySkill, ...secondary] : secondary;
-        const level = row.current_level || null;
-        const d = new Date(ts);
-        const mk = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
-
-        for (const sk of allSkills) { if (sk) skillFrequency[sk] = (skillFrequency[sk] || 0) + 1; }
-        if (primarySkill && level) skillLevels[primarySkill] = level;
-        if (!monthlyActivity[mk]) monthlyActivity[mk] = { sessions: 0, skills: [] };
-        monthlyActivity[mk].sessions += 1;
-        if (primarySkill && !monthlyActivity[mk].skills.includes(primarySkill)) {
-          monthlyActivity[mk].skills.push(primarySkill);
-        }
-        totalAnalyses++;
-      }
-    }
-
     const now = new Date();
-    const currentMonthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const currentMonthKey = monthKey(now.getTime());
     const monthNames = ['January','February','March','April','May','June','July','August','September','October','November','December'];
     const reportMonthLabel = `${monthNames[now.getMonth()]} ${now.getFullYear()}`;
 
@@ -2418,7 +5015,11 @@ app.post('/api/player-report/email', auth, async (req, res) => {
           </tr>`).join('')
       : `<tr><td colspan="4" style="padding:14px;color:#666;text-align:center">No priority fixes yet. Upload your next session to unlock this.</td></tr>`;
 
-    const trendItems = Array.isArray(latestRaw.trendVsLastSessions) ? latestRaw.trendVsLastSessions.slice(0, 3) : [];
+    const latestTrends = !latestAnalysis ? null : latestAnalysis.trends || await computeAnalysisTrends(userId, {
+      id: latestAnalysis.id, skillId: latestAnalysis.skill_id, skillFocus: latestAnalysis.skill_focus,
+      created_at: Number(latestAnalysis.created_at), raw: latestRaw,
+    });
+    const trendItems = (latestTrends?.items || []).slice(0, 3);
     const trendRowsHtml = trendItems.length
       ? trendItems.map((t) => {
           const tr = String(t.trend || 'flat').toLowerCase();
@@ -2623,12 +5224,21 @@ async function start() {
   const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`[BK] Server running on http://localhost:${PORT}`);
     console.log(`[BK] PostgreSQL: connected`);
-    console.log(`[BK] Gemini AI configured: ${genAI ? 'YES' : 'NO'}`);
+    console.log(`[BK] AI provider: ${aiProvider ? `${aiProvider.name} (${aiProvider.models.join(', ')})` : 'NONE'}`);
     console.log(`[BK] Stripe configured: ${stripe ? 'YES' : 'NO'} (key starts with: ${STRIPE_SECRET ? STRIPE_SECRET.substring(0, 7) + '...' : 'EMPTY'})`);
+    if (stripe && !STRIPE_WEBHOOK_SECRET) {
+      console.log(`[BK] WARNING: STRIPE_WEBHOOK_SECRET not set - ${STRIPE_UNSIGNED_WEBHOOKS ? 'accepting unsigned webhooks (development)' : 'all Stripe webhooks will be rejected'}`);
+    }
     console.log(`[BK] Resend configured: ${resend ? 'YES' : 'NO'}`);
+    console.log(`[BK] Web Push configured: ${webPush ? 'YES' : 'NO'}`);
     console.log(`[BK] Admin emails: ${ADMIN_EMAILS.length ? ADMIN_EMAILS.join(', ') : 'none'}`);
     console.log(`[BK] Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`[BK] Server is listening and ready for requests`);
+    startAnalysisWorker();
+    startReminderScheduler();
+    setInterval(pruneAuthState, AUTH_PRUNE_MS).unref();
+    setInterval(pruneRateLimits, 10 * 60 * 1000).unref();
+    setInterval(pruneStaleUploads, 60 * 60 * 1000).unref();
   });
 
   server.on('error', (error) => {
@@ -0,0 +1,175 @@
+// skill-taxonomy.js — canonical skills and normalisation of free-text skill labels
+//
+// The model names skills in free text ("Close Dribbling", "Dribbling / Ball
+// Mastery", "Passing & First Touch") and players type their own focus, so one
+// skill shows up under many labels. Every label is mapped to a canonical skill
+// id here; analyses store the raw label next to the id (skill_focus / skill_id)
+// and stats, progress filters and admin aggregates group by the id.
+//
+// Categories match SKILL_CHECKPOINTS in analysis-schema.js (first_touch shares
+// the passing checkpoints). Move names follow the reference list in the
+// training prompt.
+
+export const SKILL_CATEGORIES = {
+  dribbling: 'Dribbling & Ball Mastery',
+  shooting: 'Shooting',
+  passing: 'Passing',
+  first_touch: 'First Touch & Ball Control',
+  juggling: 'Juggling & Freestyle',
+};
+
+// Category -> SKILL_CHECKPOINTS family whose biomechanics checklist applies.
+export const CHECKPOINT_FAMILIES = {
+  dribbling: 'dribbling',
+  shooting: 'shooting',
+  passing: 'passing',
+  first_touch: 'passing',
+  juggling: 'juggling',
+};
+
+// [id, label, category, aliases]. The category-level skills come first and are
+// what a vague label ("dribbling drill") resolves to.
+const SKILL_LIST = [
+  ['dribbling', 'Dribbling & Ball Mastery', 'dribbling', [
+    'dribbling', 'close dribbling', 'close control', 'ball mastery', 'dribbling ball mastery',
+    'cone dribbling', 'dribble', 'dribbling moves', 'footwork', 'sole work', '1v1 moves',
+  ]],
+  ['shooting', 'Shooting', 'shooting', [
+    'shooting', 'shooting technique', 'finishing', 'shot', 'shots', 'striking', 'target shooting', 'shooting power',
+  ]],
+  ['passing', 'Passing', 'passing', [
+    'passing', 'passing accuracy', 'pass', 'passes', 'passing technique', 'pass weight', 'short passing',
+    'passing and receiving',
+  ]],
+  ['first_touch', 'First Touch & Ball Control', 'first_touch', [
+    'first touch', 'ball control', 'receiving', 'control', 'first touch ball control', 'touch', 'cushioning',
+  ]],
+  ['juggling', 'Juggling', 'juggling', [
+    'juggling', 'keepy uppy', 'keepie uppie', 'keep ups', 'freestyle juggling', 'touch juggling',
+  ]],
+  ['freestyle', 'Freestyle Tricks', 'juggling', ['freestyle', 'freestyle tricks', 'tricks', 'trick combos']],
+
+  // Sole / pull moves
+  ['pull_back', 'Pull-Back', 'dribbling', ['pull back', 'pullback', 'pull backs', 'pullbacks']],
+  ['v_pull', 'V-Pull', 'dribbling', ['v pull', 'v pulls', 'v turn', 'vpull', 'v drag']],
+  ['l_turn', 'L-Turn', 'dribbling', ['l turn', 'l turns', 'l pull', 'l into iniesta']],
+  ['t_pull', 'T-Pull', 'dribbling', ['t pull', 't pulls']],
+  ['sole_roll', 'Sole Roll', 'dribbling', ['sole roll', 'sole rolls', 'ball roll', 'ball rolls']],
+  ['inside_hook', 'Inside Hook', 'dribbling', ['inside hook', 'inside cut']],
+  ['outside_hook', 'Outside Hook', 'dribbling', ['outside hook', 'outside cut']],
+  ['stop_and_go', 'Stop-and-Go', 'dribbling', ['stop and go', 'stop go']],
+  ['iniesta_turn', 'Iniesta Turn', 'dribbling', ['iniesta', 'iniesta turn', 'la iniesta']],
+
+  // Classic dribbling moves
+  ['stepover', 'Stepover', 'dribbling', ['stepover', 'stepovers', 'step over', 'step overs', 'scissors', 'scissor']],
+  ['cruyff_turn', 'Cruyff Turn', 'dribbling', ['cruyff', 'cruyff turn', 'cruyff turns']],
+  ['la_croqueta', 'La Croqueta', 'dribbling', ['croqueta', 'la croqueta']],
+  ['elastico', 'Elastico', 'dribbling', ['elastico', 'flip flap', 'flip flap elastico']],
+  ['ronaldo_chop', 'Ronaldo Chop', 'dribbling', ['ronaldo chop']],
+  ['maradona_spin', 'Maradona Spin', 'dribbling', ['maradona', 'maradona spin', '360 turn', 'roulette']],
+  ['body_feint', 'Body Feint', 'dribbling', ['body feint', 'feint', 'shoulder drop', 'shoulder feint']],
+  ['drag_back', 'Drag-Back', 'dribbling', ['drag back', 'dragback']],
+  ['chop', 'Chop', 'dribbling', ['chop', 'chops']],
+  ['nutmeg', 'Nutmeg', 'dribbling', ['nutmeg', 'nutmegs']],
+
+  // Shooting techniques
+  ['laces_drive', 'Laces Drive', 'shooting', ['laces', 'laces drive', 'driven shot', 'power shot', 'instep drive']],
+  ['instep_curl', 'Curled Shot', 'shooting', ['curl', 'curler', 'curled shot', 'instep curl', 'finesse shot', 'finesse']],
+  ['chip', 'Chip Shot', 'shooting', ['chip', 'chip shot', 'lob']],
+  ['knuckleball', 'Knuckleball', 'shooting', ['knuckleball', 'knuckle ball']],
+  ['volley', 'Volley', 'shooting', ['volley', 'volleys', 'half volley', 'volleying']],
+
+  // Passing types
+  ['wall_passing', 'Wall Passing', 'passing', ['wall pass', 'wall passing', 'wall passes', 'rebounder', 'rebound passing']],
+  ['long_ball', 'Long Passing', 'passing', ['long ball', 'long pass', 'long passing', 'switch of play', 'lofted pass', 'driven pass']],
+  ['through_ball', 'Through Ball', 'passing', ['through ball', 'through pass']],
+  ['crossing', 'Crossing', 'passing', ['cross', 'crossing', 'crosses']],
+
+  // Freestyle tricks
+  ['around_the_world', 'Around the World', 'juggling', ['around the world', 'atw', 'tatw', 'htw', 'hop the world']],
+  ['rainbow_flick', 'Rainbow Flick', 'juggling', ['rainbow', 'rainbow flick']],
+  ['stalls', 'Stalls', 'juggling', ['neck stall', 'sole stall', 'stall', 'stalls']],
+];
+
+export const SKILLS = Object.fromEntries(SKILL_LIST.map(([id, label, category, aliases]) => [
+  id, { id, label, category, aliases },
+]));
+
+/* ---------- Matching ---------- */
+// "V-Pull / L-turn!" -> "v pull l turn"; "&" and "+" read as "and".
+export function normalizeLabel(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[&+]/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+// phrase -> skill id, every phrase normalised
+const PHRASES = new Map();
+for (const skill of Object.values(SKILLS)) {
+  for (const phrase of [skill.id.replace(/_/g, ' '), skill.label, ...skill.aliases]) {
+    const key = normalizeLabel(phrase);
+    if (key && !PHRASES.has(key)) PHRASES.set(key, skill.id);
+  }
+}
+// Longest first so "pull back" beats "pull" and "first touch" beats "touch".
+const PHRASE_LIST = [...PHRASES.keys()].sort((a, b) => b.length - a.length);
+
+function findPhrase(text) {
+  const padded = ` ${text} `;
+  let best = null;
+  for (const phrase of PHRASE_LIST) {
+    const at = padded.indexOf(` ${phrase} `);
+    if (at === -1) continue;
+    // The earliest mention is the primary skill ("Passing & First Touch" -> passing);
+    // on a tie the longer phrase, which PHRASE_LIST order already gives us.
+    if (!best || at < best.at) best = { phrase, at };
+  }
+  return best ? PHRASES.get(best.phrase) : null;
+}
+
+const titleCase = (s) => String(s).trim().replace(/\s+/g, ' ').replace(/(?<![\p{L}\p{N}])\p{Ll}/gu, c => c.toUpperCase());
+
+// Maps a model or user label to { id, label, category, raw, match }:
+//   match 'exact'   — the whole label is a known name or alias
+//         'partial' — a known name appears inside the label
+//         'none'    — unknown skill; id and category are null and label is the tidied input
+// Returns null for an empty label.
+export function normalizeSkill(raw) {
+  const text = normalizeLabel(raw);
+  if (!text) return null;
+  let id = PHRASES.get(text) || null;
+  let match = id ? 'exact' : 'none';
+  if (!id) {
+    id = findPhrase(text);
+    if (id) match = 'partial';
+  }
+  if (!id) return { id: null, label: titleCase(raw), category: null, raw: String(raw).trim(), match };
+  const skill = SKILLS[id];
+  return { id, label: skill.label, category: skill.category, raw: String(raw).trim(), match };
+}
+
+// Canonical ids for a list of labels, unknown labels dropped, duplicates removed.
+export function normalizeSkillList(labels) {
+  const ids = [];
+  for (const label of Array.isArray(labels) ? labels : []) {
+    const id = normalizeSkill(label)?.id;
+    if (id && !ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
+// Display label for a stored id, falling back to the raw label.
+export function skillLabel(id, raw = null) {
+  return (id && SKILLS[id]?.label) || (raw ? normalizeSkill(raw)?.label : null) || null;
+}
+
+export function listSkills() {
+  return {
+    categories: Object.entries(SKILL_CATEGORIES).map(([id, label]) => ({ id, label })),
+    skills: Object.values(SKILLS).map(({ id, label, category }) => ({ id, label, category })),
+  };
+}
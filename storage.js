@@ -0,0 +1,155 @@
+// storage.js — object storage for uploaded clips
+//
+// A store exposes:
+//   name                                        'local' | 's3'
+//   putFile(key, filePath, { contentType })     copy a finished local file in
+//   openFile(key) -> { path, cleanup() }        a local path ffmpeg / the AI provider can read;
+//                                               cleanup() removes any temp copy
+//   remove(key)                                 no-op for a missing object
+//
+// The local backend keeps objects under STORAGE_DIR, which must not be inside a
+// directory served as static files. The S3 backend talks to any S3-compatible
+// service (AWS, R2, MinIO) with hand-signed SigV4 requests, so no SDK is needed
+// for the three calls we make.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+function safeKey(key) {
+  const clean = String(key).replace(/\\/g, '/');
+  if (!clean || clean.startsWith('/') || clean.split('/').some(part => !part || part === '.' || part === '..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return clean;
+}
+
+/* ---------- Local disk ---------- */
+export function createLocalStorage({ dir }) {
+  const resolve = (key) => path.join(dir, safeKey(key));
+  return {
+    name: 'local',
+    async putFile(key, filePath) {
+      const target = resolve(key);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      // rename when on the same device, copy otherwise (tmp is often its own mount)
+      try {
+        fs.renameSync(filePath, target);
+      } catch (e) {
+        if (e.code !== 'EXDEV') throw e;
+        fs.copyFileSync(filePath, target);
+        fs.rmSync(filePath, { force: true });
+      }
+    },
+    async openFile(key) {
+      const target = resolve(key);
+      if (!fs.existsSync(target)) throw new Error(`Stored object missing: ${key}`);
+      return { path: target, cleanup: () => {} };
+    },
+    async remove(key) {
+      fs.rmSync(resolve(key), { force: true });
+    },
+  };
+}
+
+/* ---------- S3-compatible ---------- */
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const hash = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const encodeSegment = (s) => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+export function createS3Storage({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const base = new URL(endpoint);
+
+  function objectUrl(key) {
+    const encoded = safeKey(key).split('/').map(encodeSegment).join('/');
+    const url = new URL(base);
+    if (forcePathStyle) url.pathname = `${url.pathname.replace(/\/$/, '')}/${bucket}/${encoded}`;
+    else { url.hostname = `${bucket}.${url.hostname}`; url.pathname = `/${encoded}`; }
+    return url;
+  }
+
+  // AWS Signature Version 4 for a single request; the body is sent unsigned.
+  function sign(method, url, extraHeaders = {}) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+      'x-amz-date': amzDate,
+      ...Object.fromEntries(Object.entries(extraHeaders).map(([k, v]) => [k.toLowerCase(), String(v)])),
+    };
+    const names = Object.keys(headers).sort();
+    const canonical = [
+      method,
+      url.pathname,
+      '',
+      ...names.map(n => `${n}:${headers[n].trim()}`),
+      '',
+      names.join(';'),
+      'UNSIGNED-PAYLOAD',
+    ].join('\n');
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonical)].join('\n');
+    const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', key).update(toSign).digest('hex');
+    delete headers.host;
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`;
+    return headers;
+  }
+
+  async function request(method, key, { body, headers = {}, ok = [200] } = {}) {
+    const url = objectUrl(key);
+    const res = await fetch(url, {
+      method,
+      headers: sign(method, url, headers),
+      body,
+      ...(body ? { duplex: 'half' } : {}),
+    });
+    if (!ok.includes(res.status)) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`S3 ${method} ${key} failed: ${res.status} ${text.slice(0, 200)}`);
+    }
+    return res;
+  }
+
+  return {
+    name: 's3',
+    async putFile(key, filePath, { contentType = 'application/octet-stream' } = {}) {
+      await request('PUT', key, {
+        body: fs.createReadStream(filePath),
+        headers: { 'content-type': contentType, 'content-length': fs.statSync(filePath).size },
+      });
+      fs.rmSync(filePath, { force: true });
+    },
+    async openFile(key) {
+      const res = await request('GET', key);
+      const tmpPath = path.join(os.tmpdir(), `bk-object-${crypto.randomUUID()}${path.extname(key)}`);
+      await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(tmpPath));
+      return { path: tmpPath, cleanup: () => fs.rmSync(tmpPath, { force: true }) };
+    },
+    async remove(key) {
+      await request('DELETE', key, { ok: [200, 204, 404] });
+    },
+  };
+}
+
+export function createStorageFromEnv(env = process.env, { defaultDir } = {}) {
+  const backend = (env.STORAGE_BACKEND || 'local').toLowerCase();
+  if (backend === 's3') {
+    return createS3Storage({
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || 'us-east-1',
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false',
+    });
+  }
+  if (backend !== 'local') throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use local or s3)`);
+  return createLocalStorage({ dir: env.STORAGE_DIR || defaultDir });
+}
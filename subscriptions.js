@@ -0,0 +1,173 @@
+// subscriptions.js — local mirror of Stripe subscription state
+//
+// Stripe is the source of truth. The webhook and checkout verification copy each
+// subscription into `subscriptions`, and users.subscription_status is derived
+// from a user's mirrored subscriptions so the paywall checks stay a single
+// column read. Stripe does not guarantee delivery order, so a change is only
+// applied when it is at least as new as the last one applied to that row.
+//
+// Every webhook event id goes into stripe_events before it is applied; an event
+// that was already processed is acknowledged and skipped.
+
+// Stripe status -> users.subscription_status. Only 'active' unlocks Pro.
+const USER_STATUS = {
+  active: 'active',
+  trialing: 'active',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  paused: 'paused',
+  incomplete: 'incomplete',
+  incomplete_expired: 'cancelled',
+  canceled: 'cancelled',
+};
+// Which status wins when a user has more than one subscription.
+const USER_STATUS_RANK = ['active', 'past_due', 'paused', 'incomplete', 'cancelled'];
+
+const secondsToMs = (s) => (s ? Number(s) * 1000 : null);
+const idOf = (ref) => (typeof ref === 'string' ? ref : ref?.id || null);
+
+/* ---------- Stripe objects ---------- */
+// Handles both API shapes: the billing period sits on the subscription before
+// 2025-03-31.basil and on each subscription item after it.
+export function subscriptionFields(sub) {
+  const item = sub.items?.data?.[0];
+  return {
+    id: sub.id,
+    customerId: idOf(sub.customer),
+    status: sub.status,
+    priceId: item?.price?.id || null,
+    productId: idOf(item?.price?.product),
+    interval: item?.price?.recurring?.interval || null,
+    currentPeriodStart: secondsToMs(item?.current_period_start ?? sub.current_period_start),
+    currentPeriodEnd: secondsToMs(item?.current_period_end ?? sub.current_period_end),
+    cancelAtPeriodEnd: Boolean(sub.cancel_at_period_end),
+    cancelAt: secondsToMs(sub.cancel_at),
+    canceledAt: secondsToMs(sub.canceled_at),
+    trialEnd: secondsToMs(sub.trial_end),
+  };
+}
+
+// invoice.subscription moved under parent.subscription_details in basil.
+export function invoiceSubscriptionId(invoice) {
+  return idOf(invoice.subscription ?? invoice.parent?.subscription_details?.subscription);
+}
+
+/* ---------- Mirror ---------- */
+// The owning user: the id set at checkout, then the customer on users, then an
+// earlier copy of the same subscription. Null when none matches.
+async function resolveSubscriptionUser(db, sub, customerId) {
+  if (sub.metadata?.userId) return sub.metadata.userId;
+  if (customerId) {
+    const { rows } = await db.query('SELECT id FROM users WHERE stripe_customer_id = $1 LIMIT 1', [customerId]);
+    if (rows[0]) return rows[0].id;
+  }
+  const { rows } = await db.query('SELECT user_id FROM subscriptions WHERE id = $1', [sub.id]);
+  return rows[0]?.user_id || null;
+}
+
+// Copies one Stripe subscription into the mirror and refreshes the owner's
+// subscription_status. `stripeAt` is when Stripe produced this state (event
+// created time, or now for an object just retrieved). Returns the user id.
+export async function syncSubscription(db, sub, { userId = null, stripeAt = Date.now() } = {}) {
+  const f = subscriptionFields(sub);
+  const owner = userId || await resolveSubscriptionUser(db, sub, f.customerId);
+  if (!owner) return null;
+  // Once an account is deleted its user and subscriptions rows are gone, so a
+  // later event (e.g. the final cancellation) is recorded but not applied.
+  const { rows: users } = await db.query('SELECT id FROM users WHERE id = $1', [owner]);
+  if (!users.length) return null;
+  const now = Date.now();
+  await db.query(
+    `INSERT INTO subscriptions (id, user_id, customer_id, status, price_id, product_id, billing_interval,
+       current_period_end, cancel_at_period_end, cancel_at, canceled_at, trial_end, stripe_updated_at,
+       created_at, updated_at, current_period_start)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $14, $15)
+     ON CONFLICT (id) DO UPDATE SET
+       user_id = EXCLUDED.user_id, customer_id = EXCLUDED.customer_id, status = EXCLUDED.status,
+       price_id = EXCLUDED.price_id, product_id = EXCLUDED.product_id, billing_interval = EXCLUDED.billing_interval,
+       current_period_start = EXCLUDED.current_period_start,
+       current_period_end = EXCLUDED.current_period_end, cancel_at_period_end = EXCLUDED.cancel_at_period_end,
+       cancel_at = EXCLUDED.cancel_at, canceled_at = EXCLUDED.canceled_at, trial_end = EXCLUDED.trial_end,
+       stripe_updated_at = EXCLUDED.stripe_updated_at, updated_at = EXCLUDED.updated_at
+     WHERE subscriptions.stripe_updated_at <= EXCLUDED.stripe_updated_at`,
+    [f.id, owner, f.customerId, f.status, f.priceId, f.productId, f.interval, f.currentPeriodEnd,
+     f.cancelAtPeriodEnd, f.cancelAt, f.canceledAt, f.trialEnd, stripeAt, now, f.currentPeriodStart]
+  );
+  if (f.customerId) {
+    await db.query(
+      'UPDATE users SET stripe_customer_id = $1 WHERE id = $2 AND stripe_customer_id IS DISTINCT FROM $1',
+      [f.customerId, owner]
+    );
+  }
+  await refreshUserSubscriptionStatus(db, owner);
+  return owner;
+}
+
+// Users with no mirrored subscription keep whatever status they have.
+export async function refreshUserSubscriptionStatus(db, userId) {
+  const { rows } = await db.query('SELECT status FROM subscriptions WHERE user_id = $1', [userId]);
+  if (!rows.length) return null;
+  const statuses = new Set(rows.map(r => USER_STATUS[r.status] || 'cancelled'));
+  const status = USER_STATUS_RANK.find(s => statuses.has(s));
+  await db.query('UPDATE users SET subscription_status = $1 WHERE id = $2', [status, userId]);
+  return status;
+}
+
+// 'paid' | 'payment_failed' | 'refunded' on the subscription the invoice belongs to.
+export async function recordInvoiceStatus(db, subscriptionId, { invoiceId = null, status, at }) {
+  await db.query(
+    `UPDATE subscriptions SET latest_invoice_id = COALESCE($1, latest_invoice_id),
+       latest_invoice_status = $2, latest_invoice_at = $3, updated_at = $4
+     WHERE id = $5 AND (latest_invoice_at IS NULL OR latest_invoice_at <= $3)`,
+    [invoiceId, status, at, Date.now(), subscriptionId]
+  );
+}
+
+// The subscription shown to the user: the one that decides their status, newest first.
+export async function getUserSubscription(db, userId) {
+  const { rows } = await db.query(
+    'SELECT * FROM subscriptions WHERE user_id = $1 ORDER BY stripe_updated_at DESC', [userId]
+  );
+  if (!rows.length) return null;
+  const rank = (r) => USER_STATUS_RANK.indexOf(USER_STATUS[r.status] || 'cancelled');
+  const r = [...rows].sort((a, b) => rank(a) - rank(b))[0];
+  return {
+    id: r.id,
+    status: r.status,
+    priceId: r.price_id,
+    interval: r.billing_interval,
+    currentPeriodStart: Number(r.current_period_start) || null,
+    currentPeriodEnd: Number(r.current_period_end) || null,
+    cancelAtPeriodEnd: r.cancel_at_period_end,
+    cancelAt: Number(r.cancel_at) || null,
+    trialEnd: Number(r.trial_end) || null,
+    latestInvoiceStatus: r.latest_invoice_status || null,
+  };
+}
+
+/* ---------- Event ledger ---------- */
+// Records the delivery. -> false when the event was already processed.
+export async function recordStripeEvent(db, event) {
+  const { rows } = await db.query(
+    `INSERT INTO stripe_events (id, type, object_id, livemode, created_at, received_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (id) DO UPDATE SET attempts = stripe_events.attempts + 1
+     RETURNING processed_at`,
+    [event.id, event.type, idOf(event.data?.object), Boolean(event.livemode), secondsToMs(event.created) || Date.now(), Date.now()]
+  );
+  return !rows[0].processed_at;
+}
+
+// Inside the transaction that applies the event: locks the ledger row so two
+// concurrent deliveries cannot both apply it. -> false when already processed.
+export async function lockStripeEvent(db, eventId) {
+  const { rows } = await db.query('SELECT processed_at FROM stripe_events WHERE id = $1 FOR UPDATE', [eventId]);
+  return Boolean(rows[0]) && !rows[0].processed_at;
+}
+
+export async function finishStripeEvent(db, eventId, { handled = null, error = null }) {
+  await db.query(
+    'UPDATE stripe_events SET handled = $1, error = $2, processed_at = $3 WHERE id = $4',
+    [handled, error, error ? null : Date.now(), eventId]
+  );
+}
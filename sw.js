@@ -0,0 +1,44 @@
+// sw.js — service worker for reminder push notifications
+//
+// Payloads come from the reminder scheduler (server.js sendReminderPush):
+// { title, body, tag, url, snoozeToken }. The "Snooze 1h" action uses the
+// signed snooze token, so it works without opening the app or a session.
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data?.text() };
+  }
+  event.waitUntil(self.registration.showNotification(data.title || 'Ball Knowledge', {
+    body: data.body || '',
+    tag: data.tag,
+    icon: '/apple-touch-icon.png',
+    badge: '/favicon-32x32.png',
+    data: { url: data.url || '/', snoozeToken: data.snoozeToken || null },
+    actions: data.snoozeToken ? [{ action: 'snooze', title: 'Snooze 1h' }] : [],
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const { url, snoozeToken } = event.notification.data || {};
+  event.notification.close();
+  if (event.action === 'snooze' && snoozeToken) {
+    event.waitUntil(fetch('/api/reminders/snooze', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: snoozeToken, minutes: 60 }),
+    }).catch(() => {}));
+    return;
+  }
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const open = windows.find(w => new URL(w.url).origin === self.location.origin);
+    if (open) {
+      await open.focus();
+      return open.navigate(url || '/');
+    }
+    return self.clients.openWindow(url || '/');
+  })());
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildRepairPrompt, parseModelJson, parseScore10, validateAnalysis } from '../analysis-schema.js';
+
+const sample = () => JSON.parse(fs.readFileSync(new URL('../fixtures/ai/analyze.json', import.meta.url), 'utf8'));
+const paths = (data) => validateAnalysis(data).errors.map(e => e.path);
+
+test('scores are 0-10, as numbers or "n/10" strings', () => {
+  assert.equal(parseScore10(6.5), 6.5);
+  assert.equal(parseScore10('6.5'), 6.5);
+  assert.equal(parseScore10(' 7 / 10 '), 7);
+  assert.equal(parseScore10(0), 0);
+  for (const bad of [11, -1, '11/10', '6.5/100', 'N/A', '', null, undefined]) assert.equal(parseScore10(bad), null, String(bad));
+});
+
+test('the fixture analysis is valid', () => {
+  assert.deepEqual(validateAnalysis(sample()), { valid: true, errors: [] });
+});
+
+test('every problem is reported with its path', () => {
+  const data = sample();
+  delete data.coachingCues;
+  data.currentLevel = 'Expert';
+  data.sessionSnapshot.levelScore = '12/10';
+  data.keyMoments[0].correction = '  ';
+  data.improvementTips = [];
+  const { valid, errors } = validateAnalysis(data);
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(e => e.path).sort(), [
+    '$.coachingCues', '$.currentLevel', '$.improvementTips', '$.keyMoments[0].correction', '$.sessionSnapshot.levelScore',
+  ]);
+  assert.match(errors.find(e => e.path === '$.currentLevel').message, /Beginner, Intermediate, Advanced/);
+});
+
+test('checklist entries are checked whatever the checkpoint is called', () => {
+  const data = sample();
+  data.biomechanicalChecklist = { ankleLock: { score: null, note: 'Not visible from this angle' } };
+  assert.deepEqual(paths(data), []);
+  data.biomechanicalChecklist.hipRotation = { score: 'high', note: '' };
+  assert.deepEqual(paths(data), ['$.biomechanicalChecklist.hipRotation.score', '$.biomechanicalChecklist.hipRotation.note']);
+  data.biomechanicalChecklist = {};
+  assert.deepEqual(paths(data), ['$.biomechanicalChecklist']);
+});
+
+test('model output is parsed from fences and surrounding prose', () => {
+  assert.deepEqual(parseModelJson('{"a":1}'), { data: { a: 1 } });
+  assert.deepEqual(parseModelJson('Here you go:\n```json\n{"a":"}"}\n```\nAnything else?'), { data: { a: '}' } });
+  // Only the first object, not a greedy match up to the last brace.
+  assert.deepEqual(parseModelJson('{"a":1} and also {"b":2}'), { data: { a: 1 } });
+  assert.equal(parseModelJson('').error, 'empty response');
+  assert.equal(parseModelJson('no json here').error, 'no JSON object found in response');
+  assert.match(parseModelJson('{"a":1,}').error, /^invalid JSON/);
+});
+
+test('the repair prompt lists the errors and the previous answer', () => {
+  const errors = Array.from({ length: 45 }, (_, i) => ({ path: `$.keyMoments[${i}].impact`, message: 'is required' }));
+  const prompt = buildRepairPrompt('{"sessionSummary":"x"}', errors);
+  assert.match(prompt, /- \$\.keyMoments\[0\]\.impact: is required/);
+  assert.match(prompt, /- \$\.keyMoments\[39\]\.impact/);
+  assert.doesNotMatch(prompt, /keyMoments\[40\]/);
+  assert.match(prompt, /YOUR PREVIOUS ANSWER:\n\{"sessionSummary":"x"\}/);
+});
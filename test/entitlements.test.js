@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { billingPeriod, calendarMonth, getEntitlements, recordAnalysisUsage } from '../entitlements.js';
+import { queryRecorder } from './query-recorder.js';
+
+const NOW = Date.UTC(2026, 2, 15, 12);
+const MARCH = { start: Date.UTC(2026, 2, 1), end: Date.UTC(2026, 3, 1) };
+const freeUser = { id: 'u1', subscription_status: null };
+const proUser = { id: 'u2', subscription_status: 'active' };
+const prices = { pro: 'price_pro', team: 'price_team' };
+
+// Results for getEntitlements' three counts, in the order it asks for them.
+const counts = ({ used = 0, pending = 0, credits = 0 } = {}) => [
+  { rows: [{ used }] }, { rows: [{ count: pending }] }, { rows: [{ balance: credits }] },
+];
+
+test('free accounts count against the calendar month (UTC)', () => {
+  assert.deepEqual(calendarMonth(NOW), MARCH);
+  assert.deepEqual(calendarMonth(Date.UTC(2026, 11, 31, 23, 59)), { start: Date.UTC(2026, 11, 1), end: Date.UTC(2027, 0, 1) });
+  assert.deepEqual(billingPeriod(null, NOW), MARCH);
+});
+
+test('paid plans follow the Stripe period while it covers now', () => {
+  const sub = { current_period_start: Date.UTC(2026, 2, 10), current_period_end: Date.UTC(2026, 3, 10) };
+  assert.deepEqual(billingPeriod(sub, NOW), { start: sub.current_period_start, end: sub.current_period_end });
+  // A mirror that has not caught up with the renewal falls back to the month.
+  const stale = { current_period_start: Date.UTC(2026, 0, 10), current_period_end: Date.UTC(2026, 1, 10) };
+  assert.deepEqual(billingPeriod(stale, NOW), MARCH);
+});
+
+test('the plan comes from the subscription price', async () => {
+  const sub = { price_id: 'price_team', current_period_start: Date.UTC(2026, 2, 10), current_period_end: Date.UTC(2026, 3, 10) };
+  const db = queryRecorder([{ rows: [sub] }, ...counts({ used: 10 })]);
+  const ent = await getEntitlements(db, proUser, { prices, now: NOW });
+  assert.equal(ent.plan, 'team');
+  assert.deepEqual(
+    { limit: ent.quota.limit, remaining: ent.quota.remaining, periodStart: ent.quota.periodStart, resetsAt: ent.quota.resetsAt },
+    { limit: 250, remaining: 240, periodStart: sub.current_period_start, resetsAt: sub.current_period_end }
+  );
+  // Usage is counted over that period.
+  assert.deepEqual(db.params(1).slice(2), [sub.current_period_start, sub.current_period_end]);
+
+  const legacy = await getEntitlements(queryRecorder([{ rows: [] }, ...counts()]), proUser, { prices, now: NOW });
+  assert.equal(legacy.plan, 'pro');
+});
+
+test('pending jobs use up the remaining quota; credits extend it', async () => {
+  const full = await getEntitlements(queryRecorder(counts({ used: 1, pending: 1 })), freeUser, { now: NOW });
+  assert.equal(full.quota.remaining, 0);
+  assert.equal(full.canAnalyze, false);
+
+  const withCredits = await getEntitlements(queryRecorder(counts({ used: 2, credits: 1 })), freeUser, { now: NOW });
+  assert.equal(withCredits.quota.remaining, 0);
+  assert.equal(withCredits.quota.credits, 1);
+  assert.equal(withCredits.canAnalyze, true);
+});
+
+test('admins have no quota: limit and remaining are null', async () => {
+  const ent = await getEntitlements(queryRecorder(counts({ used: 500 })), freeUser, { isAdmin: true, now: NOW });
+  assert.equal(ent.plan, 'admin');
+  assert.equal(ent.quota.limit, null);
+  assert.equal(ent.quota.remaining, null);
+  assert.equal(ent.canAnalyze, true);
+  assert.ok(Object.values(ent.features).every(Boolean));
+});
+
+test('an analysis within the quota is paid by the plan', async () => {
+  const db = queryRecorder([{ rows: [freeUser] }, { rows: [{ used: 1 }] }, { rowCount: 1 }]);
+  assert.equal(await recordAnalysisUsage(db, 'u1', 'a1', { at: NOW }), 'plan');
+  assert.equal(db.calls.length, 3);
+  assert.deepEqual(db.params(2), ['analysis:a1', 'u1', 'analysis', 'free', 'a1', MARCH.start, MARCH.end, 'plan', NOW]);
+});
+
+test('past the quota a credit pays, and is debited once', async () => {
+  const db = queryRecorder([{ rows: [freeUser] }, { rows: [{ used: 2 }] }, { rows: [{ balance: 3 }] }, { rowCount: 1 }, { rowCount: 1 }]);
+  assert.equal(await recordAnalysisUsage(db, 'u1', 'a3', { at: NOW }), 'credit');
+  assert.equal(db.params(3)[7], 'credit');
+  const [id, userId, delta, reason, ref] = db.params(4);
+  assert.deepEqual({ id, userId, delta, reason, ref }, { id: 'analysis:a3', userId: 'u1', delta: -1, reason: 'analysis', ref: 'a3' });
+
+  // A retried insert that hits the existing ledger row charges nothing.
+  const retry = queryRecorder([{ rows: [freeUser] }, { rows: [{ used: 2 }] }, { rows: [{ balance: 2 }] }, { rowCount: 0 }]);
+  await recordAnalysisUsage(retry, 'u1', 'a3', { at: NOW });
+  assert.equal(retry.calls.length, 4);
+});
+
+test('with no credits left the plan still records the analysis', async () => {
+  const db = queryRecorder([{ rows: [freeUser] }, { rows: [{ used: 2 }] }, { rows: [{ balance: 0 }] }, { rowCount: 1 }]);
+  assert.equal(await recordAnalysisUsage(db, 'u1', 'a3', { at: NOW }), 'plan');
+  assert.equal(db.calls.length, 4);
+});
@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertRemoteVideoUrl } from '../ffmpeg.js';
+
+test('only http(s) URLs reach ffmpeg as remote inputs', () => {
+  for (const ok of ['https://res.cloudinary.com/demo/video/upload/clip.mp4', 'HTTP://example.com/clip.mov']) {
+    assert.equal(assertRemoteVideoUrl(ok), ok);
+  }
+  for (const bad of ['file:///etc/passwd', 'concat:/a.mp4|/b.mp4', 'pipe:0', '/tmp/clip.mp4', 'ftp://example.com/clip.mp4', '', null]) {
+    assert.throws(() => assertRemoteVideoUrl(bad), /must be an http\(s\) URL/, String(bad));
+  }
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatOffset, normalizeKeyMoments, parseMomentTimestamp } from '../key-moments.js';
+
+const at = (seconds, endSeconds = null) => ({ seconds, endSeconds });
+
+test('the model\'s timestamp prose is read as seconds', () => {
+  assert.deepEqual(parseMomentTimestamp('~0:08 (second shot attempt)'), at(8));
+  assert.deepEqual(parseMomentTimestamp('at 21s'), at(21));
+  assert.deepEqual(parseMomentTimestamp('around 12 sec'), at(12));
+  assert.deepEqual(parseMomentTimestamp('~12'), at(12));
+  assert.deepEqual(parseMomentTimestamp('0:07.5'), at(7.5));
+  assert.deepEqual(parseMomentTimestamp('1:02:03'), at(3723));
+  // "3 shots" is not three seconds.
+  assert.deepEqual(parseMomentTimestamp('3 shots in 0:20'), at(20));
+});
+
+test('ranges give an end time, when it comes after the start', () => {
+  assert.deepEqual(parseMomentTimestamp('0:12-0:15'), at(12, 15));
+  assert.deepEqual(parseMomentTimestamp('0:12 – 0:15 (weak foot)'), at(12, 15));
+  assert.deepEqual(parseMomentTimestamp('12 to 15 seconds'), at(12, 15));
+  assert.deepEqual(parseMomentTimestamp('0:15-0:12'), at(15));
+  // Two separate mentions are not a range.
+  assert.deepEqual(parseMomentTimestamp('shot at 0:05, again at 0:09'), at(5));
+});
+
+test('labels without a time are not parsed', () => {
+  for (const text of ['throughout the clip', '', '   ', null, undefined]) assert.equal(parseMomentTimestamp(text), null, String(text));
+});
+
+test('offsets format as m:ss or h:mm:ss', () => {
+  assert.equal(formatOffset(8.9), '0:08');
+  assert.equal(formatOffset(75), '1:15');
+  assert.equal(formatOffset(3723), '1:02:03');
+});
+
+test('moments are checked against the clip duration', () => {
+  const moments = normalizeKeyMoments([
+    { timestamp: '0:04-0:09', observation: 'Plant foot too far back', impact: 'Shot skews wide', correction: 'Plant level with the ball' },
+    { timestamp: '0:20.4' },
+    { timestamp: '0:21-0:25' },
+    { timestamp: '0:40' },
+    { timestamp: 'throughout' },
+    null,
+  ], { duration: 20 });
+  assert.deepEqual(moments[0], {
+    index: 0, label: '0:04-0:09', seconds: 4, endSeconds: 9, status: 'ok',
+    observation: 'Plant foot too far back', impact: 'Shot skews wide', correction: 'Plant level with the ball',
+  });
+  // Up to a second past the end is rounding, and lands on the last frame.
+  assert.deepEqual([moments[1].seconds, moments[1].status], [19.9, 'ok']);
+  assert.deepEqual([moments[2].seconds, moments[2].endSeconds, moments[2].status], [19.9, 20, 'ok']);
+  assert.deepEqual([moments[3].seconds, moments[3].status], [null, 'out_of_range']);
+  assert.deepEqual([moments[4].label, moments[4].seconds, moments[4].status], ['throughout', null, 'unparsed']);
+  assert.deepEqual([moments[5].index, moments[5].label, moments[5].status], [5, null, 'unparsed']);
+});
+
+test('without a known duration every parsed moment is seekable', () => {
+  const [moment] = normalizeKeyMoments([{ timestamp: '5:00' }], { duration: null });
+  assert.deepEqual([moment.seconds, moment.status], [300, 'ok']);
+  assert.deepEqual(normalizeKeyMoments('not a list'), []);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPromoCode, normalizePromoCode, parsePromoInput, redeemCreditCode } from '../promo-codes.js';
+import { queryRecorder } from './query-recorder.js';
+
+const errorOf = (body) => parsePromoInput(body).error;
+const creditsCode = (extra = {}) => ({
+  code: 'WELCOME5', kind: 'credits', credits: 5, active: true, expires_at: null, max_redemptions: null, redeemed_count: 0, ...extra,
+});
+
+test('codes are 3-32 upper-case letters or digits', () => {
+  assert.equal(normalizePromoCode(' summer25 '), 'SUMMER25');
+  for (const bad of ['AB', 'SUMMER-25', 'X'.repeat(33), '', null]) assert.equal(normalizePromoCode(bad), null, String(bad));
+});
+
+test('a discount takes either a percentage or an amount', () => {
+  const { fields } = parsePromoInput({ code: 'half', kind: 'discount', percentOff: 50, duration: 'repeating', durationInMonths: '3' });
+  assert.deepEqual(
+    [fields.code, fields.percentOff, fields.amountOff, fields.currency, fields.duration, fields.durationInMonths],
+    ['HALF', 50, null, null, 'repeating', 3]
+  );
+  const amount = parsePromoInput({ code: 'TENOFF', kind: 'discount', amountOff: '1000', currency: 'EUR' }).fields;
+  assert.deepEqual([amount.amountOff, amount.currency, amount.duration], [1000, 'eur', 'once']);
+
+  assert.match(errorOf({ code: 'BOTH', kind: 'discount', percentOff: 10, amountOff: 100 }), /either percentOff or amountOff/);
+  assert.match(errorOf({ code: 'NONE', kind: 'discount' }), /either percentOff or amountOff/);
+  assert.match(errorOf({ code: 'MANY', kind: 'discount', percentOff: 150 }), /between 0 and 100/);
+  assert.match(errorOf({ code: 'CENTS', kind: 'discount', amountOff: 9.5 }), /positive number of cents/);
+  assert.match(errorOf({ code: 'REPEAT', kind: 'discount', percentOff: 10, duration: 'repeating' }), /durationInMonths/);
+});
+
+test('trial and credit codes are bounded', () => {
+  assert.equal(parsePromoInput({ code: 'TRIAL30', kind: 'trial', trialDays: 30 }).fields.trialDays, 30);
+  assert.match(errorOf({ code: 'TRIAL', kind: 'trial', trialDays: 91 }), /trialDays must be 1-90/);
+  assert.equal(parsePromoInput({ code: 'BONUS', kind: 'credits', credits: '5' }).fields.credits, 5);
+  assert.match(errorOf({ code: 'BONUS', kind: 'credits', credits: 0 }), /credits must be 1-100/);
+  assert.match(errorOf({ code: 'BONUS', kind: 'gift' }), /kind must be one of discount, trial, credits/);
+});
+
+test('limits and expiry are validated', () => {
+  const { fields } = parsePromoInput({ code: 'LAUNCH', kind: 'credits', credits: 1, maxRedemptions: 100, expiresAt: '2099-01-01T00:00:00Z' });
+  assert.deepEqual([fields.maxRedemptions, fields.expiresAt], [100, Date.UTC(2099, 0, 1)]);
+  assert.match(errorOf({ code: 'LAUNCH', kind: 'credits', credits: 1, maxRedemptions: -1 }), /maxRedemptions/);
+  assert.match(errorOf({ code: 'LAUNCH', kind: 'credits', credits: 1, expiresAt: '2020-01-01' }), /future date/);
+  assert.match(errorOf({ code: 'LAUNCH', kind: 'credits', credits: 1, expiresAt: 'soon' }), /future date/);
+  assert.match(errorOf({ code: '!', kind: 'credits' }), /3-32 letters or digits/);
+});
+
+test('a code can be redeemed while active, unexpired, not used up and not used before', async () => {
+  const check = (promo, used = []) => checkPromoCode(queryRecorder([{ rows: promo ? [promo] : [] }, { rows: used }]), 'welcome5', 'u1');
+  assert.equal((await check(creditsCode())).promo.code, 'WELCOME5');
+  assert.equal((await check(null)).error, 'That code is not valid.');
+  assert.equal((await check(creditsCode({ active: false }))).error, 'That code is not valid.');
+  assert.equal((await check(creditsCode({ expires_at: Date.now() - 1000 }))).error, 'That code has expired.');
+  assert.equal((await check(creditsCode({ max_redemptions: 10, redeemed_count: 10 }))).error, 'That code has been fully redeemed.');
+  assert.equal((await check(creditsCode(), [{}])).error, 'You have already used that code.');
+
+  const checkoutOnly = queryRecorder([{ rows: [creditsCode()] }]);
+  assert.equal((await checkPromoCode(checkoutOnly, 'WELCOME5', 'u1', { kinds: ['discount', 'trial'] })).error, 'That code is not valid.');
+  // A malformed code never reaches the database.
+  const db = queryRecorder();
+  assert.equal((await checkPromoCode(db, 'no!', 'u1')).error, 'That code is not valid.');
+  assert.equal(db.calls.length, 0);
+});
+
+test('redeeming a credit code records it and grants the credits once', async () => {
+  // code lookup, previous use, redemption insert, count update, ledger insert
+  const db = queryRecorder([{ rows: [creditsCode()] }, { rows: [] }, { rowCount: 1 }, { rowCount: 1 }, { rowCount: 1 }]);
+  assert.equal((await redeemCreditCode(db, 'welcome5', 'u1')).promo.code, 'WELCOME5');
+  assert.equal(db.calls.length, 5);
+  assert.deepEqual(db.params(4).slice(0, 5), ['promo:WELCOME5:u1', 'u1', 5, 'promo', 'WELCOME5']);
+
+  // Lost the race to a concurrent redemption by the same user: nothing granted.
+  const raced = queryRecorder([{ rows: [creditsCode()] }, { rows: [] }, { rowCount: 0 }]);
+  assert.equal((await redeemCreditCode(raced, 'WELCOME5', 'u1')).error, 'You have already used that code.');
+  assert.equal(raced.calls.length, 3);
+});
@@ -0,0 +1,17 @@
+// A stand-in for a pg client: records every statement and answers with the
+// given results in order. The SQL text is never inspected, so tests assert on
+// parameters and on how many statements ran; behaviour that depends on what
+// the SQL does belongs in an integration test against Postgres.
+export function queryRecorder(results = []) {
+  const queue = [...results];
+  const calls = [];
+  return {
+    calls,
+    params: (i) => calls[i]?.params,
+    async query(sql, params = []) {
+      calls.push({ sql, params });
+      const result = queue.shift() || {};
+      return { rows: [], rowCount: result.rows ? result.rows.length : 0, ...result };
+    },
+  };
+}
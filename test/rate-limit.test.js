@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPolicyOverrides, createLoginLockout, createMemoryStore, rateLimit } from '../rate-limit.js';
+
+const MIN = 60 * 1000;
+const T0 = Date.UTC(2026, 4, 4, 12);
+
+// Date.now() under the test's control.
+function clock(t) {
+  let now = T0;
+  t.mock.method(Date, 'now', () => now);
+  return { advance: (ms) => { now += ms; } };
+}
+
+function fakeRes() {
+  return {
+    statusCode: 200, headers: {}, body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+async function call(middleware, req) {
+  const res = fakeRes();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { res, passed };
+}
+
+test('the memory store counts hits within a window, then starts over', async (t) => {
+  const time = clock(t);
+  const store = createMemoryStore();
+  assert.deepEqual(await store.hit('k', MIN), { count: 1, resetAt: T0 + MIN });
+  time.advance(30 * 1000);
+  assert.deepEqual(await store.hit('k', MIN), { count: 2, resetAt: T0 + MIN });
+  assert.deepEqual(await store.get('k'), { count: 2, resetAt: T0 + MIN });
+  time.advance(30 * 1000);
+  assert.equal(await store.get('k'), null);
+  assert.deepEqual(await store.hit('k', MIN), { count: 1, resetAt: T0 + 2 * MIN });
+  await store.reset('k');
+  assert.equal(await store.get('k'), null);
+});
+
+test('pruning drops only expired buckets', async (t) => {
+  const time = clock(t);
+  const store = createMemoryStore();
+  await store.hit('short', MIN);
+  await store.hit('long', 10 * MIN);
+  time.advance(2 * MIN);
+  await store.prune();
+  assert.equal(await store.get('short'), null);
+  assert.equal((await store.get('long')).count, 1);
+});
+
+test('RATE_LIMITS overrides max and window by policy name', () => {
+  const base = { auth: { max: 10, windowMs: 15 * MIN, by: 'ip' }, publicAi: { max: 3, windowMs: 10 * MIN, by: 'ip' } };
+  const out = applyPolicyOverrides(base, ' auth=20/900 , ');
+  assert.deepEqual(out.auth, { name: 'auth', max: 20, windowMs: 900 * 1000, by: 'ip' });
+  assert.deepEqual(out.publicAi, { name: 'publicAi', ...base.publicAi });
+  // The defaults are copied, not changed.
+  assert.equal(base.auth.max, 10);
+  assert.deepEqual(applyPolicyOverrides(base), { auth: { name: 'auth', ...base.auth }, publicAi: { name: 'publicAi', ...base.publicAi } });
+  assert.throws(() => applyPolicyOverrides(base, 'nope=1/1'), /Invalid RATE_LIMITS entry "nope=1\/1"/);
+  assert.throws(() => applyPolicyOverrides(base, 'auth=20'), /Invalid RATE_LIMITS entry/);
+});
+
+test('requests past the limit get a 429 with Retry-After', async (t) => {
+  clock(t);
+  const limiter = rateLimit({ name: 'auth', max: 2, windowMs: MIN, by: 'ip' }, createMemoryStore());
+  const req = { ip: '203.0.113.7' };
+  const first = await call(limiter, req);
+  assert.equal(first.passed, true);
+  assert.deepEqual(first.res.headers, { 'RateLimit-Limit': '2', 'RateLimit-Remaining': '1', 'RateLimit-Reset': '60' });
+  await call(limiter, req);
+  const third = await call(limiter, req);
+  assert.equal(third.passed, false);
+  assert.equal(third.res.statusCode, 429);
+  assert.equal(third.res.headers['Retry-After'], '60');
+  assert.equal(third.res.headers['RateLimit-Remaining'], '0');
+  assert.equal(third.res.body.ok, false);
+  // Another client has its own bucket.
+  assert.equal((await call(limiter, { ip: '203.0.113.8' })).passed, true);
+});
+
+test('per-user policies key on the user, and skip anonymous requests', async (t) => {
+  clock(t);
+  const store = createMemoryStore();
+  const byUser = rateLimit({ name: 'ai', max: 1, windowMs: MIN, by: 'user' }, store);
+  assert.equal((await call(byUser, { ip: '1.1.1.1' })).passed, true);
+  assert.equal(await store.get('ai:ip:1.1.1.1'), null);
+  await call(byUser, { ip: '1.1.1.1', userId: 'u1' });
+  assert.equal((await call(byUser, { ip: '2.2.2.2', userId: 'u1' })).res.statusCode, 429);
+
+  const either = rateLimit({ name: 'mixed', max: 1, windowMs: MIN, by: 'user-or-ip' }, store);
+  await call(either, { ip: '1.1.1.1' });
+  assert.equal((await store.get('mixed:ip:1.1.1.1')).count, 1);
+  await call(either, { ip: '1.1.1.1', userId: 'u2' });
+  assert.equal((await store.get('mixed:user:u2')).count, 1);
+});
+
+test('a failing store lets the request through', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const broken = { hit: async () => { throw new Error('connection refused'); } };
+  const { res, passed } = await call(rateLimit({ name: 'auth', max: 1, windowMs: MIN, by: 'ip' }, broken), { ip: '1.1.1.1' });
+  assert.equal(passed, true);
+  assert.deepEqual(res.headers, {});
+});
+
+test('repeated failed logins lock the account until the window ends', async (t) => {
+  const time = clock(t);
+  const lockout = createLoginLockout(createMemoryStore(), { maxFailures: 3, windowMs: 15 * MIN });
+  assert.deepEqual(await lockout.recordFailure('Player@Example.com'), { failures: 1, locked: false });
+  await lockout.recordFailure('player@example.com ');
+  assert.equal(await lockout.lockedFor('player@example.com'), 0);
+  assert.deepEqual(await lockout.recordFailure('player@example.com'), { failures: 3, locked: true });
+  assert.equal(await lockout.lockedFor('PLAYER@example.com'), 15 * 60);
+  time.advance(10 * MIN);
+  assert.equal(await lockout.lockedFor('player@example.com'), 5 * 60);
+  time.advance(5 * MIN);
+  assert.equal(await lockout.lockedFor('player@example.com'), 0);
+});
+
+test('a successful login clears the failures', async (t) => {
+  clock(t);
+  const lockout = createLoginLockout(createMemoryStore(), { maxFailures: 2 });
+  await lockout.recordFailure('a@example.com');
+  await lockout.recordFailure('a@example.com');
+  assert.ok(await lockout.lockedFor('a@example.com') > 0);
+  await lockout.clear('a@example.com');
+  assert.equal(await lockout.lockedFor('a@example.com'), 0);
+});
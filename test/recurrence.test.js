@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatRecurrence, nextOccurrence, parseRecurrence, zonedParts, zonedTimeToUtc } from '../recurrence.js';
+
+const NY = 'America/New_York';
+const rule = (text) => {
+  const { rule: parsed, error } = parseRecurrence(text);
+  assert.equal(error, undefined);
+  return parsed;
+};
+const local = (ms, timeZone) => {
+  const p = zonedParts(ms, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')} ${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+};
+
+test('parses and formats rules', () => {
+  assert.equal(formatRecurrence(rule('RRULE:FREQ=WEEKLY;BYDAY=TH,TU;BYHOUR=18;BYMINUTE=0')),
+    formatRecurrence(rule('FREQ=WEEKLY;BYDAY=TU,TH;BYHOUR=18;BYMINUTE=0')));
+  assert.ok(parseRecurrence('FREQ=HOURLY').error);
+  assert.ok(parseRecurrence('FREQ=MONTHLY;BYMONTHDAY=32').error);
+});
+
+test('daily reminders keep their wall-clock time across DST changes', () => {
+  const r = rule('FREQ=DAILY;BYHOUR=18;BYMINUTE=0');
+  const start = zonedTimeToUtc({ year: 2026, month: 3, day: 6, hour: 18 }, NY);
+  let at = start;
+  const seen = [];
+  for (let i = 0; i < 4; i++) {
+    at = nextOccurrence(r, { after: at, start, timeZone: NY });
+    seen.push(at);
+  }
+  assert.deepEqual(seen.map(ms => local(ms, NY)), ['2026-03-07 18:00', '2026-03-08 18:00', '2026-03-09 18:00', '2026-03-10 18:00']);
+  // EST (UTC-5) before the change on March 8, EDT (UTC-4) from then on.
+  assert.equal(new Date(seen[0]).getUTCHours(), 23);
+  assert.equal(new Date(seen[1]).getUTCHours(), 22);
+
+  const fallStart = zonedTimeToUtc({ year: 2026, month: 10, day: 31, hour: 18 }, NY);
+  const next = nextOccurrence(r, { after: fallStart, start: fallStart, timeZone: NY });
+  assert.equal(local(next, NY), '2026-11-01 18:00');
+  assert.equal(next - fallStart, 25 * 60 * 60 * 1000);
+});
+
+test('a time skipped by spring-forward lands an hour later', () => {
+  const at = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NY);
+  assert.equal(local(at, NY), '2026-03-08 03:30');
+  const r = rule('FREQ=DAILY;BYHOUR=2;BYMINUTE=30');
+  const start = zonedTimeToUtc({ year: 2026, month: 3, day: 7, hour: 2, minute: 30 }, NY);
+  const seen = [nextOccurrence(r, { after: start, start, timeZone: NY })];
+  seen.push(nextOccurrence(r, { after: seen[0], start, timeZone: NY }));
+  assert.deepEqual(seen.map(ms => local(ms, NY)), ['2026-03-08 03:30', '2026-03-09 02:30']);
+});
+
+test('BYMONTHDAY=31 skips months without a 31st', () => {
+  const r = rule('FREQ=MONTHLY;BYMONTHDAY=31;BYHOUR=9;BYMINUTE=0');
+  const start = Date.UTC(2026, 0, 31, 9);
+  let at = start;
+  const seen = [];
+  for (let i = 0; i < 4; i++) {
+    at = nextOccurrence(r, { after: at, start, timeZone: 'UTC' });
+    seen.push(local(at, 'UTC'));
+  }
+  assert.deepEqual(seen, ['2026-03-31 09:00', '2026-05-31 09:00', '2026-07-31 09:00', '2026-08-31 09:00']);
+});
+
+test('COUNT and UNTIL end the series', () => {
+  const start = Date.UTC(2026, 0, 1, 9);
+  const counted = rule('FREQ=DAILY;COUNT=2');
+  assert.ok(nextOccurrence(counted, { after: start, start, occurrences: 1 }));
+  assert.equal(nextOccurrence(counted, { after: start, start, occurrences: 2 }), null);
+  const until = rule('FREQ=DAILY;UNTIL=20260102');
+  assert.equal(local(nextOccurrence(until, { after: start, start }), 'UTC'), '2026-01-02 09:00');
+  assert.equal(nextOccurrence(until, { after: start + 24 * 60 * 60 * 1000, start }), null);
+});
+
+test('a date-only UNTIL runs through that day in the reminder\'s timezone', () => {
+  const { rule: r } = parseRecurrence('FREQ=DAILY;BYHOUR=20;BYMINUTE=0;UNTIL=20260105', { timeZone: NY });
+  assert.equal(local(r.until, NY), '2026-01-05 23:59');
+  const start = zonedTimeToUtc({ year: 2026, month: 1, day: 4, hour: 20 }, NY);
+  const last = nextOccurrence(r, { after: start, start, timeZone: NY });
+  assert.equal(local(last, NY), '2026-01-05 20:00');
+  assert.equal(nextOccurrence(r, { after: last, start, timeZone: NY }), null);
+  // Stored canonically as an instant, so it reads back the same anywhere.
+  assert.equal(parseRecurrence(formatRecurrence(r)).rule.until, r.until - (r.until % 1000));
+});
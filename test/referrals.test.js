@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attachReferral, convertReferral, getReferralCode, normalizeReferralCode } from '../referrals.js';
+import { queryRecorder } from './query-recorder.js';
+
+const AT = Date.UTC(2026, 4, 4, 12);
+
+test('referral codes are 4-16 upper-case letters or digits', () => {
+  assert.equal(normalizeReferralCode(' abcd2345 '), 'ABCD2345');
+  for (const bad of ['ABC', 'ABCD-2345', 'A'.repeat(17), null]) assert.equal(normalizeReferralCode(bad), null, String(bad));
+});
+
+test('a code is created on first use and kept after that', async () => {
+  assert.equal(await getReferralCode(queryRecorder([{ rows: [{ referral_code: 'KEEPME22' }] }]), 'u1'), 'KEEPME22');
+
+  const db = queryRecorder([{ rows: [{ referral_code: null }] }, { rows: [{ referral_code: 'FRESH234' }] }]);
+  assert.equal(await getReferralCode(db, 'u1'), 'FRESH234');
+  const [drawn, userId] = db.params(1);
+  assert.match(drawn, /^[A-HJ-NP-Z2-9]{8}$/);
+  assert.equal(userId, 'u1');
+
+  assert.equal(await getReferralCode(queryRecorder([{ rows: [] }]), 'missing'), null);
+});
+
+test('signing up with a code records a pending referral to its owner', async () => {
+  const db = queryRecorder([{ rows: [{ id: 'referrer' }] }, { rowCount: 1 }]);
+  assert.deepEqual(await attachReferral(db, 'newbie', 'abcd2345', { at: AT }), { referrerId: 'referrer' });
+  const [, referrerId, refereeId, code, at] = db.params(1);
+  assert.deepEqual([referrerId, refereeId, code, at], ['referrer', 'newbie', 'ABCD2345', AT]);
+
+  // Already referred once: the insert does nothing.
+  assert.equal(await attachReferral(queryRecorder([{ rows: [{ id: 'referrer' }] }, { rowCount: 0 }]), 'newbie', 'ABCD2345'), null);
+});
+
+test('users cannot refer themselves, and unknown codes are ignored', async () => {
+  const self = queryRecorder([{ rows: [{ id: 'u1' }] }]);
+  assert.equal(await attachReferral(self, 'u1', 'ABCD2345'), null);
+  assert.equal(self.calls.length, 1);
+  assert.equal(await attachReferral(queryRecorder([{ rows: [] }]), 'u1', 'NOSUCH22'), null);
+  const malformed = queryRecorder();
+  assert.equal(await attachReferral(malformed, 'u1', 'x'), null);
+  assert.equal(malformed.calls.length, 0);
+});
+
+test('converting a referral credits both sides under stable ledger ids', async () => {
+  const db = queryRecorder([{ rows: [{ id: 'ref1', referrer_id: 'referrer', referee_id: 'newbie' }] }, { rowCount: 1 }, { rowCount: 1 }]);
+  assert.deepEqual(await convertReferral(db, 'newbie', { credits: 3, at: AT }), {
+    id: 'ref1', referrerId: 'referrer', refereeId: 'newbie', credits: 3,
+  });
+  assert.deepEqual(db.params(0), [AT, 3, 'newbie']);
+  assert.deepEqual(db.params(1).slice(0, 5), ['referral:ref1:referrer', 'referrer', 3, 'referral', 'ref1']);
+  assert.deepEqual(db.params(2).slice(0, 5), ['referral:ref1:referee', 'newbie', 3, 'referral', 'ref1']);
+});
+
+test('a referral converts only once', async () => {
+  const db = queryRecorder([{ rows: [] }]);
+  assert.equal(await convertReferral(db, 'newbie', { at: AT }), null);
+  assert.equal(db.calls.length, 1);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  finishDelivery, planRecurrence, quietHoursEnd, reminderDueAt, signSnoozeToken, snoozeReminder, verifySnoozeToken,
+} from '../reminders.js';
+import { zonedTimeToUtc } from '../recurrence.js';
+import { queryRecorder } from './query-recorder.js';
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const NOW = Date.UTC(2026, 4, 4, 12);
+
+const oneOff = (extra = {}) => ({
+  id: 'r1', user_id: 'u1', remind_at: NOW + HOUR, completed: false, recurrence: null,
+  delivery_status: 'pending', attempts: 0, occurrences: 0, snoozed_until: null, ...extra,
+});
+const daily = (extra = {}) => oneOff({
+  recurrence: 'FREQ=DAILY;BYHOUR=18;BYMINUTE=0', recurrence_start: Date.UTC(2026, 4, 1, 18), remind_at: Date.UTC(2026, 4, 4, 18), ...extra,
+});
+
+test('a snoozed reminder is due at its snooze', () => {
+  assert.equal(reminderDueAt(oneOff()), NOW + HOUR);
+  assert.equal(reminderDueAt(daily({ snoozed_until: NOW + 5 * MIN })), NOW + 5 * MIN);
+});
+
+test('quiet hours hold a delivery until they end, across midnight', () => {
+  const settings = { timezone: 'Europe/London', quietStart: 22 * 60, quietEnd: 7 * 60 };
+  const late = zonedTimeToUtc({ year: 2026, month: 5, day: 4, hour: 23, minute: 30 }, 'Europe/London');
+  assert.equal(quietHoursEnd(late, settings), zonedTimeToUtc({ year: 2026, month: 5, day: 5, hour: 7 }, 'Europe/London'));
+  const early = zonedTimeToUtc({ year: 2026, month: 5, day: 5, hour: 6, minute: 59 }, 'Europe/London');
+  assert.equal(quietHoursEnd(early, settings), zonedTimeToUtc({ year: 2026, month: 5, day: 5, hour: 7 }, 'Europe/London'));
+  assert.equal(quietHoursEnd(NOW, settings), null);
+  assert.equal(quietHoursEnd(late, { ...settings, quietStart: null }), null);
+});
+
+test('a recurrence starts at its first matching time', () => {
+  const start = Date.UTC(2026, 4, 4, 19);
+  const planned = planRecurrence('FREQ=DAILY;BYHOUR=18;BYMINUTE=0', { start });
+  assert.equal(planned.remindAt, Date.UTC(2026, 4, 5, 18));
+  assert.equal(planned.recurrenceStart, start);
+  assert.ok(planRecurrence('FREQ=YEARLY', { start }).error);
+});
+
+test('snooze links verify only untampered, unexpired tokens', () => {
+  const token = signSnoozeToken('secret', 'r1', { now: NOW });
+  assert.equal(verifySnoozeToken('secret', token, { now: NOW + HOUR }), 'r1');
+  assert.equal(verifySnoozeToken('other', token, { now: NOW }), null);
+  assert.equal(verifySnoozeToken('secret', token.replace(/^r1/, 'r2'), { now: NOW }), null);
+  assert.equal(verifySnoozeToken('secret', token, { now: NOW + 3 * 24 * HOUR }), null);
+});
+
+test('snooze validates the duration and the reminder', async () => {
+  assert.match((await snoozeReminder(queryRecorder(), 'r1', 1, { now: NOW })).error, /Snooze for/);
+  assert.equal((await snoozeReminder(queryRecorder([{ rows: [] }]), 'r1', 30, { now: NOW })).notFound, true);
+  const completed = queryRecorder([{ rows: [oneOff({ completed: true })] }]);
+  assert.match((await snoozeReminder(completed, 'r1', 30, { now: NOW })).error, /completed/);
+});
+
+test('a reminder being sent cannot be snoozed', async () => {
+  const db = queryRecorder([{ rows: [oneOff({ delivery_status: 'sending', locked_by: 'w1' })] }]);
+  assert.equal((await snoozeReminder(db, 'r1', 30, { now: NOW })).conflict, true);
+  assert.equal(db.calls.length, 1);
+
+  // Claimed by a worker between the read and the update: nothing comes back.
+  const raced = queryRecorder([{ rows: [oneOff()] }, { rows: [] }]);
+  assert.equal((await snoozeReminder(raced, 'r1', 30, { now: NOW })).conflict, true);
+});
+
+test('snoozing moves a one-off reminder to the snooze time', async () => {
+  const updated = oneOff({ remind_at: NOW + 30 * MIN });
+  const db = queryRecorder([{ rows: [oneOff({ delivery_status: 'failed' })] }, { rows: [updated] }]);
+  const { reminder } = await snoozeReminder(db, 'r1', 30, { now: NOW });
+  assert.deepEqual(db.params(1), [NOW + 30 * MIN, NOW, 'r1']);
+  assert.equal(reminder, updated);
+});
+
+test('a recurring reminder that has not fired yet is not snoozed ahead of its occurrence', async () => {
+  const row = daily();
+  const db = queryRecorder([{ rows: [row] }]);
+  const { reminder } = await snoozeReminder(db, 'r1', 30, { now: NOW });
+  assert.equal(db.calls.length, 1);
+  assert.equal(reminder, row);
+});
+
+test('a recurring reminder that fired is snoozed until the snooze time', async () => {
+  const db = queryRecorder([{ rows: [daily({ occurrences: 3 })] }, { rows: [daily({ occurrences: 3, snoozed_until: NOW + 30 * MIN })] }]);
+  await snoozeReminder(db, 'r1', 30, { now: NOW });
+  assert.deepEqual(db.params(1), [NOW + 30 * MIN, NOW, 'r1']);
+});
+
+// finishDelivery's parameters: [status, remind_at, occurrences, ...].
+test('an extra, snoozed delivery leaves the series where it was', async () => {
+  const row = daily({ occurrences: 3, snoozed_until: NOW + 30 * MIN, attempts: 1 });
+  const db = queryRecorder();
+  assert.equal(await finishDelivery(db, row, { workerId: 'w1', now: NOW + 30 * MIN, via: ['email'] }), 'pending');
+  assert.deepEqual(db.params(0).slice(0, 3), ['pending', row.remind_at, 3]);
+});
+
+test('a postponed occurrence counts and the series moves on', async () => {
+  const row = daily({ remind_at: NOW - 5 * MIN, snoozed_until: NOW + HOUR, occurrences: 3, attempts: 1 });
+  const db = queryRecorder();
+  await finishDelivery(db, row, { workerId: 'w1', now: NOW + HOUR, via: ['push'] });
+  assert.deepEqual(db.params(0).slice(0, 3), ['pending', Date.UTC(2026, 4, 4, 18), 4]);
+});
+
+test('failed sends retry with backoff, then give up', async () => {
+  const claimed = oneOff({ delivery_status: 'sending', locked_by: 'w1', attempts: 2 });
+  const db = queryRecorder();
+  assert.equal(await finishDelivery(db, claimed, { workerId: 'w1', now: NOW, error: 'smtp down', retry: true }), 'retry');
+  assert.equal(db.params(0)[0], NOW + 2 * MIN);
+
+  const finish = (reminder, outcome) => finishDelivery(queryRecorder(), reminder, { workerId: 'w1', now: NOW, ...outcome });
+  assert.equal(await finish({ ...claimed, attempts: 5 }, { error: 'smtp down', retry: true }), 'failed');
+  assert.equal(await finish(claimed, { via: ['email'] }), 'sent');
+  assert.equal(await finish(claimed, { missed: true }), 'missed');
+  assert.equal(await finish(claimed, {}), 'skipped');
+});
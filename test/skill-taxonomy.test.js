@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listSkills, normalizeLabel, normalizeSkill, normalizeSkillList, SKILLS, skillLabel } from '../skill-taxonomy.js';
+
+const id = (raw) => normalizeSkill(raw)?.id ?? null;
+
+test('labels are lower-cased and stripped of punctuation and accents', () => {
+  assert.equal(normalizeLabel('V-Pull / L-turn!'), 'v pull l turn');
+  assert.equal(normalizeLabel('Passing & First Touch'), 'passing and first touch');
+  assert.equal(normalizeLabel('  Élastico  '), 'elastico');
+  assert.equal(normalizeLabel(null), '');
+});
+
+test('the model\'s many names for a skill map to one id', () => {
+  for (const raw of ['Close Dribbling', 'Dribbling / Ball Mastery', 'ball mastery', 'Dribbling']) assert.equal(id(raw), 'dribbling', raw);
+  for (const raw of ['V-Pull', 'v pulls', 'VPull']) assert.equal(id(raw), 'v_pull', raw);
+  assert.equal(id('Flip-Flap (Elástico)'), 'elastico');
+  assert.deepEqual(normalizeSkill(' Pull backs '), {
+    id: 'pull_back', label: 'Pull-Back', category: 'dribbling', raw: 'Pull backs', match: 'exact',
+  });
+});
+
+test('a known name inside a longer label is a partial match', () => {
+  const knuckle = normalizeSkill('Knuckleball free kicks');
+  assert.equal(knuckle.id, 'knuckleball');
+  assert.equal(knuckle.match, 'partial');
+  // The earliest mention wins...
+  assert.equal(id('Passing & First Touch'), 'passing');
+  assert.equal(id('First touch and passing'), 'first_touch');
+  // ...and the longer phrase at the same place.
+  assert.equal(id('pull back drill'), 'pull_back');
+  // Whole words only: "chipping" is not a chip.
+  assert.equal(id('chipping'), null);
+});
+
+test('unknown skills keep a tidied label and no id', () => {
+  assert.deepEqual(normalizeSkill('  árbol   de la vida '), {
+    id: null, label: 'Árbol De La Vida', category: null, raw: 'árbol   de la vida', match: 'none',
+  });
+  assert.equal(normalizeSkill('   '), null);
+  assert.equal(normalizeSkill(undefined), null);
+});
+
+test('skill lists become distinct known ids', () => {
+  assert.deepEqual(normalizeSkillList(['Stepovers', 'scissors', 'Weak foot', 'Cruyff turn', '']), ['stepover', 'cruyff_turn']);
+  assert.deepEqual(normalizeSkillList('dribbling'), []);
+});
+
+test('stored ids display their canonical label, falling back to the raw one', () => {
+  assert.equal(skillLabel('laces_drive'), 'Laces Drive');
+  assert.equal(skillLabel(null, 'curler'), 'Curled Shot');
+  assert.equal(skillLabel('retired_id', 'some new trick'), 'Some New Trick');
+  assert.equal(skillLabel(null), null);
+});
+
+test('every skill belongs to a listed category', () => {
+  const { categories, skills } = listSkills();
+  const categoryIds = new Set(categories.map(c => c.id));
+  assert.equal(skills.length, Object.keys(SKILLS).length);
+  for (const skill of skills) assert.ok(categoryIds.has(skill.category), skill.id);
+  // Every skill's own name resolves back to it.
+  for (const skill of Object.values(SKILLS)) assert.equal(id(skill.label), skill.id, skill.label);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getUserSubscription, invoiceSubscriptionId, recordStripeEvent, refreshUserSubscriptionStatus, subscriptionFields, syncSubscription,
+} from '../subscriptions.js';
+import { queryRecorder } from './query-recorder.js';
+
+const START = Date.UTC(2026, 4, 1) / 1000;
+const END = Date.UTC(2026, 5, 1) / 1000;
+const price = { id: 'price_pro', product: { id: 'prod_pro' }, recurring: { interval: 'month' } };
+
+test('the billing period is read from either Stripe API shape', () => {
+  const basil = { id: 'sub_1', customer: 'cus_1', status: 'active', items: { data: [{ price, current_period_start: START, current_period_end: END }] } };
+  const legacy = { id: 'sub_1', customer: { id: 'cus_1' }, status: 'active', current_period_start: START, current_period_end: END, items: { data: [{ price }] } };
+  const expected = {
+    id: 'sub_1', customerId: 'cus_1', status: 'active', priceId: 'price_pro', productId: 'prod_pro', interval: 'month',
+    currentPeriodStart: START * 1000, currentPeriodEnd: END * 1000,
+    cancelAtPeriodEnd: false, cancelAt: null, canceledAt: null, trialEnd: null,
+  };
+  assert.deepEqual(subscriptionFields(basil), expected);
+  assert.deepEqual(subscriptionFields(legacy), expected);
+});
+
+test('an invoice\'s subscription is found in either API shape', () => {
+  assert.equal(invoiceSubscriptionId({ subscription: 'sub_1' }), 'sub_1');
+  assert.equal(invoiceSubscriptionId({ subscription: { id: 'sub_1' } }), 'sub_1');
+  assert.equal(invoiceSubscriptionId({ parent: { subscription_details: { subscription: 'sub_2' } } }), 'sub_2');
+  assert.equal(invoiceSubscriptionId({}), null);
+});
+
+test('the best of a user\'s subscriptions decides their status', async () => {
+  const status = async (...statuses) => {
+    const db = queryRecorder([{ rows: statuses.map(s => ({ status: s })) }]);
+    const result = await refreshUserSubscriptionStatus(db, 'u1');
+    assert.deepEqual(db.params(1), [result, 'u1']);
+    return result;
+  };
+  assert.equal(await status('canceled', 'trialing'), 'active');
+  assert.equal(await status('incomplete_expired', 'unpaid'), 'past_due');
+  assert.equal(await status('something_new'), 'cancelled');
+  // No mirrored subscription: the status is left alone.
+  const none = queryRecorder([{ rows: [] }]);
+  assert.equal(await refreshUserSubscriptionStatus(none, 'u1'), null);
+  assert.equal(none.calls.length, 1);
+});
+
+test('the subscription shown is the one that decides the status', async () => {
+  const rows = [
+    { id: 'sub_new', status: 'canceled', current_period_end: '1' },
+    { id: 'sub_old', status: 'active', price_id: 'price_pro', current_period_end: String(END * 1000), cancel_at_period_end: true },
+  ];
+  const sub = await getUserSubscription(queryRecorder([{ rows }]), 'u1');
+  assert.deepEqual([sub.id, sub.currentPeriodEnd, sub.cancelAtPeriodEnd, sub.trialEnd], ['sub_old', END * 1000, true, null]);
+  assert.equal(await getUserSubscription(queryRecorder([{ rows: [] }]), 'u1'), null);
+});
+
+test('events for unknown or deleted accounts are not applied', async () => {
+  const sub = { id: 'sub_1', customer: 'cus_1', status: 'canceled', items: { data: [{ price }] } };
+  // No metadata, no user with that customer, no earlier copy.
+  const orphan = queryRecorder([{ rows: [] }, { rows: [] }]);
+  assert.equal(await syncSubscription(orphan, sub), null);
+  assert.equal(orphan.calls.length, 2);
+
+  const deleted = queryRecorder([{ rows: [] }]);
+  assert.equal(await syncSubscription(deleted, { ...sub, metadata: { userId: 'gone' } }), null);
+  assert.equal(deleted.calls.length, 1);
+});
+
+test('a synced subscription is stamped with when Stripe produced it', async () => {
+  const sub = { id: 'sub_1', customer: 'cus_1', status: 'active', items: { data: [{ price, current_period_start: START, current_period_end: END }] } };
+  const at = Date.UTC(2026, 4, 2);
+  // owner exists, upsert, customer id, status refresh (read + write)
+  const db = queryRecorder([{ rows: [{ id: 'u1' }] }, { rowCount: 1 }, { rowCount: 0 }, { rows: [{ status: 'active' }] }, { rowCount: 1 }]);
+  assert.equal(await syncSubscription(db, sub, { userId: 'u1', stripeAt: at }), 'u1');
+  const upsert = db.params(1);
+  assert.deepEqual([upsert[0], upsert[1], upsert[3], upsert[12], upsert[14]], ['sub_1', 'u1', 'active', at, START * 1000]);
+  assert.deepEqual(db.params(2), ['cus_1', 'u1']);
+  assert.deepEqual(db.params(4), ['active', 'u1']);
+});
+
+test('a redelivered event that was already processed is skipped', async () => {
+  const event = { id: 'evt_1', type: 'customer.subscription.updated', created: START, livemode: false, data: { object: { id: 'sub_1' } } };
+  const fresh = queryRecorder([{ rows: [{ processed_at: null }] }]);
+  assert.equal(await recordStripeEvent(fresh, event), true);
+  assert.deepEqual(fresh.params(0).slice(0, 5), ['evt_1', 'customer.subscription.updated', 'sub_1', false, START * 1000]);
+  assert.equal(await recordStripeEvent(queryRecorder([{ rows: [{ processed_at: '1' }] }]), event), false);
+});
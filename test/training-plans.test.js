@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTrainingPlan, formatTrainingPlan, parseDrillTarget, parsePlanInput, summarizeAdherence } from '../training-plans.js';
+import { zonedParts } from '../recurrence.js';
+
+test('reads sets, reps and minutes from drill text', () => {
+  assert.deepEqual(parseDrillTarget('3 sets of 20 passes against the wall'), { sets: 3, reps: 20, sides: null, minutes: null });
+  assert.deepEqual(parseDrillTarget('4 x 8 inside-foot receptions'), { sets: 4, reps: 8, sides: null, minutes: null });
+  assert.deepEqual(parseDrillTarget('5×10 juggles'), { sets: 5, reps: 10, sides: null, minutes: null });
+  assert.deepEqual(parseDrillTarget('50 touches, then 10 min of rondo'), { sets: 1, reps: 50, sides: null, minutes: 10 });
+  assert.deepEqual(parseDrillTarget('Cone dribbling for 15 minutes'), { sets: null, reps: null, sides: null, minutes: 15 });
+  assert.deepEqual(parseDrillTarget('Work on your first touch'), { sets: null, reps: null, sides: null, minutes: null });
+  assert.deepEqual(parseDrillTarget(undefined), { sets: null, reps: null, sides: null, minutes: null });
+});
+
+test('per-side drills count both sides', () => {
+  assert.deepEqual(parseDrillTarget('4 x 8 each foot'), { sets: 4, reps: 8, sides: 2, minutes: null });
+  assert.equal(parseDrillTarget('3 sets of 10 per leg').sides, 2);
+  assert.equal(parseDrillTarget('20 passes with both feet').sides, 2);
+  assert.equal(parseDrillTarget('2 x 15 left and right').sides, 2);
+  assert.equal(parseDrillTarget('3 sets of 12 on your weak foot').sides, null);
+  // Nothing to double without a rep count.
+  assert.equal(parseDrillTarget('10 min each side').sides, null);
+});
+
+const plan = {
+  id: 'p1', analysis_id: 'a1', title: 'Passing plan', skill: 'Passing', weeks: 1, sessions_per_week: 1,
+  timezone: 'UTC', start_at: 0, end_at: 0, status: 'active', created_at: 0,
+};
+const sessions = [{ id: 's1', plan_id: 'p1', week: 1, position: 1, title: 'Session 1', scheduled_at: 1000, completed_at: null }];
+
+test('targets and adherence use sets × reps × sides', () => {
+  const drills = [
+    { id: 'd1', session_id: 's1', source: 'tip', title: 'Wall passes', target_sets: 4, target_reps: 8, target_sides: 2, target_minutes: null, completed_reps: 40, completed_at: 1500 },
+    { id: 'd2', session_id: 's1', source: 'tip', title: 'Juggling', target_sets: 3, target_reps: 10, target_sides: null, completed_reps: null, completed_at: null },
+  ];
+  const formatted = formatTrainingPlan({ plan, sessions, drills }, { now: 2000 });
+  const [wall, juggling] = formatted.sessions[0].drills;
+  assert.deepEqual(wall.target, { sets: 4, reps: 8, sides: 2, totalReps: 64, minutes: null });
+  assert.equal(juggling.target.sides, 1);
+  assert.equal(juggling.target.totalReps, 30);
+
+  const summary = summarizeAdherence({ sessions, drills }, { asOf: 2000 });
+  assert.equal(summary.reps.target, 94);
+  assert.equal(summary.reps.completed, 40);
+});
+
+const analysis = {
+  skillFocus: 'Passing',
+  raw: { nextSessionPlan: [{ block: 'Warm-up', focus: 'Light touches', duration: '10 min' }] },
+  practiceProgression: [
+    { level: 'current', drill: '3 sets of 20 wall passes' },
+    { level: 'next', drill: '4 x 8 one-touch passes each foot' },
+  ],
+  improvementTips: [
+    { tip: 'Lock the ankle', how: '30 passes with a locked ankle', priority: 2 },
+    { tip: 'Open the hips', how: 'Pass across the body for 5 min', priority: 1 },
+  ],
+};
+
+test('plans lay the drills out over dated sessions', () => {
+  const { plan } = buildTrainingPlan(analysis, {
+    weeks: 2, sessionsPerWeek: 2, start: { year: 2026, month: 3, day: 2 }, hour: 18, minute: 0, timeZone: 'America/New_York',
+  });
+  assert.equal(plan.sessions.length, 4);
+  assert.deepEqual(plan.sessions.map(s => s.title), ['Week 1 · Session 1', 'Week 1 · Session 2', 'Week 2 · Session 1', 'Week 2 · Session 2']);
+  // Mar 2, Mar 5, Mar 9, Mar 12 at 18:00 local, on both sides of the DST change.
+  assert.deepEqual(plan.sessions.map(s => {
+    const p = zonedParts(s.scheduledAt, 'America/New_York');
+    return `${p.month}/${p.day} ${p.hour}:00`;
+  }), ['3/2 18:00', '3/5 18:00', '3/9 18:00', '3/12 18:00']);
+  assert.equal(plan.startAt, plan.sessions[0].scheduledAt);
+  assert.equal(plan.sessions[0].durationMinutes, 10);
+
+  // Blocks every session; the progression moves on in the second half; tips
+  // rotate in priority order.
+  const titles = plan.sessions.map(s => s.drills.map(d => d.title));
+  assert.deepEqual(titles[0], ['Warm-up', '3 sets of 20 wall passes', 'Open the hips']);
+  assert.deepEqual(titles[1], ['Warm-up', '3 sets of 20 wall passes', 'Lock the ankle']);
+  assert.deepEqual(titles[2], ['Warm-up', '4 x 8 one-touch passes each foot', 'Open the hips']);
+  assert.deepEqual(plan.sessions[2].drills[1], {
+    source: 'progression', title: '4 x 8 one-touch passes each foot', detail: 'next level', sets: 4, reps: 8, sides: 2, minutes: null,
+  });
+});
+
+test('an analysis with nothing to practise has no plan', () => {
+  const result = buildTrainingPlan({ raw: {} }, { weeks: 1, sessionsPerWeek: 1, start: { year: 2026, month: 1, day: 1 }, hour: 18, minute: 0 });
+  assert.match(result.error, /no drills/);
+});
+
+test('plan options default to tomorrow at 18:00 and are range-checked', () => {
+  const now = Date.UTC(2026, 0, 31, 12);
+  const { options } = parsePlanInput({}, { now });
+  assert.deepEqual(
+    { weeks: options.weeks, perWeek: options.sessionsPerWeek, start: options.start, hour: options.hour, minute: options.minute },
+    { weeks: 3, perWeek: 3, start: { year: 2026, month: 2, day: 1 }, hour: 18, minute: 0 }
+  );
+  assert.match(parsePlanInput({ weeks: 9 }, { now }).error, /weeks/);
+  assert.match(parsePlanInput({ sessionsPerWeek: 0 }, { now }).error, /sessionsPerWeek/);
+  assert.match(parsePlanInput({ time: '25:00' }, { now }).error, /HH:MM/);
+  assert.match(parsePlanInput({ startDate: '2026-02-30' }, { now }).error, /YYYY-MM-DD/);
+  assert.match(parsePlanInput({ startDate: '2026-01-30' }, { now }).error, /past/);
+});
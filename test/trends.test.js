@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeTrends, describeHistoryForPrompt, metricsFromAnalysis, trendsAgainstHistory } from '../trends.js';
+
+const analysis = (level, tiles = {}, checklist = {}) => ({
+  sessionSnapshot: { levelScore: level, quickTiles: Object.entries(tiles).map(([label, value]) => ({ label, value })) },
+  biomechanicalChecklist: Object.fromEntries(Object.entries(checklist).map(([name, score]) => [name, { score, note: 'seen' }])),
+  improvementTips: [{ tip: 'Lock the ankle' }, { tip: 'Plant beside the ball' }, { tip: 'Head over the ball' }],
+});
+
+test('metrics come from the level score, the tiles and the scored checkpoints', () => {
+  const metrics = metricsFromAnalysis(analysis('6.5/10', { 'Close Control': '7/10', Tempo: 'fast' }, { ankleLock: 5, hipRotation: null }));
+  assert.deepEqual([...metrics.keys()], ['overall', 'tile:close control', 'checkpoint:ankleLock']);
+  assert.deepEqual(metrics.get('tile:close control'), { metric: 'Close Control', kind: 'tile', value: 7 });
+  // Stored checkpoint rows take the place of the checklist.
+  const fromRows = metricsFromAnalysis(analysis(6, {}, { ankleLock: 5 }), [{ checkpoint: 'ankleLock', score: '8' }]);
+  assert.equal(fromRows.get('checkpoint:ankleLock').value, 8);
+  assert.equal(metricsFromAnalysis(undefined).size, 0);
+});
+
+test('each metric is compared with its average over earlier sessions', () => {
+  const current = metricsFromAnalysis(analysis(7, { 'Close Control': 6 }, { ankleLock: 4, headPosition: 8 }));
+  const history = [
+    metricsFromAnalysis(analysis(6, { 'close control ': 6.2 }, { ankleLock: 6 })),
+    metricsFromAnalysis(analysis(5, {}, { ankleLock: 5 })),
+  ];
+  const { comparedSessions, items } = computeTrends(current, history);
+  assert.equal(comparedSessions, 2);
+  assert.deepEqual(items.map(i => [i.metric, i.trend, i.previous, i.delta, i.sessions]), [
+    ['Overall Score', 'improving', 5.5, 1.5, 2],
+    ['Close Control', 'flat', 6.2, -0.2, 1],
+    ['ankleLock', 'declining', 5.5, -1.5, 2],
+  ]);
+  assert.equal(items[0].note, '7/10 vs 5.5/10 average of last 2 sessions');
+  assert.equal(items[1].note, '6/10 vs 6.2/10 last session');
+});
+
+test('the threshold decides what counts as flat', () => {
+  const current = metricsFromAnalysis(analysis(6.4));
+  const history = [metricsFromAnalysis(analysis(6))];
+  assert.equal(computeTrends(current, history).items[0].trend, 'flat');
+  assert.equal(computeTrends(current, history, { threshold: 0.3 }).items[0].trend, 'improving');
+  assert.deepEqual(trendsAgainstHistory(analysis(6.4), []), { comparedSessions: 0, items: [] });
+});
+
+test('earlier sessions are summarised for the prompt', () => {
+  const history = [
+    {
+      createdAt: Date.UTC(2026, 4, 2), skill: 'Laces Drive', level: 'Intermediate', raw: analysis('6/10'),
+      checkpoints: [{ checkpoint: 'ankleLock', score: 4 }, { checkpoint: 'hipRotation', score: 7 }, { checkpoint: 'headPosition', score: 5 }],
+    },
+    // From before checkpoint rows were stored: the checklist is read from raw.
+    { createdAt: Date.UTC(2026, 3, 20), skill: null, level: null, raw: analysis(null, {}, { ankleLock: 3, hipRotation: null }), checkpoints: null },
+  ];
+  assert.equal(describeHistoryForPrompt(history), [
+    '- 2026-05-02: Laces Drive, Intermediate, score 6/10',
+    '  weakest checkpoints: ankleLock 4/10, headPosition 5/10',
+    '  flagged: Lock the ankle | Plant beside the ball',
+    '- 2026-04-20: Unknown skill, level n/a',
+    '  weakest checkpoints: ankleLock 3/10',
+    '  flagged: Lock the ankle | Plant beside the ball',
+  ].join('\n'));
+  assert.equal(describeHistoryForPrompt([]), 'None on record.');
+});
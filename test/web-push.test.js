@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createWebPush, encryptPayload, generateVapidKeys, isPushEndpoint } from '../web-push.js';
+
+const hkdf = (ikm, salt, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+// The browser's side of RFC 8291: a subscription's keys and the decryption.
+function browserSubscription() {
+  const ecdh = crypto.createECDH('prime256v1');
+  const publicKey = ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+  return {
+    subscription: {
+      endpoint: 'https://fcm.googleapis.com/fcm/send/abc',
+      keys: { p256dh: publicKey.toString('base64url'), auth: auth.toString('base64url') },
+    },
+    decrypt(body) {
+      const salt = body.subarray(0, 16);
+      const idLength = body.readUInt8(20);
+      const asPublic = body.subarray(21, 21 + idLength);
+      const ciphertext = body.subarray(21 + idLength);
+      const ikm = hkdf(ecdh.computeSecret(asPublic), auth,
+        Buffer.concat([Buffer.from('WebPush: info\0'), publicKey, asPublic]), 32);
+      const cek = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+      const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+      const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+      decipher.setAuthTag(ciphertext.subarray(-16));
+      const plain = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+      assert.equal(plain[plain.length - 1], 2, 'last-record padding delimiter');
+      return plain.subarray(0, -1).toString();
+    },
+  };
+}
+
+test('payloads decrypt with the subscription keys', () => {
+  const browser = browserSubscription();
+  const payload = JSON.stringify({ title: 'Time to train', body: 'Weak-foot passing — 15 min' });
+  const body = encryptPayload(browser.subscription, payload);
+  assert.equal(body.readUInt32BE(16), 4096);
+  assert.equal(body.readUInt8(20), 65);
+  assert.equal(browser.decrypt(body), payload);
+  // A fresh key and salt every time.
+  assert.notDeepEqual(encryptPayload(browser.subscription, payload), body);
+});
+
+test('rejects bad subscription keys and oversized payloads', () => {
+  const browser = browserSubscription();
+  assert.throws(() => encryptPayload({ keys: { p256dh: 'abc', auth: 'def' } }, 'x'), /Invalid push subscription keys/);
+  assert.throws(() => encryptPayload(browser.subscription, 'x'.repeat(5000)), /too large/);
+});
+
+test('VAPID keys have the expected sizes', () => {
+  const { publicKey, privateKey } = generateVapidKeys();
+  assert.equal(Buffer.from(publicKey, 'base64url').length, 65);
+  assert.equal(Buffer.from(privateKey, 'base64url').length, 32);
+  assert.ok(createWebPush({ publicKey, privateKey, subject: 'mailto:test@example.com' }));
+  assert.equal(createWebPush({ publicKey: null, privateKey: null }), null);
+  assert.throws(() => createWebPush({ publicKey: privateKey, privateKey }), /VAPID keys/);
+});
+
+test('only browser push services are accepted as endpoints', () => {
+  for (const ok of [
+    'https://fcm.googleapis.com/fcm/send/abc',
+    'https://updates.push.services.mozilla.com/wpush/v2/abc',
+    'https://web.push.apple.com/abc',
+    'https://wns2-par02p.notify.windows.com/w/?token=abc',
+  ]) assert.ok(isPushEndpoint(ok), ok);
+  for (const bad of [
+    'http://fcm.googleapis.com/fcm/send/abc',
+    'https://fcm.googleapis.com:8443/fcm/send/abc',
+    'https://169.254.169.254/latest/meta-data',
+    'https://127.0.0.1/push',
+    'https://internal.example.com/push',
+    'https://fcm.googleapis.com.evil.example/push',
+    'https://user@fcm.googleapis.com/push',
+    'not a url',
+  ]) assert.equal(isPushEndpoint(bad), false, bad);
+});
+
+test('send refuses an endpoint outside the push services', async () => {
+  const { publicKey, privateKey } = generateVapidKeys();
+  const push = createWebPush({ publicKey, privateKey, subject: 'mailto:test@example.com' });
+  const browser = browserSubscription();
+  await assert.rejects(push.send({ ...browser.subscription, endpoint: 'https://10.0.0.5/hook' }, 'hi'), (e) => e.gone === true);
+});
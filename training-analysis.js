@@ -0,0 +1,302 @@
+// training-analysis.js — BallKnowledge training clip analysis pipeline
+//
+// upload clip -> render the active training prompt -> generate (with retries and
+// model fallback) -> parse, validate and repair the JSON. server.js wires this to
+// its AI provider and prompt pins; scripts/eval-analysis.js drives the same code
+// against recorded responses.
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { validateAnalysis, parseModelJson, buildRepairPrompt, ANALYSIS_LEVELS } from './analysis-schema.js';
+
+export const TRAINING_PROMPT = 'training-analysis';
+
+export function getGeminiErrorText(err) {
+  return String(err?.message || err?.error || err || '');
+}
+
+export function isGeminiRetryable(err) {
+  const text = getGeminiErrorText(err).toLowerCase();
+  return err?.status === 429 || err?.status === 503 ||
+    text.includes('429') ||
+    text.includes('resource exhausted') ||
+    text.includes('quota') ||
+    text.includes('temporarily unavailable') ||
+    text.includes('deadline exceeded') ||
+    text.includes('503');
+}
+
+const VIDEO_EXTENSIONS = {
+  'video/mp4': 'mp4', 'video/quicktime': 'mov', 'video/mov': 'mov', 'video/webm': 'webm',
+  'video/x-m4v': 'm4v', 'video/3gpp': '3gp', 'video/avi': 'avi', 'video/x-matroska': 'mkv',
+};
+
+export function videoExtension(mimeType) {
+  return VIDEO_EXTENSIONS[String(mimeType || '').toLowerCase()] || 'mp4';
+}
+
+export function detectMimeType(url) {
+  if (url.match(/\.mov(\?|$)/i))  return 'video/mov';
+  if (url.match(/\.webm(\?|$)/i)) return 'video/webm';
+  if (url.match(/\.avi(\?|$)/i))  return 'video/avi';
+  return 'video/mp4';
+}
+
+// Downloads a clip URL to a temp file named for its type. -> { path, mimeType, bytes, cleanup() }
+export async function downloadVideo(videoUrl) {
+  const mimeType = detectMimeType(videoUrl);
+  console.log(`[BK] Downloading video from URL (${mimeType})...`);
+  const resp = await fetch(videoUrl);
+  if (!resp.ok) throw new Error(`Failed to download video: ${resp.status}`);
+  const buffer = Buffer.from(await resp.arrayBuffer());
+  const tmpPath = path.join(os.tmpdir(), `bk-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${videoExtension(mimeType)}`);
+  fs.writeFileSync(tmpPath, buffer);
+  console.log(`[BK] Downloaded video: ${Math.round(buffer.length / 1024)}KB`);
+  return { path: tmpPath, mimeType, bytes: buffer.length, cleanup: () => fs.rmSync(tmpPath, { force: true }) };
+}
+
+export function describePlayer(profile = {}, user = {}) {
+  const position = profile.position || user?.position || 'player';
+
+  // Calculate player age from dob or stored age
+  let playerAge = null;
+  const dob = profile.dob || user?.dob;
+  if (dob) {
+    const birthDate = new Date(dob);
+    if (!isNaN(birthDate.getTime())) {
+      const today = new Date();
+      let age = today.getFullYear() - birthDate.getFullYear();
+      const m = today.getMonth() - birthDate.getMonth();
+      if (m < 0 || (m === 0 && today.getDate() < birthDate.getDate())) age--;
+      if (age > 0 && age < 100) playerAge = age;
+    }
+  }
+  if (!playerAge) playerAge = profile.age || user?.age || null;
+
+  const ageLabel = playerAge ? `${playerAge} years old` : 'unknown age';
+  let ageGroup = 'adult';
+  if (playerAge) {
+    if (playerAge <= 8) ageGroup = 'young child (8 and under)';
+    else if (playerAge <= 12) ageGroup = 'youth (9-12)';
+    else if (playerAge <= 15) ageGroup = 'teen (13-15)';
+    else if (playerAge <= 18) ageGroup = 'older teen (16-18)';
+    else ageGroup = 'adult (19+)';
+  }
+
+  return { position, playerAge, ageLabel, ageGroup };
+}
+
+/*
+ * provider      AI provider from ai-providers.js (null when unconfigured)
+ * renderPrompt  async (name, vars) -> { text, id }, resolves the prompt version to use
+ */
+export function createTrainingAnalyzer({ provider, renderPrompt, notConfiguredMessage = 'AI provider not configured.' }) {
+  async function generateGeminiContent(contentParts, label = 'request') {
+    let lastErr = null;
+    for (const modelName of provider.models) {
+      const maxRetries = 3;
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+          const text = await provider.generateContent(modelName, contentParts, { label });
+          return { text, modelName };
+        } catch (err) {
+          lastErr = err;
+          const retryable = isGeminiRetryable(err);
+          if (!retryable || attempt === maxRetries) break;
+          const waitMs = Math.min(30000, 4000 * attempt);
+          console.log(`[BK] Gemini ${label} retry (${modelName}) ${attempt}/${maxRetries} in ${Math.round(waitMs / 1000)}s: ${getGeminiErrorText(err)}`);
+          await new Promise(r => setTimeout(r, waitMs));
+        }
+      }
+      console.log(`[BK] Gemini model fallback: ${modelName} failed, trying next model...`);
+    }
+    throw lastErr || new Error('Gemini request failed');
+  }
+
+  // The clip comes from one of: videoFile { path, mimeType } (a stored upload,
+  // read in place), videoData (base64 data URL) or videoUrl (downloaded).
+  async function uploadVideoToGemini({ videoUrl, videoData, videoFile }, onStage) {
+    let tmpPath = null;
+    let filePath = videoFile?.path || null;
+    let mimeType = videoFile?.mimeType || 'video/mp4';
+
+    try {
+      if (filePath) {
+        console.log(`[BK] Using stored video (${mimeType})`);
+      } else if (videoData && videoData.startsWith('data:video/')) {
+        // Base64 video from local upload
+        const match = videoData.match(/^data:(video\/[^;]+);base64,(.+)$/);
+        if (!match) throw new Error('Invalid base64 video data');
+        mimeType = match[1];
+        filePath = tmpPath = path.join(os.tmpdir(), `bk-${Date.now()}.${videoExtension(mimeType)}`);
+        fs.writeFileSync(tmpPath, Buffer.from(match[2], 'base64'));
+        console.log(`[BK] Wrote local video to temp file (${mimeType})`);
+      } else if (videoUrl) {
+        // Download from URL (Cloudinary or direct)
+        ({ path: tmpPath, mimeType } = await downloadVideo(videoUrl));
+        filePath = tmpPath;
+      } else {
+        throw new Error('No video URL or data provided');
+      }
+
+      // Upload to the provider's file store (Gemini File API)
+      console.log(`[BK] Uploading video to ${provider.name}...`);
+      let file = await provider.uploadVideo(filePath, {
+        mimeType,
+        displayName: `training-${Date.now()}`,
+      });
+
+      // Wait for the provider to finish processing the video
+      console.log(`[BK] Gemini file state: ${file.state}`);
+      if (file.state === 'PROCESSING' && onStage) await onStage('processing');
+      while (file.state === 'PROCESSING') {
+        await new Promise(r => setTimeout(r, 2000));
+        file = await provider.getFile(file.name);
+        console.log(`[BK] Gemini file state: ${file.state}`);
+      }
+      if (file.state === 'FAILED') {
+        throw new Error('Gemini could not process the video file.');
+      }
+
+      console.log(`[BK] Video ready: ${file.uri}`);
+      return file;
+    } finally {
+      // Clean up temp file; stored uploads are left alone
+      if (tmpPath && fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+    }
+  }
+
+  // Prompt + generate + validate for a clip the provider already holds. Split out
+  // from the upload so recorded responses can be replayed without a video.
+  // `history` is a short text digest of earlier sessions (trends.js); prompt
+  // versions without a {{history}} slot ignore it.
+  async function analyzeUploadedVideo({ file, profile, user, skill, history, onStage }) {
+    const { position, ageLabel, ageGroup } = describePlayer(profile, user);
+
+    const { text: prompt, id: promptVersion } = await renderPrompt(TRAINING_PROMPT, {
+      position,
+      ageLabel,
+      ageGroup,
+      skill: skill || 'not provided',
+      history: history || 'None on record.',
+    });
+
+    console.log(`[BK] Sending video to ${provider.name} with prompt ${promptVersion}...`);
+    if (onStage) await onStage('analyzing');
+
+    const contentParts = [
+      { fileData: { mimeType: file.mimeType, fileUri: file.uri } },
+      { text: prompt },
+    ];
+
+    let rawContent;
+    let usedModelName = provider.models[0];
+    try {
+      const out = await generateGeminiContent(contentParts, 'analyze');
+      rawContent = out.text;
+      usedModelName = out.modelName;
+    } catch (err) {
+      if (isGeminiRetryable(err)) {
+        const quotaErr = new Error('Gemini quota/rate limit reached. Please retry shortly, or enable billing in Google AI Studio/Vertex for reliable analysis.');
+        quotaErr.retryable = true;
+        throw quotaErr;
+      }
+      throw err;
+    }
+
+    console.log(`[BK] ${provider.name} (${usedModelName}) response (first 500 chars):`, rawContent.substring(0, 500));
+
+    const checkOutput = (raw) => {
+      const parsed = parseModelJson(raw);
+      if (parsed.error) return { data: null, errors: [{ path: '$', message: parsed.error }] };
+      return { data: parsed.data, errors: validateAnalysis(parsed.data).errors };
+    };
+
+    const initial = checkOutput(rawContent);
+    let { data, errors } = initial;
+    let repaired = false;
+
+    // One repair round-trip: hand the model its own output plus the validation errors.
+    if (errors.length) {
+      console.warn(`[BK] Analysis output failed validation (${errors.length} error(s)), requesting repair:`,
+        errors.slice(0, 5).map(e => `${e.path} ${e.message}`).join('; '));
+      try {
+        const out = await generateGeminiContent(
+          [...contentParts, { text: buildRepairPrompt(rawContent, errors) }],
+          'repair'
+        );
+        const retry = checkOutput(out.text);
+        if (retry.data && (!data || retry.errors.length < errors.length)) {
+          ({ data, errors } = retry);
+          repaired = true;
+          usedModelName = out.modelName;
+        }
+        console.log(`[BK] Analysis repair ${repaired ? 'applied' : 'not better'} - ${retry.errors.length} error(s) remain`);
+      } catch (e) {
+        console.error('[BK] Analysis repair request failed:', getGeminiErrorText(e));
+      }
+    }
+
+    if (!data) {
+      console.error('[BK] No usable JSON in AI response:', errors[0]?.message);
+      throw new Error('Could not analyze video. The AI did not return valid JSON.');
+    }
+
+    const validation = {
+      valid: errors.length === 0,
+      errors,
+      repairAttempted: initial.errors.length > 0,
+      repaired,
+      initialErrorCount: initial.errors.length,
+      model: usedModelName,
+      checkedAt: Date.now(),
+    };
+
+    console.log(`[BK] Parsed analysis - Skill: ${data.skillFocus || 'N/A'}, Level: ${data.currentLevel || 'N/A'}`);
+
+    // Missing or invalid fields stay empty; `validation` records what was wrong.
+    return {
+      skillFocus: typeof data.skillFocus === 'string' && data.skillFocus.trim() ? data.skillFocus.trim() : null,
+      secondarySkills: Array.isArray(data.secondarySkills) ? data.secondarySkills : [],
+      sessionSummary: typeof data.sessionSummary === 'string' ? data.sessionSummary : null,
+      currentLevel: ANALYSIS_LEVELS.includes(data.currentLevel) ? data.currentLevel : null,
+      sessionSnapshot: data.sessionSnapshot || {},
+      technicalAnalysis: data.technicalAnalysis || {},
+      biomechanicalChecklist: data.biomechanicalChecklist && typeof data.biomechanicalChecklist === 'object' ? data.biomechanicalChecklist : {},
+      keyMoments: Array.isArray(data.keyMoments) ? data.keyMoments : [],
+      coachingCues: Array.isArray(data.coachingCues) ? data.coachingCues : [],
+      improvementTips: Array.isArray(data.improvementTips) ? data.improvementTips : [],
+      commonMistakesForPosition: Array.isArray(data.commonMistakesForPosition) ? data.commonMistakesForPosition : [],
+      practiceProgression: Array.isArray(data.practiceProgression) ? data.practiceProgression : [],
+      trendVsLastSessions: Array.isArray(data.trendVsLastSessions) ? data.trendVsLastSessions : [],
+      nextSessionPlan: Array.isArray(data.nextSessionPlan) ? data.nextSessionPlan : [],
+      youtubeRecommendations: Array.isArray(data.youtubeRecommendations) ? data.youtubeRecommendations : [],
+      raw: data,
+      validation,
+      promptVersion,
+    };
+  }
+
+  // `file` is a provider file from an earlier upload of the same clip that is
+  // still valid; the upload is skipped. The provider file used is returned as
+  // `file` so the caller can reuse it.
+  async function runTextAnalysisForTraining({ profile, user, videoUrl, videoData, videoFile, file, skill, history, onStage }) {
+    if (!provider) {
+      throw new Error(notConfiguredMessage);
+    }
+
+    const { ageLabel, ageGroup } = describePlayer(profile, user);
+    if (file) {
+      console.log(`[BK] Reusing ${provider.name} file ${file.name}... Player age: ${ageLabel}, age group: ${ageGroup}`);
+    } else {
+      console.log(`[BK] Uploading video for Gemini analysis... Player age: ${ageLabel}, age group: ${ageGroup}`);
+      if (onStage) await onStage('uploading');
+      file = await uploadVideoToGemini({ videoUrl, videoData, videoFile }, onStage);
+    }
+
+    const result = await analyzeUploadedVideo({ file, profile, user, skill, history, onStage });
+    return { ...result, file };
+  }
+
+  return { generateGeminiContent, uploadVideoToGemini, analyzeUploadedVideo, runTextAnalysisForTraining };
+}
@@ -0,0 +1,462 @@
+// training-plans.js — multi-week training plans generated from an analysis
+//
+// An analysis already prescribes work: nextSessionPlan blocks (timed), the
+// practiceProgression drills (current, then next) and the `how` drill of each
+// improvementTip. buildTrainingPlan() lays those out over a few weeks of dated
+// sessions in the player's timezone. Every session runs the nextSessionPlan
+// blocks, the progression drill for that stage of the plan and one tip drill,
+// rotating through the tips in priority order. Targets ("3 sets of 20",
+// "4 x 8 each foot", "10 min") are read from the drill text where present.
+//
+// Each session gets a one-off skill_reminders row (plan_session_id) that the
+// reminder scheduler delivers like any other. Drills are ticked off one by
+// one; a session is complete when all of its drills are, which also completes
+// its reminder. The next analysis of the same skill records how much of the
+// plan was actually done (reviewTrainingPlan) so the two can be compared.
+import crypto from 'crypto';
+import { parseScore10 } from './analysis-schema.js';
+import { zonedParts, zonedTimeToUtc } from './recurrence.js';
+import { skillLabel } from './skill-taxonomy.js';
+
+export const PLAN_WEEKS = { min: 1, max: 8, default: 3 };
+export const PLAN_SESSIONS_PER_WEEK = { min: 1, max: 7, default: 3 };
+const DEFAULT_SESSION_TIME = '18:00';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* ---------- Reading drill text ---------- */
+const PER_SIDE = /\b(?:each|per|every)\s+(?:foot|side|leg|way)\b|\bboth\s+(?:feet|sides|legs)\b|\bleft\s+and\s+right\b/i;
+
+// -> { sets, reps, sides, minutes } with nulls for whatever the text does not
+// say. sides is 2 for a drill done on each foot/side/leg: reps are per side.
+export function parseDrillTarget(text) {
+  const s = String(text || '');
+  const target = { sets: null, reps: null, sides: null, minutes: null };
+  const sets = /(\d+)\s*sets?\s+of\s+(\d+)/i.exec(s) || /(\d+)\s*[x×]\s*(\d+)/i.exec(s);
+  if (sets) {
+    target.sets = Number(sets[1]);
+    target.reps = Number(sets[2]);
+  } else {
+    const reps = /(\d+)\s*(?:reps|repetitions|touches|passes|shots|strikes|receptions|juggles)\b/i.exec(s);
+    if (reps) {
+      target.sets = 1;
+      target.reps = Number(reps[1]);
+    }
+  }
+  if (target.reps && PER_SIDE.test(s)) target.sides = 2;
+  const minutes = /(\d+)\s*(?:min|mins|minutes)\b/i.exec(s);
+  if (minutes) target.minutes = Number(minutes[1]);
+  return target;
+}
+
+const totalReps = (sets, reps, sides) => (sets && reps ? sets * reps * (sides || 1) : null);
+
+function clockToParts(text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return { hour: Number(m[1]), minute: Number(m[2]) };
+}
+
+/* ---------- Options ---------- */
+// Request body -> { options } or { error }. startDate is a local YYYY-MM-DD
+// (default: tomorrow in the player's timezone), time a local HH:MM.
+export function parsePlanInput(body = {}, { timeZone = 'UTC', now = Date.now() } = {}) {
+  const weeks = body.weeks === undefined ? PLAN_WEEKS.default : Number(body.weeks);
+  if (!Number.isInteger(weeks) || weeks < PLAN_WEEKS.min || weeks > PLAN_WEEKS.max) {
+    return { error: `weeks must be between ${PLAN_WEEKS.min} and ${PLAN_WEEKS.max}` };
+  }
+  const perWeek = body.sessionsPerWeek === undefined ? PLAN_SESSIONS_PER_WEEK.default : Number(body.sessionsPerWeek);
+  if (!Number.isInteger(perWeek) || perWeek < PLAN_SESSIONS_PER_WEEK.min || perWeek > PLAN_SESSIONS_PER_WEEK.max) {
+    return { error: `sessionsPerWeek must be between ${PLAN_SESSIONS_PER_WEEK.min} and ${PLAN_SESSIONS_PER_WEEK.max}` };
+  }
+  const time = clockToParts(body.time || DEFAULT_SESSION_TIME);
+  if (!time) return { error: 'time must be HH:MM' };
+
+  const today = zonedParts(now, timeZone);
+  let start;
+  if (body.startDate) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(body.startDate).trim());
+    const date = m && new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    if (!date || date.getUTCDate() !== Number(m[3])) return { error: 'startDate must be YYYY-MM-DD' };
+    if (date.getTime() < Date.UTC(today.year, today.month - 1, today.day)) return { error: 'startDate cannot be in the past' };
+    start = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  } else {
+    const tomorrow = new Date(Date.UTC(today.year, today.month - 1, today.day) + DAY_MS);
+    start = { year: tomorrow.getUTCFullYear(), month: tomorrow.getUTCMonth() + 1, day: tomorrow.getUTCDate() };
+  }
+  return {
+    options: { weeks, sessionsPerWeek: perWeek, start, ...time, timeZone, reminders: body.reminders !== false },
+  };
+}
+
+/* ---------- Building ---------- */
+function planDrills(analysis) {
+  const blocks = (Array.isArray(analysis.raw?.nextSessionPlan) ? analysis.raw.nextSessionPlan : [])
+    .filter(b => b && (b.block || b.focus))
+    .map(b => {
+      const { minutes } = parseDrillTarget(b.duration);
+      return { source: 'session', title: String(b.block || b.focus).trim(), detail: b.focus || null, sets: null, reps: null, sides: null, minutes };
+    });
+
+  const progression = Array.isArray(analysis.practiceProgression) ? analysis.practiceProgression : [];
+  const stage = (level) => progression.find(p => p?.drill && String(p.level || '').toLowerCase() === level);
+  const current = stage('current') || progression.find(p => p?.drill);
+  const next = stage('next');
+  const progressionDrill = (p) => p && { source: 'progression', title: String(p.drill).trim(), detail: p.level ? `${p.level} level` : null, ...parseDrillTarget(p.drill) };
+
+  const tips = (Array.isArray(analysis.improvementTips) ? analysis.improvementTips : [])
+    .filter(t => t?.how)
+    .sort((a, b) => (Number(a.priority) || 99) - (Number(b.priority) || 99))
+    .map(t => ({ source: 'tip', title: String(t.tip || t.how).trim(), detail: String(t.how).trim(), ...parseDrillTarget(t.how) }));
+
+  return { blocks, current: progressionDrill(current), next: progressionDrill(next && next !== current ? next : null), tips };
+}
+
+// Analysis (as stored by server.js) -> plan with dated sessions and their
+// drills, or { error } when the analysis prescribes nothing to practise.
+export function buildTrainingPlan(analysis, { weeks, sessionsPerWeek, start, hour, minute, timeZone = 'UTC' }) {
+  const { blocks, current, next, tips } = planDrills(analysis);
+  if (!blocks.length && !current && !tips.length) return { error: 'This analysis has no drills to build a plan from' };
+
+  const label = skillLabel(analysis.skillId, analysis.skillFocus) || 'Training';
+  const sessions = [];
+  for (let week = 1; week <= weeks; week++) {
+    // The progression's next drill takes over for the second half of the plan.
+    const progression = next && week > Math.ceil(weeks / 2) ? next : current;
+    for (let i = 0; i < sessionsPerWeek; i++) {
+      const day = new Date(Date.UTC(start.year, start.month - 1, start.day + (week - 1) * 7 + Math.floor(i * 7 / sessionsPerWeek)));
+      const scheduledAt = zonedTimeToUtc({
+        year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), hour, minute,
+      }, timeZone);
+      const drills = [...blocks];
+      if (progression) drills.push(progression);
+      if (tips.length) drills.push(tips[sessions.length % tips.length]);
+      const minutes = blocks.reduce((sum, b) => sum + (b.minutes || 0), 0);
+      sessions.push({
+        week,
+        position: i + 1,
+        title: `Week ${week} · Session ${i + 1}`,
+        scheduledAt,
+        durationMinutes: minutes || null,
+        drills: drills.map(d => ({ ...d })),
+      });
+    }
+  }
+  return {
+    plan: {
+      title: `${weeks}-week ${label} plan`,
+      skill: label,
+      weeks,
+      sessionsPerWeek,
+      timeZone,
+      startAt: sessions[0].scheduledAt,
+      endAt: sessions[sessions.length - 1].scheduledAt,
+      sessions,
+    },
+  };
+}
+
+/* ---------- Storage ---------- */
+// Writes the plan, its sessions and drills and (unless reminders is false) a
+// reminder for every session still ahead. Run inside a transaction.
+export async function createTrainingPlan(db, userId, analysis, plan, { reminders = true, now = Date.now() } = {}) {
+  const planId = crypto.randomUUID();
+  await db.query(
+    `INSERT INTO training_plans (id, user_id, analysis_id, skill, skill_id, skill_focus, title, weeks, sessions_per_week,
+       timezone, start_at, end_at, status, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'active', $13, $13)`,
+    [planId, userId, String(analysis.id), plan.skill, analysis.skillId || null, analysis.skillFocus || null, plan.title,
+     plan.weeks, plan.sessionsPerWeek, plan.timeZone, plan.startAt, plan.endAt, now]
+  );
+  for (const session of plan.sessions) {
+    const sessionId = crypto.randomUUID();
+    await db.query(
+      `INSERT INTO training_plan_sessions (id, plan_id, user_id, week, position, title, scheduled_at, duration_minutes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [sessionId, planId, userId, session.week, session.position, session.title, session.scheduledAt, session.durationMinutes]
+    );
+    for (const [i, d] of session.drills.entries()) {
+      await db.query(
+        `INSERT INTO training_plan_drills (id, plan_id, session_id, user_id, position, source, title, detail,
+           target_sets, target_reps, target_sides, target_minutes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [crypto.randomUUID(), planId, sessionId, userId, i + 1, d.source, d.title, d.detail, d.sets, d.reps, d.sides, d.minutes]
+      );
+    }
+    if (reminders && session.scheduledAt > now) {
+      await db.query(
+        `INSERT INTO skill_reminders (id, user_id, skill, drill, note, remind_at, completed, delivery_status,
+           plan_session_id, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, FALSE, 'pending', $7, $8, $8)`,
+        [crypto.randomUUID(), userId, plan.skill, reminderDrillText(session.drills),
+         `${plan.title}, ${session.title}`, session.scheduledAt, sessionId, now]
+      );
+    }
+  }
+  return planId;
+}
+
+// The reminder names the drills that change from session to session; the
+// fixed nextSessionPlan blocks only when there is nothing else.
+function reminderDrillText(drills) {
+  const varying = drills.filter(d => d.source !== 'session');
+  return (varying.length ? varying : drills).map(d => d.title).join(' · ').slice(0, 500);
+}
+
+// Upcoming reminders of a plan that is replaced or deleted are dropped;
+// delivered and completed ones stay in the reminder history.
+const DROP_PLAN_REMINDERS_SQL = `DELETE FROM skill_reminders
+  WHERE completed = FALSE AND delivery_status IN ('pending', 'retry')
+    AND plan_session_id IN (SELECT id FROM training_plan_sessions WHERE plan_id = $1)`;
+
+export async function archiveTrainingPlan(db, planId, { now = Date.now() } = {}) {
+  await db.query(DROP_PLAN_REMINDERS_SQL, [planId]);
+  await db.query(`UPDATE training_plans SET status = 'archived', updated_at = $2 WHERE id = $1`, [planId, now]);
+}
+
+export async function deleteTrainingPlan(db, userId, planId) {
+  const { rows } = await db.query('SELECT id FROM training_plans WHERE id = $1 AND user_id = $2', [planId, userId]);
+  if (!rows[0]) return false;
+  await db.query(DROP_PLAN_REMINDERS_SQL, [planId]);
+  await db.query('UPDATE skill_reminders SET plan_session_id = NULL WHERE plan_session_id IN (SELECT id FROM training_plan_sessions WHERE plan_id = $1)', [planId]);
+  await db.query('DELETE FROM training_plan_drills WHERE plan_id = $1', [planId]);
+  await db.query('DELETE FROM training_plan_sessions WHERE plan_id = $1', [planId]);
+  await db.query('DELETE FROM training_plans WHERE id = $1', [planId]);
+  return true;
+}
+
+// Called in the transaction that deletes an analysis: plans built from it are
+// archived (their upcoming reminders dropped), and a plan it reviewed goes back
+// to waiting for a review.
+export async function detachAnalysisFromPlans(db, userId, analysisId, { now = Date.now() } = {}) {
+  const { rows } = await db.query(
+    `SELECT id FROM training_plans WHERE user_id = $1 AND analysis_id = $2 AND status <> 'archived'`,
+    [userId, String(analysisId)]
+  );
+  for (const { id } of rows) await archiveTrainingPlan(db, id, { now });
+  await db.query(
+    'UPDATE training_plans SET review_analysis_id = NULL, updated_at = $3 WHERE user_id = $1 AND review_analysis_id = $2',
+    [userId, String(analysisId), now]
+  );
+}
+
+export async function findActivePlanForAnalysis(db, userId, analysisId) {
+  const { rows } = await db.query(
+    `SELECT * FROM training_plans WHERE user_id = $1 AND analysis_id = $2 AND status = 'active'
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId, String(analysisId)]
+  );
+  return rows[0] || null;
+}
+
+// -> { plan, sessions, drills } (raw rows) or null.
+export async function loadTrainingPlan(db, planId, { userId }) {
+  const { rows: [plan] } = await db.query('SELECT * FROM training_plans WHERE id = $1 AND user_id = $2', [planId, userId]);
+  if (!plan) return null;
+  const { rows: sessions } = await db.query(
+    `SELECT s.*, r.id AS reminder_id
+     FROM training_plan_sessions s
+     LEFT JOIN skill_reminders r ON r.plan_session_id = s.id
+     WHERE s.plan_id = $1
+     ORDER BY s.scheduled_at, s.position`,
+    [planId]
+  );
+  const { rows: drills } = await db.query(
+    'SELECT * FROM training_plan_drills WHERE plan_id = $1 ORDER BY position', [planId]
+  );
+  return { plan, sessions, drills };
+}
+
+export async function listTrainingPlans(db, userId, { includeArchived = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM training_plans WHERE user_id = $1 ${includeArchived ? '' : "AND status = 'active'"}
+     ORDER BY created_at DESC LIMIT 50`,
+    [userId]
+  );
+  const plans = [];
+  for (const plan of rows) {
+    const loaded = await loadTrainingPlan(db, plan.id, { userId });
+    plans.push(formatTrainingPlan(loaded, { withSessions: false }));
+  }
+  return plans;
+}
+
+/* ---------- Completion ---------- */
+// Marks one drill done (reps default to its full target) or not done, then
+// completes or reopens its session and the session's reminder.
+// -> { drill, session } or { error, notFound }.
+export async function setDrillCompletion(db, userId, planId, drillId, { completed, reps, note, now = Date.now() }) {
+  const { rows: [drill] } = await db.query(
+    'SELECT * FROM training_plan_drills WHERE id = $1 AND plan_id = $2 AND user_id = $3', [drillId, planId, userId]
+  );
+  if (!drill) return { error: 'Drill not found', notFound: true };
+  if (reps !== undefined && reps !== null && (!Number.isInteger(Number(reps)) || Number(reps) < 0)) {
+    return { error: 'reps must be a whole number' };
+  }
+
+  const done = typeof completed === 'boolean' ? completed : reps !== undefined && reps !== null ? true : !!drill.completed_at;
+  const completedReps = !done ? null
+    : reps !== undefined && reps !== null ? Number(reps)
+      : drill.completed_reps ?? totalReps(drill.target_sets, drill.target_reps, drill.target_sides);
+  const { rows: [updated] } = await db.query(
+    `UPDATE training_plan_drills
+     SET completed_at = $2, completed_reps = $3, note = COALESCE($4, note)
+     WHERE id = $1
+     RETURNING *`,
+    [drillId, done ? Number(drill.completed_at) || now : null, completedReps,
+     note === undefined ? null : String(note || '').trim().slice(0, 500)]
+  );
+
+  const { rows: [state] } = await db.query(
+    'SELECT bool_and(completed_at IS NOT NULL) AS done FROM training_plan_drills WHERE session_id = $1', [drill.session_id]
+  );
+  const { rows: [session] } = await db.query(
+    `UPDATE training_plan_sessions
+     SET completed_at = CASE WHEN $2 THEN COALESCE(completed_at, $3) ELSE NULL END
+     WHERE id = $1
+     RETURNING *`,
+    [drill.session_id, !!state.done, now]
+  );
+  await db.query(
+    'UPDATE skill_reminders SET completed = $2, updated_at = $3 WHERE plan_session_id = $1 AND completed <> $2',
+    [drill.session_id, !!state.done, now]
+  );
+  await db.query('UPDATE training_plans SET updated_at = $2 WHERE id = $1', [planId, now]);
+  return { drill: updated, session };
+}
+
+/* ---------- Adherence ---------- */
+// How much of the plan was done by `asOf`: sessions and drills that were due
+// against those completed, target reps against logged reps, and a per-drill
+// breakdown. `rate` is the share of due drills completed (0–100), or null
+// while nothing is due yet.
+export function summarizeAdherence({ sessions, drills }, { asOf = Date.now() } = {}) {
+  const dueSessions = new Set(sessions.filter(s => Number(s.scheduled_at) <= asOf).map(s => s.id));
+  const doneAt = (d) => d.completed_at && Number(d.completed_at) <= asOf;
+  const summary = {
+    asOf,
+    sessions: {
+      planned: sessions.length,
+      due: dueSessions.size,
+      completed: sessions.filter(s => s.completed_at && Number(s.completed_at) <= asOf).length,
+    },
+    drills: { planned: drills.length, due: 0, completed: 0 },
+    reps: { target: 0, completed: 0 },
+    rate: null,
+    byDrill: [],
+  };
+
+  const byTitle = new Map();
+  for (const d of drills) {
+    const due = dueSessions.has(d.session_id);
+    const done = doneAt(d);
+    if (due) summary.drills.due++;
+    if (done) summary.drills.completed++;
+    const target = totalReps(d.target_sets, d.target_reps, d.target_sides);
+    if (due && target) summary.reps.target += target;
+    if (done && d.completed_reps) summary.reps.completed += d.completed_reps;
+
+    const key = `${d.source}:${d.title}`;
+    if (!byTitle.has(key)) byTitle.set(key, { title: d.title, source: d.source, due: 0, completed: 0, targetReps: 0, completedReps: 0 });
+    const row = byTitle.get(key);
+    if (due) row.due++;
+    if (done) row.completed++;
+    if (due && target) row.targetReps += target;
+    if (done && d.completed_reps) row.completedReps += d.completed_reps;
+  }
+  // Drills done ahead of schedule count, but never above 100%.
+  if (summary.drills.due) summary.rate = Math.min(100, Math.round(summary.drills.completed / summary.drills.due * 100));
+  summary.byDrill = [...byTitle.values()];
+  return summary;
+}
+
+// Called for each new analysis (server.js insertAnalysis): the player's latest
+// active plan for the same skill that no analysis has reviewed yet is
+// summarised as of the new analysis and marked reviewed by it. Returns the
+// snapshot stored on the analysis (plan_adherence), or null.
+export async function reviewTrainingPlan(db, userId, analysis) {
+  const at = analysis.created_at || Date.now();
+  const skillMatch = analysis.skillId ? 'skill_id = $3' : 'skill_id IS NULL AND skill_focus = $3';
+  const skillValue = analysis.skillId || analysis.skillFocus;
+  if (!skillValue) return null;
+  const { rows: [plan] } = await db.query(
+    `SELECT * FROM training_plans
+     WHERE user_id = $1 AND status = 'active' AND review_analysis_id IS NULL
+       AND start_at <= $2 AND created_at < $2 AND ${skillMatch}
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId, at, skillValue]
+  );
+  if (!plan) return null;
+
+  const loaded = await loadTrainingPlan(db, plan.id, { userId });
+  const adherence = summarizeAdherence(loaded, { asOf: at });
+  const { rows: [source] } = await db.query(
+    `SELECT raw->'sessionSnapshot'->>'levelScore' AS level_score FROM analyses WHERE id = $1 AND user_id = $2`,
+    [plan.analysis_id, userId]
+  );
+  const before = parseScore10(source?.level_score);
+  const after = parseScore10(analysis.raw?.sessionSnapshot?.levelScore);
+  await db.query('UPDATE training_plans SET review_analysis_id = $2, updated_at = $3 WHERE id = $1', [plan.id, String(analysis.id), at]);
+  return {
+    planId: plan.id,
+    planTitle: plan.title,
+    sourceAnalysisId: plan.analysis_id,
+    ...adherence,
+    levelScore: {
+      before,
+      after,
+      change: before === null || after === null ? null : Math.round((after - before) * 10) / 10,
+    },
+  };
+}
+
+/* ---------- API shape ---------- */
+export function formatTrainingPlan({ plan, sessions, drills }, { withSessions = true, now = Date.now() } = {}) {
+  const formatDrill = (d) => ({
+    id: d.id,
+    source: d.source,
+    title: d.title,
+    detail: d.detail,
+    target: {
+      sets: d.target_sets,
+      reps: d.target_reps,
+      sides: d.target_sides || 1,
+      totalReps: totalReps(d.target_sets, d.target_reps, d.target_sides),
+      minutes: d.target_minutes,
+    },
+    completed: !!d.completed_at,
+    completedAt: Number(d.completed_at) || null,
+    completedReps: d.completed_reps ?? null,
+    note: d.note || null,
+  });
+  const out = {
+    id: plan.id,
+    analysisId: plan.analysis_id,
+    title: plan.title,
+    skill: plan.skill,
+    skillId: plan.skill_id || null,
+    weeks: plan.weeks,
+    sessionsPerWeek: plan.sessions_per_week,
+    timezone: plan.timezone,
+    startAt: Number(plan.start_at),
+    endAt: Number(plan.end_at),
+    status: plan.status,
+    reviewAnalysisId: plan.review_analysis_id || null,
+    createdAt: Number(plan.created_at),
+    progress: summarizeAdherence({ sessions, drills }, { asOf: now }),
+  };
+  if (withSessions) {
+    out.sessions = sessions.map(s => ({
+      id: s.id,
+      week: s.week,
+      position: s.position,
+      title: s.title,
+      scheduledAt: Number(s.scheduled_at),
+      durationMinutes: s.duration_minutes,
+      completed: !!s.completed_at,
+      completedAt: Number(s.completed_at) || null,
+      reminderId: s.reminder_id || null,
+      drills: drills.filter(d => d.session_id === s.id).map(formatDrill),
+    }));
+  }
+  return out;
+}
@@ -0,0 +1,140 @@
+// trends.js — session-over-session trends computed from stored scores
+//
+// The model never sees earlier sessions, so its own trendVsLastSessions is
+// guesswork. Instead each new analysis is compared with the player's previous
+// analyses of the same canonical skill (skill-taxonomy.js): the overall
+// levelScore, every sessionSnapshot tile and every biomechanics checkpoint score
+// is set against the average of the earlier values. The result keeps the
+// { metric, trend, note } shape the UI already renders for trendVsLastSessions.
+import { extractCheckpointScores, parseScore10 } from './analysis-schema.js';
+import { skillLabel } from './skill-taxonomy.js';
+
+export const TREND_HISTORY_SIZE = 5;
+// A change smaller than this (on the 0–10 scale) counts as flat.
+export const TREND_THRESHOLD = 0.5;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const tileKey = (label) => `tile:${String(label).trim().toLowerCase()}`;
+
+/* ---------- Metrics ---------- */
+// Map key -> { metric, kind, value } for one analysis. `checkpoints` may be
+// passed in (rows from analysis_checkpoints); otherwise they are read from raw.
+export function metricsFromAnalysis(raw = {}, checkpoints = null) {
+  const metrics = new Map();
+  const level = parseScore10(raw?.sessionSnapshot?.levelScore);
+  if (level !== null) metrics.set('overall', { metric: 'Overall Score', kind: 'overall', value: level });
+
+  for (const tile of Array.isArray(raw?.sessionSnapshot?.quickTiles) ? raw.sessionSnapshot.quickTiles : []) {
+    const value = parseScore10(tile?.value);
+    if (!tile?.label || value === null) continue;
+    metrics.set(tileKey(tile.label), { metric: String(tile.label).trim(), kind: 'tile', value });
+  }
+
+  for (const c of checkpoints || extractCheckpointScores(raw?.biomechanicalChecklist)) {
+    if (c.score === null || c.score === undefined) continue;
+    metrics.set(`checkpoint:${c.checkpoint}`, { metric: c.checkpoint, kind: 'checkpoint', value: Number(c.score) });
+  }
+  return metrics;
+}
+
+/* ---------- Comparison ---------- */
+// current: metrics map; history: metrics maps of earlier sessions, newest first.
+// Metrics with no earlier value are left out — there is nothing to compare.
+export function computeTrends(current, history, { threshold = TREND_THRESHOLD } = {}) {
+  const items = [];
+  for (const [key, { metric, kind, value }] of current) {
+    const prior = history.map(h => h.get(key)?.value).filter(v => v !== undefined && v !== null);
+    if (!prior.length) continue;
+    const previous = round1(prior.reduce((a, b) => a + b, 0) / prior.length);
+    const delta = round1(value - previous);
+    const trend = delta >= threshold ? 'improving' : delta <= -threshold ? 'declining' : 'flat';
+    items.push({
+      metric,
+      kind,
+      trend,
+      current: value,
+      previous,
+      delta,
+      sessions: prior.length,
+      note: `${value}/10 vs ${previous}/10 ${prior.length === 1 ? 'last session' : `average of last ${prior.length} sessions`}`,
+    });
+  }
+  const kindOrder = { overall: 0, tile: 1, checkpoint: 2 };
+  items.sort((a, b) => kindOrder[a.kind] - kindOrder[b.kind] || Math.abs(b.delta) - Math.abs(a.delta));
+  return { comparedSessions: history.length, items };
+}
+
+/* ---------- History ---------- */
+// Earlier analyses of the same skill: by canonical id when known, otherwise by
+// the raw label. Without either, the latest sessions of any skill (prompt context).
+// Returns [{ id, createdAt, skill, level, raw, checkpoints }] newest first.
+export async function loadTrendHistory(db, userId, { skillId = null, skillFocus = null, before = null, excludeId = null, limit = TREND_HISTORY_SIZE } = {}) {
+  const params = [userId, before || Date.now() + 1, excludeId || '', limit];
+  let skillClause = '';
+  if (skillId) {
+    params.push(skillId);
+    skillClause = `AND skill_id = $${params.length}`;
+  } else if (skillFocus) {
+    params.push(String(skillFocus).trim().toLowerCase());
+    skillClause = `AND LOWER(TRIM(skill_focus)) = $${params.length}`;
+  }
+  const { rows } = await db.query(
+    `SELECT id::text AS id, skill_id, skill_focus, current_level, created_at, raw
+     FROM analyses
+     WHERE user_id = $1 AND created_at < $2 AND id::text <> $3 ${skillClause}
+     ORDER BY created_at DESC
+     LIMIT $4`,
+    params
+  );
+  if (!rows.length) return [];
+
+  const { rows: checkpointRows } = await db.query(
+    `SELECT analysis_id, checkpoint, score FROM analysis_checkpoints
+     WHERE analysis_id = ANY($1) AND score IS NOT NULL`,
+    [rows.map(r => r.id)]
+  );
+  // Analyses without checkpoint rows (e.g. from before analysis_checkpoints)
+  // get null, so metricsFromAnalysis() reads the checklist from raw instead.
+  return rows.map(r => {
+    const checkpoints = checkpointRows.filter(c => c.analysis_id === r.id);
+    return {
+      id: r.id,
+      createdAt: Number(r.created_at),
+      skill: skillLabel(r.skill_id, r.skill_focus),
+      level: r.current_level || null,
+      raw: r.raw || {},
+      checkpoints: checkpoints.length ? checkpoints : null,
+    };
+  });
+}
+
+export function trendsAgainstHistory(raw, history, opts) {
+  return computeTrends(
+    metricsFromAnalysis(raw),
+    history.map(h => metricsFromAnalysis(h.raw, h.checkpoints)),
+    opts
+  );
+}
+
+// Compact digest of earlier sessions for the {{history}} prompt slot.
+export function describeHistoryForPrompt(history) {
+  if (!history.length) return 'None on record.';
+  return history.map(h => {
+    const date = new Date(h.createdAt).toISOString().slice(0, 10);
+    const score = parseScore10(h.raw?.sessionSnapshot?.levelScore);
+    const weakest = (h.checkpoints || extractCheckpointScores(h.raw?.biomechanicalChecklist))
+      .filter(c => c.score !== null && c.score !== undefined)
+      .sort((a, b) => a.score - b.score)
+      .slice(0, 2)
+      .map(c => `${c.checkpoint} ${c.score}/10`);
+    const tips = (Array.isArray(h.raw?.improvementTips) ? h.raw.improvementTips : [])
+      .slice(0, 2)
+      .map(t => t?.tip)
+      .filter(Boolean);
+    return [
+      `- ${date}: ${h.skill || 'Unknown skill'}, ${h.level || 'level n/a'}${score !== null ? `, score ${score}/10` : ''}`,
+      weakest.length ? `  weakest checkpoints: ${weakest.join(', ')}` : null,
+      tips.length ? `  flagged: ${tips.join(' | ')}` : null,
+    ].filter(Boolean).join('\n');
+  }).join('\n');
+}
@@ -0,0 +1,137 @@
+// web-push.js — Web Push sender (RFC 8030) with VAPID (RFC 8292) and
+// aes128gcm payload encryption (RFC 8188 / RFC 8291), on node:crypto alone.
+//
+// Keys are the usual base64url pair: the 65-byte uncompressed P-256 public key
+// the browser subscribes with, and the 32-byte private scalar. Generate them
+// with `node scripts/generate-vapid-keys.js`.
+//
+// send() resolves with the push service's status code. It rejects with an
+// Error carrying `statusCode`; `gone` is set for 404/410, meaning the
+// subscription has expired or been revoked and should be deleted.
+//
+// Endpoints come from the browser but are stored per user, so only the push
+// services browsers actually use are accepted (isPushEndpoint): the server
+// never POSTs to a host a user picked.
+import crypto from 'crypto';
+
+const RECORD_SIZE = 4096;
+const JWT_TTL_S = 12 * 60 * 60;
+
+// Chrome/Edge (FCM), Firefox (Mozilla autopush), Edge legacy (WNS), Safari (APNs).
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'android.googleapis.com', 'push.services.mozilla.com', 'notify.windows.com', 'push.apple.com'];
+
+export function isPushEndpoint(endpoint) {
+  let url;
+  try { url = new URL(String(endpoint || '')); } catch { return false; }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+  const host = url.hostname.toLowerCase();
+  return PUSH_SERVICE_HOSTS.some(h => host === h || host.endsWith(`.${h}`));
+}
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const fromB64url = (text) => Buffer.from(String(text || ''), 'base64url');
+
+export function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const priv = ecdh.getPrivateKey();
+  // getPrivateKey() drops leading zero bytes; the key is always 32 bytes.
+  return {
+    publicKey: b64url(ecdh.getPublicKey()),
+    privateKey: b64url(Buffer.concat([Buffer.alloc(32 - priv.length), priv])),
+  };
+}
+
+function vapidSigningKey(publicKey, privateKey) {
+  const pub = fromB64url(publicKey);
+  const priv = fromB64url(privateKey);
+  if (pub.length !== 65 || pub[0] !== 4 || priv.length !== 32) {
+    throw new Error('VAPID keys must be a base64url P-256 public key (65 bytes) and private key (32 bytes)');
+  }
+  return crypto.createPrivateKey({
+    key: { kty: 'EC', crv: 'P-256', x: b64url(pub.subarray(1, 33)), y: b64url(pub.subarray(33)), d: b64url(priv) },
+    format: 'jwk',
+  });
+}
+
+function vapidToken(key, audience, subject) {
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({ aud: audience, exp: Math.floor(Date.now() / 1000) + JWT_TTL_S, sub: subject }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `${header}.${claims}.${b64url(signature)}`;
+}
+
+const hkdf = (ikm, salt, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+// One aes128gcm record holding the whole payload (RFC 8291 section 3.4).
+export function encryptPayload(subscription, payload) {
+  const uaPublic = fromB64url(subscription.keys?.p256dh);
+  const authSecret = fromB64url(subscription.keys?.auth);
+  if (uaPublic.length !== 65 || authSecret.length !== 16) throw new Error('Invalid push subscription keys');
+
+  const ecdh = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const shared = ecdh.computeSecret(uaPublic);
+  const ikm = hkdf(shared, authSecret, Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]), 32);
+
+  const salt = crypto.randomBytes(16);
+  const cek = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  if (plaintext.length + 16 > RECORD_SIZE) throw new Error('Push payload is too large');
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+// -> { publicKey, send(subscription, payload, options) }, or null without keys.
+export function createWebPush({ publicKey, privateKey, subject }) {
+  if (!publicKey || !privateKey) return null;
+  const key = vapidSigningKey(publicKey, privateKey);
+  const tokens = new Map(); // audience -> { token, expiresAt }
+
+  function authorization(endpoint) {
+    const audience = new URL(endpoint).origin;
+    let cached = tokens.get(audience);
+    if (!cached || cached.expiresAt < Date.now() + 60 * 1000) {
+      cached = { token: vapidToken(key, audience, subject), expiresAt: Date.now() + JWT_TTL_S * 1000 };
+      tokens.set(audience, cached);
+    }
+    return `vapid t=${cached.token}, k=${publicKey}`;
+  }
+
+  async function send(subscription, payload, { ttl = 24 * 60 * 60, urgency = 'normal', topic = null } = {}) {
+    if (!isPushEndpoint(subscription.endpoint)) {
+      const err = new Error('Not a known push service endpoint');
+      err.gone = true;
+      throw err;
+    }
+    const body = encryptPayload(subscription, typeof payload === 'string' ? payload : JSON.stringify(payload));
+    const response = await fetch(subscription.endpoint, {
+      method: 'POST',
+      headers: {
+        Authorization: authorization(subscription.endpoint),
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        TTL: String(ttl),
+        Urgency: urgency,
+        ...(topic ? { Topic: topic } : {}),
+      },
+      body,
+    });
+    if (response.ok) return response.status;
+    const detail = await response.text().catch(() => '');
+    const err = new Error(`Push service answered ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+    err.statusCode = response.status;
+    err.gone = response.status === 404 || response.status === 410;
+    throw err;
+  }
+
+  return { publicKey, send };
+}